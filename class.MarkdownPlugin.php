@@ -108,7 +108,7 @@ class MarkdownPlugin extends Plugin
         $this->corePatcher = new CorePatcher($includeDir);
         $this->assetDeployer = new AssetDeployer(__DIR__, $osticketRoot);
         $this->assetInjector = new AssetInjector($pluginUrl, ConfigCache::getInstance());
-        $this->postProcessor = new MarkdownPostProcessor();
+        $this->postProcessor = new MarkdownPostProcessor(ConfigCache::getInstance());
         $this->threadEntryHandler = new ThreadEntryHandler(
             ConfigCache::getInstance(),
             $this->createMarkdownDetector(),
@@ -128,8 +128,10 @@ class MarkdownPlugin extends Plugin
 
         ConfigCache::getInstance()->populate([
             'default_format' => $config->get('default_format') ?? 'markdown',
+            'allowed_formats' => $config->get('allowed_formats') ?? ['markdown', 'html', 'text'],
             'allow_format_switch' => $config->get('allow_format_switch') ?? true,
             'show_toolbar' => $config->get('show_toolbar') ?? true,
+            'preview_position' => $config->get('preview_position') ?? 'bottom',
             'installed_version' => $config->get('installed_version') ?? '',
             'auto_convert_to_markdown' => $config->get('auto_convert_to_markdown') ?? false,
             'auto_detect_threshold' => 5,
@@ -54,21 +54,38 @@ class MarkdownConfig extends PluginConfig {
                 'id' => 'default_format',
                 'label' => $__('Default Thread Entry Format'),
                 'configuration' => array(
-                    'desc' => $__('Default format for new thread entries when replying to tickets. Users can switch between Markdown and HTML (WYSIWYG) using the editor dropdown.'),
+                    'desc' => $__('Default format for new thread entries when replying to tickets. Users can switch between Markdown, HTML (WYSIWYG) and plain text using the editor dropdown.'),
                 ),
                 'choices' => array(
                     'html' => $__('HTML (WYSIWYG)'),
-                    'markdown' => $__('Markdown')
+                    'markdown' => $__('Markdown'),
+                    'text' => $__('Plain text')
                 ),
                 'default' => 'markdown'
             )),
 
+            // Formats offered in the editor dropdown
+            'allowed_formats' => new ChoiceField(array(
+                'id' => 'allowed_formats',
+                'label' => $__('Allowed Formats'),
+                'configuration' => array(
+                    'desc' => $__('Formats agents can write replies in. Select only "Plain text" for departments that must send plain-text replies. If the default format is not allowed, the first allowed format is used.'),
+                    'multiselect' => true
+                ),
+                'choices' => array(
+                    'markdown' => $__('Markdown'),
+                    'html' => $__('HTML (WYSIWYG)'),
+                    'text' => $__('Plain text')
+                ),
+                'default' => array('markdown' => 'Markdown', 'html' => 'HTML (WYSIWYG)', 'text' => 'Plain text')
+            )),
+
             // Allow format switching in editor
             'allow_format_switch' => new BooleanField(array(
                 'id' => 'allow_format_switch',
                 'label' => $__('Allow Format Switching'),
                 'configuration' => array(
-                    'desc' => $__('Allow users to switch between HTML (WYSIWYG) and Markdown formats in the editor dropdown. If disabled, only the default format will be available.')
+                    'desc' => $__('Allow users to switch between the allowed formats in the editor dropdown. If disabled, only the default format will be available.')
                 ),
                 'default' => true
             )),
@@ -93,6 +110,21 @@ class MarkdownConfig extends PluginConfig {
                 'default' => true
             )),
 
+            // Preview layout in the editor
+            'preview_position' => new ChoiceField(array(
+                'id' => 'preview_position',
+                'label' => $__('Preview Layout'),
+                'configuration' => array(
+                    'desc' => $__('Where the live preview is shown. "Write/Preview tabs" shows one at a time and is best for narrow screens. Compact editors (e.g. internal notes) always use tabs.'),
+                ),
+                'choices' => array(
+                    'bottom' => $__('Below the editor'),
+                    'side' => $__('Next to the editor'),
+                    'tabs' => $__('Write/Preview tabs')
+                ),
+                'default' => 'bottom'
+            )),
+
             // Installed version (for auto-update tracking)
             'installed_version' => new TextboxField(array(
                 'id' => 'installed_version',
@@ -23,11 +23,16 @@ Plural-Forms: nplurals=2; plural=(n != 1);
   'Default Thread Entry Format' => 'Standard-Thread-Eintragsformat',
   'Default format for new thread entries when replying to tickets. Users can still switch formats using the editor toolbar.' => 'Standardformat für neue Thread-Einträge beim Antworten auf Tickets. Benutzer können das Format weiterhin über die Editor-Symbolleiste wechseln.',
   'Plain Text' => 'Nur Text',
+  'Plain text' => 'Nur Text',
+  'Default format for new thread entries when replying to tickets. Users can switch between Markdown, HTML (WYSIWYG) and plain text using the editor dropdown.' => 'Standardformat für neue Thread-Einträge beim Antworten auf Tickets. Benutzer können über die Auswahlliste im Editor zwischen Markdown, HTML (WYSIWYG) und Nur Text wechseln.',
   'HTML' => 'HTML',
   'Markdown' => 'Markdown',
 
   // Format switching
   'Allow Format Switching' => 'Format-Wechsel erlauben',
+  'Allow users to switch between the allowed formats in the editor dropdown. If disabled, only the default format will be available.' => 'Erlaubt Benutzern, über die Auswahlliste im Editor zwischen den erlaubten Formaten zu wechseln. Wenn deaktiviert, ist nur das Standardformat verfügbar.',
+  'Allowed Formats' => 'Erlaubte Formate',
+  'Formats agents can write replies in. Select only "Plain text" for departments that must send plain-text replies. If the default format is not allowed, the first allowed format is used.' => 'Formate, in denen Mitarbeiter Antworten schreiben können. Wählen Sie nur "Nur Text" für Abteilungen, die Antworten als reinen Text senden müssen. Ist das Standardformat nicht erlaubt, wird das erste erlaubte Format verwendet.',
   'Allow users to switch between Text, HTML, and Markdown formats in the editor toolbar. If disabled, only the default format will be available.' => 'Erlaubt Benutzern, zwischen Text-, HTML- und Markdown-Formaten in der Editor-Symbolleiste zu wechseln. Wenn deaktiviert, ist nur das Standardformat verfügbar.',
 
   // Auto-convert
@@ -42,10 +47,199 @@ Plural-Forms: nplurals=2; plural=(n != 1);
   'Show Markdown Toolbar' => 'Markdown-Symbolleiste anzeigen',
   'Show a toolbar with Markdown formatting buttons (bold, italic, links, etc.) above the editor. This makes it easier for users who are not familiar with Markdown syntax.' => 'Zeigt eine Symbolleiste mit Markdown-Formatierungsschaltflächen (fett, kursiv, Links, etc.) über dem Editor an. Dies erleichtert Benutzern, die nicht mit der Markdown-Syntax vertraut sind, die Nutzung.',
 
+  // Preview layout
+  'Preview Layout' => 'Vorschau-Layout',
+  'Where the live preview is shown. "Write/Preview tabs" shows one at a time and is best for narrow screens. Compact editors (e.g. internal notes) always use tabs.' => 'Wo die Live-Vorschau angezeigt wird. "Schreiben/Vorschau-Tabs" zeigt immer nur eines von beiden an und eignet sich am besten für schmale Bildschirme. Kompakte Editoren (z.B. interne Notizen) verwenden immer Tabs.',
+  'Below the editor' => 'Unter dem Editor',
+  'Next to the editor' => 'Neben dem Editor',
+  'Write/Preview tabs' => 'Schreiben/Vorschau-Tabs',
+
   // Version tracking
   'Installed Version' => 'Installierte Version',
   'Currently installed version (automatically updated)' => 'Aktuell installierte Version (wird automatisch aktualisiert)',
 
   // Error messages
   'Auto-convert requires Markdown Support to be enabled' => 'Automatische Konvertierung erfordert, dass Markdown-Unterstützung aktiviert ist',
+
+  // Editor (JavaScript) - toolbar
+  'Markdown Formatting Tools' => 'Markdown-Formatierungswerkzeuge',
+  'Bold' => 'Fett',
+  'Italic' => 'Kursiv',
+  'Heading' => 'Überschrift',
+  'Link' => 'Link',
+  'Ctrl' => 'Strg',
+  'Alt' => 'Alt',
+  'Shift' => 'Umschalt',
+  'Inline Code' => 'Inline-Code',
+  'Code Block' => 'Codeblock',
+  'Unordered List' => 'Aufzählung',
+  'Ordered List' => 'Nummerierte Liste',
+  'Blockquote' => 'Zitat',
+  'Table' => 'Tabelle',
+  'Horizontal Rule' => 'Trennlinie',
+  'Insert Image' => 'Bild einfügen',
+  'Canned Response' => 'Textbaustein',
+  '{name} on' => '{name} an',
+  '{name} off' => '{name} aus',
+  'More formatting' => 'Weitere Formatierungen',
+  'Normal text' => 'Normaler Text',
+  'Heading {level}' => 'Überschrift {level}',
+  'Toggle Preview' => 'Vorschau ein-/ausblenden',
+  'Fullscreen' => 'Vollbild',
+  'Exit Fullscreen (Esc)' => 'Vollbild beenden (Esc)',
+
+  // Editor (JavaScript) - inserted placeholder text
+  'bold text' => 'fetter Text',
+  'italic text' => 'kursiver Text',
+  'code' => 'Code',
+  'code here' => 'Code hier',
+  'List Item' => 'Listeneintrag',
+  'Quote' => 'Zitat',
+  'Column {n}' => 'Spalte {n}',
+
+  // Editor (JavaScript) - preview and layout
+  'Preview' => 'Vorschau',
+  'Write' => 'Schreiben',
+  'Editor mode' => 'Editor-Modus',
+  'Markdown Preview' => 'Markdown-Vorschau',
+  'Preview will be shown here...' => 'Hier wird die Vorschau angezeigt...',
+  'Rendering…' => 'Wird gerendert…',
+  'Offline fallback' => 'Offline-Darstellung',
+  'Server preview unavailable - rendered in the browser' => 'Server-Vorschau nicht verfügbar - im Browser gerendert',
+  'Layout' => 'Layout',
+  'Side by side' => 'Nebeneinander',
+  'Preview below' => 'Vorschau unten',
+  'Editor only' => 'Nur Editor',
+  'Preview only' => 'Nur Vorschau',
+  'Drag to resize' => 'Ziehen, um die Größe zu ändern',
+  'Resize editor and preview' => 'Größe von Editor und Vorschau ändern',
+
+  // Editor (JavaScript) - format switcher
+  'Format:' => 'Format:',
+  'Format: {format}' => 'Format: {format}',
+  'Select input format' => 'Eingabeformat wählen',
+
+  // Editor (JavaScript) - image upload
+  'Uploading image' => 'Bild wird hochgeladen',
+  'Uploading image...' => 'Bild wird hochgeladen...',
+  'Upload failed' => 'Hochladen fehlgeschlagen',
+  'Image uploaded: {name}' => 'Bild hochgeladen: {name}',
+  'Upload failed: Security token not found. Please reload the page.' => 'Hochladen fehlgeschlagen: Sicherheitstoken nicht gefunden. Bitte laden Sie die Seite neu.',
+  'Image upload not available — no draft context found.' => 'Bild-Upload nicht verfügbar — kein Entwurfskontext gefunden.',
+
+  // Editor (JavaScript) - link and code block popovers
+  'Insert link' => 'Link einfügen',
+  'Edit link' => 'Link bearbeiten',
+  'URL' => 'URL',
+  'Text' => 'Text',
+  'Enter a URL.' => 'Bitte eine URL eingeben.',
+  'This kind of link is not allowed. Use a web, e-mail or relative address.' => 'Diese Art von Link ist nicht erlaubt. Bitte eine Web-, E-Mail- oder relative Adresse verwenden.',
+  'Insert' => 'Einfügen',
+  'Update' => 'Aktualisieren',
+  'Apply' => 'Übernehmen',
+  'Cancel' => 'Abbrechen',
+  'Remove link' => 'Link entfernen',
+  'Insert code block' => 'Codeblock einfügen',
+  'Edit code block' => 'Codeblock bearbeiten',
+  'Language (optional)' => 'Sprache (optional)',
+  'Remove code block' => 'Codeblock entfernen',
+
+  // Editor (JavaScript) - tables
+  'Insert table' => 'Tabelle einfügen',
+  'Insert row above' => 'Zeile oberhalb einfügen',
+  'Insert row below' => 'Zeile unterhalb einfügen',
+  'Delete row' => 'Zeile löschen',
+  'Insert column left' => 'Spalte links einfügen',
+  'Insert column right' => 'Spalte rechts einfügen',
+  'Delete column' => 'Spalte löschen',
+  'Align left' => 'Linksbündig',
+  'Align center' => 'Zentriert',
+  'Align right' => 'Rechtsbündig',
+  'Default alignment' => 'Standardausrichtung',
+  'Format table' => 'Tabelle formatieren',
+  "{count} column\0{count} columns" => "{count} Spalte\0{count} Spalten",
+  "{count} row\0{count} rows" => "{count} Zeile\0{count} Zeilen",
+
+  // Editor (JavaScript) - paste
+  'Pasted as Markdown.' => 'Als Markdown eingefügt.',
+  'Paste as plain text' => 'Als reinen Text einfügen',
+  "Pasted as a table with {count} row.\0Pasted as a table with {count} rows." => "Als Tabelle mit {count} Zeile eingefügt.\0Als Tabelle mit {count} Zeilen eingefügt.",
+
+  // Editor (JavaScript) - canned response picker
+  'Insert canned response' => 'Textbaustein einfügen',
+  'Search canned responses' => 'Textbausteine durchsuchen',
+  'Canned responses' => 'Textbausteine',
+  'Loading...' => 'Wird geladen...',
+  'Canned response could not be loaded' => 'Der Textbaustein konnte nicht geladen werden',
+  'No canned responses available' => 'Keine Textbausteine vorhanden',
+  'No matching canned responses' => 'Keine passenden Textbausteine',
+  "{count} canned response\0{count} canned responses" => "{count} Textbaustein\0{count} Textbausteine",
+  'Inserted canned response: {title}' => 'Textbaustein eingefügt: {title}',
+
+  // Editor (JavaScript) - template variables
+  'Variables used' => 'Verwendete Variablen',
+  'Variables' => 'Variablen',
+  'Unknown variable' => 'Unbekannte Variable',
+  'Unknown variable: {variable}' => 'Unbekannte Variable: {variable}',
+  '{variable} is filled in when the reply is sent' => '{variable} wird beim Senden der Antwort ausgefüllt',
+  'Select next occurrence' => 'Nächstes Vorkommen auswählen',
+  'Inserted variable: {name}' => 'Variable eingefügt: {name}',
+  "{count} unknown variable\0{count} unknown variables" => "{count} unbekannte Variable\0{count} unbekannte Variablen",
+  "{count} variable suggestion\0{count} variable suggestions" => "{count} Variablenvorschlag\0{count} Variablenvorschläge",
+  'Ticket number' => 'Ticketnummer',
+  'Subject' => 'Betreff',
+  'Status' => 'Status',
+  'Priority' => 'Priorität',
+  'Department' => 'Abteilung',
+  'Help topic' => 'Hilfethema',
+  'Source' => 'Quelle',
+  'Date created' => 'Erstellungsdatum',
+  'Due date' => 'Fälligkeitsdatum',
+  'Date closed' => 'Schließungsdatum',
+  'Time of last update' => 'Zeitpunkt der letzten Aktualisierung',
+  'Name of the ticket owner' => 'Name des Ticketinhabers',
+  'First name of the ticket owner' => 'Vorname des Ticketinhabers',
+  'Last name of the ticket owner' => 'Nachname des Ticketinhabers',
+  'Email address of the ticket owner' => 'E-Mail-Adresse des Ticketinhabers',
+  'Phone number of the ticket owner' => 'Telefonnummer des Ticketinhabers',
+  'Assigned agent or team' => 'Zugewiesener Mitarbeiter oder zugewiesenes Team',
+  'Assigned agent' => 'Zugewiesener Mitarbeiter',
+  'Assigned team' => 'Zugewiesenes Team',
+  'Names of all recipients' => 'Namen aller Empfänger',
+  'Ticket link for the client' => 'Ticket-Link für den Kunden',
+  'Ticket link for agents' => 'Ticket-Link für Mitarbeiter',
+  'Recipient name' => 'Name des Empfängers',
+  'Recipient first name' => 'Vorname des Empfängers',
+  'Recipient last name' => 'Nachname des Empfängers',
+  'Recipient email address' => 'E-Mail-Adresse des Empfängers',
+  'Ticket link for the recipient' => 'Ticket-Link für den Empfänger',
+  'Company name' => 'Firmenname',
+  'Help desk URL' => 'URL des Helpdesks',
+
+  // Editor (JavaScript) - format conversion
+  'Switch to {format}?' => 'Zu {format} wechseln?',
+  'Some content cannot be converted exactly. Please review the changes.' => 'Einige Inhalte können nicht exakt umgewandelt werden. Bitte prüfen Sie die Änderungen.',
+  'Formatting that will be removed:' => 'Diese Formatierungen werden entfernt:',
+  'Switch anyway' => 'Trotzdem wechseln',
+  'Changes' => 'Änderungen',
+  'Before' => 'Vorher',
+  'After' => 'Nachher',
+  'Switched to {format}.' => 'Zu {format} gewechselt.',
+  'Undo' => 'Rückgängig',
+  'Format switch undone' => 'Formatwechsel rückgängig gemacht',
+  'Image: {name}' => 'Bild: {name}',
+  'Underline' => 'Unterstreichung',
+  'Text and background colors' => 'Text- und Hintergrundfarben',
+  'Font sizes' => 'Schriftgrößen',
+  'Text alignment' => 'Textausrichtung',
+  'Subscript and superscript' => 'Tief- und Hochstellung',
+  'Embedded videos and frames' => 'Eingebettete Videos und Frames',
+  'Merged table cells and nested tables' => 'Verbundene Tabellenzellen und verschachtelte Tabellen',
+
+  // Editor (JavaScript) - plain text
+  'Bold, italic and strikethrough' => 'Fett, kursiv und durchgestrichen',
+  'Headings' => 'Überschriften',
+  'Code formatting' => 'Code-Formatierung',
+  'Table layout' => 'Tabellenlayout',
+  'Images (replaced by their name)' => 'Bilder (durch ihren Namen ersetzt)',
 );
@@ -1,47 +1,123 @@
-(()=>{var s=null,y=!1;function N(e,t=!1){s=e,y=t}function r(e,t="DEBUG",a={}){if(!y&&(t==="DEBUG"||t==="INFO")||typeof console=="undefined")return;let n=`[Markdown Editor ${t}]`;if(Object.keys(a).length>0)switch(t){case"ERROR":console.error(n,e,a);break;case"WARNING":console.warn(n,e,a);break;case"INFO":console.info(n,e,a);break;default:console.log(n,e,a)}else switch(t){case"ERROR":console.error(n,e);break;case"WARNING":console.warn(n,e);break;case"INFO":console.info(n,e);break;default:console.log(n,e)}}function U(e,t){let a=e.textarea[0],n=a.selectionStart,o=a.selectionEnd,i=a.value,c="";n>0&&i[n-1]!==`
-`&&(c=`
-`);let l="";o<i.length&&i[o]!==`
-`&&(l=`
-`);let d=c+t+l;a.value=i.substring(0,n)+d+i.substring(o);let u=n+d.length;a.setSelectionRange(u,u),e.textarea.trigger("input")}function k(e,t,a){let n=e.textarea[0],o=n.value,i=o.indexOf(t);if(i===-1){r("Placeholder not found in textarea","WARNING");return}n.value=o.substring(0,i)+a+o.substring(i+t.length);let c=i+a.length;n.setSelectionRange(c,c),e.textarea.trigger("input")}var le={bold:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M15.6 10.79c.97-.67 1.65-1.77 1.65-2.79 0-2.26-1.75-4-4-4H7v14h7.04c2.09 0 3.71-1.7 3.71-3.79 0-1.52-.86-2.82-2.15-3.42zM10 6.5h3c.83 0 1.5.67 1.5 1.5s-.67 1.5-1.5 1.5h-3v-3zm3.5 9H10v-3h3.5c.83 0 1.5.67 1.5 1.5s-.67 1.5-1.5 1.5z"/></svg>',italic:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M10 4v3h2.21l-3.42 8H6v3h8v-3h-2.21l3.42-8H18V4z"/></svg>',heading:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M5 4v7h5.5v2.5h2V11H18V4h-2v5h-3.5V4h-2v5H7V4H5zm8 15c.83 0 1.5-.67 1.5-1.5h5v-2h-5c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5H6v2h5.5c0 .83.67 1.5 1.5 1.5z"/></svg>',link:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/></svg>',code:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z"/></svg>',codeblock:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M4 6h16v2H4zm0 5h16v2H4zm0 5h16v2H4z"/></svg>',"list-ul":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M4 10.5c-.83 0-1.5.67-1.5 1.5s.67 1.5 1.5 1.5 1.5-.67 1.5-1.5-.67-1.5-1.5-1.5zm0-6c-.83 0-1.5.67-1.5 1.5S3.17 7.5 4 7.5 5.5 6.83 5.5 6 4.83 4.5 4 4.5zm0 12c-.83 0-1.5.68-1.5 1.5s.68 1.5 1.5 1.5 1.5-.68 1.5-1.5-.67-1.5-1.5-1.5zM7 19h14v-2H7v2zm0-6h14v-2H7v2zm0-8v2h14V5H7z"/></svg>',"list-ol":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M2 17h2v.5H3v1h1v.5H2v1h3v-4H2v1zm1-9h1V4H2v1h1v3zm-1 3h1.8L2 13.1v.9h3v-1H3.2L5 10.9V10H2v1zm5-6v2h14V5H7zm0 14h14v-2H7v2zm0-6h14v-2H7v2z"/></svg>',quote:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M6 17h3l2-4V7H5v6h3zm8 0h3l2-4V7h-6v6h3z"/></svg>',hr:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M19 13H5v-2h14v2z"/></svg>',image:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>',eye:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/></svg>'};function h(e){return le[e]||""}function _(e){e.toolbar=s("<div>",{class:"markdown-toolbar",role:"toolbar","aria-label":"Markdown Formatting Tools"});let t=["image"];if(e.options.toolbarButtons.forEach(a=>{if(e.options.compact&&t.includes(a))return;let n=de(e,a);n&&e.toolbar.append(n)}),!e.options.compact){let a=pe(e);e.toolbar.append(a)}e.container.prepend(e.toolbar)}function de(e,t){let n={bold:{title:"Bold (Ctrl+B)",icon:h("bold"),action:()=>e.wrapSelection("**","**","bold text")},italic:{title:"Italic (Ctrl+I)",icon:h("italic"),action:()=>e.wrapSelection("*","*","italic text")},heading:{title:"Heading (Ctrl+H)",icon:h("heading"),action:()=>e.insertHeading()},link:{title:"Link (Ctrl+K)",icon:h("link"),action:()=>e.insertLink()},code:{title:"Inline Code",icon:h("code"),action:()=>e.wrapSelection("`","`","code")},codeblock:{title:"Code Block",icon:h("codeblock"),action:()=>e.insertCodeBlock()},ul:{title:"Unordered List",icon:h("list-ul"),action:()=>e.insertList("ul")},ol:{title:"Ordered List",icon:h("list-ol"),action:()=>e.insertList("ol")},quote:{title:"Blockquote",icon:h("quote"),action:()=>e.insertBlockquote()},hr:{title:"Horizontal Rule",icon:h("hr"),action:()=>e.insertHorizontalRule()},image:{title:"Insert Image",icon:h("image"),action:()=>e._triggerImageFileDialog()}}[t];return n?s("<button>",{type:"button",class:"markdown-toolbar-btn","data-action":t,title:n.title,"aria-label":n.title,html:n.icon,click:o=>{o.preventDefault(),n.action(),e.textarea.focus()}}):null}function pe(e){return s("<button>",{type:"button",class:"markdown-preview-toggle","data-action":"toggle-preview",title:"Toggle Preview","aria-label":"Toggle Preview",html:h("eye"),click:t=>{t.preventDefault(),e.togglePreview()}})}function A(e){e.textarea.closest("td").find(".markdown-preview-container").remove(),r("Removed all existing preview containers","DEBUG");let t=s("<div>",{class:"markdown-preview-container"}),a=s("<div>",{class:"markdown-preview-header",html:"<span>Preview</span>"});if(e.previewPane=s("<div>",{class:"markdown-preview","aria-live":"polite","aria-label":"Markdown Preview",html:'<p class="preview-empty">Preview will be shown here...</p>'}),t.append(a,e.previewPane),e.options.previewPosition==="side"){e.container.addClass("preview-side");let n=s("<div>",{class:"markdown-content-area"});e.textarea.parent().wrap(n),e.textarea.parent().parent().append(t)}else e.container.addClass("preview-bottom"),e.textarea.parent().after(t);r("Created new preview container","DEBUG")}function j(e){e.textarea.on("input",()=>{clearTimeout(e.debounceTimer),e.debounceTimer=setTimeout(()=>{T(e)},e.options.debounceDelay)})}function T(e){if(!e.previewPane)return;let t=e.textarea.val();if(!t.trim()){e.previewPane.html('<p class="preview-empty">Preview will be shown here...</p>');return}let n=(window.osTicketMarkdownConfig||{}).previewApiUrl;n?(r("Rendering preview via backend API","DEBUG",{url:n}),s.ajax({url:n,method:"POST",contentType:"application/json",data:JSON.stringify({markdown:t}),dataType:"json",success:o=>{o.success&&o.html?(r("Backend preview rendered successfully","DEBUG"),e.previewPane.html(o.html)):(r("Backend preview failed: Invalid response","ERROR",o),$(e,t))},error:(o,i,c)=>{r("Backend preview failed: "+c,"ERROR",{status:i,xhr:o}),$(e,t)}})):(r("No backend API configured - using client-side preview","WARN"),$(e,t))}function $(e,t){r("Using client-side preview fallback","DEBUG");let a=ue(t);e.previewPane.html(a)}function ue(e){let t=e;return t=t.replace(/```([\s\S]*?)```/g,"<pre><code>$1</code></pre>"),t=t.replace(/^### (.*$)/gim,"<h3>$1</h3>"),t=t.replace(/^## (.*$)/gim,"<h2>$1</h2>"),t=t.replace(/^# (.*$)/gim,"<h1>$1</h1>"),t=t.replace(/\*\*(.+?)\*\*/g,"<strong>$1</strong>"),t=t.replace(/\*(.+?)\*/g,"<em>$1</em>"),t=t.replace(/\[(.+?)\]\((.+?)\)/g,'<a href="$2">$1</a>'),t=t.replace(/`(.+?)`/g,"<code>$1</code>"),t=t.replace(/^\* (.+)$/gim,"___UL___<li>$1</li>"),t=t.replace(/^\d+\. (.+)$/gim,"___OL___<li>$1</li>"),t=t.replace(/(___UL___<li>.*<\/li>\n?)+/g,function(a){return"<ul>"+a.replace(/___UL___/g,"")+"</ul>"}),t=t.replace(/(___OL___<li>.*<\/li>\n?)+/g,function(a){return"<ol>"+a.replace(/___OL___/g,"")+"</ol>"}),t=t.replace(/^> (.+)$/gim,"<blockquote>$1</blockquote>"),t=t.replace(/^---$/gim,"<hr>"),t=t.replace(/\n\n/g,"</p><p>"),t=t.replace(/\n/g,"<br>"),t.match(/^<(h\d|ul|ol|pre|blockquote)/)||(t="<p>"+t+"</p>"),t}function W(e){e.container.toggleClass("preview-hidden")}function V(e){let t=s("<div>",{class:"markdown-format-switcher-wrapper",css:{display:"block",width:"100%","margin-bottom":"10px",clear:"both",padding:"5px 0"}}),a=s("<label>",{text:"Format: ",css:{"font-weight":"bold","margin-right":"10px",display:"inline-block"}}),n=s("<select>",{class:"format-switcher-select","aria-label":"Select input format",css:{padding:"1px 30px 6px 10px",border:"1px solid #ccc","border-radius":"4px","font-size":"14px","min-width":"150px","background-color":"#fff"},change:i=>e.switchFormat(i.target.value)});[{value:"markdown",label:"Markdown"},{value:"html",label:"HTML"}].forEach(i=>{n.append(s("<option>",{value:i.value,text:i.label,selected:i.value===e.currentFormat}))}),t.append(a).append(n),e.textarea.before(t),e.formatSwitcher=t,e.formatSwitcherSelect=n,r("Created standalone format switcher before textarea","DEBUG")}function q(e){let t=s("<div>",{class:"format-switcher"}),a=s("<select>",{class:"format-switcher-select","aria-label":"Select input format",change:o=>e.switchFormat(o.target.value)});return[{value:"markdown",label:"Markdown"},{value:"html",label:"HTML"}].forEach(o=>{a.append(s("<option>",{value:o.value,text:o.label,selected:o.value===e.currentFormat}))}),t.append(a),t}function K(e){let t=e.textarea.attr("name"),a=e.textarea.closest("form").find('input[name="format"]');a.length===0&&(a=e.textarea.closest("form").find(`input[name="format[${t}]"]`)),a.length===0?(a=s("<input>",{type:"hidden",name:"format",value:e.currentFormat}),e.textarea.after(a),r(`Created format field with value "${e.currentFormat}"`,"DEBUG")):(a.val(e.currentFormat),r(`Updated existing format field to "${e.currentFormat}"`,"DEBUG")),e.formatField=a}function Q(e){let t=e.textarea.siblings(".redactor-box");if(r("destroyRedactor() called","DEBUG"),r("Found .redactor-box elements:","DEBUG",t.length),r("Textarea has .richtext class:","DEBUG",e.textarea.hasClass("richtext")),r("Redactor data:","DEBUG",e.textarea.data("redactor")),typeof e.textarea.redactor=="function")try{e.textarea.redactor("core.destroy"),r("Destroyed Redactor instance","DEBUG")}catch(a){a.message&&!a.message.includes("not found")&&!a.message.includes("not initialized")&&r("WARNING: [MarkdownEditor] Redactor destroy failed: "+a.message,"WARNING"),r("Redactor destroy skipped (not initialized)","DEBUG")}if(t.length>0)t.remove(),r("Removed Redactor box from DOM (sibling)","DEBUG");else{let a=e.textarea.closest(".redactor-box");a.length>0?(r("Found .redactor-box as PARENT! Moving textarea out and removing box...","DEBUG"),e.textarea.insertBefore(a),a.remove(),r("Moved textarea out of .redactor-box and removed box","DEBUG")):r("No .redactor-box found (Redactor was not initialized)","DEBUG")}e.textarea.removeData("redactor"),e.textarea.removeData("redactor-instance"),e.textarea.show().css({display:"block !important",visibility:"visible !important"}),e.textarea.removeClass("redactor-source redactor-in"),r("Removed Redactor classes and forced textarea visible","DEBUG"),e.textarea.removeClass("richtext"),e.textarea.attr("data-markdown-enabled","true"),e.textarea.addClass("markdown-active"),C(e),setTimeout(()=>{let a=e.textarea.siblings(".redactor-box");a.length>0&&(r("Found .redactor-box as sibling after delay! Removing...","DEBUG"),a.remove(),e.textarea.show().css({display:"block !important",visibility:"visible !important"}),e.textarea.removeClass("richtext redactor-source redactor-in"),r("Removed delayed Redactor box (sibling)","DEBUG")),e.textarea.closest(".redactor-box").length>0&&(r("Found .redactor-box as PARENT after delay! Unwrapping...","DEBUG"),e.textarea.unwrap(".redactor-box"),e.textarea.show().css({display:"block !important",visibility:"visible !important"}),e.textarea.removeClass("richtext redactor-source redactor-in"),r("Unwrapped delayed Redactor box (parent)","DEBUG"))},300),r("Redactor cleanup complete","DEBUG")}function Y(e){r("Restoring Redactor for HTML format","INFO"),e.redactorObserver&&(e.redactorObserver.disconnect(),e.redactorObserver=null,r("Disconnected MutationObserver (allows Redactor creation)","DEBUG")),e.textarea.removeData("redactor"),e.textarea.removeData("redactor-instance"),e.textarea.removeAttr("data-redactor"),e.textarea.removeAttr("data-redactor-uuid"),r("Cleared all Redactor data and attributes","DEBUG");let t=e.textarea.siblings(".redactor-box"),a=e.textarea.siblings('[class*="redactor-in"]'),n=e.textarea.siblings(".redactor-styles");if(t.length>0&&(r("Found existing .redactor-box, removing...","DEBUG"),t.remove()),a.length>0&&(r("Found existing redactor-in DIVs, removing...","DEBUG"),a.remove()),n.length>0&&(r("Found existing .redactor-styles DIVs, removing...","DEBUG"),n.remove()),e.container&&e.container.length>0&&(e.formatSwitcher&&e.formatSwitcher.length>0?e.textarea.insertAfter(e.formatSwitcher):e.textarea.insertBefore(e.container),e.container.hide(),r("Moved textarea out of markdown container","DEBUG")),e.textarea.removeClass("markdown-textarea markdown-active"),e.textarea.removeAttr("data-markdown-enabled"),e.textarea.attr("data-wants-redactor","true"),e.textarea.addClass("richtext"),e.textarea.parent().removeClass("-redactor-container"),r("Removed -redactor-container class from parent","DEBUG"),e.textarea.removeAttr("style"),e.textarea.show(),e.textarea[0].offsetHeight,typeof s.fn.redact=="function")try{let o=e.textarea,i=o.attr("name");setTimeout(()=>{var l,d,u,p,f,g,G,b,z;r("Redactor initialization for:","DEBUG",i);let c=s.fn.redact(o[0]);if(r("Redactor initialization started...","DEBUG"),c&&typeof c.then=="function")c.then(()=>{r("Redactor Promise resolved for:","DEBUG",i),setTimeout(()=>{var x;let m=o.siblings(".redactor-box"),D=o.siblings(".redactor-layer"),v=o.parent();r("Redactor box found:","DEBUG",m.length),r("Redactor box visible:","DEBUG",m.is(":visible")),r("Redactor layer found:","DEBUG",D.length),r("Textarea parent:","DEBUG",(x=v[0])==null?void 0:x.tagName,v.attr("class")),r("Textarea classes:","DEBUG",o.attr("class")),r("Textarea visible:","DEBUG",o.is(":visible")),r("Textarea data-redactor:","DEBUG",o.data("redactor")),m.length===0?(r("No .redactor-box found after Promise resolved!","WARNING"),r("Attempting direct Redactor initialization...","DEBUG"),typeof o.redactor=="function"&&(o.redactor({focus:!1,toolbar:!0,buttons:["format","bold","italic","lists","link","file"]}),r("Direct Redactor call completed","DEBUG"))):r("Redactor toolbar successfully created!","DEBUG")},300)}).catch(m=>{r("Redactor Promise rejected:","ERROR",m)});else if(r("WARNING: [MarkdownEditor] $.fn.redact() did not return a Promise - using direct initialization for:",i),typeof o.redactor=="function"){r("Attempting direct Redactor.redactor() call...","DEBUG"),r("Textarea state before direct init","DEBUG",{name:i,classes:o.attr("class"),hasRichtext:o.hasClass("richtext"),hasWantsRedactor:o.attr("data-wants-redactor"),hasMarkdownEnabled:o.attr("data-markdown-enabled"),parent:(l=o.parent()[0])==null?void 0:l.tagName,isVisible:o.is(":visible"),display:o.css("display")});try{let m=o.redactor({focus:!1,inline:!1,toolbar:!0,air:!1,buttons:["format","bold","italic","lists","link","file","image"]});r("Direct Redactor call returned:","DEBUG",m),r("Redactor rootElement:","DEBUG",m.rootElement),r("Redactor opts.inline:","DEBUG",(d=m.opts)==null?void 0:d.inline),r("Redactor opts.air:","DEBUG",(u=m.opts)==null?void 0:u.air),r("Redactor opts.toolbar:","DEBUG",(p=m.opts)==null?void 0:p.toolbar),r("Redactor editor.$editor:","DEBUG",(f=m.editor)==null?void 0:f.$editor),r("Redactor editor.$editor HTML:","DEBUG",(G=(g=m.editor)==null?void 0:g.$editor[0])==null?void 0:G.outerHTML),r("Redactor toolbar.$toolbar:","DEBUG",(b=m.toolbar)==null?void 0:b.$toolbar),r("Redactor container.$container:","DEBUG",(z=m.container)==null?void 0:z.$container)}catch(m){r("Direct Redactor call threw error:","ERROR",m)}r("Direct Redactor initialization triggered","DEBUG"),setTimeout(()=>{var D;let m=o.siblings(".redactor-box");if(r("Redactor box found (direct init):","DEBUG",m.length),r("Checking all possible Redactor containers...","DEBUG"),r("Parent .redactor-box:","DEBUG",o.parent(".redactor-box").length),r("Next .redactor-box:","DEBUG",o.next(".redactor-box").length),r("Textarea display:","DEBUG",o.css("display")),r("Textarea parent HTML:","DEBUG",(D=o.parent()[0])==null?void 0:D.outerHTML),m.length>0)r("Direct Redactor initialization successful!","DEBUG");else{r("Redactor box not in DOM - attempting manual insertion...","WARNING");let v=o.data("redactor");if(v&&v.container&&v.container.$container){let x=v.container.$container;r("Found Redactor container in memory:","DEBUG",x);let H=x.nodes?x.nodes[0]:x[0];if(H){let O=s(H);r("Wrapped container node in jQuery:","DEBUG",O),O.insertAfter(o),o.hide(),r("Manually inserted Redactor box into DOM!","DEBUG")}else r("Could not extract DOM node from Redactor container","ERROR")}else r("Could not find Redactor instance or container","ERROR")}},500)}else r("jQuery.redactor() plugin not available!","ERROR")},150)}catch(o){r("Failed to initialize Redactor:","ERROR",o)}else r("WARNING: [MarkdownEditor] $.fn.redact not available - cannot restore Redactor")}function C(e){let t=new MutationObserver(a=>{a.forEach(n=>{n.addedNodes.forEach(o=>{o.nodeType===1&&s(o).hasClass("redactor-box")&&(r("Detected Redactor re-initialization! Cleaning up...","DEBUG"),s(o).remove(),e.textarea.show(),e.textarea.removeClass("richtext"),e.textarea.attr("data-markdown-enabled","true"),e.textarea.removeData("redactor"))})})});e.textarea[0].parentNode&&(t.observe(e.textarea[0].parentNode,{childList:!0,subtree:!1}),e.redactorObserver=t)}var J=["image/jpeg","image/png","image/gif","image/webp","image/bmp"];function Z(e){if(P(e),e.draftId=e.textarea.attr("data-draft-id")||null,e.draftNamespace=e.textarea.attr("data-draft-namespace")||null,e.draftObjectId=e.textarea.attr("data-draft-object-id")||null,typeof e.uploadCounter=="undefined"&&(e.uploadCounter=0),X(e),!e.uploadUrl){r("No draft namespace found - image upload disabled","WARNING");return}e.textarea.on("paste.markdownImageUpload",a=>{if(e.currentFormat!=="markdown")return;let n=a.originalEvent.clipboardData;if(!n||!n.items)return;let o=[];for(let i=0;i<n.items.length;i++){let c=n.items[i];if(J.includes(c.type)){let l=c.getAsFile();l&&o.push(l)}}o.length!==0&&(a.preventDefault(),o.forEach(i=>I(e,i)))});let t=e.container;t.on("dragover.markdownImageUpload",a=>{e.currentFormat==="markdown"&&(a.preventDefault(),a.stopPropagation(),t.addClass("markdown-drop-active"))}),t.on("dragleave.markdownImageUpload",a=>{a.preventDefault(),a.stopPropagation(),s.contains(t[0],a.relatedTarget)||t.removeClass("markdown-drop-active")}),t.on("drop.markdownImageUpload",a=>{var o;if(e.currentFormat!=="markdown")return;a.preventDefault(),a.stopPropagation(),t.removeClass("markdown-drop-active");let n=(o=a.originalEvent.dataTransfer)==null?void 0:o.files;if(!(!n||n.length===0))for(let i=0;i<n.length;i++)J.includes(n[i].type)&&I(e,n[i])}),r("Image upload handlers registered","DEBUG")}function P(e){e.textarea.off("paste.markdownImageUpload"),e.container&&e.container.off("dragover.markdownImageUpload dragleave.markdownImageUpload drop.markdownImageUpload")}function X(e){let t;if(e.draftId)t=e.draftId+"/attach";else if(e.draftNamespace){let a=e.draftNamespace;e.draftObjectId&&(a+="."+e.draftObjectId),t=a+"/attach"}else{e.uploadUrl=null;return}e.uploadUrl="ajax.php/draft/"+t}function I(e,t){e.uploadCounter++;let a=e.uploadCounter,n=`![Uploading image-${a}...]()`;U(e,n),he(e,a);let o=new FormData;o.append("file[]",t,t.name||"pasted-image.png");let i=s("meta[name=csrf_token]").attr("content")||s('input[name="__CSRFToken__"]').val();if(!i){r("CSRF token not found - upload aborted","ERROR"),k(e,n,""),S(e,a),E(e,"Upload failed: Security token not found. Please reload the page.");return}o.append("__CSRFToken__",i),s.ajax({url:e.uploadUrl,type:"POST",data:o,processData:!1,contentType:!1,dataType:"json",global:!1,success:c=>{me(e,c,n,a)},error:c=>{fe(e,c,n,a)}})}function me(e,t,a,n){S(e,n);let o=Object.keys(t);if(o.length===0){k(e,a,"![Upload failed]()");return}let i=t[o[0]],c=o[0];i.draft_id&&!e.draftId&&(e.draftId=i.draft_id,X(e),r("Draft ID set to: "+e.draftId,"DEBUG"));let l=i.url||"file.php?key="+String(i.id)+"&disposition=inline",d=/^https?:\/\//.test(l)||/file\.php\?/.test(l)?l:"#invalid-url",p=`![${c.replace(/\.[^.]+$/,"").replace(/[\[\]()]/g,"")}](${d})`;k(e,a,p),r("Image uploaded successfully: "+c,"INFO")}function fe(e,t,a,n){S(e,n);let o="Upload failed";try{let i=JSON.parse(t.responseText);i.error&&(o=String(i.error).substring(0,200))}catch(i){t.responseText&&(o=t.responseText.replace(/<[^>]*>/g,"").substring(0,200))}k(e,a,""),E(e,o),r("Image upload failed: "+o,"ERROR")}function he(e,t){if(!e.container)return;let a=s("<div>",{class:"markdown-upload-indicator","data-upload-id":t,html:'<span class="markdown-upload-spinner"></span> <span class="markdown-upload-text">Uploading image...</span>'});e.container.append(a)}function S(e,t){e.container&&e.container.find(`.markdown-upload-indicator[data-upload-id="${t}"]`).remove()}function E(e,t){if(!e.container)return;let a=s("<div>",{class:"markdown-upload-error",text:t});e.container.append(a),setTimeout(()=>a.fadeOut(300,()=>a.remove()),5e3)}function ee(e){if(!e.uploadUrl){E(e,"Image upload not available \u2014 no draft context found.");return}let a=s("<input>",{type:"file",accept:"image/jpeg,image/png,image/gif,image/webp,image/bmp",multiple:!0,css:{display:"none"}});a.on("change",n=>{let o=n.target.files;if(!(!o||o.length===0)){for(let i=0;i<o.length;i++)I(e,o[i]);a.remove()}}),s("body").append(a),a[0].click(),setTimeout(()=>{a.parent().length&&a.remove()},6e4)}function F(e){if(!e||typeof e!="string")return"";let t=e;t=t.replace(/\r\n/g,`
-`),t=t.replace(/<!--[\s\S]*?-->/g,"");for(let a=1;a<=6;a++){let n="#".repeat(a),o=new RegExp(`<h${a}[^>]*>(.*?)<\\/h${a}>`,"gi");t=t.replace(o,`
+(()=>{var p=null,le=!1;function an(t,e=!1){p=t,le=e}var ce=class{constructor(e=100){this.limit=e,this.undoStack=[],this.redoStack=[],this.group=null,this.current=null,this.pending=null,this.typing=null,this.applying=!1}push(e,n=null){n!==null&&n===this.group||(this.undoStack.push(e),this.undoStack.length>this.limit&&this.undoStack.shift(),this.redoStack=[],this.group=n)}undo(e){return this.undoStack.length===0?null:(this.redoStack.push(e),this.group=null,this.undoStack.pop())}redo(e){return this.redoStack.length===0?null:(this.undoStack.push(e),this.group=null,this.redoStack.pop())}canUndo(){return this.undoStack.length>0}canRedo(){return this.redoStack.length>0}rewrite(e,n){let r=a=>fe(a,e,n);this.undoStack=this.undoStack.map(r),this.redoStack=this.redoStack.map(r),this.current&&(this.current=r(this.current))}clear(){this.undoStack=[],this.redoStack=[],this.group=null,this.typing=null}};function U(t,e,n,r,a={}){let o=t.textarea[0],i=t.history,s=o.value;i&&a.record!==!1&&(i.push(F(o)),i.typing=null);let l=a.selectionStart!==void 0?a.selectionStart:e+r.length,c=a.selectionEnd!==void 0?a.selectionEnd:l;pe(t,{value:s.substring(0,e)+r+s.substring(n),selectionStart:l,selectionEnd:c})}function C(t,e,n,r=n){let a=t.textarea[0].value,o=0;for(;o<a.length&&o<e.length&&a[o]===e[o];)o++;let i=0;for(;i<a.length-o&&i<e.length-o&&a[a.length-1-i]===e[e.length-1-i];)i++;U(t,o,a.length-i,e.substring(o,e.length-i),{selectionStart:n,selectionEnd:r})}function Lt(t){if(!t.history)return!1;let e=t.history.undo(F(t.textarea[0]));return e?(pe(t,e),!0):!1}function It(t){if(!t.history)return!1;let e=t.history.redo(F(t.textarea[0]));return e?(pe(t,e),!0):!1}function on(t){let e=t.textarea[0];t.history||(t.history=new ce);let n=t.history;n.current=F(e),ue(t),t.textarea.on("keydown.markdownHistory",r=>{if(!(r.ctrlKey||r.metaKey)||r.altKey)return;let a=r.key.toLowerCase();a==="z"&&!r.shiftKey?(r.preventDefault(),Lt(t)):(a==="z"&&r.shiftKey||a==="y")&&(r.preventDefault(),It(t))}),t.textarea.on("beforeinput.markdownHistory",r=>{let a=r.originalEvent&&r.originalEvent.inputType;if(a==="historyUndo"||a==="historyRedo"){r.preventDefault(),a==="historyUndo"?Lt(t):It(t);return}n.pending=F(e)}),t.textarea.on("input.markdownHistory",r=>{if(n.applying)return;let a=n.pending||n.current;n.pending=null,a&&a.value!==e.value&&n.push(a,r.originalEvent?oo(n,r.originalEvent,a,e):null),n.current=F(e)}),t.textarea.on("keyup.markdownHistory mouseup.markdownHistory",()=>{n.current&&n.current.value===e.value&&(n.current=F(e))})}function ue(t){t.textarea.off(".markdownHistory")}function oo(t,e,n,r){let a=e.inputType||"",o=a==="insertText"?"insert":a.startsWith("delete")?"delete":null;if(!o)return t.typing=null,null;let i=e.data||"",s=t.typing,l=s&&s.kind===o&&Date.now()-s.time<1e3&&n.selectionStart===n.selectionEnd&&n.selectionStart===s.caret&&!(o==="insert"&&/\s$/.test(s.data)&&!/^\s/.test(i));return t.typing={kind:o,data:i,time:Date.now(),caret:r.selectionStart,group:l?s.group:{}},t.typing.group}function F(t){return{value:t.value,selectionStart:t.selectionStart,selectionEnd:t.selectionEnd}}function pe(t,e){let n=t.textarea[0],r=t.history;n.value=e.value,n.setSelectionRange(e.selectionStart,e.selectionEnd),r&&(r.applying=!0,r.current=F(n));try{t.textarea.trigger("input")}finally{r&&(r.applying=!1)}}function fe(t,e,n){let r=t.value.indexOf(e);if(r===-1)return t;let a=r+e.length,o=n.length-e.length,i=s=>s<=r?s:s>=a?s+o:r+n.length;return{value:t.value.substring(0,r)+n+t.value.substring(a),selectionStart:i(t.selectionStart),selectionEnd:i(t.selectionEnd)}}function f(t,e="DEBUG",n={}){if(!le&&(e==="DEBUG"||e==="INFO")||typeof console=="undefined")return;let r=`[Markdown Editor ${e}]`;if(Object.keys(n).length>0)switch(e){case"ERROR":console.error(r,t,n);break;case"WARNING":console.warn(r,t,n);break;case"INFO":console.info(r,t,n);break;default:console.log(r,t,n)}else switch(e){case"ERROR":console.error(r,t);break;case"WARNING":console.warn(r,t);break;case"INFO":console.info(r,t);break;default:console.log(r,t)}}function Pt(t,e){let n=t.textarea[0],r=n.selectionStart,a=n.selectionEnd,o=n.value,i="";r>0&&o[r-1]!==`
+`&&(i=`
+`);let s="";a<o.length&&o[a]!==`
+`&&(s=`
+`),U(t,r,a,i+e+s)}function ut(t,e,n){let r=t.textarea[0],a=r.value.indexOf(e);if(a===-1){f("Placeholder not found in textarea","WARNING");return}t.history&&t.history.rewrite(e,n);let o=fe({value:r.value,selectionStart:r.selectionStart,selectionEnd:r.selectionEnd},e,n);U(t,a,a+e.length,n,{selectionStart:o.selectionStart,selectionEnd:o.selectionEnd,record:!1})}var io={bold:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M15.6 10.79c.97-.67 1.65-1.77 1.65-2.79 0-2.26-1.75-4-4-4H7v14h7.04c2.09 0 3.71-1.7 3.71-3.79 0-1.52-.86-2.82-2.15-3.42zM10 6.5h3c.83 0 1.5.67 1.5 1.5s-.67 1.5-1.5 1.5h-3v-3zm3.5 9H10v-3h3.5c.83 0 1.5.67 1.5 1.5s-.67 1.5-1.5 1.5z"/></svg>',italic:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M10 4v3h2.21l-3.42 8H6v3h8v-3h-2.21l3.42-8H18V4z"/></svg>',heading:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M5 4v7h5.5v2.5h2V11H18V4h-2v5h-3.5V4h-2v5H7V4H5zm8 15c.83 0 1.5-.67 1.5-1.5h5v-2h-5c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5H6v2h5.5c0 .83.67 1.5 1.5 1.5z"/></svg>',link:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/></svg>',code:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z"/></svg>',codeblock:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M4 6h16v2H4zm0 5h16v2H4zm0 5h16v2H4z"/></svg>',"list-ul":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M4 10.5c-.83 0-1.5.67-1.5 1.5s.67 1.5 1.5 1.5 1.5-.67 1.5-1.5-.67-1.5-1.5-1.5zm0-6c-.83 0-1.5.67-1.5 1.5S3.17 7.5 4 7.5 5.5 6.83 5.5 6 4.83 4.5 4 4.5zm0 12c-.83 0-1.5.68-1.5 1.5s.68 1.5 1.5 1.5 1.5-.68 1.5-1.5-.67-1.5-1.5-1.5zM7 19h14v-2H7v2zm0-6h14v-2H7v2zm0-8v2h14V5H7z"/></svg>',"list-ol":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M2 17h2v.5H3v1h1v.5H2v1h3v-4H2v1zm1-9h1V4H2v1h1v3zm-1 3h1.8L2 13.1v.9h3v-1H3.2L5 10.9V10H2v1zm5-6v2h14V5H7zm0 14h14v-2H7v2zm0-6h14v-2H7v2z"/></svg>',quote:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M6 17h3l2-4V7H5v6h3zm8 0h3l2-4V7h-6v6h3z"/></svg>',table:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M3 3h18v18H3V3zm2 2v4h6V5H5zm8 0v4h6V5h-6zm-8 6v3h6v-3H5zm8 0v3h6v-3h-6zm-8 5v3h6v-3H5zm8 0v3h6v-3h-6z"/></svg>',hr:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M19 13H5v-2h14v2z"/></svg>',image:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>',fullscreen:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"/></svg>',"fullscreen-exit":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/></svg>',"layout-side":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M3 5h8v14H3V5zm10 0h8v14h-8V5z"/></svg>',"layout-bottom":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M3 4h18v7H3V4zm0 9h18v7H3v-7z"/></svg>',"layout-editor":'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>',eye:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/></svg>',more:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M6 10c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm12 0c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm-6 0c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/></svg>',canned:'<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 9h12v2H6V9zm8 5H6v-2h8v2zm4-6H6V6h12v2z"/></svg>'};function S(t){return io[t]||""}var so=/^((?:[ \t]*>[ \t]?)*)([ \t]*)(?:([-*+]|(\d{1,9})([.)]))([ \t]+|$)(\[[ xX]\][ \t]+)?)?/;function L(t){let e=t.match(so);return!e[1]&&!e[3]?null:{quote:e[1],indent:e[2],marker:e[3]||null,number:e[4]!==void 0?parseInt(e[4],10):null,delimiter:e[5]||null,spacing:e[6]||"",task:e[7]||"",prefix:e[3]?e[0]:e[1]}}function cn(t,e){let n=t.lastIndexOf(`
+`,e-1)+1,r=t.indexOf(`
+`,e);r===-1&&(r=t.length);let a=t.substring(n,r),o=L(a);if(!o||co(t,n)||e-n<o.prefix.length)return null;if(a.substring(o.prefix.length).trim()===""){let c=o.marker?o.quote:"",u=n+c.length;return{value:t.substring(0,n)+c+t.substring(r),selectionStart:u,selectionEnd:u}}let i=o.quote;if(o.marker){let c=o.number!==null?o.number+1+o.delimiter:o.marker;i+=o.indent+c+(o.spacing||" ")+(o.task?"[ ] ":"")}let s=t.substring(0,e)+`
+`+i+t.substring(e),l=e+1+i.length;return o.number!==null?pn(s,l,[fn(s,l)]):{value:s,selectionStart:l,selectionEnd:l}}function un(t,e,n,r,a="    "){let o=t.lastIndexOf(`
+`,e-1)+1,i=n>e&&t[n-1]===`
+`?n-1:n,s=t.indexOf(`
+`,i);s===-1&&(s=t.length);let l=t.substring(o,s).split(`
+`);if(l.length===1&&!t.substring(e,n).includes(`
+`)){let g=L(l[0]);if(!g||!g.marker)return null}let c=fn(t,o),u=e,m=n,h=o,w=l.map((g,y)=>{let R=(g.match(/^(?:[ \t]*>[ \t]?)*/)||[""])[0],Y=g.substring(R.length),Ct=g;if(!r&&g.trim()!=="")Ct=R+a+Y;else if(r){let rn=Y.match(new RegExp("^(?:\\t| {1,"+a.length+"})"));rn&&(Ct=R+Y.substring(rn[0].length))}let nn=Ct.length-g.length,ct=h+R.length;return y===0&&e>ct&&(u=Math.max(e+nn,ct)),(n>ct||n===ct&&n>e&&y>0)&&(m=Math.max(m+nn,ct)),h+=g.length+1,Ct}),v={value:t.substring(0,o)+w.join(`
+`)+t.substring(s),selectionStart:u,selectionEnd:m},x=l.map((g,y)=>c+y),b=c>0?L(t.split(`
+`)[c-1]):null,E=!r&&b&&b.marker?x:[];return x.push(c-1,c+l.length),pn(v.value,v.selectionStart,x,v.selectionEnd,E)}function pn(t,e,n,r=e,a=[]){let o=t.split(`
+`),i=sn(o,e),s=sn(o,r),l=new Set;return n.forEach(c=>{if(c<0||c>=o.length||l.has(c))return;let u=L(o[c]);if(!u||u.number===null)return;let m=lo(o,c),h=a.includes(m[0])?1:L(o[m[0]]).number;m.forEach((w,v)=>{l.add(w);let x=L(o[w]),b=x.number+x.delimiter,E=h+v+x.delimiter;if(b===E)return;let g=x.quote.length+x.indent.length;o[w]=o[w].substring(0,g)+E+o[w].substring(g+b.length),[i,s].forEach(y=>{y.line===w&&y.column>g&&(y.column=Math.max(y.column+E.length-b.length,g))})})}),{value:o.join(`
+`),selectionStart:ln(o,i),selectionEnd:ln(o,s)}}function lo(t,e){let n=L(t[e]),r=n.quote.replace(/\s/g,""),a=n.indent.length,o=[e],i=s=>{for(let l=e+s;l>=0&&l<t.length;l+=s){let c=t[l],u=L(c),m=u?u.quote:"";if(m.replace(/\s/g,"")!==r)break;let h=c.substring(m.length);if(h.trim()===""){let v=t[l+s];if(v===void 0||v.substring(m.length).trim()==="")break;continue}if(u&&u.marker){if(u.indent.length<a)break;if(u.indent.length>a)continue;if(u.number===null||u.delimiter!==n.delimiter)break;s<0?o.unshift(l):o.push(l);continue}if(h.match(/^[ \t]*/)[0].length>a)continue;let w=t[l-1];if(s>0||w===void 0||w.trim()==="")break}};return i(-1),i(1),o}function co(t,e){let n=t.substring(0,e).match(/^[ \t]*(?:```|~~~)/gm);return n!==null&&n.length%2===1}function fn(t,e){return t.substring(0,e).split(`
+`).length-1}function sn(t,e){let n=0;for(;n<t.length-1&&e>t[n].length;)e-=t[n].length+1,n++;return{line:n,column:e}}function ln(t,e){let n=0;for(let r=0;r<e.line;r++)n+=t[r].length+1;return n+e.column}var Dt=/^(?:[ \t]*>[ \t]?)*/,uo=/^(?:[ \t]*>[ \t]?)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?|#{1,6}[ \t]+)?/,dn=/^#{1,6}(?:[ \t]+|$)/;function mn(t,e,n,r,a,o=""){if(t.substring(e,n).includes(`
+`))return fo(t,e,n,r,a);let i=$(t,e,n,r,a);if(i)return de(t,e,n,[[i.start,i.start+r.length],[i.end-a.length,i.end]]);let s=t.substring(e,n)||o;return{value:t.substring(0,e)+r+s+a+t.substring(n),selectionStart:e+r.length,selectionEnd:e+r.length+s.length}}function $(t,e,n,r,a){let o=t.lastIndexOf(`
+`,e-1)+1,i=t.indexOf(`
+`,n);i===-1&&(i=t.length);let s=t.substring(o,i),l,c=po(r,a);for(;(l=c.exec(s))!==null;){let u=o+l.index,m=u+l[0].length;if(e>=u&&n<=m)return{start:u,end:m}}return null}function po(t,e){let n=r=>r.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");if(t===e&&/^(.)\1*$/.test(t)){let r=n(t[0]),a=[n(t)];return"*_".includes(t[0])&&t.length<3&&a.push(r+"{3}"),new RegExp(`(?<!${r})(${a.join("|")})(?!${r})(?=\\S)[^\\n]*?[^${r}\\s]\\1(?!${r})`,"g")}return new RegExp(n(t)+"[^\\n]*?"+n(e),"g")}function fo(t,e,n,r,a){let o=[],i=t.lastIndexOf(`
+`,e-1)+1;for(;i<=n;){let u=t.indexOf(`
+`,i);u===-1&&(u=t.length);let m=Math.max(e,i),h=Math.min(n,u);m===i&&(m+=t.substring(i,u).match(uo)[0].length);let w=t.substring(m,h);if(m+=w.length-w.trimStart().length,h-=w.length-w.trimEnd().length,h>m){let v=$(t,m,h,r,a);o.push({start:m,end:h,span:v})}i=u+1}if(o.length>0&&o.every(u=>u.span)){let u=[];return o.forEach(({span:m})=>{u.push([m.start,m.start+r.length],[m.end-a.length,m.end])}),de(t,e,n,u)}let s=t,l=0,c=n;return o.forEach(u=>{if(u.span)return;let m=u.start+l,h=u.end+l;s=s.substring(0,m)+r+s.substring(m,h)+a+s.substring(h),l+=r.length+a.length,u.end<=n&&(c=n+l)}),{value:s,selectionStart:e,selectionEnd:c}}function de(t,e,n,r){let a=r.slice().sort((s,l)=>l[0]-s[0]),o=s=>a.reduce((l,[c,u])=>l<=c?l:l>=u?l-(u-c):c,s),i=t;return a.forEach(([s,l])=>{i=i.substring(0,s)+i.substring(l)}),{value:i,selectionStart:o(e),selectionEnd:o(n)}}function hn(t,e,n,r,a=""){let o=u=>u&&u.marker&&r==="ol"==(u.number!==null),i=Bt(t,e,n),s=i.map(u=>L(u.text)),l=i.every((u,m)=>u.text.trim()===""||o(s[m]))&&i.some(u=>u.text.trim()!=="");if(!l&&i.length===1&&mo(i[0].text)){let u=r==="ol"?"1. ":"- ";return yn(t,i[0],i[0].text.match(Dt)[0]+u,a)}let c=[];return he(t,e,n,i,(u,m)=>{let h=s[m],w=h?h.quote:"",v=u.substring(w.length);if(v.trim()==="")return null;let x=h?h.indent:v.match(/^[ \t]*/)[0],b=h&&h.marker?h.prefix.length:w.length+x.length;if(l)return{oldLength:b,prefix:w+x};let E="- ";return r==="ol"&&(c.length=Math.min(c.length,x.length+1),c[x.length]=(c[x.length]||0)+1,E=c[x.length]+". "),{oldLength:b,prefix:w+x+E+(h?h.task:"")}})}function gn(t,e,n,r=""){let a=Bt(t,e,n),o=s=>/^[ \t]*>/.test(s),i=a.every(s=>s.text.trim()===""||o(s.text))&&a.some(s=>o(s.text));return!i&&a.length===1&&a[0].text.trim()===""?yn(t,a[0],"> ",r):he(t,e,n,a,s=>{if(i){let l=s.match(/^[ \t]*>[ \t]?/);return l?{oldLength:l[0].length,prefix:""}:null}return{oldLength:0,prefix:s.trim()===""?">":"> "}})}function wn(t,e,n){let r=Bt(t,e,n),a=r.find(i=>i.text.trim()!=="")||r[0],o=pt(a.text);return me(t,e,n,o===6?0:o+1)}function me(t,e,n,r){let a=Bt(t,e,n),o=a.length===1;return he(t,e,n,a,i=>{if(i.trim()===""&&!o)return null;let s=i.match(Dt)[0],l=i.substring(s.length).match(dn);return{oldLength:s.length+(l?l[0].length:0),prefix:s+(r>0?"#".repeat(r)+" ":"")}})}function pt(t){let e=t.replace(Dt,"").match(dn);return e?e[0].trim().length:0}function Q(t,e){let n=/^[ \t]*(`{3,}|~{3,})/,r=null,a=0;for(;a<=t.length;){let o=t.indexOf(`
+`,a);o===-1&&(o=t.length);let i=t.substring(a,o).match(n);if(i&&!r)r={start:a,contentStart:Math.min(o+1,t.length),char:i[1][0]};else if(i&&i[1][0]===r.char){if(e>=r.start&&e<=o)return{start:r.start,end:o,contentStart:r.contentStart,contentEnd:Math.max(a-1,r.contentStart)};r=null}if(o===t.length)break;a=o+1}return null}function bn(t,e,n,r){let a=r.contentEnd===r.contentStart?r.contentStart:r.contentEnd;return de(t,e,n,[[r.start,r.contentStart],[a,r.end]])}function xn(t,e){let n=t.substring(e.start,e.contentStart).match(/^[ \t]*(?:`{3,}|~{3,})[ \t]*(\S*)/);return n?n[1]:""}function vn(t,e,n,r,a){let o=t.indexOf(`
+`,r.start);o===-1&&(o=t.length);let s=t.substring(r.start,o).match(/^[ \t]*(?:`{3,}|~{3,})/)[0]+a.trim(),l=s.length-(o-r.start),c=u=>u>o?u+l:Math.min(u,r.start+s.length);return{value:t.substring(0,r.start)+s+t.substring(o),selectionStart:c(e),selectionEnd:c(n)}}function Bt(t,e,n){let r=t.lastIndexOf(`
+`,e-1)+1,a=n>e&&t[n-1]===`
+`?n-1:n,o=t.indexOf(`
+`,a);o===-1&&(o=t.length);let i=r;return t.substring(r,o).split(`
+`).map(s=>{let l={start:i,text:s};return i+=s.length+1,l})}function he(t,e,n,r,a){let o=0,i=e,s=n,l=r.map((m,h)=>{let w=a(m.text,h),v=m.start+m.text.length,x=b=>{if(!w)return b+o;let E=b-m.start,g=b===e&&e!==n&&E===0;return E>=w.oldLength&&!g?b+o+w.prefix.length-w.oldLength:m.start+o+Math.min(E,w.prefix.length)};return e>=m.start&&e<=v&&(i=x(e)),n>=m.start&&n<=v&&(s=x(n)),w?(o+=w.prefix.length-w.oldLength,w.prefix+m.text.substring(w.oldLength)):m.text}),c=r[0].start,u=r[r.length-1].start+r[r.length-1].text.length;return n>u&&(s=n+o),{value:t.substring(0,c)+l.join(`
+`)+t.substring(u),selectionStart:i,selectionEnd:s}}function yn(t,e,n,r){let a=e.start+e.text.length,o=e.start+n.length;return{value:t.substring(0,e.start)+n+r+t.substring(a),selectionStart:o,selectionEnd:o+r.length}}function mo(t){return t.replace(Dt,"").trim()===""}var ho=/^:?-+:?$/,go=3;function ft(t){let e=[],n=t.length-t.trimStart().length;t[n]==="|"&&n++;let r=n;for(;n<=t.length;n++){if(t[n]==="\\"){n++;continue}(t[n]==="|"||n===t.length)&&(e.push({text:t.substring(r,n).trim(),start:r,end:n}),r=n+1)}let a=e[e.length-1];return e.length>1&&a.text===""&&/\|\s*$/.test(t)&&!/\\\|\s*$/.test(t)&&e.pop(),e}function kn(t){if(!t.includes("-")||!(t.includes("|")||/^\s*:?-+:?\s*$/.test(t)))return!1;let e=ft(t);return e.length>0&&e.every(n=>ho.test(n.text))}function wo(t){let e=t.startsWith(":"),n=t.endsWith(":");return e&&n?"center":n?"right":e?"left":null}function J(t,e){if(Q(t,e))return null;let n=[],r=0;t.split(`
+`).forEach(g=>{n.push({start:r,text:g}),r+=g.length+1});let a=n.findIndex(g=>e>=g.start&&e<=g.start+g.text.length);if(a===-1||!n[a].text.includes("|")&&!kn(n[a].text))return null;let o=a;for(;o>0&&n[o-1].text.trim()!=="";)o--;let i=a;for(;i<n.length-1&&n[i+1].text.trim()!==""&&n[i+1].text.includes("|");)i++;let s=-1;for(let g=o;g<a+1&&g<i;g++)n[g].text.includes("|")&&kn(n[g+1].text)&&(s=g);if(s===-1)return null;let l=s+1;for(;l<i&&n[l+1].text.includes("|");)l++;if(a>l)return null;let c=n.slice(s,l+1),u={header:ft(c[0].text).map(g=>g.text),align:ft(c[1].text).map(g=>wo(g.text)),rows:c.slice(2).map(g=>ft(g.text).map(y=>y.text))},m=a-s,h=m<=1?0:m-1,w=e-n[a].start,v=ft(n[a].text),x=v.findIndex(g=>w<=g.end);x===-1&&(x=v.length-1);let b=v[Math.max(x,0)],E=b?b.start+n[a].text.substring(b.start,b.end).search(/\S|$/):0;return{start:c[0].start,end:c[c.length-1].start+c[c.length-1].text.length,model:Tn(u),row:h,col:Math.max(x,0),offset:m===1||!b?0:Math.max(0,Math.min(w-E,b.text.length))}}function Tn(t){let e=Math.max(1,t.header.length,...t.rows.map(r=>r.length)),n=(r,a)=>{for(;r.length<e;)r.push(a);return r};return n(t.header,""),n(t.align,null),t.rows.forEach(r=>n(r,"")),t}function Nt(t){Tn(t);let e=t.header.map((s,l)=>Math.max(go,s.length,...t.rows.map(c=>c[l].length))),n=(s,l)=>{let c=e[l]-s.length;if(t.align[l]==="right")return" ".repeat(c)+s;if(t.align[l]==="center"){let u=Math.floor(c/2);return" ".repeat(u)+s+" ".repeat(c-u)}return s+" ".repeat(c)},r=e.map((s,l)=>{let c=t.align[l],u=c==="left"||c==="center"?":":"",m=c==="right"||c==="center"?":":"";return u+"-".repeat(s-u.length-m.length)+m}),a=s=>"| "+s.join(" | ")+" |",o=[a(t.header.map(n)),a(r),...t.rows.map(s=>a(s.map(n)))],i=(s,l)=>{let c=s===0?0:s+1,u=o.slice(0,c).reduce((h,w)=>h+w.length+1,0)+2;for(let h=0;h<l;h++)u+=e[h]+3;let m=s===0?t.header[l]:t.rows[s-1][l];return u+n(m,l).indexOf(m)};return{text:o.join(`
+`),cellStart:i}}function bo(t,e,n=r=>"Column "+r){let r={header:Array.from({length:e},(a,o)=>n(o+1)),align:Array.from({length:e},()=>null),rows:Array.from({length:Math.max(t,2)-1},()=>Array.from({length:e},()=>""))};return Nt(r).text}function Rn(t,e,n,r,a,o){let i=bo(r,a,o),s=ge(t,e,n,i);return s.selectionStart=s.tableStart+2,s.selectionEnd=s.selectionStart+i.indexOf(" |")-2,s}function ge(t,e,n,r){let a=t.substring(0,e),o=t.substring(n),i=a===""||a.endsWith(`
 
-${n} $1
+`)?"":a.endsWith(`
+`)?`
+`:`
 
-`)}return t=t.replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi,(a,n)=>`
+`,s=o===""?`
+`:o.startsWith(`
 
-`+B(n).trim().split(`
-`).map(i=>"> "+i.trim()).join(`
-`)+`
+`)?"":o.startsWith(`
+`)?`
+`:`
 
-`),t=t.replace(/<hr\s*\/?>/gi,`
+`,l=e+i.length,c=l+r.length+1;return{value:a+i+r+s+o,selectionStart:c,selectionEnd:c,tableStart:l}}function Mt(t,e,n,r){let a=J(t,e);if(!a||!En[r])return null;let{model:o}=a,i=En[r](o,{row:a.row,col:a.col,offset:a.offset});if(!i)return null;let{text:s,cellStart:l}=Nt(o),c=i.row===0?o.header[i.col]:o.rows[i.row-1][i.col],u=a.start+l(i.row,i.col);return{value:t.substring(0,a.start)+s+t.substring(a.end),selectionStart:u+(i.select?0:Math.min(i.offset||0,c.length)),selectionEnd:u+(i.select?c.length:Math.min(i.offset||0,c.length))}}function An(t,e){let n=J(t,e);if(!n)return null;let{model:r}=n,a=n.row>0?r.rows[n.row-1]:null;if(!(a&&n.row===r.rows.length&&a.every(c=>c==="")))return Mt(t,e,e,"rowBelow");r.rows.pop();let i=Nt(r).text,s=t.substring(n.end).replace(/^\n+/,""),l=n.start+i.length+2;return{value:t.substring(0,n.start)+i+`
 
----
-
-`),t=t.replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi,(a,n)=>{let o=0;return`
+`+(s?`
 
-`+n.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi,(c,l)=>(o++,o+". "+B(l).trim()+`
-`)).trim()+`
+`+s:""),selectionStart:l,selectionEnd:l}}var En={next:(t,e)=>{let{row:n,col:r}=e;return r++,r>=t.header.length&&(r=0,n++),n>t.rows.length&&t.rows.push(t.header.map(()=>"")),{row:n,col:r,select:!0}},previous:(t,e)=>{let{row:n,col:r}=e;if(r--,r<0){if(n===0)return{row:0,col:0,select:!0};n--,r=t.header.length-1}return{row:n,col:r,select:!0}},rowBelow:(t,e)=>(t.rows.splice(e.row,0,t.header.map(()=>"")),{row:e.row+1,col:0}),rowAbove:(t,e)=>{let n=Math.max(e.row-1,0);return t.rows.splice(n,0,t.header.map(()=>"")),{row:n+1,col:e.col}},removeRow:(t,e)=>e.row===0?null:(t.rows.splice(e.row-1,1),{row:Math.min(e.row,t.rows.length),col:e.col}),columnLeft:(t,e)=>Sn(t,e.col,e),columnRight:(t,e)=>Sn(t,e.col+1,e),removeColumn:(t,e)=>t.header.length===1?null:([t.header,t.align,...t.rows].forEach(n=>n.splice(e.col,1)),{row:e.row,col:Math.min(e.col,t.header.length-1)}),alignLeft:(t,e)=>Ot(t,e,"left"),alignCenter:(t,e)=>Ot(t,e,"center"),alignRight:(t,e)=>Ot(t,e,"right"),alignNone:(t,e)=>Ot(t,e,null),format:(t,e)=>e};function Sn(t,e,n){return t.header.splice(e,0,""),t.align.splice(e,0,null),t.rows.forEach(r=>r.splice(e,0,"")),{row:n.row,col:e}}function Ot(t,e,n){return t.align[e.col]=n,e}function Ut(t,e=[]){let n=(a,o)=>String(a).replace(/\|/g,o).replace(/\s*\n\s*/g," ").trim(),r=t.map((a,o)=>a.map(i=>n(i,o===0?"&#124;":"\\|")));return Nt({header:r[0]||[""],align:e.slice(),rows:r.slice(1)}).text}var Cn=0;function I(t,e,n,r={}){if(k(t,!1),n.addClass("markdown-popover"),e&&e.length&&e.is(":visible")){n.css({top:e.position().top+e.outerHeight()+4,left:e.position().left}),e.after(n).attr("aria-expanded","true");let o=n.position().left+n.outerWidth()-n.offsetParent().innerWidth();o>0&&n.css("left",Math.max(0,n.position().left-o))}else n.css({top:4,left:4}),t.textarea.before(n);t.popover=n,t.popoverButton=e||null,t.popoverOnClose=r.onClose||null,(r.focus?n.find(r.focus):n.find("input, button").first()).first().trigger("focus"),n.on("keydown",o=>{o.key==="Escape"&&(o.preventDefault(),o.stopPropagation(),k(t))}),n.on("focusout",o=>{let i=o.relatedTarget;i&&!p.contains(n[0],i)&&!(t.popoverButton&&t.popoverButton.is(i))&&k(t,!1)}),p(document).on("mousedown.markdownPopover",o=>{let i=t.popoverButton?n.add(t.popoverButton):n;p(o.target).closest(i).length||k(t,!1)})}function k(t,e=!0){if(!t.popover)return;let n=t.popoverOnClose;t.popover.remove(),t.popover=null,t.popoverOnClose=null,t.popoverButton&&(t.popoverButton.attr("aria-expanded","false"),t.popoverButton=null),p(document).off("mousedown.markdownPopover"),e&&t.textarea.trigger("focus"),n&&n()}function P(t,e){return!!t.popover&&!!e&&!!t.popoverButton&&t.popoverButton.is(e)}function V(t,e,n={}){let r=p("<input>",p.extend({type:"text",id:t,class:"markdown-popover-input",autocomplete:"off",spellcheck:"false"},n));return{$field:p("<div>",{class:"markdown-popover-field"}).append(p("<label>",{for:t,text:e}),r),$input:r}}function D(t,e,n=!1){return p("<button>",{type:"button",class:"markdown-popover-btn"+(n?" is-primary":""),text:t,click:r=>{r.preventDefault(),e()}})}function dt(t,e){t.on("keydown",n=>{n.key==="Enter"&&!n.isDefaultPrevented()&&(n.preventDefault(),e())})}function Z(t,e){e.on("keydown",n=>{let r=e.find("button"),a=r.index(document.activeElement),o=null;if(n.key==="ArrowDown"&&(o=(a+1)%r.length),n.key==="ArrowUp"&&(o=(a-1+r.length)%r.length),n.key==="Home"&&(o=0),n.key==="End"&&(o=r.length-1),n.key==="Tab"){n.preventDefault(),k(t);return}o!==null&&(n.preventDefault(),r.eq(o).trigger("focus"))})}function A(t){return Cn++,`markdown-${t}-${Cn}`}var xo=["zero","one","two","few","many","other"],we=null,Ln="en";function vo(t,e="en"){we=t||{},Ln=e||"en"}function d(t,e={}){let n=In(),r=Object.prototype.hasOwnProperty.call(n,t)?n[t]:"";return be(typeof r=="string"&&r?r:t,e)}function B(t,e,n,r={}){let a=Object.assign({count:n},r),o=t+"\0"+e,i=In(),s=Object.prototype.hasOwnProperty.call(i,o)?i[o]:"";if(typeof s=="string"&&s){let l=s.split("\0"),c=l[Math.min(yo(n),l.length-1)];return be(c,a)}return be(n===1?t:e,a)}function In(){if(we===null){let t=typeof window!="undefined"&&window.osTicketMarkdownConfig||{};vo(t.translations,t.locale)}return we}function yo(t){try{let e=new Intl.PluralRules(Ln),n=e.resolvedOptions().pluralCategories;return xo.filter(r=>n.includes(r)).indexOf(e.select(t))}catch(e){return t===1?0:1}}function be(t,e){return t.replace(/\{(\w+)\}/g,(n,r)=>Object.prototype.hasOwnProperty.call(e,r)?String(e[r]):n)}var Pn=8,Dn=6,ko=[["rowAbove","Insert row above"],["rowBelow","Insert row below"],["removeRow","Delete row"],null,["columnLeft","Insert column left"],["columnRight","Insert column right"],["removeColumn","Delete column"],null,["alignLeft","Align left"],["alignCenter","Align center"],["alignRight","Align right"],["alignNone","Default alignment"],null,["format","Format table"]];function On(t,e){if(P(t,e)){k(t);return}let n=t.textarea[0],r=J(n.value,n.selectionStart)!==null;I(t,e,r?So(t):Eo(t))}function Eo(t){let e=p("<div>",{class:"markdown-table-picker",role:"dialog","aria-label":d("Insert table")}),n=p("<div>",{class:"markdown-table-grid",role:"grid"}),r=p("<div>",{class:"markdown-table-size","aria-live":"polite"}),a={rows:0,cols:0},o=(s,l)=>{let c=Math.max(s,2);a={rows:s,cols:l},n.find("button").each(function(){let u=p(this);u.toggleClass("is-active",u.data("rows")<=c&&u.data("cols")<=l)}),r.text(`${l} \xD7 ${c}`).attr("aria-label",Bn(c,l))},i=(s,l)=>{k(t),t.insertTable(Math.max(s,2),l)};for(let s=1;s<=Dn;s++){let l=p("<div>",{class:"markdown-table-grid-row",role:"row"});for(let c=1;c<=Pn;c++)l.append(p("<button>",{type:"button",class:"markdown-table-grid-cell"+(s===1?" is-header":""),role:"gridcell",tabindex:s===1&&c===1?0:-1,"aria-label":Bn(Math.max(s,2),c),"data-rows":s,"data-cols":c,mouseenter:()=>o(s,c),focus:()=>o(s,c),click:u=>{u.preventDefault(),i(s,c)}}));n.append(l)}return n.on("keydown",s=>{let l={ArrowRight:[0,1],ArrowLeft:[0,-1],ArrowDown:[1,0],ArrowUp:[-1,0]};if(!l[s.key])return;s.preventDefault();let c=Math.min(Math.max(a.rows+l[s.key][0],1),Dn),u=Math.min(Math.max(a.cols+l[s.key][1],1),Pn);n.find("button").attr("tabindex",-1),n.find(`[data-rows="${c}"][data-cols="${u}"]`).attr("tabindex",0).trigger("focus")}),e.append(n,r)}function Bn(t,e){return B("{count} column","{count} columns",e)+", "+B("{count} row","{count} rows",t)}function So(t){let e=p("<div>",{class:"markdown-table-picker markdown-table-menu",role:"menu","aria-label":d("Table")});return ko.forEach(n=>{if(!n){e.append(p("<div>",{class:"markdown-table-menu-separator",role:"separator"}));return}let[r,a]=n;e.append(p("<button>",{type:"button",class:"markdown-table-menu-item",role:"menuitem",tabindex:-1,"data-command":r,text:d(a),click:o=>{o.preventDefault(),k(t),t.tableCommand(r)}}))}),Z(t,e),e}var K=new Map,Nn=[],q="|";function Ht(t,e=!1){if(!t||typeof t.id!="string"||!t.id||t.id===q)throw new TypeError("Toolbar button needs an id");if(typeof t.action!="function")throw new TypeError(`Toolbar button "${t.id}" needs an action function`);let n=Object.assign({title:t.id,icon:"",shortcut:null,isActive:null,popup:!1,compact:!0,after:null},t,{builtin:e});return K.set(n.id,n),Gn(),n}function Mn(t){let e=K.delete(t);return e&&Gn(),e}function mt(t){return K.get(t)||null}function Un(){return Array.from(K.values())}function Hn(t){Nn.push(t)}function Ft(t,e={}){let n=(t||[]).slice(),r=[];K.forEach(o=>{if(o.builtin||n.includes(o.id))return;let i=o.after?n.indexOf(o.after):-1;i===-1?r.push(o.id):n.splice(i+1,0,o.id)}),r.length&&n.push(q,...r);let a=n.filter(o=>{if(o===q)return!0;let i=K.get(o);return!!i&&!(e.compact&&i.compact===!1)});return a.filter((o,i)=>o!==q||i>0&&i<a.length-1&&a[i+1]!==q)}function Fn(t){if(!t)return null;let e=String(t).split("+").map(r=>r.trim().toLowerCase()),n=e.pop();return n?{key:n,mod:e.includes("mod")||e.includes("ctrl")||e.includes("cmd"),shift:e.includes("shift"),alt:e.includes("alt")}:null}function $n(t,e=null){let n=!!(t.ctrlKey||t.metaKey),r=String(t.key||"").toLowerCase();for(let a of K.values()){if(e&&!e.includes(a.id))continue;let o=Fn(a.shortcut);if(o&&o.key===r&&o.mod===n&&o.shift===!!t.shiftKey&&o.alt===!!t.altKey)return a}return null}function $t(t){let e=Fn(t);if(!e)return"";let n=typeof navigator!="undefined"&&/Mac|iPhone|iPad/.test(navigator.platform||""),r=[];return e.mod&&r.push(n?"Cmd":d("Ctrl")),e.alt&&r.push(n?"Option":d("Alt")),e.shift&&r.push(d("Shift")),r.push(e.key.length===1?e.key.toUpperCase():e.key),r.join("+")}function Gn(){Nn.forEach(t=>t())}function _n(t){let e=p("<button>",{type:"button",class:"markdown-toolbar-btn markdown-toolbar-more","data-action":"more",title:d("More formatting"),"aria-label":d("More formatting"),"aria-haspopup":"menu","aria-expanded":"false",hidden:!0,html:S("more"),click:n=>{n.preventDefault(),Ro(t,e)}});return e}function jn(t,e){xe(t),typeof ResizeObserver!="undefined"&&(t.overflowObserver=new ResizeObserver(()=>{cancelAnimationFrame(t.overflowFrame),t.overflowFrame=requestAnimationFrame(()=>{Gt(t),e()})}),t.overflowObserver.observe(t.toolbar[0]))}function xe(t){t.overflowObserver&&(t.overflowObserver.disconnect(),t.overflowObserver=null),t.overflowFrame&&(cancelAnimationFrame(t.overflowFrame),t.overflowFrame=null)}function Gt(t){if(!t.toolbar)return;let e=t.toolbar,n=e.children(".markdown-toolbar-more"),r=e.children(".markdown-toolbar-group").children(".markdown-toolbar-btn");if(e.find(".is-overflow").removeClass("is-overflow"),n.prop("hidden",!0),!(!e[0].offsetWidth||zn(e))){n.prop("hidden",!1);for(let a=r.length-1;a>=0&&!zn(e);a--)r.eq(a).addClass("is-overflow"),To(e)}}function zn(t){let e=t.children(":visible").not(".markdown-popover").get();if(e.length===0)return!0;let n=e[0].offsetTop+e[0].offsetHeight;return e.every(r=>r.offsetTop<n)}function To(t){t.children(".markdown-toolbar-group").each(function(){let e=p(this);e.children(".markdown-toolbar-btn").not(".is-overflow").length===0&&(e.addClass("is-overflow"),e.prev(".markdown-toolbar-separator").addClass("is-overflow"))})}function Ro(t,e){if(P(t,e)){k(t);return}let n=p("<div>",{class:"markdown-table-picker markdown-table-menu markdown-overflow-menu",role:"menu","aria-label":d("More formatting")});t.toolbar.find(".markdown-toolbar-group .markdown-toolbar-btn.is-overflow").each(function(){let r=p(this),a=mt(r.attr("data-action"));if(!a)return;let o=r.attr("aria-pressed"),i=p("<button>",{type:"button",class:"markdown-table-menu-item markdown-overflow-item",role:o?"menuitemcheckbox":"menuitem",tabindex:-1,"data-action":a.id,click:l=>{l.preventDefault(),k(t,!1),t.runToolbarButton(a,e),a.popup||t.textarea.trigger("focus")}});o&&i.attr("aria-checked",o),i.append(p("<span>",{class:"markdown-overflow-icon","aria-hidden":"true",html:a.icon}),p("<span>",{class:"markdown-overflow-label",text:d(a.title)}));let s=$t(a.shortcut);s&&i.append(p("<span>",{class:"markdown-overflow-shortcut",text:s})),n.append(i)}),Z(t,n),I(t,e,n)}var Vn={a:["href","title"],blockquote:[],br:[],code:["class"],del:[],em:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],hr:[],img:["src","alt","title"],li:[],ol:["start"],p:["class"],pre:["class"],span:["class"],strong:[],table:[],tbody:[],td:["style"],th:["style"],thead:[],tr:[],ul:[]},Ao=["script","style","iframe","frame","frameset","object","embed","applet","meta","link","base","form","input","button","select","textarea","template","svg","math","noscript","title","head"],Co=["href","src"],Lo=["http","https","mailto","ftp","ftps"],Io=/^\s*text-align\s*:\s*(left|right|center)\s*;?\s*$/i;function qn(t){let e=document.createElement("div");return e.appendChild(ht(t)),e.innerHTML}function ht(t){let e=document.createElement("template");return t&&typeof t=="string"&&(e.innerHTML=t,Kn(e.content)),e.content}function Kn(t){Array.from(t.childNodes).forEach(e=>{if(e.nodeType===3)return;if(e.nodeType!==1){e.remove();return}let n=e.nodeName.toLowerCase();if(Ao.includes(n)){e.remove();return}if(Kn(e),!Object.prototype.hasOwnProperty.call(Vn,n)){e.replaceWith(...Array.from(e.childNodes));return}Po(e,Vn[n])})}function Po(t,e){Array.from(t.attributes).forEach(n=>{let r=n.name.toLowerCase();(!e.includes(r)||!Do(r,n.value))&&t.removeAttribute(n.name)})}function Do(t,e){return Co.includes(t)?tt(e):t==="style"?Io.test(e):!0}function tt(t){let n=String(t).replace(/[\u0000- \u007f-\u009f]/g,"").toLowerCase().match(/^([a-z][a-z0-9+.-]*):/);return n?Lo.includes(n[1]):!0}var Wn=/(?<![!\\])\[((?:\\.|[^\]\\\n])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"((?:\\.|[^"\\])*)")?\s*\)/g;function zt(t,e){let n=t.lastIndexOf(`
+`,e-1)+1,r=t.indexOf(`
+`,e);r===-1&&(r=t.length);let a=t.substring(n,r);Wn.lastIndex=0;let o;for(;(o=Wn.exec(a))!==null;){let i=n+o.index,s=i+o[0].length;if(e>=i&&e<=s)return{start:i,end:s,text:o[1].replace(/\\([[\]\\])/g,"$1"),url:o[2],title:o[3]||""}}return null}function Xn(t){let e=String(t||"").trim();return/^[a-z\d-]+(\.[a-z\d-]+)*:\d+([/?#]|$)/i.test(e)?"https://"+W(e):!e||!tt(e)?null:/^[a-z][a-z\d+.-]*:/i.test(e)?W(e):/^[^\s@/]+@[^\s@/]+\.[a-z]{2,}$/i.test(e)?"mailto:"+e:/^(www\.)?[a-z\d-]+(\.[a-z\d-]+)*\.[a-z]{2,}(:\d+)?([/?#]|$)/i.test(e)?"https://"+W(e):W(e)}function Yn(t,e,n,r,a,o=null){let i=o?o.start:e,s=o?o.end:n,l=o&&o.title?` "${o.title}"`:"",c=`[${Bo(r||a)}](${a}${l})`,u=i+c.length;return{value:t.substring(0,i)+c+t.substring(s),selectionStart:u,selectionEnd:u}}function Qn(t,e){return{value:t.substring(0,e.start)+e.text+t.substring(e.end),selectionStart:e.start,selectionEnd:e.start+e.text.length}}function Bo(t){return t.replace(/\n+/g," ").replace(/([[\]\\])/g,"\\$1")}function W(t){return t.replace(/\s/g,"%20").replace(/\(/g,"%28").replace(/\)/g,"%29").replace(/</g,"%3C").replace(/>/g,"%3E")}function Jn(t,e,n,r){let a=Q(t,e);if(r==="codeblock")return!!a;if(a)return!1;let o=t.lastIndexOf(`
+`,e-1)+1,i=t.indexOf(`
+`,e);i===-1&&(i=t.length);let s=t.substring(o,i),l=L(s);switch(r){case"bold":return!!($(t,e,n,"**","**")||$(t,e,n,"__","__"));case"italic":return!!($(t,e,n,"*","*")||$(t,e,n,"_","_"));case"code":return!!$(t,e,n,"`","`");case"heading":return pt(s)>0;case"ul":return!!(l&&l.marker&&l.number===null);case"ol":return!!(l&&l.marker&&l.number!==null);case"quote":return/^[ \t]*>/.test(s);case"link":{let c=zt(t,e);return!!c&&n<=c.end}case"table":return!!J(t,e);default:return!1}}var Oo=50;function O(t,e){t.liveRegion||(t.liveRegion=p("<div>",{class:"markdown-live-region sr-only",role:"status","aria-live":"polite","aria-atomic":"true"}),(t.container&&t.container.length?t.container:t.textarea).before(t.liveRegion));let n=t.liveRegion.text("");clearTimeout(t.announceTimer),t.announceTimer=setTimeout(()=>n.text(e),Oo)}function Zn(t){clearTimeout(t.announceTimer),t.liveRegion&&(t.liveRegion.remove(),t.liveRegion=null)}var ke=new Set,N=t=>e=>{let{value:n,selectionStart:r,selectionEnd:a}=e.textarea[0];return Jn(n,r,a,t)},No=[{id:"bold",title:"Bold",icon:S("bold"),shortcut:"Mod+B",action:t=>t.wrapSelection("**","**",d("bold text")),isActive:N("bold")},{id:"italic",title:"Italic",icon:S("italic"),shortcut:"Mod+I",action:t=>t.wrapSelection("*","*",d("italic text")),isActive:N("italic")},{id:"heading",title:"Heading",icon:S("heading"),shortcut:"Mod+H",popup:!0,action:(t,e)=>t.openHeadingMenu(e),isActive:N("heading")},{id:"link",title:"Link",icon:S("link"),shortcut:"Mod+K",popup:!0,action:(t,e)=>t.insertLink(e),isActive:N("link")},{id:"code",title:"Inline Code",icon:S("code"),action:t=>t.wrapSelection("`","`",d("code")),isActive:N("code")},{id:"codeblock",title:"Code Block",icon:S("codeblock"),popup:!0,action:(t,e)=>t.insertCodeBlock(e),isActive:N("codeblock")},{id:"ul",title:"Unordered List",icon:S("list-ul"),action:t=>t.insertList("ul"),isActive:N("ul")},{id:"ol",title:"Ordered List",icon:S("list-ol"),action:t=>t.insertList("ol"),isActive:N("ol")},{id:"quote",title:"Blockquote",icon:S("quote"),action:t=>t.insertBlockquote(),isActive:N("quote")},{id:"table",title:"Table",icon:S("table"),popup:!0,action:(t,e)=>On(t,e),isActive:N("table")},{id:"hr",title:"Horizontal Rule",icon:S("hr"),action:t=>t.insertHorizontalRule()},{id:"image",title:"Insert Image",icon:S("image"),compact:!1,action:t=>t._triggerImageFileDialog()},{id:"canned",title:"Canned Response",icon:S("canned"),shortcut:"Mod+Shift+R",popup:!0,action:(t,e)=>t.openCannedPicker(e)}];No.forEach(t=>Ht(t,!0));Hn(()=>ke.forEach(t=>Ee(t)));function tr(t){if(t.toolbar=p("<div>",{class:"markdown-toolbar",role:"toolbar","aria-label":d("Markdown Formatting Tools")}),nr(t),!t.options.compact&&t.options.previewPosition!=="tabs"){let e=Ho(t);t.toolbar.append(e)}t.options.fullscreen&&t.toolbar.append(Fo(t)),t.container.prepend(t.toolbar),ke.add(t),Mo(t),Gt(t),G(t),jn(t,()=>G(t)),t.textarea.on("keyup.markdownToolbar mouseup.markdownToolbar input.markdownToolbar focus.markdownToolbar",()=>et(t)),et(t)}function er(t){ke.delete(t),xe(t),t.textarea.off(".markdownToolbar"),t.toolbar&&(t.toolbar.remove(),t.toolbar=null)}function Ee(t){if(!t.toolbar)return;k(t,!1);let e=t.toolbar.find('button[tabindex="0"]').attr("data-action");nr(t),Gt(t),G(t,e?t.toolbar.find(`[data-action="${e}"]`):null),et(t)}function gt(t,e,n){let r=ve(t,e);try{e.action(t,n)}catch(o){f(`Toolbar button "${e.id}" failed: ${o.message}`,"ERROR")}et(t);let a=ve(t,e);if(!e.popup&&a!==null&&a!==r){let o=d(e.title);O(t,a?d("{name} on",{name:o}):d("{name} off",{name:o}))}}function G(t,e=null){if(!t.toolbar)return;let n=ye(t);(!e||!e.length||e.is(".is-overflow"))&&(e=n.filter('[tabindex="0"]').not(".is-overflow")),e.length||(e=n.filter(":visible")),e.length||(e=n.not(".is-overflow, [hidden]")),n.attr("tabindex","-1"),e.first().attr("tabindex","0")}function et(t){t.toolbar&&t.toolbar.find(".markdown-toolbar-group [aria-pressed]").each(function(){let e=p(this),n=ve(t,mt(e.attr("data-action")));n!==null&&e.attr("aria-pressed",String(n))})}function ve(t,e){if(!e||!e.isActive)return null;try{return!!e.isActive(t)}catch(n){return f(`isActive() of toolbar button "${e.id}" failed: ${n.message}`,"ERROR"),!1}}function ye(t){return t.toolbar.find("button").filter((e,n)=>!p(n).closest(".markdown-popover").length)}function Mo(t){t.toolbar.on("keydown.markdownToolbar",e=>{let n=ye(t).filter(":visible"),r=n.index(e.target);if(r===-1)return;let a;switch(e.key){case"ArrowRight":a=(r+1)%n.length;break;case"ArrowLeft":a=(r-1+n.length)%n.length;break;case"Home":a=0;break;case"End":a=n.length-1;break;default:return}e.preventDefault();let o=n.eq(a);G(t,o),o.trigger("focus")}),t.toolbar.on("focusin.markdownToolbar",e=>{let n=p(e.target);n.is("button")&&ye(t).index(e.target)!==-1&&G(t,n)})}function nr(t){t.toolbar.children(".markdown-toolbar-group, .markdown-toolbar-separator, .markdown-toolbar-more").remove();let e=Ft(t.options.toolbarButtons,{compact:t.options.compact}),n=[],r=null;e.forEach(a=>{if(a===q){n.push(p("<span>",{class:"markdown-toolbar-separator",role:"separator","aria-orientation":"vertical"})),r=null;return}r||(r=p("<div>",{class:"markdown-toolbar-group",role:"group"}),n.push(r)),r.append(Uo(t,mt(a)))}),n.push(_n(t)),t.toolbar.prepend(n)}function Uo(t,e){let n=$t(e.shortcut),r=d(e.title)+(n?` (${n})`:""),a=p("<button>",{type:"button",class:"markdown-toolbar-btn","data-action":e.id,title:r,"aria-label":r,html:e.icon,click:o=>{o.preventDefault(),gt(t,e,a),e.popup||t.textarea.focus()}});return e.popup&&a.attr({"aria-haspopup":"true","aria-expanded":"false"}),e.isActive&&a.attr("aria-pressed","false"),a}function Ho(t){return p("<button>",{type:"button",class:"markdown-preview-toggle","data-action":"toggle-preview",title:d("Toggle Preview"),"aria-label":d("Toggle Preview"),html:S("eye"),click:e=>{e.preventDefault(),t.togglePreview()}})}function Fo(t){return p("<button>",{type:"button",class:"markdown-toolbar-btn markdown-fullscreen-toggle","data-action":"fullscreen",title:d("Fullscreen"),"aria-label":d("Fullscreen"),"aria-pressed":"false",html:S("fullscreen"),click:e=>{e.preventDefault(),t.toggleFullscreen()}})}var $o={"#":["header"],"*":["rule","list"],"+":["list"],"-":["setextHeader","table","rule","list"],0:["list"],1:["list"],2:["list"],3:["list"],4:["list"],5:["list"],6:["list"],7:["list"],8:["list"],9:["list"],":":["table"],"=":["setextHeader"],">":["quote"],"[":["reference"],_:["rule"],"`":["fencedCode"],"|":["table"],"~":["fencedCode"]},Go=["code"],zo={'"':["specialCharacter"],"!":["image"],"&":["specialCharacter"],"*":["emphasis"],":":["url"],"<":["urlTag","emailTag","specialCharacter"],">":["specialCharacter"],"[":["link"],_:["emphasis"],"`":["code"],"~":["strikethrough"],"\\":["escapeSequence"]},_o=/[!"*_&[:<>`~\\]/,jo=["\\","`","*","_","{","}","[","]","(",")",">","#","+","-",".","!","|"],Vo={"*":/^[*]{2}((?:\\\*|[^*]|[*][^*]*[*])+?)[*]{2}(?![*])/,_:/^__((?:\\_|[^_]|_[^_]*_)+?)__(?!_)/},qo={"*":/^[*]((?:\\\*|[^*]|[*][*][^*]+?[*][*])+?)[*](?![*])/,_:/^_((?:\\_|[^_]|__[^_]*__)+?)_(?!_)\b/},Ko=["http://","https://","ftp://","ftps://","mailto:","data:image/png;base64,","data:image/gif;base64,","data:image/jpeg;base64,","irc:","ircs:","git:","ssh:","news:","steam:"],or=` 	
+\r\0\v`;function H(t){let e={references:{}},n=z(String(t||"").replace(/\r\n?/g,`
+`),`
+`);return z(Te(e,n.split(`
+`)),`
+`)}function ir(t){let e=String(t||"").replace(/\r\n?/g,`
+`),n=z(e,`
+`),r=n?e.indexOf(n):0,a=e.substring(0,r).split(`
+`).length-1;return sr({references:{}},n.split(`
+`)).filter(o=>o&&!o.hidden).map(o=>({start:o.startLine+a,end:o.endLine+a}))}function Te(t,e){let n="";return sr(t,e).forEach(r=>{!r||r.hidden||(n+=`
+`+(r.markup!==void 0?r.markup:_t(t,r.element)))}),n+`
+`}function sr(t,e){let n=[],r=null;return e.forEach((a,o)=>{if(jt(a,or)===""){r&&(r.interrupted=!0);return}let i=Wo(a);if(r&&r.continuable){let l=nt[r.type],c=l.continue(t,i,r);if(c){r=c,r.endLine=o;return}l.complete&&(r=l.complete(r))}let s=Go.concat($o[i.text[0]]||[]);for(let l of s){let c=nt[l].start(t,i,r);if(c){c.type=l,c!==r&&(c.startLine=c.identified&&r?r.startLine:o),c.identified||(n.push(r),c.identified=!0),nt[l].continue&&(c.continuable=!0),c.endLine=o,r=c;return}}r&&!r.type&&!r.interrupted?(r.element.text+=`
+`+i.text,r.endLine=o):(n.push(r),r={identified:!0,startLine:o,endLine:o,element:{name:"p",text:i.text,handler:"line"}})}),r&&r.continuable&&nt[r.type].complete&&(r=nt[r.type].complete(r)),n.push(r),n}function Wo(t){let e=t;if(e.indexOf("	")!==-1){let r=e.split("	");e=r.shift(),r.forEach(a=>{e+=" ".repeat(4-e.length%4)+a})}let n=0;for(;e[n]===" ";)n++;return{body:e,indent:n,text:e.substring(n)}}var nt={code:{start(t,e,n){return n&&!n.type&&!n.interrupted||e.indent<4?null:{element:{name:"pre",handler:"element",text:{name:"code",text:e.body.substring(4)}}}},continue(t,e,n){return e.indent<4?null:(n.interrupted&&(n.element.text.text+=`
+`,delete n.interrupted),n.element.text.text+=`
+`+e.body.substring(4),n)},complete(t){return t}},header:{start(t,e){if(e.text.length<2)return null;let n=1;for(;e.text[n]==="#";)n++;return n>6?null:{element:{name:"h"+n,text:z(e.text,"# "),handler:"line"}}}},setextHeader:{start(t,e,n){return!n||n.type||n.interrupted||jt(e.text,e.text[0])!==""?null:(n.element.name=e.text[0]==="="?"h1":"h2",n)}},rule:{start(t,e){let n=ar(e.text[0]);return new RegExp("^(["+n+"])([ ]*\\1){2,}[ ]*$").test(e.text)?{element:{name:"hr"}}:null}},fencedCode:{start(t,e){let n=e.text[0],r=new RegExp("^["+n+"]{3,}[ ]*([^`]+)?[ ]*$"),a=e.text.match(r);if(!a)return null;let o={name:"code",text:""};if(a[1]!==void 0){let i=a[1].split(/[ \t\n\f\r]/)[0];o.attributes={class:"language-"+i}}return{char:n,element:{name:"pre",handler:"element",text:o}}},continue(t,e,n){return n.complete?null:(n.interrupted&&(n.element.text.text+=`
+`,delete n.interrupted),new RegExp("^"+ar(n.char)+"{3,}[ ]*$").test(e.text)?(n.element.text.text=n.element.text.text.substring(1),n.complete=!0,n):(n.element.text.text+=`
+`+e.body,n))},complete(t){return t}},list:{start(t,e){let n=e.text[0]<="-",r=n?"[*+-]":"[0-9]+[.]",a=e.text.match(new RegExp("^("+r+"[ ]+)(.*)"));if(!a)return null;let o={indent:e.indent,pattern:r,element:{name:n?"ul":"ol",handler:"elements",text:[]}};if(!n){let i=a[0].substring(0,a[0].indexOf("."));i!=="1"&&(o.element.attributes={start:i})}return o.li={name:"li",handler:"li",text:[a[2]]},o.element.text.push(o.li),o},continue(t,e,n){let r=e.text.match(new RegExp("^"+n.pattern+"(?:[ ]+(.*)|$)"));return n.indent===e.indent&&r?(n.interrupted&&(n.li.text.push(""),n.loose=!0,delete n.interrupted),n.li={name:"li",handler:"li",text:[r[1]!==void 0?r[1]:""]},n.element.text.push(n.li),n):e.text[0]==="["&&nt.reference.start(t,e)?n:n.interrupted?e.indent>0?(n.li.text.push(""),n.li.text.push(e.body.replace(/^[ ]{0,4}/,"")),delete n.interrupted,n):null:(n.li.text.push(e.body.replace(/^[ ]{0,4}/,"")),n)},complete(t){return t.loose&&t.element.text.forEach(e=>{e.text[e.text.length-1]!==""&&e.text.push("")}),t}},quote:{start(t,e){let n=e.text.match(/^>[ ]?(.*)/);return n?{element:{name:"blockquote",handler:"lines",text:[n[1]]}}:null},continue(t,e,n){let r=e.text[0]===">"?e.text.match(/^>[ ]?(.*)/):null;return r?(n.interrupted&&(n.element.text.push(""),delete n.interrupted),n.element.text.push(r[1]),n):n.interrupted?null:(n.element.text.push(e.text),n)}},reference:{start(t,e){let n=e.text.match(/^\[(.+?)\]:[ ]*<?(\S+?)>?(?:[ ]+["'(](.+)["')])?[ ]*$/);return n?(t.references[n[1].toLowerCase()]={url:n[2],title:n[3]!==void 0?n[3]:null},{hidden:!0}):null}},table:{start(t,e,n){if(!n||n.type||n.interrupted||n.element.text.indexOf("|")===-1||jt(e.text," -:|")!=="")return null;let r=[];z(e.text.trim(),"|").split("|").forEach(o=>{if(o=o.trim(),o==="")return;let i=null;o[0]===":"&&(i="left"),o[o.length-1]===":"&&(i=i==="left"?"center":"right"),r.push(i)});let a=z(n.element.text.trim(),"|").split("|").map((o,i)=>rr("th",o.trim(),r[i]));return{alignments:r,identified:!0,element:{name:"table",handler:"elements",text:[{name:"thead",handler:"elements",text:[{name:"tr",handler:"elements",text:a}]},{name:"tbody",handler:"elements",text:[]}]}}},continue(t,e,n){if(n.interrupted||e.text[0]!=="|"&&e.text.indexOf("|")<=0)return null;let a=(z(e.text.trim(),"|").match(/(?:(\\[|])|[^|`]|`[^`]+`|`)+/g)||[]).map((o,i)=>rr("td",o.trim(),n.alignments[i]));return n.element.text[1].text.push({name:"tr",handler:"elements",text:a}),n}}};function rr(t,e,n){let r={name:t,text:e,handler:"line"};return n&&(r.attributes={style:"text-align: "+n+";"}),r}var Xo={line:(t,e,n)=>Jo(t,e,n),lines:(t,e)=>Te(t,e),element:(t,e)=>_t(t,e),elements:(t,e)=>e.map(n=>`
+`+_t(t,n)).join("")+`
+`,li:(t,e)=>Yo(t,e)};function _t(t,e){e=Qo(e);let n="<"+e.name;return e.attributes&&Object.keys(e.attributes).forEach(r=>{let a=e.attributes[r];a!=null&&(n+=" "+r+'="'+X(a)+'"')}),e.text===null||e.text===void 0?n+" />":(n+=">",e.handler?n+=Xo[e.handler](t,e.text,e.nonNestables||[]):n+=X(e.text,!0),n+"</"+e.name+">")}function Yo(t,e){let n=Te(t,e),r=z(n,or);if(e.indexOf("")===-1&&r.substring(0,3)==="<p>"){n=r.substring(3);let a=n.indexOf("</p>");n=n.substring(0,a)+n.substring(a+4)}return n}function Qo(t){let e={a:"href",img:"src"}[t.name];if(e&&t.attributes&&typeof t.attributes[e]=="string"){let n=t.attributes[e],r=n.toLowerCase();Ko.some(a=>r.indexOf(a)===0)||(t.attributes[e]=n.replace(/:/g,"%3A"))}return t}function Jo(t,e,n=[]){let r="",a;for(;(a=e.search(_o))!==-1;){let o=e[a],i={text:e.substring(a),context:e},s=null;for(let l of zo[o]){if(n.indexOf(l)!==-1)continue;let c=lr[l](t,i);if(c&&!(c.position!==void 0&&c.position>a)){c.position===void 0&&(c.position=a),c.element&&(c.element.nonNestables=(c.element.nonNestables||[]).concat(n)),s=c;break}}s?(r+=Se(e.substring(0,s.position)),r+=s.markup!==void 0?s.markup:_t(t,s.element),e=e.substring(s.position+s.extent)):(r+=Se(e.substring(0,a+1)),e=e.substring(a+1))}return r+Se(e)}function Se(t){return t.replace(/(?:[ ][ ]+|[ ]*\\)\n/g,`<br />
+`).replace(/ \n/g,`
+`)}var lr={code(t,e){let n=e.text.match(/^(`+)[ ]*([\s\S]+?)[ ]*(?<!`)\1(?!`)/);return n?{extent:n[0].length,element:{name:"code",text:n[2].replace(/[ ]*\n/g," ")}}:null},emailTag(t,e){if(e.text.indexOf(">")===-1)return null;let n=e.text.match(/^<((mailto:)?\S+?@\S+?)>/i);return n?{extent:n[0].length,element:{name:"a",text:n[1],attributes:{href:n[2]?n[1]:"mailto:"+n[1]}}}:null},emphasis(t,e){if(e.text.length<2)return null;let n=e.text[0],r,a=null;return e.text[1]===n&&(a=e.text.match(Vo[n]),r="strong"),a||(a=e.text.match(qo[n]),r="em"),a?{extent:a[0].length,element:{name:r,handler:"line",text:a[1]}}:null},escapeSequence(t,e){let n=e.text[1];return n===void 0||jo.indexOf(n)===-1?null:{markup:X(n,!0),extent:2}},image(t,e){if(e.text[1]!=="[")return null;let n=lr.link(t,{text:e.text.substring(1),context:e.context});if(!n)return null;let r={src:n.element.attributes.href,alt:n.element.text};return n.element.attributes.title!==null&&(r.title=n.element.attributes.title),{extent:n.extent+1,element:{name:"img",attributes:r}}},link(t,e){let n={name:"a",handler:"line",nonNestables:["url","link"],text:null,attributes:{href:null,title:null}},r=Zo(e.text);if(r===-1)return null;n.text=e.text.substring(1,r);let a=r+1,o=e.text.substring(a),i=o.match(/^[(]\s*((?:[^ ()]+|[(][^ )]+[)])+)(?:[ ]+("[^"]*"|'[^']*'))?\s*[)]/);if(i)n.attributes.href=i[1],i[2]!==void 0&&(n.attributes.title=i[2].slice(1,-1)),a+=i[0].length;else{let s,l=o.match(/^\s*\[(.*?)\]/);l?(s=(l[1].length?l[1]:n.text).toLowerCase(),a+=l[0].length):s=n.text.toLowerCase();let c=t.references[s];if(!c)return null;n.attributes.href=c.url,n.attributes.title=c.title}return{extent:a,element:n}},specialCharacter(t,e){let n=e.text[0];if(n==="&"&&!/^&#?\w+;/.test(e.text))return{markup:"&amp;",extent:1};let r={">":"&gt;","<":"&lt;",'"':"&quot;"};return r[n]?{markup:r[n],extent:1}:null},strikethrough(t,e){if(e.text[1]!=="~")return null;let n=e.text.match(/^~~(?=\S)([\s\S]+?)(?<=\S)~~/);return n?{extent:n[0].length,element:{name:"del",text:n[1],handler:"line"}}:null},url(t,e){if(e.text[2]!=="/")return null;let n=/\bhttps?:[/]{2}[^\s<]+\b\/*/i.exec(e.context);return n?{extent:n[0].length,position:n.index,element:{name:"a",text:n[0],attributes:{href:n[0]}}}:null},urlTag(t,e){if(e.text.indexOf(">")===-1)return null;let n=e.text.match(/^<(\w+:\/{2}[^ >]+)>/i);return n?{extent:n[0].length,element:{name:"a",text:n[1],attributes:{href:n[1]}}}:null}};function Zo(t){let e=0;for(let n=0;n<t.length;n++)if(t[n]==="[")e++;else if(t[n]==="]"&&(e--,e===0))return n;return-1}function X(t,e=!1){let n=String(t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");return e||(n=n.replace(/"/g,"&quot;").replace(/'/g,"&#039;")),n}function ar(t){return t.replace(/[.*+?^${}()|[\]\\-]/g,"\\$&")}function z(t,e){return jt(ti(t,e),e)}function ti(t,e){let n=0;for(;n<t.length&&e.indexOf(t[n])!==-1;)n++;return t.substring(n)}function jt(t,e){let n=t.length;for(;n>0&&e.indexOf(t[n-1])!==-1;)n--;return t.substring(0,n)}function cr(t,e){let n=t.scrollTop,r=ei(e);r.forEach(u=>{u.markdownBlockKey=ni(u)});let a=Array.from(t.childNodes);if(a.some(u=>u.markdownBlockKey===void 0)){t.textContent="",r.forEach(u=>t.appendChild(u)),t.scrollTop=n;return}let o=0;for(;o<a.length&&o<r.length&&a[o].markdownBlockKey===r[o].markdownBlockKey;)o++;let i=a.length-1,s=r.length-1;for(;i>=o&&s>=o&&a[i].markdownBlockKey===r[s].markdownBlockKey;)i--,s--;let l=new Map;for(let u=o;u<=i;u++){let m=a[u].markdownBlockKey;l.has(m)||l.set(m,[]),l.get(m).push(a[u])}let c=a[i+1]||null;for(let u=o;u<=s;u++){let m=l.get(r[u].markdownBlockKey),h=m&&m.length?m.shift():r[u];t.insertBefore(h,c)}l.forEach(u=>u.forEach(m=>m.remove())),t.scrollTop=n}function ei(t){return Array.from(t.childNodes).filter(e=>e.nodeType===1?!0:e.nodeType===3&&e.textContent.trim()!=="")}function ni(t){return t.nodeType===1?t.outerHTML:"#text:"+t.textContent}var Re=/"(?:\\.|[^"\\\n])*"/,ur=/'(?:\\.|[^'\\\n])*'/,Ae=/\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/i,ri=/\/\/.*|\/\*[\s\S]*?\*\//,pr="(?<=:[ \\t]+|-[ \\t]+|^[ \\t]*)",fr="(?=[ \\t]*(?:#|$))",Le={bash:[{type:"comment",pattern:/(?<=^|\s)#.*/m},{type:"string",pattern:/"(?:\\[\s\S]|[^"\\])*"/,inside:[{type:"variable",pattern:/\$(?:\{[^}\n]*\}|[A-Za-z_]\w*|[0-9@#?$!*-])/}]},{type:"string",pattern:/'[^']*'/},{type:"variable",pattern:/\$(?:\{[^}\n]*\}|\([^)\n]*\)|[A-Za-z_]\w*|[0-9@#?$!*-])/},{type:"keyword",pattern:/\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|select|return|exit|break|continue|export|local|readonly|declare|unset|source|alias)\b/},{type:"builtin",pattern:/\b(?:echo|printf|cd|pwd|ls|cat|grep|sed|awk|curl|wget|sudo|chmod|chown|mkdir|rm|cp|mv|tar|find|xargs|test|read|set|shift|trap|eval|exec|kill|ps|tail|head|systemctl|service|apt-get|apt|yum|dnf|git|php|composer|npm|docker)\b/},{type:"number",pattern:/\b\d+\b/}],json:[{type:"key",pattern:/"(?:\\.|[^"\\\n])*"(?=\s*:)/},{type:"string",pattern:Re},{type:"number",pattern:/-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/},{type:"literal",pattern:/\b(?:true|false|null)\b/}],yaml:[{type:"comment",pattern:/(?<=^|\s)#.*/m},{type:"meta",pattern:/^(?:---|\.\.\.)(?=\s*$)/m},{type:"key",pattern:/(?<=^[ \t]*(?:-[ \t]+)?)(?!-\s)[^\s#'"][^#\n]*?(?=[ \t]*:(?:\s|$))/m},{type:"string",pattern:/"(?:\\.|[^"\\\n])*"|'(?:''|[^'\n])*'/},{type:"variable",pattern:/(?<=^|[\s[{,:])[&*][\w-]+/m},{type:"meta",pattern:/(?<=^|\s)!{1,2}[\w/.:-]*/m},{type:"literal",pattern:new RegExp(pr+"(?:true|false|yes|no|on|off|null|~)"+fr,"im")},{type:"number",pattern:new RegExp(pr+"[+-]?(?:0x[\\da-f]+|\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?|\\.inf|\\.nan)"+fr,"im")}],sql:[{type:"comment",pattern:/--.*|\/\*[\s\S]*?\*\//},{type:"string",pattern:/'(?:''|\\.|[^'\\])*'/},{type:"variable",pattern:/`[^`\n]*`|"(?:""|[^"\n])*"|[@:]\w+/},{type:"keyword",pattern:/\b(?:SELECT|FROM|WHERE|AND|OR|NOT|INSERT|INTO|VALUES|UPDATE|SET|DELETE|CREATE|ALTER|DROP|TABLE|INDEX|VIEW|DATABASE|JOIN|INNER|LEFT|RIGHT|OUTER|FULL|CROSS|ON|AS|GROUP|BY|ORDER|HAVING|LIMIT|OFFSET|UNION|ALL|DISTINCT|CASE|WHEN|THEN|ELSE|END|IN|IS|LIKE|BETWEEN|EXISTS|PRIMARY|KEY|FOREIGN|REFERENCES|DEFAULT|ASC|DESC|WITH|RETURNING|TRUNCATE|BEGIN|COMMIT|ROLLBACK|TRANSACTION|GRANT|REVOKE|SHOW|DESCRIBE|EXPLAIN|USE|IF|REPLACE|UNIQUE|CONSTRAINT|AUTO_INCREMENT|ENGINE|CHARSET|COLLATE)\b/i},{type:"builtin",pattern:/\b(?:COUNT|SUM|AVG|MIN|MAX|COALESCE|IFNULL|NOW|CONCAT|LOWER|UPPER|SUBSTRING|LENGTH|CAST|CONVERT|DATE_FORMAT|ROUND)(?=\s*\()|\b(?:INT|INTEGER|BIGINT|SMALLINT|TINYINT|DECIMAL|FLOAT|DOUBLE|VARCHAR|CHAR|TEXT|BLOB|DATE|DATETIME|TIMESTAMP|BOOLEAN|JSON)\b/i},{type:"literal",pattern:/\b(?:NULL|TRUE|FALSE)\b/i},{type:"number",pattern:/\b\d+(?:\.\d+)?\b/}],php:[{type:"meta",pattern:/<\?(?:php|=)?|\?>/},{type:"comment",pattern:/\/\/.*|#(?!\[).*|\/\*[\s\S]*?\*\//},{type:"string",pattern:/"(?:\\[\s\S]|[^"\\])*"/,inside:[{type:"variable",pattern:/\{\$[^}\n]*\}|\$\w+/}]},{type:"string",pattern:/'(?:\\[\s\S]|[^'\\])*'/},{type:"variable",pattern:/\$\w+/},{type:"keyword",pattern:/\b(?:abstract|and|array|as|break|callable|case|catch|class|clone|const|continue|declare|default|do|echo|else|elseif|empty|enum|extends|final|finally|fn|for|foreach|function|global|goto|if|implements|include|include_once|instanceof|insteadof|interface|isset|list|match|namespace|new|or|print|private|protected|public|readonly|require|require_once|return|static|switch|throw|trait|try|unset|use|var|while|xor|yield)\b/i},{type:"literal",pattern:/\b(?:true|false|null)\b/i},{type:"builtin",pattern:/\b(?:int|float|bool|string|void|mixed|object|iterable|never|self|parent)\b/},{type:"number",pattern:Ae}],js:[{type:"comment",pattern:ri},{type:"string",pattern:/`(?:\\[\s\S]|[^`\\])*`/},{type:"string",pattern:Re},{type:"string",pattern:ur},{type:"keyword",pattern:/\b(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)\b/},{type:"literal",pattern:/\b(?:true|false|null|undefined|NaN|Infinity)\b/},{type:"number",pattern:Ae}],python:[{type:"comment",pattern:/#.*/},{type:"string",pattern:/(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?"""|'''[\s\S]*?''')/},{type:"string",pattern:/(?:[rRbBuUfF]{1,2})?(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/},{type:"meta",pattern:/(?<=^[ \t]*)@[\w.]+/m},{type:"keyword",pattern:/\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield|match|case)\b/},{type:"literal",pattern:/\b(?:True|False|None)\b/},{type:"builtin",pattern:/\b(?:print|len|range|str|int|float|bool|list|dict|set|tuple|open|isinstance|super|self|enumerate|zip|map|filter|sorted)\b/},{type:"number",pattern:Ae}],xml:[{type:"comment",pattern:/<!--[\s\S]*?-->/},{type:"meta",pattern:/<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\?[\s\S]*?\?>/i},{type:null,pattern:/<\/?[A-Za-z][\w:.-]*(?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>=`]+))?)*\s*\/?>/,inside:[{type:"tag",pattern:/^<\/?[\w:.-]+/},{type:"tag",pattern:/\/?>$/},{type:"string",pattern:/"[^"]*"|'[^']*'/},{type:"attr",pattern:/[^\s"'<>/=]+/}]},{type:"literal",pattern:/&(?:#\d+|#x[\da-f]+|\w+);/i}],ini:[{type:"comment",pattern:/(?<=^[ \t]*)[;#].*/m},{type:"section",pattern:/(?<=^[ \t]*)\[\[?[^\]\n]*\]\]?/m},{type:"key",pattern:/(?<=^[ \t]*)[^\s=:;#[][^=:\n]*?(?=[ \t]*[=:])/m},{type:"string",pattern:Re},{type:"string",pattern:ur},{type:"variable",pattern:/\$\{[^}\n]*\}|%\([^)\n]*\)s/},{type:"literal",pattern:/\b(?:true|false|yes|no|on|off|null|none)\b/i},{type:"number",pattern:/\b\d+(?:\.\d+)?\b/}],diff:[{type:"meta",pattern:/^(?:diff |index |--- |\+\+\+ ).*/m},{type:"section",pattern:/^@@.*/m},{type:"inserted",pattern:/^[+>].*/m},{type:"deleted",pattern:/^[-<].*/m},{type:"comment",pattern:/^\\ .*/m}]},Ie={sh:"bash",shell:"bash",zsh:"bash",console:"bash",yml:"yaml",javascript:"js",jsx:"js",mjs:"js",ts:"js",typescript:"js",py:"python",python3:"python",html:"xml",htm:"xml",xhtml:"xml",svg:"xml",conf:"ini",cfg:"ini",toml:"ini",properties:"ini",env:"ini",patch:"diff",mysql:"sql",pgsql:"sql",postgresql:"sql"},Ce={};function dr(t){t.querySelectorAll('pre > code[class*="language-"]').forEach(e=>{let n=e.className.match(/(?:^|\s)language-(\S+)/);if(!n||e.children.length>0)return;let r=ai(e.textContent,n[1]);r&&(e.textContent="",wr(e,r))})}function mr(){return Object.keys(Le).concat(Object.keys(Ie)).sort()}function ai(t,e){let n=oi(e);return!n||t.length>5e4?null:gr(t,n)}function oi(t){let e=String(t||"").toLowerCase();return Object.prototype.hasOwnProperty.call(Ie,e)&&(e=Ie[e]),Object.prototype.hasOwnProperty.call(Le,e)?(Ce[e]||(Ce[e]=hr(Le[e])),Ce[e]):null}function hr(t){return t.map(e=>({type:e.type,regex:new RegExp(e.pattern.source,e.pattern.flags.replace("g","")+"y"),inside:e.inside?hr(e.inside):null}))}function gr(t,e){let n=[],r=/\w+/y,a="",o=0;t:for(;o<t.length;){for(let l of e){l.regex.lastIndex=o;let c=l.regex.exec(t);if(!c||c[0]==="")continue;a&&(n.push(a),a="");let u=l.inside?gr(c[0],l.inside):c[0];l.type?n.push({type:l.type,content:u}):n.push(...u),o+=c[0].length;continue t}r.lastIndex=o;let i=r.exec(t),s=i?i[0].length:1;a+=t.substr(o,s),o+=s}return a&&n.push(a),n}function wr(t,e){let n=t.ownerDocument;e.forEach(r=>{if(typeof r=="string"){t.appendChild(n.createTextNode(r));return}let a=n.createElement("span");a.className="markdown-hl-"+r.type,wr(a,typeof r.content=="string"?[r.content]:r.content),t.appendChild(a)})}var ii=/%\{([^{}\n]*)\}/g,si=/%\{([\w.]*)$/,li=8,ci={"ticket.number":"Ticket number","ticket.subject":"Subject","ticket.status":"Status","ticket.priority":"Priority","ticket.dept":"Department","ticket.topic":"Help topic","ticket.source":"Source","ticket.create_date":"Date created","ticket.due_date":"Due date","ticket.close_date":"Date closed","ticket.last_update":"Time of last update","ticket.name":"Name of the ticket owner","ticket.name.first":"First name of the ticket owner","ticket.name.last":"Last name of the ticket owner","ticket.email":"Email address of the ticket owner","ticket.phone":"Phone number of the ticket owner","ticket.assigned":"Assigned agent or team","ticket.staff":"Assigned agent","ticket.team":"Assigned team","ticket.recipients":"Names of all recipients","ticket.client_link":"Ticket link for the client","ticket.staff_link":"Ticket link for agents","recipient.name":"Recipient name","recipient.name.first":"Recipient first name","recipient.name.last":"Recipient last name","recipient.email":"Recipient email address","recipient.ticket_link":"Ticket link for the recipient","company.name":"Company name",url:"Help desk URL"};function Vt(){let t=typeof window!="undefined"&&window.osTicketMarkdownConfig||{},e=t.ticketVariables||{},n=Object.assign({},ci,t.variables||{});return Object.keys(e).forEach(r=>{n[r]||(n[r]="")}),{known:n,values:e}}function Pe(t,e){return e[t]?d(e[t]):""}function qt(t,e){let n=[];for(let r of String(t).matchAll(ii)){let a=r[1].trim();n.push({name:a,start:r.index,end:r.index+r[0].length,known:Object.prototype.hasOwnProperty.call(e,a)})}return n}function br(t){let e=new Map;return t.forEach(n=>{e.has(n.name)||e.set(n.name,{name:n.name,known:n.known,count:0}),e.get(n.name).count++}),Array.from(e.values())}function De(t,e){let n=t.substring(0,e).match(si);if(!n)return null;let r=t.substring(e).match(/^[\w.]*\}?/)[0];return{start:e-n[0].length,end:e+r.length,query:n[1]}}function xr(t,e){let n=e.toLowerCase(),r=Object.keys(t),a=r.filter(i=>i.toLowerCase().startsWith(n)),o=r.filter(i=>!i.toLowerCase().startsWith(n)&&i.toLowerCase().includes(n));return a.concat(o).slice(0,li)}function vr(t,e,n){let r=t.ownerDocument||t,a=r.createTreeWalker(t,4),o=[];for(;a.nextNode();)a.currentNode.nodeValue.includes("%{")&&o.push(a.currentNode);o.forEach(i=>{let s=i.nodeValue,l=qt(s,e);if(!l.length)return;let c=r.createDocumentFragment(),u=0;l.forEach(m=>{c.appendChild(r.createTextNode(s.substring(u,m.start))),c.appendChild(ui(r,m,n)),u=m.end}),c.appendChild(r.createTextNode(s.substring(u))),i.parentNode.replaceChild(c,i)})}function ui(t,e,n){let r=t.createElement("span"),a="%{"+e.name+"}",o=Object.prototype.hasOwnProperty.call(n,e.name);return r.setAttribute("data-variable",e.name),o?(r.className="markdown-variable is-resolved",r.textContent=String(n[e.name]),r.title=a):e.known?(r.className="markdown-variable is-placeholder",r.textContent=e.name,r.title=d("{variable} is filled in when the reply is sent",{variable:a})):(r.className="markdown-variable is-unknown",r.textContent=e.name,r.title=d("Unknown variable: {variable}",{variable:a})),r}var Kt=class{constructor(e=50){this.maxEntries=e,this.entries=new Map}get(e){let n=yr(e);if(!this.entries.has(n))return;let r=this.entries.get(n);if(r.markdown===e)return this.entries.delete(n),this.entries.set(n,r),r.html}set(e,n){let r=yr(e);for(this.entries.delete(r),this.entries.set(r,{markdown:e,html:n});this.entries.size>this.maxEntries;)this.entries.delete(this.entries.keys().next().value)}clear(){this.entries.clear()}};function yr(t){let e=2166136261;for(let n=0;n<t.length;n++)e^=t.charCodeAt(n),e=Math.imul(e,16777619);return(e>>>0).toString(16)+":"+t.length}function kr(t,e){if(!t.previewPane)return;let n=t.previewPane.children(),r=e?ir(e):[];if(r.length!==n.length){n.removeAttr("data-source-line data-source-line-end"),r.length&&f("Preview block count does not match source blocks","DEBUG",{blocks:n.length,ranges:r.length});return}n.each((a,o)=>{o.setAttribute("data-source-line",r[a].start),o.setAttribute("data-source-line-end",r[a].end)})}function Er(t){Be(t),t.textarea.on("scroll.markdownScrollSync",()=>{Date.now()<(t.scrollSyncMutedUntil||0)||pi(t)}),t.textarea.on("keyup.markdownScrollSync click.markdownScrollSync",()=>{fi(t)}),t.previewPane&&t.previewPane.on("click.markdownScrollSync",e=>{if(p(e.target).closest("a").length)return;let n=mi(t.previewPane[0],e.target);!n||!n.hasAttribute("data-source-line")||di(t,parseInt(n.getAttribute("data-source-line"),10))}),f("Scroll sync enabled","DEBUG")}function Be(t){t.textarea.off(".markdownScrollSync"),t.previewPane&&t.previewPane.off(".markdownScrollSync")}function pi(t){if(!t.previewPane)return;let e=t.textarea[0],n=t.previewPane[0],r=n.scrollHeight-n.clientHeight;if(r<=0)return;let a=e.scrollHeight-e.clientHeight;if(a<=0||e.scrollTop>=a-1){n.scrollTop=a<=0?0:r;return}let o=Sr(n);if(o.length===0){n.scrollTop=r*(e.scrollTop/a);return}let i=e.scrollTop/Tr(e),s=0;for(;s+1<o.length&&o[s+1].start<=i;)s++;let l=o[s],c=o[s+1],u=(c?c.start:l.end+1)-l.start,m=Math.min(Math.max((i-l.start)/u,0),1),h=l.element.offsetTop,w=c?c.element.offsetTop:h+l.element.offsetHeight;n.scrollTop=h+m*(w-h)}function fi(t){if(!t.previewPane)return;let e=t.previewPane[0];if(e.scrollHeight<=e.clientHeight)return;let n=hi(t.textarea[0]),r=Sr(e).filter(s=>s.start<=n).pop();if(!r)return;let a=r.element.offsetTop,o=a+r.element.offsetHeight,i=16;a<e.scrollTop?e.scrollTop=Math.max(a-i,0):o>e.scrollTop+e.clientHeight&&(e.scrollTop=Math.min(a-i,o-e.clientHeight+i))}function di(t,e){let n=t.textarea[0],r=n.value.split(`
+`),a=0;for(let o=0;o<e&&o<r.length;o++)a+=r[o].length+1;a=Math.min(a,n.value.length),t.scrollSyncMutedUntil=Date.now()+150,n.focus({preventScroll:!0}),n.setSelectionRange(a,a),n.scrollTop=Math.max(e*Tr(n)-n.clientHeight/3,0)}function Sr(t){return Array.from(t.children).filter(e=>e.hasAttribute("data-source-line")).map(e=>({element:e,start:parseInt(e.getAttribute("data-source-line"),10),end:parseInt(e.getAttribute("data-source-line-end"),10)}))}function mi(t,e){for(;e&&e.parentNode!==t;)e=e.parentNode;return e||null}function hi(t){return t.value.substring(0,t.selectionStart).split(`
+`).length-1}function Tr(t){let e=window.getComputedStyle(t),n=parseFloat(e.lineHeight);return isNaN(n)?(parseFloat(e.fontSize)||14)*1.6:n}var gi=["init","beforeRender","afterRender","beforeInsert","uploadStart","uploadDone","uploadError","beforeSubmit","destroy"];function Rr(t,e,n){if(!gi.includes(e))throw new TypeError(`Unknown editor event "${e}"`);if(typeof n!="function")throw new TypeError(`Handler for "${e}" must be a function`);t.listeners||(t.listeners={}),(t.listeners[e]=t.listeners[e]||[]).push(n)}function Ar(t,e,n){!t.listeners||!t.listeners[e]||(t.listeners[e]=n?t.listeners[e].filter(r=>r!==n):[])}function T(t,e,n={}){let r=Object.assign({type:e,editor:t,defaultPrevented:!1,preventDefault(){this.defaultPrevented=!0}},n);return(t.listeners&&t.listeners[e]||[]).slice().forEach(o=>{try{o.call(t,r)}catch(i){f(`Handler for editor event "${e}" failed: ${i.message}`,"ERROR")}}),p&&t.textarea&&t.textarea.trigger("markdown:"+e,[r]),r}function Cr(t){Oe(t);let e=t.textarea.closest("form");e.length!==0&&(t.submitHandler=n=>{let r=t.textarea.val(),a=T(t,"beforeSubmit",{value:r,format:t.currentFormat});if(a.defaultPrevented){n.preventDefault();return}typeof a.value=="string"&&a.value!==r&&t.textarea.val(a.value)},t.submitForm=e.on("submit",t.submitHandler))}function Oe(t){t.submitForm&&t.submitForm.off("submit",t.submitHandler),t.submitForm=null,t.submitHandler=null}var Xt=new Kt(50),wi=0;function Lr(t){t.textarea.closest("td").find(".markdown-preview-container").remove(),Me(t),f("Removed all existing preview containers","DEBUG");let e=p("<div>",{class:"markdown-preview-container"}),n=p("<div>",{class:"markdown-preview-header",html:p("<span>",{text:d("Preview")})});if(t.previewStatus=p("<span>",{class:"markdown-preview-status",role:"status"}),n.append(t.previewStatus),t.previewPane=p("<div>",{class:"markdown-preview","aria-live":"polite","aria-label":d("Markdown Preview"),html:Dr()}),e.append(n,t.previewPane),t.options.previewPosition==="tabs")t.textarea.parent().after(e),bi(t,e);else if(t.options.previewPosition==="side"){t.container.addClass("preview-side");let r=p("<div>",{class:"markdown-content-area"});t.textarea.parent().wrap(r),t.textarea.parent().parent().append(e)}else t.container.addClass("preview-bottom"),t.textarea.parent().after(e);f("Created new preview container","DEBUG")}function bi(t,e){let n="markdown-tabs-"+ ++wi,r={write:t.textarea.parent(),preview:e};t.previewTabs=p("<div>",{class:"markdown-tabs",role:"tablist","aria-label":d("Editor mode")}),[["write",d("Write")],["preview",d("Preview")]].forEach(([a,o])=>{r[a].attr({id:n+"-"+a+"-panel",role:"tabpanel","aria-labelledby":n+"-"+a}),t.previewTabs.append(p("<button>",{type:"button",class:"markdown-tab",role:"tab",id:n+"-"+a,"data-tab":a,"aria-controls":n+"-"+a+"-panel",text:o,click:i=>{i.preventDefault(),rt(t,a)}}))}),t.previewTabs.on("keydown",a=>{if(!["ArrowLeft","ArrowRight","Home","End"].includes(a.key))return;a.preventDefault();let o=a.key==="Home"?"write":a.key==="End"||t.activeTab==="write"?"preview":"write";rt(t,o),t.previewTabs.find('[data-tab="'+o+'"]').focus()}),t.container.addClass("preview-tabs").prepend(t.previewTabs),rt(t,"write")}function rt(t,e){t.previewTabs&&(t.activeTab=e,t.container.attr("data-active-tab",e),t.previewTabs.find("[data-tab]").each(function(){let n=p(this).attr("data-tab")===e;p(this).attr({"aria-selected":String(n),tabindex:n?0:-1})}),e==="preview"?Yt(t):clearTimeout(t.debounceTimer),f("Selected editor tab: "+e,"DEBUG"))}function Me(t){t.previewTabs&&(t.previewTabs.remove(),t.previewTabs=null,t.activeTab=null,t.container.removeClass("preview-tabs").removeAttr("data-active-tab"),t.textarea.parent().removeAttr("id role aria-labelledby"))}function Ir(t){t.textarea.on("input",()=>{clearTimeout(t.debounceTimer),t.debounceTimer=setTimeout(()=>{Yt(t)},t.options.debounceDelay)})}function Yt(t){if(!t.previewPane||t.previewTabs&&t.activeTab!=="preview")return;let e=(t.previewSeq||0)+1;t.previewSeq=e,xi(t);let n=T(t,"beforeRender",{markdown:t.textarea.val()});if(n.defaultPrevented)return;let r=String(n.markdown);if(!r.trim()){wt(t,""),Wt(t,Dr());return}let o=(window.osTicketMarkdownConfig||{}).previewApiUrl;if(!o){f("No backend API configured - using client-side preview","WARN"),Ne(t,r);return}let i=Xt.get(r);if(i!==void 0){f("Preview served from render cache","DEBUG"),wt(t,""),Wt(t,i,r);return}f("Rendering preview via backend API","DEBUG",{url:o}),wt(t,"rendering"),t.previewXhr=p.ajax({url:o,method:"POST",contentType:"application/json",data:JSON.stringify({markdown:r}),dataType:"json",success:s=>{if(e!==t.previewSeq){f("Discarding stale preview response","DEBUG",{seq:e});return}t.previewXhr=null,s.success&&s.html?(f("Backend preview rendered successfully","DEBUG"),Xt.set(r,s.html),wt(t,""),Wt(t,s.html,r)):(f("Backend preview failed: Invalid response","ERROR",s),Ne(t,r))},error:(s,l,c)=>{l==="abort"||e!==t.previewSeq||(t.previewXhr=null,f("Backend preview failed: "+c,"ERROR",{status:l,xhr:s}),Ne(t,r))}})}function Pr(t){let e=window.osTicketMarkdownConfig||{},n=Xt.get(t);return!e.previewApiUrl||!t.trim()?Promise.resolve(H(t)):n!==void 0?Promise.resolve(n):new Promise(r=>{p.ajax({url:e.previewApiUrl,method:"POST",contentType:"application/json",data:JSON.stringify({markdown:t}),dataType:"json",success:a=>{a.success&&a.html?(Xt.set(t,a.html),r(a.html)):r(H(t))},error:(a,o,i)=>{f("Backend rendering failed, using client renderer: "+i,"WARNING"),r(H(t))}})})}function xi(t){t.previewXhr&&(t.previewXhr.abort(),t.previewXhr=null)}function Ne(t,e){f("Using client-side preview fallback","DEBUG");let n=H(e);wt(t,"offline"),Wt(t,n,e)}function wt(t,e){if(!t.previewStatus)return;let n={rendering:d("Rendering\u2026"),offline:d("Offline fallback")};t.previewStatus.attr("data-state",e||null).attr("title",e==="offline"?d("Server preview unavailable - rendered in the browser"):null).text(n[e]||""),t.previewPane.attr("aria-busy",e==="rendering"?"true":null)}function Dr(){return'<p class="preview-empty">'+X(d("Preview will be shown here..."))+"</p>"}function Wt(t,e,n){n!==void 0&&(e=String(T(t,"afterRender",{markdown:n,html:e}).html));let r=ht(e);dr(r);let a=Vt();vr(r,a.known,a.values),cr(t.previewPane[0],r),kr(t,n)}function Br(t){if(t.previewTabs){rt(t,t.activeTab==="preview"?"write":"preview");return}t.container.toggleClass("preview-hidden")}var Or=["markdown","html","text"],vi=15e3,Nr=2;function Mr(t){let e=Array.isArray(t)?Or.filter(n=>t.includes(n)):[];return e.length?e:Or.slice()}function Ur(t){let e=p("<div>",{class:"markdown-format-switcher-wrapper",css:{display:"block",width:"100%","margin-bottom":"10px",clear:"both",padding:"5px 0"}}),n=p("<label>",{text:d("Format:")+" ",css:{"font-weight":"bold","margin-right":"10px",display:"inline-block"}}),r=p("<select>",{class:"format-switcher-select","aria-label":d("Select input format"),css:{padding:"1px 30px 6px 10px",border:"1px solid #ccc","border-radius":"4px","font-size":"14px","min-width":"150px","background-color":"#fff"},change:a=>t.switchFormat(a.target.value)});r.append(Fr(t)),e.append(n).append(r),t.textarea.before(e),t.formatSwitcher=e,t.formatSwitcherSelect=r,f("Created standalone format switcher before textarea","DEBUG")}function Hr(t){let e=p("<div>",{class:"format-switcher"}),n=p("<select>",{class:"format-switcher-select","aria-label":d("Select input format"),change:r=>t.switchFormat(r.target.value)});return n.append(Fr(t)),e.append(n),e}function Fr(t){return t.options.allowedFormats.map(e=>p("<option>",{value:e,text:bt(e),selected:e===t.currentFormat}))}function $r(t){let e=t.textarea.attr("name"),n=t.textarea.closest("form").find('input[name="format"]');n.length===0&&(n=t.textarea.closest("form").find(`input[name="format[${e}]"]`)),n.length===0?(n=p("<input>",{type:"hidden",name:"format",value:t.currentFormat}),t.textarea.after(n),f(`Created format field with value "${t.currentFormat}"`,"DEBUG")):(n.val(t.currentFormat),f(`Updated existing format field to "${t.currentFormat}"`,"DEBUG")),t.formatField=n}function Gr(t,e,n){return new Promise(r=>{let a=A("format-confirm-title"),o=A("format-confirm-message"),i=p("<div>",{class:"markdown-format-confirm",role:"alertdialog","aria-labelledby":a,"aria-describedby":o}),s=c=>{i.remove(),t.formatSwitcherSelect&&t.formatSwitcherSelect.trigger("focus"),r(c)};if(i.append(p("<strong>",{id:a,class:"markdown-format-confirm-title",text:d("Switch to {format}?",{format:bt(e)})}),p("<p>",{id:o,text:d("Some content cannot be converted exactly. Please review the changes.")})),n.lost.length){let c=p("<ul>",{class:"markdown-format-lost"});n.lost.forEach(u=>c.append(p("<li>",{text:ki(u)}))),i.append(p("<p>",{text:d("Formatting that will be removed:")}),c)}n.diff.some(c=>c.type!=="same")&&i.append(yi(n.diff));let l=D(d("Cancel"),()=>s(!1));i.append(p("<div>",{class:"markdown-popover-actions"}).append(D(d("Switch anyway"),()=>s(!0),!0),l)),i.on("keydown",c=>{c.key==="Escape"&&(c.preventDefault(),c.stopPropagation(),s(!1))}),_r(t,i),l.trigger("focus")})}function yi(t){let e=p("<div>",{class:"markdown-format-diff",role:"group","aria-label":d("Changes")});e.append(p("<div>",{class:"markdown-format-diff-legend"}).append(p("<del>",{text:d("Before")}),p("<ins>",{text:d("After")})));let n=t.map((a,o)=>t.slice(Math.max(o-Nr,0),o+Nr+1).some(i=>i.type!=="same")),r=!1;return t.forEach((a,o)=>{if(!n[o]){r||e.append(p("<div>",{class:"markdown-format-diff-gap",text:"\u2026"})),r=!0;return}r=!1;let i={removed:"<del>",added:"<ins>"}[a.type]||"<div>";e.append(p(i,{class:"markdown-format-diff-line",text:a.text}))}),e}function zr(t,e,n){_(t);let r=p("<div>",{class:"markdown-format-notice",role:"status"});r.append(p("<span>",{text:d("Switched to {format}.",{format:bt(e)})+" "}),p("<button>",{type:"button",class:"markdown-format-notice-action",text:d("Undo"),click:a=>{a.preventDefault(),n()}})),_r(t,r),t.formatNotice=r,t.formatNoticeTimer=setTimeout(()=>_(t),vi),t.textarea.one("input.markdownFormatNotice",()=>_(t))}function _(t){clearTimeout(t.formatNoticeTimer),t.textarea.off("input.markdownFormatNotice"),t.formatNotice&&(t.formatNotice.remove(),t.formatNotice=null)}function _r(t,e){t.formatSwitcher&&t.formatSwitcher.length?t.formatSwitcher.after(e):t.container&&t.container.is(":visible")?t.container.before(e):t.textarea.before(e)}function bt(t){return{markdown:d("Markdown"),html:d("HTML"),text:d("Plain text")}[t]||t}function ki(t){return{emphasis:d("Bold, italic and strikethrough"),headings:d("Headings"),code:d("Code formatting"),tables:d("Table layout"),images:d("Images (replaced by their name)"),underline:d("Underline"),color:d("Text and background colors"),size:d("Font sizes"),alignment:d("Text alignment"),script:d("Subscript and superscript"),media:d("Embedded videos and frames"),table:d("Merged table cells and nested tables")}[t]||t}var Vr=new Set(["ADDRESS","ARTICLE","ASIDE","BLOCKQUOTE","CENTER","DD","DETAILS","DIV","DL","DT","FIELDSET","FIGCAPTION","FIGURE","FOOTER","FORM","H1","H2","H3","H4","H5","H6","HEADER","HR","LI","MAIN","NAV","OL","P","PRE","SECTION","SUMMARY","TABLE","UL"]),Ei=Array.from(Vr).join(", ").toLowerCase(),qr=new Set(["HEAD","IFRAME","INPUT","LINK","META","NOSCRIPT","OBJECT","SCRIPT","SELECT","STYLE","TEMPLATE","TEXTAREA","TITLE"]),Si=new Set(["B","STRONG"]),Ti=new Set(["CITE","DFN","EM","I","VAR"]),Ri=new Set(["DEL","S","STRIKE"]),Ai=new Set(["CODE","KBD","SAMP","TT"]),jr=[{key:"underline",tags:["U","INS"],style:/text-decoration[^;]*underline/i},{key:"color",tags:["MARK"],attrs:{color:/\S/,bgcolor:/\S/},style:/(^|;)\s*(color|background(-color)?)\s*:/i},{key:"size",tags:["BIG","SMALL"],attrs:{size:/\S/},style:/font-size\s*:/i},{key:"alignment",tags:["CENTER"],attrs:{align:/^\s*(center|right|justify)/i},style:/text-align\s*:\s*(center|right|justify)/i},{key:"script",tags:["SUB","SUP"]},{key:"media",tags:["AUDIO","EMBED","IFRAME","OBJECT","VIDEO"]}];function M(t){return!t||typeof t!="string"?"":at(He(t).body,{}).join(`
 
-`}),t=t.replace(/<ul[^>]*>([\s\S]*?)<\/ul>/gi,(a,n)=>`
+`)}function Kr(t){let e=He(t).querySelector("table");return e?Qr(e,{}):""}function Jt(t){if(!t||typeof t!="string")return[];let e=new Set;return He(t).body.querySelectorAll("*").forEach(n=>{let r=n.tagName,a=n.getAttribute("style")||"",o=r==="TD"||r==="TH";jr.forEach(i=>{i.key==="alignment"&&o||(i.tags.includes(r)||Object.entries(i.attrs||{}).some(([s,l])=>l.test(n.getAttribute(s)||""))||i.style&&i.style.test(a))&&e.add(i.key)}),(o&&(n.colSpan>1||n.rowSpan>1)||r==="TABLE"&&n.parentElement.closest("table"))&&e.add("table")}),jr.map(n=>n.key).concat("table").filter(n=>e.has(n))}function He(t){let e=document.implementation.createHTMLDocument("");return e.body.innerHTML=t.replace(/\r\n?/g,`
+`),e}function at(t,e){let n=[],r="",a=()=>{let o=Oi(r);o&&n.push(o),r=""};return t.childNodes.forEach(o=>{Fe(o)?(a(),n.push(...Wr(o,e))):Ui(o)?(a(),n.push(...at(o,e))):r=Zr(r,Jr(o,e))}),a(),n}function Wr(t,e){let n=t.tagName;if(/^H[1-6]$/.test(n)){let r=Qt(t,e).replace(/\s*\n\s*/g," ").trim();return r?["#".repeat(Number(n[1]))+" "+r]:[]}if(n==="HR")return["---"];if(n==="PRE")return[Ii(t)];if(n==="BLOCKQUOTE"){let r=at(t,e).join(`
 
-`+n.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi,(i,c)=>"- "+B(c).trim()+`
-`).trim()+`
+`);return r?[r.split(`
+`).map(a=>a?"> "+a:">").join(`
+`)]:[]}if(n==="UL"||n==="OL"){let r=Xr(t,e);return r?[r]:[]}if(n==="TABLE"){let r=Qr(t,e);return r?[r]:[]}return at(t,e)}function Xr(t,e){let n=t.tagName==="OL",r=parseInt(t.getAttribute("start"),10),a=Number.isNaN(r)?1:r,o=Array.from(t.children).some(s=>s.tagName==="LI"&&Array.from(s.children).some(l=>l.tagName==="P")),i=[];return Array.from(t.children).forEach(s=>{if(s.tagName==="LI")i.push(Ci(s,n?a+++". ":"- ",o,e));else if((s.tagName==="UL"||s.tagName==="OL")&&i.length){let l=Yr(n?a-1+". ":"- ");i[i.length-1]+=`
+`+" ".repeat(l)+ta(Xr(s,e),l)}else Fe(s)&&i.push(...Wr(s,e))}),i.join(o?`
 
-`),t=t.replace(/<p[^>]*>([\s\S]*?)<\/p>/gi,`
+`:`
+`)}function Ci(t,e,n,r){let a=Li(t),o=a?a.checked?"[x] ":"[ ] ":"",i=at(t,r).join(n?`
 
-$1
+`:`
+`);return!i&&!o?e.trimEnd():e+o+ta(i,Yr(e)).trimStart()}function Yr(t){return Math.max(t.length,4)}function Li(t){let e=t.firstChild;for(;e;)if(e.nodeType===3&&e.data.trim()==="")e=e.nextSibling;else if(e.nodeType===1&&e.tagName==="P")e=e.firstChild;else break;return e&&e.tagName==="INPUT"&&e.type==="checkbox"?e:null}function Ii(t){t.querySelectorAll("br").forEach(o=>o.replaceWith(`
+`));let e=t.textContent.replace(/^\n/,"").replace(/\n$/,""),r=[t,...t.querySelectorAll("code")].map(o=>o.className).join(" ").match(/(?:^|\s)lang(?:uage)?-([\w#+.-]+)/),a="`".repeat(Math.max(3,ea(e,"`")+1));return a+(r?r[1]:"")+`
+`+e+`
+`+a}function Qr(t,e){let n=[],r=[],a=Object.assign({},e,{table:!0});return Array.from(t.rows).forEach((o,i)=>{let s=[];Array.from(o.cells).forEach(l=>{if(i===0){let c=(l.style.textAlign||l.getAttribute("align")||"").toLowerCase();r[s.length]=["left","center","right"].includes(c)?c:null}s.push(at(l,a).join(`
+`));for(let c=1;c<(l.colSpan||1);c++)s.push("")}),n.push(s)}),n.length?Ut(n,r):""}function Jr(t,e){if(t.nodeType===3)return Ni(t.data.replace(/[ \t\n\r\f\u00a0]+/g," "));if(t.nodeType!==1||qr.has(t.tagName))return"";let n=t.tagName,r=t.getAttribute("style")||"";if(n==="BR")return e.table?`
+`:`  
+`;if(n==="IMG")return Di(t);if(n==="A")return Pi(t,e);if(Ai.has(n)||/font-family\s*:[^;]*(monospace|courier|consolas)/i.test(r))return Bi(t.textContent);if(Fe(t))return" "+Qt(t,e)+" ";let a=Si.has(n)&&!/font-weight\s*:\s*(normal|[1-4]00)/i.test(r)||/font-weight\s*:\s*(bold|[6-9]00)/i.test(r),o=Ti.has(n)||/font-style\s*:\s*italic/i.test(r),i=Ri.has(n)||/text-decoration[^;]*line-through/i.test(r),s=Qt(t,Object.assign({},e,{bold:e.bold||a,italic:e.italic||o,strike:e.strike||i}));return i&&!e.strike&&(s=Ue(s,"~~")),o&&!e.italic&&(s=Ue(s,"*")),a&&!e.bold&&(s=Ue(s,"**")),s}function Qt(t,e){let n="";return t.childNodes.forEach(r=>{n=Zr(n,Jr(r,e))}),n}function Pi(t,e){let n=(t.getAttribute("href")||"").trim(),r=Qt(t,e).replace(/\s*\n\s*/g," ").trim();if(!n||!tt(n))return r;if(!r)return"";let a=t.textContent.trim();if(a===n&&/^(https?|ftps?):\/\/\S+$/i.test(n))return"<"+n+">";if("mailto:"+a===n&&/^[^\s<>@]+@[^\s<>@]+$/.test(a))return"<"+a+">";let o=t.getAttribute("title");return"["+r+"]("+W(n)+(o?' "'+o.replace(/"/g,'\\"')+'"':"")+")"}function Di(t){let e=(t.getAttribute("src")||"").trim();if(!e||!tt(e))return"";let n=(t.getAttribute("alt")||"").replace(/\s+/g," ").replace(/([[\]\\])/g,"\\$1"),r=t.getAttribute("title");return"!["+n+"]("+W(e)+(r?' "'+r.replace(/"/g,'\\"')+'"':"")+")"}function Bi(t){let e=t.replace(/\s*\n\s*/g," ");if(!e.trim())return e?" ":"";let n="`".repeat(ea(e,"`")+1),r=/^`|`$/.test(e)?" ":"";return n+r+e+r+n}function Ue(t,e){let n=t.match(/^(\s*)([\s\S]*?)(\s*)$/);return n[2]?n[1]+e+n[2]+e+n[3]:t}function Zr(t,e){return/[ \n]$/.test(t)&&e.startsWith(" ")?t+e.substring(1):t+e}function Oi(t){return t.split(`
+`).map(e=>Mi(e.replace(/^[ \t]+/,"")).replace(/[ \t]{2,}$/,"  ")).join(`
+`).replace(/[ \t]+(?=\n\n|$)/g,"").replace(/\n{3,}/g,`
 
-`),t=t.replace(/<br\s*\/?>/gi,`
-`),t=t.replace(/<img[^>]*src=["']([^"']+)["'][^>]*alt=["']([^"']*?)["'][^>]*\/?>/gi,"![$2]($1)"),t=t.replace(/<img[^>]*alt=["']([^"']*?)["'][^>]*src=["']([^"']+)["'][^>]*\/?>/gi,"![$1]($2)"),t=t.replace(/<img[^>]*src=["']([^"']+)["'][^>]*\/?>/gi,"![]($1)"),t=t.replace(/<a[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi,"[$2]($1)"),t=t.replace(/<(strong|b)[^>]*>(.*?)<\/\1>/gi,"**$2**"),t=t.replace(/<(em|i)[^>]*>(.*?)<\/\1>/gi,"*$2*"),t=t.replace(/<code[^>]*>(.*?)<\/code>/gi,"`$1`"),t=t.replace(/<pre[^>]*><code[^>]*>([\s\S]*?)<\/code><\/pre>/gi,"\n\n```\n$1\n```\n\n"),t=t.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi,"\n\n```\n$1\n```\n\n"),t=B(t),t=ge(t),t=t.replace(/\n{3,}/g,`
+`).trim()}function Ni(t){return t.replace(/[\\`*_[\]]/g,"\\$&")}function Mi(t){return t.replace(/^(#{1,6}|[-+>])(?=\s|$)/,"\\$1").replace(/^(\d+)([.)])(?=\s|$)/,"$1\\$2").replace(/^-{3,}\s*$/,"\\$&")}function ta(t,e){let n=" ".repeat(e);return t.split(`
+`).map((r,a)=>a===0||r===""?r:n+r).join(`
+`)}function ea(t,e){let n=0,r=0;for(let a of t)r=a===e?r+1:0,n=Math.max(n,r);return n}function Ui(t){return t.nodeType===1&&t.tagName!=="A"&&!qr.has(t.tagName)&&t.querySelector(Ei)!==null}function Fe(t){return t.nodeType===1&&Vr.has(t.tagName)}var Hi=new Set(["ADDRESS","ARTICLE","ASIDE","CENTER","DL","FIGURE","FOOTER","H1","H2","H3","H4","H5","H6","HEADER","P","SECTION","TABLE"]),Fi=new Set(["DD","DIV","DT","FIGCAPTION","TR"]),$i=new Set(["HEAD","SCRIPT","STYLE","TEMPLATE","TITLE"]),Gi=[{key:"emphasis",tags:["B","CITE","DEL","DFN","EM","I","S","STRIKE","STRONG","VAR"]},{key:"headings",tags:["H1","H2","H3","H4","H5","H6"]},{key:"code",tags:["CODE","KBD","PRE","SAMP","TT"]},{key:"tables",tags:["TABLE"]},{key:"images",tags:["IMG"]}];function yt(t){return!t||typeof t!="string"?"":aa(vt(ra(t).body)).join(`
+`).replace(/\n{3,}/g,`
 
-`),t.trim()}function B(e){let t=document.createElement("div");return t.innerHTML=e,t.textContent||t.innerText||""}function ge(e){let t=document.createElement("textarea");return t.innerHTML=e,t.value}function te(e){let t=e.textarea.closest("form");setTimeout(()=>{let a=t.find("#cannedResp");a.length!==0&&(a.data("markdownCannedBound")||(a.data("markdownCannedBound",!0),a.off("change"),a.on("change",function(){let n=s(this).val();if(!n||n==="0")return;let o=s(":input[name=id]",t).val();s(this).find("option:first").attr("selected","selected").parent("select");let i="ajax.php/kb/canned-response/"+n+".json";o&&(i="ajax.php/tickets/"+o+"/canned-resp/"+n+".json"),s.ajax({type:"GET",url:i,dataType:"json",cache:!1,success:function(c){c.response&&ve(e,c.response);let l=s(".attachments",t);if(c.files&&l.length){let d=l.find(".dropzone").data("dropbox");d&&s.each(c.files,function(u,p){d.addNode(p)})}}})}),r("Canned response handler initialized","DEBUG")))},500)}function ve(e,t){if(e.currentFormat==="markdown"||e.currentFormat==="text"){let a=F(t);r("Inserting canned response as Markdown","DEBUG",{htmlLength:t.length,mdLength:a.length}),U(e,a)}else{let a=$R("#response.richtext");if(a)a.api("selection.restore"),a.insertion.insertHtml(t);else{let n=e.textarea;n.val(n.val()+t)}}}function R(e,t,a,n=""){let o=e.textarea[0],i=o.selectionStart,c=o.selectionEnd,l=o.value,d=l.substring(i,c),u=t+(d||n)+a;o.value=l.substring(0,i)+u+l.substring(c);let p=i+t.length;o.setSelectionRange(p,p+(d||n).length),e.textarea.trigger("input")}function M(e){let t=e.textarea[0],a=t.selectionStart,n=t.value,o=n.lastIndexOf(`
-`,a-1)+1,c=n.substring(o,a).match(/^(#{1,6})\s*/),l=c?c[1].length:0;l=l%6+1;let d="#".repeat(l)+" ";if(c){let u=n.substring(0,o)+n.substring(o).replace(/^#{1,6}\s*/,d);t.value=u,t.setSelectionRange(a,a)}else t.value=n.substring(0,o)+d+n.substring(o),t.setSelectionRange(a+d.length,a+d.length);e.textarea.trigger("input")}function L(e){let t=e.textarea[0],a=t.selectionStart,n=t.selectionEnd,o=t.value,c=o.substring(a,n)||"Link Text",l=prompt("URL eingeben:","https://");if(l&&l!=="https://"){let d=`[${c}](${l})`;t.value=o.substring(0,a)+d+o.substring(n);let u=a+d.length;t.setSelectionRange(u,u),e.textarea.trigger("input")}}function ae(e){let t=prompt("Programmiersprache (optional):","javascript")||"";R(e,"```"+t+`
-`,"\n```","code here")}function re(e,t){let a=e.textarea[0],n=a.selectionStart,o=a.selectionEnd,i=a.value,c=i.substring(n,o),l=c?c.split(`
-`):["List Item"],d=t==="ul"?"- ":"1. ",u=l.map((f,g)=>t==="ol"?`${g+1}. ${f}`:`${d}${f}`).join(`
-`);a.value=i.substring(0,n)+u+i.substring(o);let p=n+u.length;a.setSelectionRange(p,p),e.textarea.trigger("input")}function oe(e){let t=e.textarea[0],a=t.selectionStart,n=t.selectionEnd,o=t.value,i=o.substring(a,n),l=(i?i.split(`
-`):["Quote"]).map(u=>`> ${u}`).join(`
-`);t.value=o.substring(0,a)+l+o.substring(n);let d=a+l.length;t.setSelectionRange(d,d),e.textarea.trigger("input")}function ne(e){let t=e.textarea[0],a=t.selectionStart,n=t.value,o=`
+`)}function $e(t){return!t||typeof t!="string"?"":t.replace(/\r\n?/g,`
+`).split(/\n[ \t]*\n/).filter(e=>e.trim()).map(e=>"<p>"+e.replace(/^\n+|\n+$/g,"").split(`
+`).map(n=>X(n).replace(/^ +/,r=>"&nbsp;".repeat(r.length))).join("<br>")+"</p>").join(`
+`)}function na(t){if(!t||typeof t!="string")return[];let e=ra(t).body;return Gi.filter(r=>r.tags.some(a=>e.getElementsByTagName(a).length)).map(r=>r.key).concat(Jt(t).filter(r=>r!=="table"))}function ra(t){let e=document.implementation.createHTMLDocument("");return e.body.innerHTML=t.replace(/\r\n?/g,`
+`),e}function vt(t){let e=[""];return Zt(t,e),aa(e)}function Zt(t,e){t.childNodes.forEach(n=>{if(n.nodeType===3){xt(e,n.data.replace(/\s+/g," "));return}if(n.nodeType!==1||$i.has(n.tagName))return;let r=n.tagName;if(r==="BR")e.push("");else if(r==="HR")ot(e,["---"],!0);else if(r==="IMG"){let a=n.getAttribute("src")||"",o=n.getAttribute("alt")||a.split(/[/?#]/).filter(Boolean).pop()||"";xt(e," ["+d("Image: {name}",{name:o})+"] ")}else if(r==="INPUT")(n.getAttribute("type")||"").toLowerCase()==="checkbox"&&xt(e,n.hasAttribute("checked")?"[x] ":"[ ] ");else if(r==="PRE")ot(e,n.textContent.replace(/\n$/,"").split(`
+`),!0);else if(r==="TD"||r==="TH")n.previousElementSibling&&xt(e," | "),Zt(n,e);else if(r==="A"){Zt(n,e);let a=n.textContent.trim(),o=(n.getAttribute("href")||"").trim();o&&o!==a&&o!=="mailto:"+a&&xt(e," <"+o+">")}else r==="UL"||r==="OL"?ot(e,zi(n),!n.parentElement.closest("li")):r==="BLOCKQUOTE"?ot(e,vt(n).map(a=>a?"> "+a:">"),!0):Hi.has(r)?ot(e,vt(n),!0):Fi.has(r)?ot(e,vt(n),!1):Zt(n,e)})}function zi(t){let e=parseInt(t.getAttribute("start"),10),n=isNaN(e)?1:e,r=[];return Array.from(t.children).forEach(a=>{let o=vt(a);if(a.tagName!=="LI"){r.push(...o);return}let i=t.tagName==="OL"?n+++". ":"- ",s=" ".repeat(i.length);(o.length?o:[""]).forEach((l,c)=>{r.push(c?l?s+l:"":i+l)})}),r}function xt(t,e){let n=t[t.length-1];(!n.trim()||n.endsWith(" "))&&(e=e.replace(/^ +/,"")),t[t.length-1]=(n.trim()?n:"")+e}function ot(t,e,n){t[t.length-1].trim()&&t.push(""),t.pop(),n&&t.length&&t[t.length-1]!==""&&t.push(""),t.push(...e,""),n&&t.push("")}function aa(t){let e=t.map(n=>n.replace(/\s+$/,""));for(;e.length&&!e[0];)e.shift();for(;e.length&&!e[e.length-1];)e.pop();return e}function oa(t){let e=t.textarea.siblings(".redactor-box");if(f("destroyRedactor() called","DEBUG"),f("Found .redactor-box elements:","DEBUG",e.length),f("Textarea has .richtext class:","DEBUG",t.textarea.hasClass("richtext")),f("Redactor data:","DEBUG",t.textarea.data("redactor")),typeof t.textarea.redactor=="function")try{t.textarea.redactor("core.destroy"),f("Destroyed Redactor instance","DEBUG")}catch(n){n.message&&!n.message.includes("not found")&&!n.message.includes("not initialized")&&f("WARNING: [MarkdownEditor] Redactor destroy failed: "+n.message,"WARNING"),f("Redactor destroy skipped (not initialized)","DEBUG")}if(e.length>0)e.remove(),f("Removed Redactor box from DOM (sibling)","DEBUG");else{let n=t.textarea.closest(".redactor-box");n.length>0?(f("Found .redactor-box as PARENT! Moving textarea out and removing box...","DEBUG"),t.textarea.insertBefore(n),n.remove(),f("Moved textarea out of .redactor-box and removed box","DEBUG")):f("No .redactor-box found (Redactor was not initialized)","DEBUG")}t.textarea.removeData("redactor"),t.textarea.removeData("redactor-instance"),t.textarea.show().css({display:"block !important",visibility:"visible !important"}),t.textarea.removeClass("redactor-source redactor-in"),f("Removed Redactor classes and forced textarea visible","DEBUG"),t.textarea.removeClass("richtext"),t.textarea.attr("data-markdown-enabled","true"),t.textarea.addClass("markdown-active"),Ge(t),setTimeout(()=>{let n=t.textarea.siblings(".redactor-box");n.length>0&&(f("Found .redactor-box as sibling after delay! Removing...","DEBUG"),n.remove(),t.textarea.show().css({display:"block !important",visibility:"visible !important"}),t.textarea.removeClass("richtext redactor-source redactor-in"),f("Removed delayed Redactor box (sibling)","DEBUG")),t.textarea.closest(".redactor-box").length>0&&(f("Found .redactor-box as PARENT after delay! Unwrapping...","DEBUG"),t.textarea.unwrap(".redactor-box"),t.textarea.show().css({display:"block !important",visibility:"visible !important"}),t.textarea.removeClass("richtext redactor-source redactor-in"),f("Unwrapped delayed Redactor box (parent)","DEBUG"))},300),f("Redactor cleanup complete","DEBUG")}function ia(t){f("Restoring Redactor for HTML format","INFO"),t.redactorObserver&&(t.redactorObserver.disconnect(),t.redactorObserver=null,f("Disconnected MutationObserver (allows Redactor creation)","DEBUG")),t.textarea.removeData("redactor"),t.textarea.removeData("redactor-instance"),t.textarea.removeAttr("data-redactor"),t.textarea.removeAttr("data-redactor-uuid"),f("Cleared all Redactor data and attributes","DEBUG");let e=t.textarea.siblings(".redactor-box"),n=t.textarea.siblings('[class*="redactor-in"]'),r=t.textarea.siblings(".redactor-styles");if(e.length>0&&(f("Found existing .redactor-box, removing...","DEBUG"),e.remove()),n.length>0&&(f("Found existing redactor-in DIVs, removing...","DEBUG"),n.remove()),r.length>0&&(f("Found existing .redactor-styles DIVs, removing...","DEBUG"),r.remove()),t.container&&t.container.length>0&&(t.formatSwitcher&&t.formatSwitcher.length>0?t.textarea.insertAfter(t.formatSwitcher):t.textarea.insertBefore(t.container),t.container.hide(),f("Moved textarea out of markdown container","DEBUG")),t.textarea.removeClass("markdown-textarea markdown-active"),t.textarea.removeAttr("data-markdown-enabled"),t.textarea.attr("data-wants-redactor","true"),t.textarea.addClass("richtext"),t.textarea.parent().removeClass("-redactor-container"),f("Removed -redactor-container class from parent","DEBUG"),t.textarea.removeAttr("style"),t.textarea.show(),t.textarea[0].offsetHeight,typeof p.fn.redact=="function")try{let a=t.textarea,o=a.attr("name");setTimeout(()=>{var s,l,c,u,m,h,w,v,x;f("Redactor initialization for:","DEBUG",o);let i=p.fn.redact(a[0]);if(f("Redactor initialization started...","DEBUG"),i&&typeof i.then=="function")i.then(()=>{f("Redactor Promise resolved for:","DEBUG",o),setTimeout(()=>{var y;let b=a.siblings(".redactor-box"),E=a.siblings(".redactor-layer"),g=a.parent();f("Redactor box found:","DEBUG",b.length),f("Redactor box visible:","DEBUG",b.is(":visible")),f("Redactor layer found:","DEBUG",E.length),f("Textarea parent:","DEBUG",(y=g[0])==null?void 0:y.tagName,g.attr("class")),f("Textarea classes:","DEBUG",a.attr("class")),f("Textarea visible:","DEBUG",a.is(":visible")),f("Textarea data-redactor:","DEBUG",a.data("redactor")),b.length===0?(f("No .redactor-box found after Promise resolved!","WARNING"),f("Attempting direct Redactor initialization...","DEBUG"),typeof a.redactor=="function"&&(a.redactor({focus:!1,toolbar:!0,buttons:["format","bold","italic","lists","link","file"]}),f("Direct Redactor call completed","DEBUG"))):f("Redactor toolbar successfully created!","DEBUG")},300)}).catch(b=>{f("Redactor Promise rejected:","ERROR",b)});else if(f("WARNING: [MarkdownEditor] $.fn.redact() did not return a Promise - using direct initialization for:",o),typeof a.redactor=="function"){f("Attempting direct Redactor.redactor() call...","DEBUG"),f("Textarea state before direct init","DEBUG",{name:o,classes:a.attr("class"),hasRichtext:a.hasClass("richtext"),hasWantsRedactor:a.attr("data-wants-redactor"),hasMarkdownEnabled:a.attr("data-markdown-enabled"),parent:(s=a.parent()[0])==null?void 0:s.tagName,isVisible:a.is(":visible"),display:a.css("display")});try{let b=a.redactor({focus:!1,inline:!1,toolbar:!0,air:!1,buttons:["format","bold","italic","lists","link","file","image"]});f("Direct Redactor call returned:","DEBUG",b),f("Redactor rootElement:","DEBUG",b.rootElement),f("Redactor opts.inline:","DEBUG",(l=b.opts)==null?void 0:l.inline),f("Redactor opts.air:","DEBUG",(c=b.opts)==null?void 0:c.air),f("Redactor opts.toolbar:","DEBUG",(u=b.opts)==null?void 0:u.toolbar),f("Redactor editor.$editor:","DEBUG",(m=b.editor)==null?void 0:m.$editor),f("Redactor editor.$editor HTML:","DEBUG",(w=(h=b.editor)==null?void 0:h.$editor[0])==null?void 0:w.outerHTML),f("Redactor toolbar.$toolbar:","DEBUG",(v=b.toolbar)==null?void 0:v.$toolbar),f("Redactor container.$container:","DEBUG",(x=b.container)==null?void 0:x.$container)}catch(b){f("Direct Redactor call threw error:","ERROR",b)}f("Direct Redactor initialization triggered","DEBUG"),setTimeout(()=>{var E;let b=a.siblings(".redactor-box");if(f("Redactor box found (direct init):","DEBUG",b.length),f("Checking all possible Redactor containers...","DEBUG"),f("Parent .redactor-box:","DEBUG",a.parent(".redactor-box").length),f("Next .redactor-box:","DEBUG",a.next(".redactor-box").length),f("Textarea display:","DEBUG",a.css("display")),f("Textarea parent HTML:","DEBUG",(E=a.parent()[0])==null?void 0:E.outerHTML),b.length>0)f("Direct Redactor initialization successful!","DEBUG");else{f("Redactor box not in DOM - attempting manual insertion...","WARNING");let g=a.data("redactor");if(g&&g.container&&g.container.$container){let y=g.container.$container;f("Found Redactor container in memory:","DEBUG",y);let R=y.nodes?y.nodes[0]:y[0];if(R){let Y=p(R);f("Wrapped container node in jQuery:","DEBUG",Y),Y.insertAfter(a),a.hide(),f("Manually inserted Redactor box into DOM!","DEBUG")}else f("Could not extract DOM node from Redactor container","ERROR")}else f("Could not find Redactor instance or container","ERROR")}},500)}else f("jQuery.redactor() plugin not available!","ERROR")},150)}catch(a){f("Failed to initialize Redactor:","ERROR",a)}else f("WARNING: [MarkdownEditor] $.fn.redact not available - cannot restore Redactor")}function sa(t){if(typeof t.textarea.redactor=="function"&&t.textarea.data("redactor"))try{let e=t.textarea.redactor("source.getCode");if(typeof e=="string")return e}catch(e){f("Redactor source.getCode failed: "+e.message,"WARNING")}return t.textarea.val()}function Ge(t){let e=new MutationObserver(n=>{n.forEach(r=>{r.addedNodes.forEach(a=>{a.nodeType===1&&p(a).hasClass("redactor-box")&&(f("Detected Redactor re-initialization! Cleaning up...","DEBUG"),p(a).remove(),t.textarea.show(),t.textarea.removeClass("richtext"),t.textarea.attr("data-markdown-enabled","true"),t.textarea.removeData("redactor"))})})});t.textarea[0].parentNode&&(e.observe(t.textarea[0].parentNode,{childList:!0,subtree:!1}),t.redactorObserver=e)}var _i=25e4;function pa(t,e,n={}){let r=t.currentFormat;if(e===r||t.formatSwitchPending)return Promise.resolve(!1);if(!t.options.allowedFormats.includes(e))return f("Format not allowed: "+e,"WARNING"),Promise.resolve(!1);let a=r==="html"?sa(t):t.textarea.val();t.formatSwitchPending=!0,ua(t,!0),_(t);let o=i=>(t.formatSwitchPending=!1,ua(t,!1),i?(t.applyFormat(e,i.value),a.trim()&&(t.lastFormatSwitch={format:r,value:a},zr(t,e,()=>ze(t))),!0):(f("Format switch cancelled","DEBUG"),t.formatSwitcherSelect&&t.formatSwitcherSelect.val(r),!1));return ji(a,r,e).then(i=>!i.lossy||n.confirm===!1?i:Gr(t,e,i).then(s=>s&&i)).then(o,i=>(f("Format conversion failed: "+i,"ERROR"),o(null)))}function ze(t){let e=t.lastFormatSwitch;return _(t),!e||t.formatSwitchPending?!1:(t.lastFormatSwitch=null,t.applyFormat(e.format,e.value),t.formatSwitcherSelect&&t.formatSwitcherSelect.val(e.format),t.announce(d("Format switch undone")),!0)}function ji(t,e,n){if(!t.trim())return Promise.resolve({value:"",lossy:!1,lost:[],diff:[]});if(e==="markdown")return Pr(t).then(o=>{let i=qn(o);return n==="html"?te(i,o,i,[]):la(i)});let r=e==="text"?$e(t):t;if(n==="text")return Promise.resolve(la(r));if(n==="html")return Promise.resolve(te(r,r,r,[]));let a=M(r);return Promise.resolve(te(a,r,H(a),Jt(r)))}function la(t){let e=yt(t);return te(e,t,$e(e),na(t))}function te(t,e,n,r){let a=Vi(ca(e),ca(n)),o=a.some(i=>i.type!=="same");return{value:t,lossy:o||r.length>0,lost:r,diff:a}}function ca(t){return yt(String(t||"")).split(`
+`).map(e=>e.replace(/\s+/g," ").trim()).filter(Boolean)}function Vi(t,e){let n=0;for(;n<t.length&&n<e.length&&t[n]===e[n];)n++;let r=0;for(;r<t.length-n&&r<e.length-n&&t[t.length-1-r]===e[e.length-1-r];)r++;let a=t.slice(n,t.length-r),o=e.slice(n,e.length-r),i=l=>({type:"same",text:l}),s=[];if(a.length*o.length>_i)a.forEach(l=>s.push({type:"removed",text:l})),o.forEach(l=>s.push({type:"added",text:l}));else{let l=Array.from({length:a.length+1},()=>new Array(o.length+1).fill(0));for(let m=a.length-1;m>=0;m--)for(let h=o.length-1;h>=0;h--)l[m][h]=a[m]===o[h]?l[m+1][h+1]+1:Math.max(l[m+1][h],l[m][h+1]);let c=0,u=0;for(;c<a.length||u<o.length;)c<a.length&&u<o.length&&a[c]===o[u]?(s.push(i(a[c])),c++,u++):u>=o.length||c<a.length&&l[c+1][u]>=l[c][u+1]?s.push({type:"removed",text:a[c++]}):s.push({type:"added",text:o[u++]})}return t.slice(0,n).map(i).concat(s,t.slice(t.length-r).map(i))}function ua(t,e){t.formatSwitcherSelect&&t.formatSwitcherSelect.prop("disabled",e).attr("aria-busy",e?"true":null)}var fa=["image/jpeg","image/png","image/gif","image/webp","image/bmp"];function da(t){if(je(t),t.draftId=t.textarea.attr("data-draft-id")||null,t.draftNamespace=t.textarea.attr("data-draft-namespace")||null,t.draftObjectId=t.textarea.attr("data-draft-object-id")||null,typeof t.uploadCounter=="undefined"&&(t.uploadCounter=0),ma(t),!t.uploadUrl){f("No draft namespace found - image upload disabled","WARNING");return}t.textarea.on("paste.markdownImageUpload",n=>{if(t.currentFormat!=="markdown"||n.isDefaultPrevented())return;let r=n.originalEvent.clipboardData;if(!r||!r.items)return;let a=[];for(let o=0;o<r.items.length;o++){let i=r.items[o];if(fa.includes(i.type)){let s=i.getAsFile();s&&a.push(s)}}a.length!==0&&(n.preventDefault(),a.forEach(o=>_e(t,o)))});let e=t.container;e.on("dragover.markdownImageUpload",n=>{t.currentFormat==="markdown"&&(n.preventDefault(),n.stopPropagation(),e.addClass("markdown-drop-active"))}),e.on("dragleave.markdownImageUpload",n=>{n.preventDefault(),n.stopPropagation(),p.contains(e[0],n.relatedTarget)||e.removeClass("markdown-drop-active")}),e.on("drop.markdownImageUpload",n=>{var a;if(t.currentFormat!=="markdown")return;n.preventDefault(),n.stopPropagation(),e.removeClass("markdown-drop-active");let r=(a=n.originalEvent.dataTransfer)==null?void 0:a.files;if(!(!r||r.length===0))for(let o=0;o<r.length;o++)fa.includes(r[o].type)&&_e(t,r[o])}),f("Image upload handlers registered","DEBUG")}function je(t){t.textarea.off("paste.markdownImageUpload"),t.container&&t.container.off("dragover.markdownImageUpload dragleave.markdownImageUpload drop.markdownImageUpload")}function ma(t){let e;if(t.draftId)e=t.draftId+"/attach";else if(t.draftNamespace){let n=t.draftNamespace;t.draftObjectId&&(n+="."+t.draftObjectId),e=n+"/attach"}else{t.uploadUrl=null;return}t.uploadUrl="ajax.php/draft/"+e}function _e(t,e){if(T(t,"uploadStart",{file:e}).defaultPrevented){f("Image upload cancelled by uploadStart handler","DEBUG");return}t.uploadCounter++;let n=t.uploadCounter,r=`![${d("Uploading image")}-${n}...]()`;Pt(t,r),Wi(t,n);let a=new FormData;a.append("file[]",e,e.name||"pasted-image.png");let o=p("meta[name=csrf_token]").attr("content")||p('input[name="__CSRFToken__"]').val();if(!o){f("CSRF token not found - upload aborted","ERROR"),ut(t,r,""),Ve(t,n);let i=d("Upload failed: Security token not found. Please reload the page.");kt(t,i),T(t,"uploadError",{file:e,message:i});return}a.append("__CSRFToken__",o),p.ajax({url:t.uploadUrl,type:"POST",data:a,processData:!1,contentType:!1,dataType:"json",global:!1,success:i=>{qi(t,e,i,r,n)},error:i=>{Ki(t,e,i,r,n)}})}function qi(t,e,n,r,a){Ve(t,a);let o=Object.keys(n);if(o.length===0){ut(t,r,`![${d("Upload failed")}]()`),O(t,d("Upload failed")),T(t,"uploadError",{file:e,message:d("Upload failed")});return}let i=n[o[0]],s=o[0];i.draft_id&&!t.draftId&&(t.draftId=i.draft_id,ma(t),f("Draft ID set to: "+t.draftId,"DEBUG"));let l=i.url||"file.php?key="+String(i.id)+"&disposition=inline",c=/^https?:\/\//.test(l)||/file\.php\?/.test(l)?l:"#invalid-url",u=s.replace(/\.[^.]+$/,"").replace(/[\[\]()]/g,""),m=T(t,"uploadDone",{file:e,url:c,markdown:`![${u}](${c})`});ut(t,r,String(m.markdown)),O(t,d("Image uploaded: {name}",{name:s})),f("Image uploaded successfully: "+s,"INFO")}function Ki(t,e,n,r,a){Ve(t,a);let o=d("Upload failed");try{let i=JSON.parse(n.responseText);i.error&&(o=String(i.error).substring(0,200))}catch(i){n.responseText&&(o=n.responseText.replace(/<[^>]*>/g,"").substring(0,200))}ut(t,r,""),kt(t,o),T(t,"uploadError",{file:e,message:o}),f("Image upload failed: "+o,"ERROR")}function Wi(t,e){if(!t.container)return;let n=p("<div>",{class:"markdown-upload-indicator","data-upload-id":e,html:'<span class="markdown-upload-spinner"></span> <span class="markdown-upload-text"></span>'});n.find(".markdown-upload-text").text(d("Uploading image...")),t.container.append(n)}function Ve(t,e){t.container&&t.container.find(`.markdown-upload-indicator[data-upload-id="${e}"]`).remove()}function kt(t,e){if(O(t,e),!t.container)return;let n=p("<div>",{class:"markdown-upload-error",text:e});t.container.append(n),setTimeout(()=>n.fadeOut(300,()=>n.remove()),5e3)}function ha(t){if(!t.uploadUrl){kt(t,d("Image upload not available \u2014 no draft context found."));return}let n=p("<input>",{type:"file",accept:"image/jpeg,image/png,image/gif,image/webp,image/bmp",multiple:!0,css:{display:"none"}});n.on("change",r=>{let a=r.target.files;if(!(!a||a.length===0)){for(let o=0;o<a.length;o++)_e(t,a[o]);n.remove()}}),p("body").append(n),n[0].click(),setTimeout(()=>{n.parent().length&&n.remove()},6e4)}var ee=new Map;function ga(t){let e=t.textarea.closest("form");setTimeout(()=>{let n=e.find("#cannedResp");n.length!==0&&(n.data("markdownCannedBound")||(n.data("markdownCannedBound",!0),n.off("change"),n.on("change",function(){let r=p(this).val();!r||r==="0"||(p(this).find("option:first").attr("selected","selected").parent("select"),qe(t,r).then(a=>Ke(t,a)).catch(a=>f("Loading canned response failed: "+a.message,"ERROR")))}),f("Canned response handler initialized","DEBUG")))},500)}function wa(t){let e=t.textarea.closest("form").find("select#cannedResp");e.length===0&&(e=p("select#cannedResp"));let n=e.first().find("option").map(function(){let a=String(p(this).val()||"");return a&&a!=="0"?{id:a,title:p(this).text().trim()}:null}).get();if(n.length)return n;let r=window.osTicketMarkdownConfig||{};return(Array.isArray(r.cannedResponses)?r.cannedResponses:[]).filter(a=>a&&a.id).map(a=>({id:String(a.id),title:String(a.title||"")}))}function qe(t,e){let n=p(":input[name=id]",t.textarea.closest("form")).val(),r=encodeURIComponent(e),a=n?"ajax.php/tickets/"+encodeURIComponent(n)+"/canned-resp/"+r+".json":"ajax.php/kb/canned-response/"+r+".json";if(!ee.has(a)){let o=new Promise((i,s)=>{p.ajax({type:"GET",url:a,dataType:"json",cache:!1,success:i,error:(l,c,u)=>s(new Error(u||c))})});o.catch(()=>ee.delete(a)),ee.set(a,o)}return ee.get(a)}function Ke(t,e){e.response&&Xi(t,e.response);let n=p(".attachments",t.textarea.closest("form"));if(e.files&&n.length){let r=n.find(".dropzone").data("dropbox");r&&p.each(e.files,function(a,o){r.addNode(o)})}}function Xi(t,e){if(t.currentFormat==="markdown"||t.currentFormat==="text"){let n=t.currentFormat==="text"?yt(e):M(e);f("Inserting canned response as "+t.currentFormat,"DEBUG",{htmlLength:e.length,textLength:n.length});let r=T(t,"beforeInsert",{text:n,source:"canned"});r.defaultPrevented||Pt(t,String(r.text))}else{let n=$R("#response.richtext");if(n)n.api("selection.restore"),n.insertion.insertHtml(e);else{let r=t.textarea;r.val(r.val()+e)}}}var Yi=50,ba=120;function xa(t,e){if(P(t,e)){k(t);return}let n=wa(t),r=A("canned-results"),a=V(A("canned-search"),d("Search canned responses"),{type:"search",role:"combobox","aria-autocomplete":"list","aria-expanded":"true","aria-controls":r}),o=p("<ul>",{id:r,class:"markdown-canned-results",role:"listbox","aria-label":d("Canned responses")}),i=p("<div>",{class:"markdown-canned-status",role:"status"}),s=p("<div>",{class:"markdown-preview markdown-canned-preview"}),l=p("<div>",{class:"markdown-canned-popover",role:"dialog","aria-label":d("Insert canned response")}),c=[],u=-1,m=!1,h=()=>!!t.popover&&t.popover[0]===l[0],w=g=>{s.empty(),g&&(g.failed?s.append(p("<p>",{class:"preview-empty",text:d("Canned response could not be loaded")})):g.markdown===void 0?(s.append(p("<p>",{class:"preview-empty",text:d("Loading...")})),We(t,g).then(()=>{h()&&c[u]&&c[u].item===g&&w(g)})):s.append(ht(H(g.markdown))))},v=g=>{let y=o.children();if(u=g,y.attr("aria-selected","false").removeClass("is-active"),g<0){a.$input.removeAttr("aria-activedescendant"),w(null);return}let R=y.eq(g).attr("aria-selected","true").addClass("is-active");a.$input.attr("aria-activedescendant",R.attr("id")),R[0].scrollIntoView&&R[0].scrollIntoView({block:"nearest"}),w(c[g].item)},x=g=>{delete g.failed,i.text(d("Loading...")),We(t,g).then(()=>{if(h()){if(g.failed){i.text(d("Canned response could not be loaded"));return}k(t),Ke(t,g.canned),t.announce(d("Inserted canned response: {title}",{title:g.title}))}})},b=()=>{let g=c.map(y=>y.item).find(y=>y.text===void 0&&!y.failed);m||!g||!h()||(m=!0,We(t,g).then(()=>{m=!1,o.children().filter((y,R)=>R.getAttribute("data-id")===g.id).find(".markdown-canned-snippet").text(va(g)),b()}))},E=()=>{c=Zi(n,a.$input.val()).slice(0,Yi),o.empty(),c.forEach((g,y)=>{o.append(Qi(g,`${r}-${y}`,{mousedown:R=>R.preventDefault(),mousemove:()=>{u!==y&&v(y)},click:()=>x(g.item)}))}),n.length?c.length?i.text(B("{count} canned response","{count} canned responses",c.length)):i.text(d("No matching canned responses")):i.text(d("No canned responses available")),v(c.length?0:-1),b()};a.$input.on("input",E),a.$input.on("keydown",g=>{if((g.key==="ArrowDown"||g.key==="ArrowUp")&&c.length){g.preventDefault();let y=g.key==="ArrowDown"?1:-1;v((u+y+c.length)%c.length)}else g.key==="Enter"&&(g.preventDefault(),u>=0&&x(c[u].item))}),l.append(a.$field,p("<div>",{class:"markdown-canned-body"}).append(o,s),i),I(t,e,l,{focus:"input"}),E()}function Qi(t,e,n){let{item:r,indices:a}=t,o=p("<span>",{class:"markdown-canned-title"}),i=new Set(a),s="",l=!1,c=()=>{s&&o.append(l?p("<mark>",{text:s}):document.createTextNode(s)),s=""};for(let u=0;u<r.title.length;u++)i.has(u)!==l&&(c(),l=i.has(u)),s+=r.title[u];return c(),p("<li>",Object.assign({id:e,class:"markdown-canned-option",role:"option","aria-selected":"false","data-id":r.id},n)).append(o,p("<span>",{class:"markdown-canned-snippet",text:va(r)}))}function We(t,e){return qe(t,e.id).then(n=>{e.canned=n||{},e.text=Ji(e.canned.response||""),e.markdown=M(e.canned.response||"")},()=>{e.failed=!0})}function va(t){return t.text?t.text.length>ba?t.text.substring(0,ba-1)+"\u2026":t.text:""}function Ji(t){let e=document.implementation.createHTMLDocument("");return e.body.innerHTML=t,e.body.querySelectorAll("br, p, div, li, tr, td, th, h1, h2, h3, h4, h5, h6, blockquote, pre").forEach(n=>n.after(" ")),e.body.textContent.replace(/\s+/g," ").trim()}function Zi(t,e){let n=String(e||"").trim().split(/\s+/).filter(Boolean),r=[];return t.forEach((a,o)=>{let i=0,s=[];for(let l of n){let c=ts(l,a.title),u=!!a.text&&ne(a.text).folded.includes(ne(l).folded);if(!c&&!u)return;i+=(c?c.score*2:0)+(u?1:0),c&&s.push(...c.indices)}r.push({item:a,score:i,indices:s,position:o})}),r.sort((a,o)=>o.score-a.score||a.position-o.position).map(({item:a,score:o,indices:i})=>({item:a,score:o,indices:i}))}function ts(t,e){let n=ne(t).folded,{folded:r,positions:a}=ne(e);if(!n)return{score:0,indices:[]};let o=r.indexOf(n);if(o!==-1){let c=o;for(;c!==-1&&!Et(r,c);)c=r.indexOf(n,c+1);c!==-1&&(o=c);let u=[];for(let h=o;h<o+n.length;h++)u.push(a[h]);return{score:10+n.length*5+(Et(r,o)?5:0)+(o===0?5:0),indices:u}}let i=[],s=0,l=-2;for(let c=0;c<n.length;c++){let u=n[c],m=r.indexOf(u,l+1);if(m===-1)return null;if(m!==l+1&&!Et(r,m)){let h=r.indexOf(u,m+1);for(;h!==-1&&!Et(r,h);)h=r.indexOf(u,h+1);h!==-1&&es(n.substring(c+1),r,h+1)&&(m=h)}m===l+1?s+=5:Et(r,m)?s+=3:s+=1,i.push(a[m]),l=m}return{score:s,indices:i}}function ne(t){let e="",n=[];for(let r=0;r<t.length;r++){let a=t[r].normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase().charAt(0);a&&(e+=a,n.push(r))}return{folded:e,positions:n}}function es(t,e,n){let r=n-1;for(let a of t)if(r=e.indexOf(a,r+1),r===-1)return!1;return!0}function Et(t,e){return e===0||!/[\p{L}\p{N}]/u.test(t[e-1])}var St={side:"Side by side",bottom:"Preview below",editor:"Editor only",preview:"Preview only"},ae=15,oe=85,re=5,ya="osticket-markdown-layout",it=null;function ka(t){t.isFullscreen?Tt(t):Qe(t)}function Qe(t){if(t.isFullscreen||!t.container)return;it&&it!==t&&Tt(it);let e=Ta(),n=t.textarea.parent();t.splitArea=n.parent(".markdown-content-area"),t.splitArea.length===0&&(n.add(t.previewPane?t.previewPane.parent():p()).wrapAll('<div class="markdown-content-area markdown-fullscreen-split"></div>'),t.splitArea=n.parent()),t.isFullscreen=!0,it=t,t.container.addClass("markdown-editor-fullscreen"),p("body").addClass("markdown-fullscreen-active"),t.previewTabs?t.container.attr("data-layout","tabs"):t.previewPane?(ns(t),as(t),Rt(t,e.layout,!1),Xe(t,e.split)):Rt(t,"editor",!1),p(document).on("keydown.markdownFullscreen",r=>{r.key==="Escape"&&!r.isDefaultPrevented()&&(r.preventDefault(),Tt(t))}),Ea(t),t.textarea.focus(),f("Entered fullscreen mode","DEBUG",e)}function Tt(t){t.isFullscreen&&(p(document).off("keydown.markdownFullscreen"),t.splitter&&(t.splitter.remove(),t.splitter=null),t.layoutSwitcher&&(t.layoutSwitcher.remove(),t.layoutSwitcher=null,G(t)),t.splitArea.hasClass("markdown-fullscreen-split")&&t.splitArea.children().unwrap(),t.splitArea=null,t.container.removeClass("markdown-editor-fullscreen").removeAttr("data-layout"),t.container[0].style.removeProperty("--markdown-split"),p("body").removeClass("markdown-fullscreen-active"),t.isFullscreen=!1,it===t&&(it=null),Ea(t),t.textarea.focus(),f("Exited fullscreen mode","DEBUG"))}function Rt(t,e,n=!0){Object.prototype.hasOwnProperty.call(St,e)&&(t.container.attr("data-layout",e),t.splitter&&t.splitter.attr("aria-orientation",e==="side"?"vertical":"horizontal"),t.layoutSwitcher&&t.layoutSwitcher.find("[data-layout]").each(function(){p(this).attr("aria-pressed",String(p(this).attr("data-layout")===e))}),e==="preview"&&t.renderPreview(),n&&Ye({layout:e}))}function Xe(t,e){let n=Sa(e);t.container[0].style.setProperty("--markdown-split",n+"%"),t.splitter&&t.splitter.attr("aria-valuenow",Math.round(n)),t.splitRatio=n}function ns(t){t.splitter=p("<div>",{class:"markdown-splitter",role:"separator",tabindex:0,title:d("Drag to resize"),"aria-label":d("Resize editor and preview"),"aria-valuemin":ae,"aria-valuemax":oe}),t.splitter.on("pointerdown",e=>{let n=e.originalEvent;e.preventDefault(),t.splitter[0].setPointerCapture(n.pointerId),t.container.addClass("is-resizing"),t.splitter.on("pointermove.markdownSplitter",r=>{Xe(t,rs(t,r.originalEvent))}),t.splitter.one("pointerup pointercancel",()=>{t.splitter.off("pointermove.markdownSplitter"),t.container.removeClass("is-resizing"),Ye({split:t.splitRatio})})}),t.splitter.on("keydown",e=>{let n={ArrowLeft:-re,ArrowUp:-re,ArrowRight:re,ArrowDown:re,Home:ae-oe,End:oe-ae};Object.prototype.hasOwnProperty.call(n,e.key)&&(e.preventDefault(),Xe(t,t.splitRatio+n[e.key]),Ye({split:t.splitRatio}))}),t.textarea.parent().after(t.splitter)}function rs(t,e){let n=t.splitArea[0].getBoundingClientRect();return t.container.attr("data-layout")==="side"?(e.clientX-n.left)/n.width*100:(e.clientY-n.top)/n.height*100}function as(t){if(!t.toolbar)return;let e={side:"layout-side",bottom:"layout-bottom",editor:"layout-editor",preview:"eye"};t.layoutSwitcher=p("<div>",{class:"markdown-layout-switcher",role:"group","aria-label":d("Layout")}),Object.keys(St).forEach(r=>{t.layoutSwitcher.append(p("<button>",{type:"button",class:"markdown-toolbar-btn","data-layout":r,title:d(St[r]),"aria-label":d(St[r]),"aria-pressed":"false",html:S(e[r]),click:a=>{a.preventDefault(),Rt(t,r)}}))});let n=t.toolbar.find('[data-action="fullscreen"]');n.length?n.before(t.layoutSwitcher):t.toolbar.append(t.layoutSwitcher),G(t)}function Ea(t){if(!t.toolbar)return;let e=t.isFullscreen?d("Exit Fullscreen (Esc)"):d("Fullscreen");t.toolbar.find('[data-action="fullscreen"]').attr("aria-pressed",String(!!t.isFullscreen)).attr("title",e).attr("aria-label",e).html(S(t.isFullscreen?"fullscreen-exit":"fullscreen"))}function Sa(t){return typeof t!="number"||isNaN(t)?50:Math.min(Math.max(t,ae),oe)}function Ta(){let t={layout:"side",split:50};try{let e=JSON.parse(window.localStorage.getItem(Ra())||"{}");Object.prototype.hasOwnProperty.call(St,e.layout)&&(t.layout=e.layout),typeof e.split=="number"&&(t.split=Sa(e.split))}catch(e){}return t}function Ye(t){try{let e=Object.assign(Ta(),t);window.localStorage.setItem(Ra(),JSON.stringify(e))}catch(e){f("Could not store layout preferences","WARNING")}}function Ra(){let t=window.osTicketMarkdownConfig||{};return t.agentId?ya+":"+t.agentId:ya}var os=1e4,is=/<(a|b|strong|i|em|code|pre|ul|ol|h[1-6]|blockquote|table|img|hr)[\s>]/i,ss="style, script, meta, link, title, xml";function Aa(t){Ze(t),t.textarea.on("keydown.markdownPaste",e=>{t.plainPaste=(e.ctrlKey||e.metaKey)&&e.shiftKey&&e.key.toLowerCase()==="v"}),t.textarea.on("keyup.markdownPaste",()=>{t.plainPaste=!1}),t.textarea.on("paste.markdownPaste",e=>{if(t.currentFormat!=="markdown")return;let n=t.plainPaste;if(t.plainPaste=!1,n)return;let r=e.originalEvent&&e.originalEvent.clipboardData;if(!r)return;let a=r.getData("text/plain"),o=r.getData("text/html"),i=ls(o,a),s=i?null:fs(o,a);if(!i&&!s)return;let l=T(t,"beforeInsert",{text:i||s,source:"paste"});l.defaultPrevented||(e.preventDefault(),e.stopImmediatePropagation(),i?gs(t,String(l.text),a):hs(t,String(l.text),a))})}function Ze(t){t.textarea.off(".markdownPaste"),At(t)}function ls(t,e){if(t&&/<table[\s>]/i.test(t)){let r=cs(t);if(r)return Kr(r)}let n=us(e||"");return n?Ut(n):null}function cs(t){let e=document.implementation.createHTMLDocument("");e.body.innerHTML=t,e.body.querySelectorAll("style, script, title, meta, link").forEach(o=>o.remove());let n=e.body.querySelectorAll("table");if(n.length!==1||n[0].rows.length<2)return null;let r=n[0];return e.body.textContent.replace(r.textContent,"").trim()===""?r.outerHTML:null}function us(t){if(!t.includes("	"))return null;let e=[],n=[],r="",a=0,o=t.replace(/\r\n?/g,`
+`).replace(/\n+$/,"");for(;a<=o.length;){let s=o[a];if(r===""&&s==='"'){let l=ps(o,a+1);if(l!==-1&&(l+1===o.length||/[\t\n]/.test(o[l+1]))){r=o.substring(a+1,l).replace(/""/g,'"'),a=l+1;continue}}s==="	"||s===`
+`||a===o.length?(n.push(r),r="",s!=="	"&&(e.push(n),n=[])):r+=s,a++}let i=e[0].length;return e.length<2||i<2||!e.every(s=>s.length===i)?null:e.map(s=>s.map(l=>l.trim()))}function ps(t,e){for(let n=e;n<t.length;n++)if(t[n]==='"'){if(t[n+1]==='"'){n++;continue}return n}return-1}function fs(t,e){if(!t)return null;let n=ds(t);if(!is.test(n))return null;let r=M(n);return!r||r===(e||"").trim()?null:r}function ds(t){let e=t.match(/<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/),n=e?e[1]:t;n=n.replace(/<!--\[if[\s\S]*?<!\[endif\]-->/gi,"").replace(/<!--[\s\S]*?-->/g,"");let r=document.implementation.createHTMLDocument("");r.body.innerHTML=n;let a=r.body;return a.querySelectorAll(ss).forEach(o=>o.remove()),a.querySelectorAll("img").forEach(o=>{/^(data|cid|file):/i.test(o.getAttribute("src")||"")&&o.remove()}),ms(r),Array.from(a.querySelectorAll("*")).forEach(o=>{let i=o.tagName.toLowerCase(),s=(o.getAttribute("style")||"").toLowerCase();if(i==="b"&&/font-weight:\s*(normal|400)/.test(s)){Je(o);return}if(i.includes(":")||i==="font"){Je(o);return}if(i==="span"){let l=o,c=u=>{let m=r.createElement(u);for(;l.firstChild;)m.appendChild(l.firstChild);l.appendChild(m),l=m};/font-weight:\s*(bold|[6-9]00)/.test(s)&&c("strong"),/font-style:\s*italic/.test(s)&&c("em"),/font-family:[^;]*(courier|consolas|monospace|menlo|monaco)/.test(s)&&c("code"),Je(o);return}["style","class","id","lang","dir"].forEach(l=>o.removeAttribute(l))}),a.innerHTML.replace(/&nbsp;|\u00a0/g," ")}function ms(t){let e=n=>n&&n.nodeType===1&&/mso-list:\s*l\d+/i.test(n.getAttribute("style")||"");Array.from(t.body.querySelectorAll("p")).forEach(n=>{if(!n.parentNode||!e(n)||e(n.previousElementSibling))return;let r=[],a=n,o=n.parentNode,i=t.createComment("");for(o.insertBefore(i,n);e(a);){let s=a.nextElementSibling,l=parseInt(((a.getAttribute("style")||"").match(/level(\d+)/i)||[0,1])[1],10),c=Array.from(a.querySelectorAll("span")).find(w=>/mso-list:\s*ignore/i.test(w.getAttribute("style")||"")),u=c?c.textContent.trim():"";c&&c.remove();let m=/^[\da-z]{1,3}[.)]$/i.test(u)?"ol":"ul";for(;r.length>l;)r.pop();for(;r.length<l;){let w=t.createElement(m);r.length===0?o.insertBefore(w,i):(r[r.length-1].lastElementChild||r[r.length-1]).appendChild(w),r.push(w)}let h=t.createElement("li");for(;a.firstChild;)h.appendChild(a.firstChild);r[r.length-1].appendChild(h),a.remove(),a=s}i.remove()})}function Je(t){let e=t.parentNode;if(e){for(;t.firstChild;)e.insertBefore(t.firstChild,t);e.removeChild(t)}}function hs(t,e,n){let r=t.textarea[0],{value:a,selectionStart:o,selectionEnd:i}=r,s=o+e.length,l=a.substring(0,o)+e+a.substring(i);C(t,l,s),f("Pasted rich text as Markdown","DEBUG"),Ca(t,d("Pasted as Markdown."),d("Paste as plain text"),()=>{r.value===l&&C(t,a.substring(0,o)+n+a.substring(i),o+n.length)})}function gs(t,e,n){let r=t.textarea[0],{value:a,selectionStart:o,selectionEnd:i}=r,s=ge(a,o,i,e);C(t,s.value,s.selectionStart,s.selectionEnd),f("Pasted tabular data as table","DEBUG");let l=e.split(`
+`).length-1,c=B("Pasted as a table with {count} row.","Pasted as a table with {count} rows.",l);Ca(t,c,d("Paste as plain text"),()=>{if(r.value!==s.value)return;let u=o+n.length;C(t,a.substring(0,o)+n+a.substring(i),u)})}function Ca(t,e,n,r){if(At(t),!t.container)return;let a=p("<div>",{class:"markdown-paste-notice",role:"status"}),o=p("<button>",{type:"button",class:"markdown-paste-notice-action",text:n,click:i=>{i.preventDefault(),At(t),r(),t.textarea.trigger("focus")}});a.append(p("<span>",{text:e+" "}),o),t.container.append(a),t.pasteNotice=a,t.pasteNoticeTimer=setTimeout(()=>At(t),os),t.textarea.one("input.markdownPasteNotice",()=>At(t))}function At(t){clearTimeout(t.pasteNoticeTimer),t.textarea.off("input.markdownPasteNotice"),t.pasteNotice&&(t.pasteNotice.remove(),t.pasteNotice=null)}var ws=["boxSizing","fontFamily","fontSize","fontWeight","fontStyle","lineHeight","letterSpacing","wordSpacing","tabSize","textIndent","textTransform","paddingTop","paddingRight","paddingBottom","paddingLeft","borderTopWidth","borderRightWidth","borderBottomWidth","borderLeftWidth"];function Ia(t){tn(t),t.variableConfig=Vt(),t.textarea.on("input.markdownVariables",()=>{La(t),ys(t)}),t.textarea.on("scroll.markdownVariables",()=>Oa(t)),t.textarea.on("blur.markdownVariables click.markdownVariables",()=>ie(t)),t.variableKeyHandler=e=>Es(t,e),t.textarea[0].addEventListener("keydown",t.variableKeyHandler,!0),window.ResizeObserver&&(t.variableResizeObserver=new ResizeObserver(()=>Ba(t)),t.variableResizeObserver.observe(t.textarea[0])),La(t)}function tn(t){t.textarea.off(".markdownVariables"),t.variableKeyHandler&&(t.textarea[0].removeEventListener("keydown",t.variableKeyHandler,!0),t.variableKeyHandler=null),t.variableResizeObserver&&(t.variableResizeObserver.disconnect(),t.variableResizeObserver=null),t.variableList&&(t.variableList.remove(),t.variableList=null),t.textarea.removeAttr("aria-autocomplete aria-controls aria-expanded aria-activedescendant"),Pa(t)}function La(t){let e=qt(t.textarea.val(),t.variableConfig.known);if(!e.length){Pa(t);return}let n=t.textarea.parent();t.variableBackdrop||(t.variableBackdrop=p("<div>",{class:"markdown-variable-backdrop","aria-hidden":"true"}),t.textarea.before(t.variableBackdrop),n.addClass("has-variable-highlight")),bs(t,e),Ba(t),xs(t,br(e))}function Pa(t){t.variableBackdrop&&(t.variableBackdrop.remove(),t.variableBackdrop=null),t.variablePanel&&(t.variablePanel.remove(),t.variablePanel=null,t.variablePanelKey=null),t.textarea.parent().removeClass("has-variable-highlight")}function bs(t,e){let n=t.textarea.val(),r=t.variableBackdrop[0],a=r.ownerDocument,o=0;r.textContent="",e.forEach(i=>{r.appendChild(a.createTextNode(n.substring(o,i.start)));let s=a.createElement("mark");s.className="markdown-variable-mark"+(i.known?"":" is-unknown"),s.textContent=n.substring(i.start,i.end),r.appendChild(s),o=i.end}),r.appendChild(a.createTextNode(n.substring(o)+" "))}function Da(t,e){let n=window.getComputedStyle(t);ws.forEach(a=>{e.style[a]=n[a]});let r=t.offsetWidth-t.clientWidth-parseFloat(n.borderLeftWidth)-parseFloat(n.borderRightWidth);e.style.paddingRight=parseFloat(n.paddingRight)+Math.max(r,0)+"px",e.style.top=t.offsetTop+"px",e.style.left=t.offsetLeft+"px",e.style.width=t.offsetWidth+"px",e.style.height=t.offsetHeight+"px"}function Ba(t){t.variableBackdrop&&(Da(t.textarea[0],t.variableBackdrop[0]),Oa(t))}function Oa(t){t.variableBackdrop&&(t.variableBackdrop[0].scrollTop=t.textarea[0].scrollTop,t.variableBackdrop[0].scrollLeft=t.textarea[0].scrollLeft)}function Na(t,e){let n=t.textarea[0],r=n.ownerDocument,a=r.createElement("div");a.className="markdown-variable-backdrop",a.style.visibility="hidden",Da(n,a),a.style.height="auto";let o=r.createElement("span");o.textContent="\u200B",a.textContent=n.value.substring(0,e),a.appendChild(o),n.parentNode.appendChild(a);let i={top:o.offsetTop,left:o.offsetLeft,height:o.offsetHeight};return a.remove(),i}function xs(t,e){let n=e.map(c=>`${c.name}:${c.count}`).join(`
+`);if(t.variablePanel&&t.variablePanelKey===n)return;let{known:r,values:a}=t.variableConfig,o=e.filter(c=>!c.known).length,i=p("<div>",{class:"markdown-variables"+(o?" has-unknown":""),role:"region","aria-label":d("Variables used")}),s=p("<div>",{class:"markdown-variables-header"}).append(p("<span>",{class:"markdown-variables-title",text:d("Variables used")}));o&&s.append(p("<span>",{class:"markdown-variables-warning",text:B("{count} unknown variable","{count} unknown variables",o)}));let l=p("<ul>",{class:"markdown-variables-list"});e.forEach(c=>{let u=Object.prototype.hasOwnProperty.call(a,c.name),m=d("Unknown variable");u?m=String(a[c.name]):c.known&&(m=Pe(c.name,r));let h=p("<button>",{type:"button",class:"markdown-variable-item"+(c.known?"":" is-unknown"),title:d("Select next occurrence"),click:w=>{w.preventDefault(),vs(t,c.name)}}).append(p("<code>",{text:"%{"+c.name+"}"}));c.count>1&&h.append(p("<span>",{class:"markdown-variable-count",text:"\xD7"+c.count})),m&&h.append(p("<span>",{class:"markdown-variable-detail",text:m})),l.append(p("<li>").append(h))}),i.append(s,l),t.variablePanel?t.variablePanel.replaceWith(i):t.textarea.parent().append(i),t.variablePanel=i,t.variablePanelKey=n}function vs(t,e){let n=t.textarea[0],r=qt(n.value,t.variableConfig.known).filter(i=>i.name===e);if(!r.length)return;let a=r.find(i=>i.start>=n.selectionEnd)||r[0];n.focus(),n.setSelectionRange(a.start,a.end);let o=Na(t,a.start).top;(o<n.scrollTop||o>n.scrollTop+n.clientHeight-20)&&(n.scrollTop=Math.max(o-n.clientHeight/3,0))}function ys(t){let e=t.textarea[0],n=e.selectionStart===e.selectionEnd?De(e.value,e.selectionStart):null,r=n?xr(t.variableConfig.known,n.query):[];if(!r.length){ie(t);return}let a=en(t),o=ks(t).empty(),i=o.attr("id");r.forEach((l,c)=>{o.append(p("<li>",{id:`${i}-${c}`,class:"markdown-autocomplete-option",role:"option","aria-selected":"false","data-name":l,mousedown:u=>u.preventDefault(),click:()=>Ua(t,l)}).append(p("<code>",{text:l}),p("<span>",{class:"markdown-variable-detail",text:Pe(l,t.variableConfig.known)})))});let s=Na(t,n.start);o.css({top:e.offsetTop+s.top+s.height-e.scrollTop+2,left:Math.min(e.offsetLeft+s.left,Math.max(e.offsetWidth-240,0))}).prop("hidden",!1),t.textarea.attr("aria-expanded","true"),Ma(t,0),a||t.announce(B("{count} variable suggestion","{count} variable suggestions",r.length))}function ks(t){if(!t.variableList){let e=A("variables");t.variableList=p("<ul>",{id:e,class:"markdown-autocomplete markdown-variable-autocomplete",role:"listbox","aria-label":d("Variables"),hidden:!0}),t.textarea.parent().append(t.variableList),t.textarea.attr({"aria-autocomplete":"list","aria-controls":e,"aria-expanded":"false"})}return t.variableList}function en(t){return!!(t.variableList&&!t.variableList.prop("hidden"))}function ie(t){en(t)&&(t.variableList.prop("hidden",!0).empty(),t.textarea.attr("aria-expanded","false").removeAttr("aria-activedescendant"))}function Ma(t,e){let n=t.variableList.children(),r=(e+n.length)%n.length;n.attr("aria-selected","false").removeClass("is-active");let a=n.eq(r).attr("aria-selected","true").addClass("is-active");t.textarea.attr("aria-activedescendant",a.attr("id")),t.variableActive=r;let o=a[0],i=t.variableList[0];o.offsetTop<i.scrollTop?i.scrollTop=o.offsetTop:o.offsetTop+o.offsetHeight>i.scrollTop+i.clientHeight&&(i.scrollTop=o.offsetTop+o.offsetHeight-i.clientHeight)}function Es(t,e){if(!(!en(t)||e.isComposing||e.ctrlKey||e.metaKey||e.altKey)){if(e.key==="ArrowDown"||e.key==="ArrowUp")Ma(t,t.variableActive+(e.key==="ArrowDown"?1:-1));else if(e.key==="Enter"||e.key==="Tab")Ua(t,t.variableList.children().eq(t.variableActive).attr("data-name"));else if(e.key==="Escape")ie(t);else return;e.preventDefault(),e.stopImmediatePropagation()}}function Ua(t,e){let n=t.textarea[0],r=De(n.value,n.selectionStart);ie(t),r&&(t.replaceRange(r.start,r.end,"%{"+e+"}"),t.announce(d("Inserted variable: {name}",{name:e})))}var st=new Map,Ha={get(t){return st.get(Ss(t))||null},all(){return Array.from(st.values())},forEach(t){this.all().forEach(e=>t(e))},get size(){return st.size},[Symbol.iterator](){return this.all()[Symbol.iterator]()}};function Fa(t){st.set(t.textarea[0],t)}function $a(t){st.get(t.textarea[0])===t&&st.delete(t.textarea[0])}function Ss(t){return typeof t=="string"?document.querySelector(t):t&&t.jquery?t[0]||null:t||null}function Ga(t,e){if(P(t,e)){k(t);return}let n=t.textarea[0],{selectionStart:r,selectionEnd:a}=n,o=zt(n.value,r),i=o&&a<=o.end?o:null,s=n.value.substring(r,a),l=p("<div>",{class:"markdown-link-popover",role:"dialog","aria-label":i?d("Edit link"):d("Insert link")}),c=A("link-error"),u=V(A("link-url"),d("URL"),{inputmode:"url",placeholder:"https://",value:i?i.url:"","aria-describedby":c}),m=V(A("link-text"),d("Text"),{value:i?i.text:s.includes(`
+`)?"":s}),h=p("<div>",{id:c,class:"markdown-popover-error",role:"alert"}),w=()=>{let x=u.$input.val().trim(),b=Xn(x);if(!b){h.text(x?d("This kind of link is not allowed. Use a web, e-mail or relative address."):d("Enter a URL.")),u.$input.attr("aria-invalid","true").trigger("focus");return}k(t);let E=Yn(n.value,r,a,m.$input.val().trim(),b,i);C(t,E.value,E.selectionStart,E.selectionEnd)};u.$input.on("input",()=>{u.$input.removeAttr("aria-invalid"),h.text("")}),dt(u.$input,w),dt(m.$input,w);let v=p("<div>",{class:"markdown-popover-actions"}).append(D(i?d("Update"):d("Insert"),w,!0));i&&v.append(D(d("Remove link"),()=>{k(t);let x=Qn(n.value,i);C(t,x.value,x.selectionStart,x.selectionEnd)})),v.append(D(d("Cancel"),()=>k(t))),l.append(u.$field,m.$field,h,v),I(t,e,l)}var za=8;function _a(t,e){if(P(t,e)){k(t);return}let n=t.textarea[0],{selectionStart:r,selectionEnd:a}=n,o=Q(n.value,r),i=o&&a<=o.end?o:null,s=p("<div>",{class:"markdown-code-popover",role:"dialog","aria-label":i?d("Edit code block"):d("Insert code block")}),l=V(A("code-language"),d("Language (optional)"),{value:i?xn(n.value,i):""}),c=Ts(l.$input,mr()),u=w=>{k(t);let v=w(n.value);C(t,v.value,v.selectionStart,v.selectionEnd)},m=()=>{let w=As(l.$input.val());i?u(v=>vn(v,r,a,i,w)):(k(t),t.wrapSelection("```"+w+`
+`,"\n```",d("code here")))};dt(l.$input,m);let h=p("<div>",{class:"markdown-popover-actions"}).append(D(i?d("Apply"):d("Insert"),m,!0));i&&h.append(D(d("Remove code block"),()=>{u(w=>bn(w,r,a,i))})),h.append(D(d("Cancel"),()=>k(t))),s.append(l.$field.append(c),h),I(t,e,s)}function Ts(t,e){let n=A("code-languages"),r=p("<ul>",{id:n,class:"markdown-autocomplete",role:"listbox",hidden:!0}),a=-1;t.attr({role:"combobox","aria-autocomplete":"list","aria-expanded":"false","aria-controls":n});let o=()=>{a=-1,r.prop("hidden",!0).empty(),t.attr("aria-expanded","false").removeAttr("aria-activedescendant")},i=c=>{let u=r.children();a=(c+u.length)%u.length,u.attr("aria-selected","false").removeClass("is-active");let m=u.eq(a).attr("aria-selected","true").addClass("is-active");t.attr("aria-activedescendant",m.attr("id"))},s=c=>{t.val(c),o()},l=()=>{let c=Rs(e,t.val());o(),c.length&&(c.forEach((u,m)=>{r.append(p("<li>",{id:`${n}-${m}`,class:"markdown-autocomplete-option",role:"option","aria-selected":"false",text:u,mousedown:h=>h.preventDefault(),click:()=>s(u)}))}),r.prop("hidden",!1),t.attr("aria-expanded","true"))};return t.on("input focus",l),t.on("blur",o),t.on("keydown",c=>{let u=!r.prop("hidden");c.key==="ArrowDown"||c.key==="ArrowUp"?(c.preventDefault(),u||l(),i(a+(c.key==="ArrowDown"?1:-1))):c.key==="Enter"&&u&&a>=0?(c.preventDefault(),s(r.children().eq(a).text())):c.key==="Escape"&&u&&(c.preventDefault(),c.stopPropagation(),o())}),r}function Rs(t,e){let n=e.trim().toLowerCase();if(!n)return t.slice(0,za);let r=t.filter(o=>o.startsWith(n)),a=t.filter(o=>!o.startsWith(n)&&o.includes(n));return r.concat(a).filter(o=>o!==n).slice(0,za)}function As(t){return t.trim().split(/\s+/)[0].replace(/[`~]/g,"")}function ja(t,e){if(P(t,e)){k(t);return}let{value:n,selectionStart:r}=t.textarea[0],a=n.lastIndexOf(`
+`,r-1)+1,o=n.indexOf(`
+`,r);o===-1&&(o=n.length);let i=pt(n.substring(a,o)),s=p("<div>",{class:"markdown-table-picker markdown-table-menu markdown-heading-menu",role:"menu","aria-label":d("Heading")});for(let l=0;l<=6;l++)s.append(p("<button>",{type:"button",class:"markdown-table-menu-item markdown-heading-option",role:"menuitemradio",tabindex:-1,"aria-checked":String(l===i),"data-level":l,text:l===0?d("Normal text"):d("Heading {level}",{level:l}),click:c=>{c.preventDefault(),k(t),t.setHeading(l)}}));Z(t,s),I(t,e,s,{focus:'[aria-checked="true"]'})}function Va(t,e,n,r=""){let a=t.textarea[0],o=a.selectionStart,i=a.selectionEnd;if(e.includes(`
+`)){let s=a.value.substring(o,i)||r;U(t,o,i,e+s+n,{selectionStart:o+e.length,selectionEnd:o+e.length+s.length});return}j(t,mn(a.value,o,i,e,n,r))}function qa(t){let e=t.textarea[0];j(t,wn(e.value,e.selectionStart,e.selectionEnd))}function Ka(t,e){let n=t.textarea[0];j(t,me(n.value,n.selectionStart,n.selectionEnd,e)),O(t,e>0?d("Heading {level}",{level:e}):d("Normal text"))}function Wa(t,e){ja(t,e||se(t,"heading"))}function Xa(t,e){Ga(t,e||se(t,"link"))}function Ya(t,e){_a(t,e||se(t,"codeblock"))}function Qa(t,e){let n=t.textarea[0];j(t,hn(n.value,n.selectionStart,n.selectionEnd,e,d("List Item")))}function Ja(t){let e=t.textarea[0];j(t,gn(e.value,e.selectionStart,e.selectionEnd,d("Quote")))}function Za(t,e,n){let r=t.textarea[0],a=o=>d("Column {n}",{n:o});j(t,Rn(r.value,r.selectionStart,r.selectionEnd,e,n,a))}function to(t,e){let n=t.textarea[0],r=Mt(n.value,n.selectionStart,n.selectionEnd,e);return r?(j(t,r),!0):!1}function eo(t){let n=t.textarea[0].selectionStart;U(t,n,n,`
 
 ---
 
-`;t.value=n.substring(0,a)+o+n.substring(a);let i=a+o.length;t.setSelectionRange(i,i),e.textarea.trigger("input")}function ie(e){e.textarea.on("keydown",t=>{if(t.ctrlKey||t.metaKey)switch(t.key.toLowerCase()){case"b":t.preventDefault(),R(e,"**","**","bold text");break;case"i":t.preventDefault(),R(e,"*","*","italic text");break;case"k":t.preventDefault(),L(e);break;case"h":t.preventDefault(),M(e);break}})}var w=class{constructor(t,a={}){this.textarea=s(t);let n=window.osTicketMarkdownConfig||{};r("Global config received","DEBUG",n),r("Default format from config: "+n.defaultFormat,"DEBUG"),this.options=s.extend({showToolbar:n.showToolbar!==void 0?n.showToolbar:!0,allowFormatSwitch:n.allowFormatSwitch!==void 0?n.allowFormatSwitch:!0,previewPosition:"bottom",debounceDelay:500,toolbarButtons:["bold","italic","heading","link","code","codeblock","ul","ol","quote","hr","image"],shortcuts:!0,autoInit:!0,compact:!1},a),this.container=null,this.toolbar=null,this.previewPane=null,this.debounceTimer=null,this.currentFormat=n.defaultFormat||"markdown",r("Current format set to: "+this.currentFormat,"INFO"),r("Editor options","DEBUG",this.options),this.options.autoInit&&this.init()}init(){r("Initializing editor for textarea: "+this.textarea.attr("id"),"INFO"),r("Current format: "+this.currentFormat,"DEBUG"),this.currentFormat!=="html"?(r("Destroying Redactor (not HTML format)","DEBUG"),this.destroyRedactor()):r("Keeping Redactor (HTML format)","DEBUG"),this.options.allowFormatSwitch&&this.createFormatSwitcherStandalone(),this.currentFormat!=="html"&&this.createContainer(),this.options.showToolbar&&this.currentFormat!=="html"&&this.createToolbar(),this.currentFormat==="markdown"&&!this.options.compact&&(this.createPreview(),this.setupLivePreview()),this.options.shortcuts&&this.currentFormat==="markdown"&&this.setupKeyboardShortcuts(),this.currentFormat==="markdown"&&!this.options.compact&&this.setupImageUpload(),this.setupCannedResponseHandler(),this.currentFormat==="markdown"&&this.textarea.val().trim()&&this.renderPreview(),r("Editor initialized successfully","DEBUG")}createContainer(){let t="markdown-editor-container"+(this.options.compact?" markdown-compact":"");this.container=s("<div>",{class:t,"data-format":this.currentFormat}),this.textarea.wrap(this.container),this.container=this.textarea.parent();let a=s("<div>",{class:"markdown-editor-wrapper"});this.textarea.wrap(a),this.textarea.addClass("markdown-textarea"),this.ensureFormatField()}destroyRedactor(){Q(this)}restoreRedactor(){Y(this)}setupRedactorProtection(){C(this)}createToolbar(){_(this)}createPreview(){A(this)}setupLivePreview(){j(this)}renderPreview(){T(this)}togglePreview(){W(this)}createFormatSwitcherStandalone(){V(this)}createFormatSwitcher(){return q(this)}ensureFormatField(){K(this)}wrapSelection(t,a,n){R(this,t,a,n)}insertHeading(){M(this)}insertLink(){L(this)}insertCodeBlock(){ae(this)}insertList(t){re(this,t)}insertBlockquote(){oe(this)}insertHorizontalRule(){ne(this)}setupKeyboardShortcuts(){ie(this)}setupImageUpload(){Z(this)}_teardownImageUploadHandlers(){P(this)}_triggerImageFileDialog(){ee(this)}_showUploadError(t){E(this,t)}setupCannedResponseHandler(){te(this)}htmlToMarkdown(t){return F(t)}switchFormat(t){r("Switching format from "+this.currentFormat+" to "+t,"INFO");let a=this.currentFormat;this.currentFormat=t,this.container.attr("data-format",t),this.formatField&&(this.formatField.val(t),r("Updated format field to: "+t,"DEBUG")),this.textarea.removeClass("markdown-active markdown-textarea"),this.textarea.removeAttr("data-markdown-enabled"),this.textarea.removeAttr("data-wants-redactor"),t==="markdown"&&(this.textarea.addClass("markdown-active markdown-textarea"),this.textarea.attr("data-markdown-enabled","true")),t==="html"?(r("Switching to HTML format","DEBUG"),this.textarea.closest("td").find(".markdown-preview-container").remove(),this.previewPane=null,r("Removed all preview containers","DEBUG"),this.toolbar&&(this.toolbar.remove(),this.toolbar=null,r("Removed Markdown toolbar","DEBUG")),this.restoreRedactor()):t==="markdown"&&(r("Switching to Markdown format","DEBUG"),a==="html"&&this.destroyRedactor(),!this.container||this.container.length===0?(this.createContainer(),r("Created markdown container","DEBUG")):(this.container.show(),this.container.append(this.textarea),r("Restored textarea to markdown container","DEBUG")),this.options.showToolbar&&!this.toolbar&&(this.createToolbar(),r("Created Markdown toolbar","DEBUG")),!this.previewPane&&!this.options.compact&&(this.createPreview(),this.setupLivePreview(),r("Created Markdown preview","DEBUG")),this.options.compact||this.setupImageUpload(),this.toolbar&&(this.toolbar.find(".markdown-toolbar-btn").show(),this.toolbar.show()),this.previewPane&&this.textarea.val().trim()&&this.renderPreview()),this.textarea.trigger("formatChanged",[a,t]),r(`Format switch complete: ${a} \u2192 ${t}`,"DEBUG")}destroy(){this.redactorObserver&&(this.redactorObserver.disconnect(),this.redactorObserver=null),this.toolbar&&this.toolbar.remove(),this.previewPane&&this.previewPane.parent().remove(),this.textarea.unwrap(),this.textarea.unwrap(),this.textarea.removeClass("markdown-textarea markdown-active"),this.textarea.off("input keydown paste.markdownImageUpload"),this.container&&this.container.off("dragover.markdownImageUpload dragleave.markdownImageUpload drop.markdownImageUpload"),r("Editor destroyed","DEBUG")}};function se(){s.fn.markdownEditor=function(e){return this.each(function(){let t=s(this);if(t.data("markdownEditor"))return;let a=new w(this,e);t.data("markdownEditor",a)})}}function xe(){s(document).on("ajaxStop.markdownProtection",function(){s('textarea[data-markdown-enabled="true"], textarea.markdown-active').each(function(){let e=s(this);if(e.attr("data-wants-redactor")==="true"){r("Skipping protection - textarea wants Redactor:","DEBUG",e.attr("name"));return}e.removeClass("richtext"),e.removeData("redactor"),e.removeData("redactor-instance"),r("Protected textarea from Redactor re-init:","DEBUG",e.attr("name"))})}),s(document).on("ajaxComplete.markdownProtection",function(){s('textarea[data-markdown-enabled="true"], textarea.markdown-active').each(function(){let e=s(this);if(e.attr("data-wants-redactor")==="true")return;let t=e.siblings(".redactor-box");if(t.length>0){if(r("Redactor was re-initialized! Destroying immediately...","DEBUG"),typeof e.redactor=="function")try{e.redactor("core.destroy")}catch(a){}t.remove(),e.show(),e.removeClass("richtext"),e.removeData("redactor")}})}),r("Installed Redactor re-initialization protection","DEBUG")}function ce(){s(document).ready(function(){r("Initializing auto-detection...","DEBUG"),xe();let e=['textarea[name="response"]','textarea[name="message"]','textarea[name="note"]',"textarea.markdown-enabled",'textarea[data-markdown="true"]'],t=["textarea.richtext"],a=[...e,...t];function n(c){let l=c.attr("name")||"";return["response","message","note"].includes(l)||c.hasClass("markdown-enabled")||c.attr("data-markdown")==="true"}function o(){let c=0,l=10,d=200;function u(){if(c++,a.forEach(p=>{let f=s(p);f.length>0&&(r(`Found ${f.length} textarea(s) matching ${p}`,"DEBUG"),f.each(function(){let g=s(this);if(g.data("markdownEditor"))return;if(g.data("redactor")||g.siblings(".redactor-box").length>0||c>=l){let b=!n(g);r(`Initializing editor for textarea: ${g.attr("name")} (attempt ${c}, compact: ${b})`,"INFO"),g.markdownEditor({previewPosition:"bottom",debounceDelay:500,compact:b})}}))}),c<l){let p=!1;a.forEach(f=>{s(f).each(function(){s(this).data("markdownEditor")||(p=!0)})}),p?setTimeout(u,d):r("All textareas initialized successfully","DEBUG")}else r("Initialization complete (max attempts reached)","DEBUG")}u()}o(),new MutationObserver(function(c){let l=!1;c.forEach(function(d){d.addedNodes.forEach(function(u){if(u.nodeType!==Node.ELEMENT_NODE)return;let p=s(u);p.is("textarea")&&(l=!0),p.find("textarea").length>0&&(l=!0)})}),l&&(r("DOM mutation detected - checking for new textareas","DEBUG"),setTimeout(function(){a.forEach(d=>{s(d).each(function(){let p=s(this);if(!p.data("markdownEditor")&&(p.is(":visible")||p.parent().is(":visible"))){let f=!n(p);r(`Initializing dynamically added textarea: ${p.attr("name")} (compact: ${f})`,"INFO"),p.markdownEditor({previewPosition:"bottom",debounceDelay:500,compact:f})}})})},500))}).observe(document.body,{childList:!0,subtree:!0}),r("MutationObserver started for dynamic textareas","INFO")})}(function(){"use strict";function e(){if(typeof jQuery=="undefined"){setTimeout(e,50);return}t(jQuery)}function t(a){N(a,!1),se(),ce(),window.MarkdownEditor=w}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",e):e()})();})();
+`)}function no(t){t.textarea.on("keydown",e=>{let n=e.ctrlKey||e.metaKey;if(!n&&!e.altKey&&Cs(t,e)){e.preventDefault();return}if(!n&&!e.altKey||t.currentFormat&&t.currentFormat!=="markdown")return;let r=Ft(t.options.toolbarButtons,{compact:t.options.compact}),a=$n(e,r);a&&(e.preventDefault(),gt(t,a,se(t,a.id)))})}function Cs(t,e){let n=t.textarea[0],r=t.tabEscape;if(t.tabEscape=e.key==="Escape",e.key==="Escape"&&!r&&t.isFullscreen)return e.preventDefault(),!1;if(t.currentFormat&&t.currentFormat!=="markdown"||e.isComposing||e.originalEvent&&e.originalEvent.isComposing)return!1;let{value:o,selectionStart:i,selectionEnd:s}=n,l=null;return e.key==="Enter"&&!e.shiftKey&&i===s?l=An(o,i)||cn(o,i):e.key==="Tab"&&!r&&t.options.tabIndent!==!1&&(l=Mt(o,i,s,e.shiftKey?"previous":"next")||un(o,i,s,e.shiftKey)),l?(j(t,l),!0):!1}function se(t,e){return t.toolbar?t.toolbar.find(`[data-action="${e}"]`):null}function j(t,e){C(t,e.value,e.selectionStart,e.selectionEnd)}var lt=class{constructor(e,n={}){this.textarea=p(e);let r=window.osTicketMarkdownConfig||{};f("Global config received","DEBUG",r),f("Default format from config: "+r.defaultFormat,"DEBUG"),this.options=p.extend({showToolbar:r.showToolbar!==void 0?r.showToolbar:!0,allowFormatSwitch:r.allowFormatSwitch!==void 0?r.allowFormatSwitch:!0,allowedFormats:r.allowedFormats,previewPosition:r.previewPosition||"bottom",debounceDelay:500,syncScroll:r.syncScroll!==void 0?r.syncScroll:!0,toolbarButtons:r.toolbarButtons||["bold","italic","heading","|","link","code","codeblock","|","ul","ol","quote","|","table","hr","image","canned"],shortcuts:!0,tabIndent:!0,fullscreen:!0,autoInit:!0,compact:!1},n),this.options.allowedFormats=Mr(this.options.allowedFormats),this.container=null,this.toolbar=null,this.previewPane=null,this.debounceTimer=null,this.history=null,this.listeners={},this.currentFormat=r.defaultFormat||"markdown",this.options.allowedFormats.includes(this.currentFormat)||(this.currentFormat=this.options.allowedFormats[0]),f("Current format set to: "+this.currentFormat,"INFO"),f("Editor options","DEBUG",this.options),this.options.autoInit&&this.init()}init(){f("Initializing editor for textarea: "+this.textarea.attr("id"),"INFO"),f("Current format: "+this.currentFormat,"DEBUG"),this.currentFormat!=="html"?(f("Destroying Redactor (not HTML format)","DEBUG"),this.destroyRedactor()):f("Keeping Redactor (HTML format)","DEBUG"),this.options.allowFormatSwitch&&this.options.allowedFormats.length>1&&this.createFormatSwitcherStandalone(),this.currentFormat!=="html"&&this.createContainer(),this.options.showToolbar&&this.currentFormat==="markdown"&&this.createToolbar(),this.currentFormat==="markdown"&&this.wantsPreview()&&(this.createPreview(),this.setupLivePreview(),this.options.syncScroll&&this.options.previewPosition!=="tabs"&&this.setupScrollSync()),this.currentFormat!=="html"&&this.setupHistory(),this.options.shortcuts&&this.currentFormat!=="html"&&this.setupKeyboardShortcuts(),this.currentFormat!=="html"&&(this.setupPasteHandler(),this.setupVariableAssist()),this.currentFormat==="markdown"&&!this.options.compact&&this.setupImageUpload(),this.setupCannedResponseHandler(),this.setupSubmitEvent(),Fa(this),this.emit("init"),this.currentFormat==="markdown"&&this.textarea.val().trim()&&this.renderPreview(),f("Editor initialized successfully","DEBUG")}wantsPreview(){return!this.options.compact||this.options.previewPosition==="tabs"}createContainer(){let e="markdown-editor-container"+(this.options.compact?" markdown-compact":"");this.container=p("<div>",{class:e,"data-format":this.currentFormat}),this.textarea.wrap(this.container),this.container=this.textarea.parent();let n=p("<div>",{class:"markdown-editor-wrapper"});this.textarea.wrap(n),this.textarea.addClass("markdown-textarea"),this.ensureFormatField()}static registerButton(e){return Ht(e)}static unregisterButton(e){return Mn(e)}static getToolbarButtons(){return Un()}static get instances(){return Ha}on(e,n){return Rr(this,e,n),this}off(e,n){return Ar(this,e,n),this}emit(e,n){return T(this,e,n)}setupSubmitEvent(){Cr(this)}teardownSubmitEvent(){Oe(this)}destroyRedactor(){oa(this)}restoreRedactor(){ia(this)}setupRedactorProtection(){Ge(this)}createToolbar(){tr(this)}removeToolbar(){er(this)}refreshToolbar(){Ee(this)}updateToolbarState(){et(this)}runToolbarButton(e,n){gt(this,e,n)}createPreview(){Lr(this)}setupLivePreview(){Ir(this)}renderPreview(){Yt(this)}togglePreview(){Br(this)}selectTab(e){rt(this,e)}removePreviewTabs(){Me(this)}setupScrollSync(){Er(this)}teardownScrollSync(){Be(this)}setupHistory(){on(this)}teardownHistory(){ue(this)}replaceRange(e,n,r,a){U(this,e,n,r,a)}undo(){return Lt(this)}redo(){return It(this)}toggleFullscreen(){ka(this)}enterFullscreen(){Qe(this)}exitFullscreen(){Tt(this)}setLayout(e){Rt(this,e)}createFormatSwitcherStandalone(){Ur(this)}createFormatSwitcher(){return Hr(this)}ensureFormatField(){$r(this)}switchFormat(e,n){return pa(this,e,n)}undoFormatSwitch(){return ze(this)}wrapSelection(e,n,r){Va(this,e,n,r)}insertHeading(){qa(this)}setHeading(e){Ka(this,e)}openHeadingMenu(e){Wa(this,e)}insertLink(e){Xa(this,e)}insertCodeBlock(e){Ya(this,e)}insertList(e){Qa(this,e)}insertBlockquote(){Ja(this)}insertTable(e,n){Za(this,e,n)}tableCommand(e){return to(this,e)}insertHorizontalRule(){eo(this)}setupKeyboardShortcuts(){no(this)}closePopover(e){k(this,e)}announce(e){O(this,e)}setupPasteHandler(){Aa(this)}teardownPasteHandler(){Ze(this)}setupVariableAssist(){Ia(this)}teardownVariableAssist(){tn(this)}setupImageUpload(){da(this)}_teardownImageUploadHandlers(){je(this)}_triggerImageFileDialog(){ha(this)}_showUploadError(e){kt(this,e)}setupCannedResponseHandler(){ga(this)}openCannedPicker(e){xa(this,e)}htmlToMarkdown(e){return M(e)}applyFormat(e,n){f("Switching format from "+this.currentFormat+" to "+e,"INFO");let r=this.currentFormat;this.exitFullscreen(),this.closePopover(!1),this.currentFormat=e,this.container&&this.container.attr("data-format",e),this.formatField&&(this.formatField.val(e),f("Updated format field to: "+e,"DEBUG")),this.textarea.removeClass("markdown-active markdown-textarea"),this.textarea.removeAttr("data-markdown-enabled"),this.textarea.removeAttr("data-wants-redactor"),e!=="html"&&(this.textarea.addClass("markdown-active markdown-textarea"),this.textarea.attr("data-markdown-enabled","true")),e==="html"?(f("Switching to HTML format","DEBUG"),this.teardownHistory(),this.teardownPasteHandler(),this.teardownVariableAssist(),this.removeMarkdownTools(),this.textarea.val(n),this.restoreRedactor()):(f("Switching to "+e+" format","DEBUG"),r==="html"&&this.destroyRedactor(),this.textarea.val(n),!this.container||this.container.length===0?(this.createContainer(),f("Created markdown container","DEBUG")):(this.container.show(),this.container.append(this.textarea),f("Restored textarea to markdown container","DEBUG")),this.setupPasteHandler(),e==="text"?this.removeMarkdownTools():this.addMarkdownTools(),this.setupVariableAssist(),this.setupHistory(),this.previewPane&&this.textarea.val().trim()&&this.renderPreview()),this.announce(d("Format: {format}",{format:bt(e)})),this.textarea.trigger("formatChanged",[r,e]),f(`Format switch complete: ${r} \u2192 ${e}`,"DEBUG")}addMarkdownTools(){this.options.showToolbar&&!this.toolbar&&(this.createToolbar(),f("Created Markdown toolbar","DEBUG")),!this.previewPane&&this.wantsPreview()&&(this.createPreview(),this.setupLivePreview(),this.options.syncScroll&&this.options.previewPosition!=="tabs"&&this.setupScrollSync(),f("Created Markdown preview","DEBUG")),this.options.compact||this.setupImageUpload(),this.toolbar&&(this.toolbar.find(".markdown-toolbar-btn").show(),this.toolbar.show())}removeMarkdownTools(){this.teardownScrollSync(),this._teardownImageUploadHandlers(),this.removePreviewTabs(),this.textarea.closest("td").find(".markdown-preview-container").remove(),this.previewPane=null,f("Removed all preview containers","DEBUG"),this.toolbar&&(this.removeToolbar(),f("Removed Markdown toolbar","DEBUG"))}destroy(){this.emit("destroy"),this.exitFullscreen(),this.closePopover(!1),_(this),clearTimeout(this.debounceTimer),this.previewXhr&&(this.previewXhr.abort(),this.previewXhr=null),this.redactorObserver&&(this.redactorObserver.disconnect(),this.redactorObserver=null),this.teardownHistory(),this.teardownScrollSync(),this.teardownPasteHandler(),this.teardownVariableAssist(),this.teardownSubmitEvent(),this.removePreviewTabs(),this.removeToolbar(),Zn(this),this.previewPane&&this.previewPane.parent().remove(),this.textarea.unwrap(),this.textarea.unwrap(),this.textarea.removeClass("markdown-textarea markdown-active"),this.textarea.off("input keydown paste.markdownImageUpload"),this.container&&this.container.off("dragover.markdownImageUpload dragleave.markdownImageUpload drop.markdownImageUpload"),this.textarea.removeData("markdownEditor"),$a(this),f("Editor destroyed","DEBUG")}};function ro(){p.fn.markdownEditor=function(t){return this.each(function(){let e=p(this);if(e.data("markdownEditor"))return;let n=new lt(this,t);e.data("markdownEditor",n)})}}function Ls(){p(document).on("ajaxStop.markdownProtection",function(){p('textarea[data-markdown-enabled="true"], textarea.markdown-active').each(function(){let t=p(this);if(t.attr("data-wants-redactor")==="true"){f("Skipping protection - textarea wants Redactor:","DEBUG",t.attr("name"));return}t.removeClass("richtext"),t.removeData("redactor"),t.removeData("redactor-instance"),f("Protected textarea from Redactor re-init:","DEBUG",t.attr("name"))})}),p(document).on("ajaxComplete.markdownProtection",function(){p('textarea[data-markdown-enabled="true"], textarea.markdown-active').each(function(){let t=p(this);if(t.attr("data-wants-redactor")==="true")return;let e=t.siblings(".redactor-box");if(e.length>0){if(f("Redactor was re-initialized! Destroying immediately...","DEBUG"),typeof t.redactor=="function")try{t.redactor("core.destroy")}catch(n){}e.remove(),t.show(),t.removeClass("richtext"),t.removeData("redactor")}})}),f("Installed Redactor re-initialization protection","DEBUG")}function ao(){p(document).ready(function(){f("Initializing auto-detection...","DEBUG"),Ls();let t=['textarea[name="response"]','textarea[name="message"]','textarea[name="note"]',"textarea.markdown-enabled",'textarea[data-markdown="true"]'],e=["textarea.richtext"],n=[...t,...e];function r(s){let l=s.attr("name")||"";return["response","message","note"].includes(l)||s.hasClass("markdown-enabled")||s.attr("data-markdown")==="true"}function a(s){let l={debounceDelay:500,compact:s};return s&&(l.previewPosition="tabs"),l}function o(){let s=0,l=10,c=200;function u(){if(s++,n.forEach(m=>{let h=p(m);h.length>0&&(f(`Found ${h.length} textarea(s) matching ${m}`,"DEBUG"),h.each(function(){let w=p(this);if(w.data("markdownEditor"))return;if(w.data("redactor")||w.siblings(".redactor-box").length>0||s>=l){let x=!r(w);f(`Initializing editor for textarea: ${w.attr("name")} (attempt ${s}, compact: ${x})`,"INFO"),w.markdownEditor(a(x))}}))}),s<l){let m=!1;n.forEach(h=>{p(h).each(function(){p(this).data("markdownEditor")||(m=!0)})}),m?setTimeout(u,c):f("All textareas initialized successfully","DEBUG")}else f("Initialization complete (max attempts reached)","DEBUG")}u()}o(),new MutationObserver(function(s){let l=!1;s.forEach(function(c){c.addedNodes.forEach(function(u){if(u.nodeType!==Node.ELEMENT_NODE)return;let m=p(u);m.is("textarea")&&(l=!0),m.find("textarea").length>0&&(l=!0)})}),l&&(f("DOM mutation detected - checking for new textareas","DEBUG"),setTimeout(function(){n.forEach(c=>{p(c).each(function(){let m=p(this);if(!m.data("markdownEditor")&&(m.is(":visible")||m.parent().is(":visible"))){let h=!r(m);f(`Initializing dynamically added textarea: ${m.attr("name")} (compact: ${h})`,"INFO"),m.markdownEditor(a(h))}})})},500))}).observe(document.body,{childList:!0,subtree:!0}),f("MutationObserver started for dynamic textareas","INFO")})}(function(){"use strict";function t(){if(typeof jQuery=="undefined"){setTimeout(t,50);return}e(jQuery)}function e(n){an(n,!1),ro(),ao(),window.MarkdownEditor=lt}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",t):t()})();})();
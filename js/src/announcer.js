@@ -0,0 +1,49 @@
+/**
+ * Screen reader announcements
+ *
+ * One visually hidden polite live region per editor for changes that are
+ * not visible at the caret: formatting toggled from the toolbar or by
+ * shortcut, format switches and upload results.
+ */
+
+import { $ } from './globals.js';
+
+/** Delay before the text is set, so repeated messages are read again */
+const ANNOUNCE_DELAY = 50;
+
+/**
+ * Announce a message
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} message
+ */
+export function announce(editor, message) {
+    if (!editor.liveRegion) {
+        editor.liveRegion = $('<div>', {
+            class: 'markdown-live-region sr-only',
+            role: 'status',
+            'aria-live': 'polite',
+            'aria-atomic': 'true'
+        });
+        // Next to the container, which is hidden in HTML mode
+        (editor.container && editor.container.length ? editor.container : editor.textarea)
+            .before(editor.liveRegion);
+    }
+
+    const $region = editor.liveRegion.text('');
+    clearTimeout(editor.announceTimer);
+    editor.announceTimer = setTimeout(() => $region.text(message), ANNOUNCE_DELAY);
+}
+
+/**
+ * Remove the live region
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function removeAnnouncer(editor) {
+    clearTimeout(editor.announceTimer);
+    if (editor.liveRegion) {
+        editor.liveRegion.remove();
+        editor.liveRegion = null;
+    }
+}
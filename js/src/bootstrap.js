@@ -97,6 +97,22 @@ export function autoInit() {
                 $textarea.attr('data-markdown') === 'true';
         }
 
+        /**
+         * Primary textareas use the configured preview position; compact
+         * ones get Write/Preview tabs, so they can preview without taking
+         * up vertical space.
+         */
+        function getEditorOptions(compact) {
+            const options = {
+                debounceDelay: 500,
+                compact: compact
+            };
+            if (compact) {
+                options.previewPosition = 'tabs';
+            }
+            return options;
+        }
+
         function initializeMarkdownEditors() {
             let attemptCount = 0;
             const maxAttempts = 10;
@@ -119,11 +135,7 @@ export function autoInit() {
                             if (hasRedactor || attemptCount >= maxAttempts) {
                                 const compact = !isPrimaryTextarea($textarea);
                                 debugLog(`Initializing editor for textarea: ${$textarea.attr('name')} (attempt ${attemptCount}, compact: ${compact})`, 'INFO');
-                                $textarea.markdownEditor({
-                                    previewPosition: 'bottom',
-                                    debounceDelay: 500,
-                                    compact: compact
-                                });
+                                $textarea.markdownEditor(getEditorOptions(compact));
                             }
                         });
                     }
@@ -185,11 +197,7 @@ export function autoInit() {
                             if ($textarea.is(':visible') || $textarea.parent().is(':visible')) {
                                 const compact = !isPrimaryTextarea($textarea);
                                 debugLog(`Initializing dynamically added textarea: ${$textarea.attr('name')} (compact: ${compact})`, 'INFO');
-                                $textarea.markdownEditor({
-                                    previewPosition: 'bottom',
-                                    debounceDelay: 500,
-                                    compact: compact
-                                });
+                                $textarea.markdownEditor(getEditorOptions(compact));
                             }
                         });
                     });
@@ -0,0 +1,407 @@
+/**
+ * Canned response picker
+ *
+ * Toolbar popover with a search field, the matching canned responses
+ * (title and a snippet of the text) and a rendered preview of the selected
+ * one. Enter or a click inserts the response at the caret, together with
+ * its attachments.
+ *
+ * The texts are loaded one after another while the picker is open; a
+ * search matches titles fuzzily and the loaded texts literally.
+ */
+
+import { $ } from './globals.js';
+import { renderMarkdown } from './markdown-renderer.js';
+import { sanitizeToFragment } from './sanitizer.js';
+import { htmlToMarkdown } from './html-to-markdown.js';
+import { getCannedResponses, fetchCannedResponse, applyCannedResponse } from './canned-response.js';
+import { openPopover, closePopover, isPopoverOpen, createField, uniqueId } from './popover.js';
+import { t, tn } from './i18n.js';
+
+/** Maximum number of results shown */
+const MAX_RESULTS = 50;
+
+/** Snippet length in characters */
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Open or close the canned response picker
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} $button - Toolbar button
+ */
+export function toggleCannedPicker(editor, $button) {
+    if (isPopoverOpen(editor, $button)) {
+        closePopover(editor);
+        return;
+    }
+
+    const responses = getCannedResponses(editor);
+    const listId = uniqueId('canned-results');
+    const search = createField(uniqueId('canned-search'), t('Search canned responses'), {
+        type: 'search',
+        role: 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-expanded': 'true',
+        'aria-controls': listId
+    });
+    const $list = $('<ul>', {
+        id: listId,
+        class: 'markdown-canned-results',
+        role: 'listbox',
+        'aria-label': t('Canned responses')
+    });
+    const $status = $('<div>', { class: 'markdown-canned-status', role: 'status' });
+    const $preview = $('<div>', { class: 'markdown-preview markdown-canned-preview' });
+    const $popover = $('<div>', {
+        class: 'markdown-canned-popover',
+        role: 'dialog',
+        'aria-label': t('Insert canned response')
+    });
+
+    let results = [];
+    let active = -1;
+    let loading = false;
+
+    const isOpen = () => !!editor.popover && editor.popover[0] === $popover[0];
+
+    const showPreview = (item) => {
+        $preview.empty();
+        if (!item) return;
+        if (item.failed) {
+            $preview.append($('<p>', { class: 'preview-empty', text: t('Canned response could not be loaded') }));
+        } else if (item.markdown === undefined) {
+            $preview.append($('<p>', { class: 'preview-empty', text: t('Loading...') }));
+            loadResponse(editor, item).then(() => {
+                if (isOpen() && results[active] && results[active].item === item) showPreview(item);
+            });
+        } else {
+            $preview.append(sanitizeToFragment(renderMarkdown(item.markdown)));
+        }
+    };
+
+    const setActive = (index) => {
+        const $options = $list.children();
+        active = index;
+        $options.attr('aria-selected', 'false').removeClass('is-active');
+        if (index < 0) {
+            search.$input.removeAttr('aria-activedescendant');
+            showPreview(null);
+            return;
+        }
+
+        const $option = $options.eq(index).attr('aria-selected', 'true').addClass('is-active');
+        search.$input.attr('aria-activedescendant', $option.attr('id'));
+        if ($option[0].scrollIntoView) {
+            $option[0].scrollIntoView({ block: 'nearest' });
+        }
+        showPreview(results[index].item);
+    };
+
+    const insert = (item) => {
+        // Failed requests are tried again
+        delete item.failed;
+        $status.text(t('Loading...'));
+        loadResponse(editor, item).then(() => {
+            if (!isOpen()) return;
+            if (item.failed) {
+                $status.text(t('Canned response could not be loaded'));
+                return;
+            }
+            closePopover(editor);
+            applyCannedResponse(editor, item.canned);
+            editor.announce(t('Inserted canned response: {title}', { title: item.title }));
+        });
+    };
+
+    // Load the texts of the listed responses for snippets and search
+    const loadSnippets = () => {
+        const next = results.map(result => result.item).find(item => item.text === undefined && !item.failed);
+        if (loading || !next || !isOpen()) return;
+
+        loading = true;
+        loadResponse(editor, next).then(() => {
+            loading = false;
+            $list.children().filter((i, el) => el.getAttribute('data-id') === next.id)
+                .find('.markdown-canned-snippet').text(getSnippet(next));
+            loadSnippets();
+        });
+    };
+
+    const update = () => {
+        results = searchCannedResponses(responses, search.$input.val()).slice(0, MAX_RESULTS);
+        $list.empty();
+        results.forEach((result, index) => {
+            $list.append(createResult(result, `${listId}-${index}`, {
+                // Keep focus in the search field
+                mousedown: (e) => e.preventDefault(),
+                mousemove: () => {
+                    if (active !== index) setActive(index);
+                },
+                click: () => insert(result.item)
+            }));
+        });
+
+        if (!responses.length) {
+            $status.text(t('No canned responses available'));
+        } else if (!results.length) {
+            $status.text(t('No matching canned responses'));
+        } else {
+            $status.text(tn('{count} canned response', '{count} canned responses', results.length));
+        }
+        setActive(results.length ? 0 : -1);
+        loadSnippets();
+    };
+
+    search.$input.on('input', update);
+    search.$input.on('keydown', (e) => {
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && results.length) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive((active + step + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            // Never submit the ticket form
+            e.preventDefault();
+            if (active >= 0) insert(results[active].item);
+        }
+    });
+
+    $popover.append(
+        search.$field,
+        $('<div>', { class: 'markdown-canned-body' }).append($list, $preview),
+        $status
+    );
+    openPopover(editor, $button, $popover, { focus: 'input' });
+    update();
+}
+
+/**
+ * Create a result option: title (matched characters marked) and snippet
+ *
+ * @param {{item: object, indices: number[]}} result
+ * @param {string} id - Option element id
+ * @param {object} handlers - jQuery event handlers
+ * @returns {jQuery}
+ */
+function createResult(result, id, handlers) {
+    const { item, indices } = result;
+    const $title = $('<span>', { class: 'markdown-canned-title' });
+    const marked = new Set(indices);
+
+    let text = '';
+    let mark = false;
+    const flush = () => {
+        if (text) $title.append(mark ? $('<mark>', { text }) : document.createTextNode(text));
+        text = '';
+    };
+    for (let i = 0; i < item.title.length; i++) {
+        if (marked.has(i) !== mark) {
+            flush();
+            mark = marked.has(i);
+        }
+        text += item.title[i];
+    }
+    flush();
+
+    return $('<li>', Object.assign({
+        id,
+        class: 'markdown-canned-option',
+        role: 'option',
+        'aria-selected': 'false',
+        'data-id': item.id
+    }, handlers)).append(
+        $title,
+        $('<span>', { class: 'markdown-canned-snippet', text: getSnippet(item) })
+    );
+}
+
+/**
+ * Load the text of a canned response into the list item
+ *
+ * Sets item.canned, item.text and item.markdown, or item.failed.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {object} item - Entry of getCannedResponses()
+ * @returns {Promise<void>} Always resolves
+ */
+function loadResponse(editor, item) {
+    return fetchCannedResponse(editor, item.id).then((canned) => {
+        item.canned = canned || {};
+        item.text = plainText(item.canned.response || '');
+        item.markdown = htmlToMarkdown(item.canned.response || '');
+    }, () => {
+        item.failed = true;
+    });
+}
+
+/**
+ * @param {object} item
+ * @returns {string} Beginning of the response text ('' until loaded)
+ */
+function getSnippet(item) {
+    if (!item.text) return '';
+    return item.text.length > SNIPPET_LENGTH ? item.text.substring(0, SNIPPET_LENGTH - 1) + '…' : item.text;
+}
+
+/**
+ * Text content of a canned response with blocks and line breaks as spaces
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function plainText(html) {
+    // Inert document: nothing in the markup is loaded or executed
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+    doc.body.querySelectorAll('br, p, div, li, tr, td, th, h1, h2, h3, h4, h5, h6, blockquote, pre')
+        .forEach(element => element.after(' '));
+    return doc.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Search canned responses
+ *
+ * Every word of the query has to match the title (fuzzy) or the loaded
+ * text (substring). Title matches rank higher; the list order is kept for
+ * equal scores and for an empty query.
+ *
+ * @param {Array<{id: string, title: string, text?: string}>} items
+ * @param {string} query
+ * @returns {Array<{item: object, score: number, indices: number[]}>}
+ *   Matches; indices are the matched title characters
+ */
+export function searchCannedResponses(items, query) {
+    const words = String(query || '').trim().split(/\s+/).filter(Boolean);
+
+    const results = [];
+    items.forEach((item, position) => {
+        let score = 0;
+        const indices = [];
+
+        for (const word of words) {
+            const title = fuzzyMatch(word, item.title);
+            const inText = !!item.text && foldText(item.text).folded.includes(foldText(word).folded);
+            if (!title && !inText) return;
+
+            score += (title ? title.score * 2 : 0) + (inText ? 1 : 0);
+            if (title) indices.push(...title.indices);
+        }
+        results.push({ item, score, indices, position });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .map(({ item, score, indices }) => ({ item, score, indices }));
+}
+
+/**
+ * Match the characters of a query in order (ignoring case and accents)
+ *
+ * Consecutive characters and characters at word starts score higher; a
+ * match of the whole query in one piece is preferred.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} Matched positions in
+ *   text, or null if the query does not match
+ */
+export function fuzzyMatch(query, text) {
+    const needle = foldText(query).folded;
+    const { folded, positions } = foldText(text);
+    if (!needle) return { score: 0, indices: [] };
+
+    // In one piece, preferably at a word start
+    let start = folded.indexOf(needle);
+    if (start !== -1) {
+        let candidate = start;
+        while (candidate !== -1 && !isWordStart(folded, candidate)) {
+            candidate = folded.indexOf(needle, candidate + 1);
+        }
+        if (candidate !== -1) start = candidate;
+
+        const indices = [];
+        for (let i = start; i < start + needle.length; i++) {
+            indices.push(positions[i]);
+        }
+        const score = 10 + needle.length * 5 + (isWordStart(folded, start) ? 5 : 0) + (start === 0 ? 5 : 0);
+        return { score, indices };
+    }
+
+    // Scattered characters: consecutive ones, then word starts (if the
+    // rest of the query still fits behind them)
+    const indices = [];
+    let score = 0;
+    let last = -2;
+    for (let n = 0; n < needle.length; n++) {
+        const char = needle[n];
+        let index = folded.indexOf(char, last + 1);
+        if (index === -1) return null;
+
+        if (index !== last + 1 && !isWordStart(folded, index)) {
+            let candidate = folded.indexOf(char, index + 1);
+            while (candidate !== -1 && !isWordStart(folded, candidate)) {
+                candidate = folded.indexOf(char, candidate + 1);
+            }
+            if (candidate !== -1 && isSubsequence(needle.substring(n + 1), folded, candidate + 1)) {
+                index = candidate;
+            }
+        }
+
+        if (index === last + 1) {
+            score += 5;
+        } else if (isWordStart(folded, index)) {
+            score += 3;
+        } else {
+            score += 1;
+        }
+        indices.push(positions[index]);
+        last = index;
+    }
+    return { score, indices };
+}
+
+/**
+ * Lower-case text without accents, with the position of every character
+ * in the original text
+ *
+ * @param {string} text
+ * @returns {{folded: string, positions: number[]}}
+ */
+function foldText(text) {
+    let folded = '';
+    const positions = [];
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0);
+        if (char) {
+            folded += char;
+            positions.push(i);
+        }
+    }
+    return { folded, positions };
+}
+
+/**
+ * Whether the characters of needle occur in order in text
+ *
+ * @param {string} needle
+ * @param {string} text
+ * @param {number} from - Offset in text
+ * @returns {boolean}
+ */
+function isSubsequence(needle, text, from) {
+    let index = from - 1;
+    for (const char of needle) {
+        index = text.indexOf(char, index + 1);
+        if (index === -1) return false;
+    }
+    return true;
+}
+
+/**
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+    return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+}
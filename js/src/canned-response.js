@@ -2,108 +2,20 @@
  * Canned response interception for Markdown mode
  *
  * Intercepts osTicket's canned response insertion and converts
- * HTML to Markdown when Markdown mode is active.
+ * HTML to Markdown when Markdown mode is active (to plain text in
+ * plain-text mode). The canned response
+ * picker (canned-picker.js) loads and inserts responses through the same
+ * functions.
  */
 
 import { $ } from './globals.js';
 import { debugLog, insertTextAtCursor } from './utils.js';
+import { htmlToMarkdown } from './html-to-markdown.js';
+import { htmlToText } from './plain-text.js';
+import { emit } from './events.js';
 
-/**
- * Convert simple HTML to Markdown
- *
- * @param {string} html - HTML string to convert
- * @returns {string} Markdown string
- */
-export function htmlToMarkdown(html) {
-    if (!html || typeof html !== 'string') return '';
-
-    let md = html;
-    md = md.replace(/\r\n/g, '\n');
-    md = md.replace(/<!--[\s\S]*?-->/g, '');
-
-    // Headings
-    for (let i = 1; i <= 6; i++) {
-        const hashes = '#'.repeat(i);
-        const re = new RegExp(`<h${i}[^>]*>(.*?)<\\/h${i}>`, 'gi');
-        md = md.replace(re, `\n\n${hashes} $1\n\n`);
-    }
-
-    // Blockquotes
-    md = md.replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, content) => {
-        const lines = stripTags(content).trim().split('\n');
-        return '\n\n' + lines.map(l => '> ' + l.trim()).join('\n') + '\n\n';
-    });
-
-    md = md.replace(/<hr\s*\/?>/gi, '\n\n---\n\n');
-
-    // Ordered lists
-    md = md.replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (match, content) => {
-        let idx = 0;
-        const items = content.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (m, li) => {
-            idx++;
-            return idx + '. ' + stripTags(li).trim() + '\n';
-        });
-        return '\n\n' + items.trim() + '\n\n';
-    });
-
-    // Unordered lists
-    md = md.replace(/<ul[^>]*>([\s\S]*?)<\/ul>/gi, (match, content) => {
-        const items = content.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (m, li) => {
-            return '- ' + stripTags(li).trim() + '\n';
-        });
-        return '\n\n' + items.trim() + '\n\n';
-    });
-
-    // Paragraphs and line breaks
-    md = md.replace(/<p[^>]*>([\s\S]*?)<\/p>/gi, '\n\n$1\n\n');
-    md = md.replace(/<br\s*\/?>/gi, '\n');
-
-    // Images (multiple attribute orders)
-    md = md.replace(/<img[^>]*src=["']([^"']+)["'][^>]*alt=["']([^"']*?)["'][^>]*\/?>/gi, '![$2]($1)');
-    md = md.replace(/<img[^>]*alt=["']([^"']*?)["'][^>]*src=["']([^"']+)["'][^>]*\/?>/gi, '![$1]($2)');
-    md = md.replace(/<img[^>]*src=["']([^"']+)["'][^>]*\/?>/gi, '![]($1)');
-
-    // Links and inline formatting
-    md = md.replace(/<a[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi, '[$2]($1)');
-    md = md.replace(/<(strong|b)[^>]*>(.*?)<\/\1>/gi, '**$2**');
-    md = md.replace(/<(em|i)[^>]*>(.*?)<\/\1>/gi, '*$2*');
-    md = md.replace(/<code[^>]*>(.*?)<\/code>/gi, '`$1`');
-
-    // Code blocks
-    md = md.replace(/<pre[^>]*><code[^>]*>([\s\S]*?)<\/code><\/pre>/gi, '\n\n```\n$1\n```\n\n');
-    md = md.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, '\n\n```\n$1\n```\n\n');
-
-    // Clean up
-    md = stripTags(md);
-    md = decodeEntities(md);
-    md = md.replace(/\n{3,}/g, '\n\n');
-
-    return md.trim();
-}
-
-/**
- * Strip HTML tags from string
- *
- * @param {string} html
- * @returns {string}
- */
-function stripTags(html) {
-    const tmp = document.createElement('div');
-    tmp.innerHTML = html;
-    return tmp.textContent || tmp.innerText || '';
-}
-
-/**
- * Decode HTML entities
- *
- * @param {string} text
- * @returns {string}
- */
-function decodeEntities(text) {
-    const tmp = document.createElement('textarea');
-    tmp.innerHTML = text;
-    return tmp.value;
-}
+/** Loaded canned responses (promises), keyed by URL */
+const responseCache = new Map();
 
 /**
  * Setup handler to intercept osTicket's canned response insertion
@@ -130,39 +42,99 @@ export function setupCannedResponseHandler(editor) {
             const cid = $(this).val();
             if (!cid || cid === '0') return;
 
-            const tid = $(':input[name=id]', $form).val();
             $(this).find('option:first').attr('selected', 'selected').parent('select');
 
-            let url = 'ajax.php/kb/canned-response/' + cid + '.json';
-            if (tid) {
-                url = 'ajax.php/tickets/' + tid + '/canned-resp/' + cid + '.json';
-            }
+            fetchCannedResponse(editor, cid)
+                .then(canned => applyCannedResponse(editor, canned))
+                .catch(error => debugLog('Loading canned response failed: ' + error.message, 'ERROR'));
+        });
 
+        debugLog('Canned response handler initialized', 'DEBUG');
+    }, 500);
+}
+
+/**
+ * Canned responses available in the editor
+ *
+ * Taken from osTicket's canned response select (already filtered by the
+ * ticket's department); pages without the select (internal notes, tasks)
+ * use osTicketMarkdownConfig.cannedResponses.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {Array<{id: string, title: string}>}
+ */
+export function getCannedResponses(editor) {
+    let $select = editor.textarea.closest('form').find('select#cannedResp');
+    if ($select.length === 0) {
+        $select = $('select#cannedResp');
+    }
+
+    const fromSelect = $select.first().find('option').map(function() {
+        const id = String($(this).val() || '');
+        return id && id !== '0' ? { id, title: $(this).text().trim() } : null;
+    }).get();
+    if (fromSelect.length) return fromSelect;
+
+    const config = window.osTicketMarkdownConfig || {};
+    return (Array.isArray(config.cannedResponses) ? config.cannedResponses : [])
+        .filter(item => item && item.id)
+        .map(item => ({ id: String(item.id), title: String(item.title || '') }));
+}
+
+/**
+ * Load a canned response (once per page)
+ *
+ * In a ticket the ticket-scoped endpoint expands the response's variables.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string|number} id - Canned response id
+ * @returns {Promise<{response: string, files: Array}>}
+ */
+export function fetchCannedResponse(editor, id) {
+    const tid = $(':input[name=id]', editor.textarea.closest('form')).val();
+    const cid = encodeURIComponent(id);
+    const url = tid
+        ? 'ajax.php/tickets/' + encodeURIComponent(tid) + '/canned-resp/' + cid + '.json'
+        : 'ajax.php/kb/canned-response/' + cid + '.json';
+
+    if (!responseCache.has(url)) {
+        const request = new Promise((resolve, reject) => {
             $.ajax({
                 type: 'GET',
                 url: url,
                 dataType: 'json',
                 cache: false,
-                success: function(canned) {
-                    if (canned.response) {
-                        insertCannedResponse(editor, canned.response);
-                    }
-
-                    const ca = $('.attachments', $form);
-                    if (canned.files && ca.length) {
-                        const fdb = ca.find('.dropzone').data('dropbox');
-                        if (fdb) {
-                            $.each(canned.files, function(i, j) {
-                                fdb.addNode(j);
-                            });
-                        }
-                    }
-                }
+                success: resolve,
+                error: (xhr, status, error) => reject(new Error(error || status))
             });
         });
+        // Failed requests are tried again next time
+        request.catch(() => responseCache.delete(url));
+        responseCache.set(url, request);
+    }
+    return responseCache.get(url);
+}
 
-        debugLog('Canned response handler initialized', 'DEBUG');
-    }, 500);
+/**
+ * Insert a loaded canned response at the caret and attach its files
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {{response: string, files: Array}} canned - Canned response API data
+ */
+export function applyCannedResponse(editor, canned) {
+    if (canned.response) {
+        insertCannedResponse(editor, canned.response);
+    }
+
+    const ca = $('.attachments', editor.textarea.closest('form'));
+    if (canned.files && ca.length) {
+        const fdb = ca.find('.dropzone').data('dropbox');
+        if (fdb) {
+            $.each(canned.files, function(i, j) {
+                fdb.addNode(j);
+            });
+        }
+    }
 }
 
 /**
@@ -173,12 +145,15 @@ export function setupCannedResponseHandler(editor) {
  */
 function insertCannedResponse(editor, htmlContent) {
     if (editor.currentFormat === 'markdown' || editor.currentFormat === 'text') {
-        const markdown = htmlToMarkdown(htmlContent);
-        debugLog('Inserting canned response as Markdown', 'DEBUG', {
+        const text = editor.currentFormat === 'text' ? htmlToText(htmlContent) : htmlToMarkdown(htmlContent);
+        debugLog('Inserting canned response as ' + editor.currentFormat, 'DEBUG', {
             htmlLength: htmlContent.length,
-            mdLength: markdown.length
+            textLength: text.length
         });
-        insertTextAtCursor(editor, markdown);
+        const event = emit(editor, 'beforeInsert', { text, source: 'canned' });
+        if (!event.defaultPrevented) {
+            insertTextAtCursor(editor, String(event.text));
+        }
     } else {
         const redactor = $R('#response.richtext');
         if (redactor) {
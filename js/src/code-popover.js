@@ -0,0 +1,183 @@
+/**
+ * Code block popover
+ *
+ * Language field with autocomplete (the languages the preview highlights,
+ * any other name can be typed). Inside a code block it changes the
+ * language or removes the fences.
+ */
+
+import { $ } from './globals.js';
+import { replaceValue } from './history.js';
+import { findFencedBlock, getFenceLanguage, setFenceLanguage, removeFences } from './formatting.js';
+import { getLanguages } from './highlighter.js';
+import {
+    openPopover, closePopover, isPopoverOpen, createField, createButton, onEnter, uniqueId
+} from './popover.js';
+import { t } from './i18n.js';
+
+/** Maximum number of suggestions shown */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Open or close the code block popover
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} $button - Toolbar button
+ */
+export function toggleCodePopover(editor, $button) {
+    if (isPopoverOpen(editor, $button)) {
+        closePopover(editor);
+        return;
+    }
+
+    const textarea = editor.textarea[0];
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const found = findFencedBlock(textarea.value, start);
+    const block = found && end <= found.end ? found : null;
+
+    const $popover = $('<div>', {
+        class: 'markdown-code-popover',
+        role: 'dialog',
+        'aria-label': block ? t('Edit code block') : t('Insert code block')
+    });
+
+    const language = createField(uniqueId('code-language'), t('Language (optional)'), {
+        value: block ? getFenceLanguage(textarea.value, block) : ''
+    });
+    const $list = attachAutocomplete(language.$input, getLanguages());
+
+    const apply = (callback) => {
+        closePopover(editor);
+        const result = callback(textarea.value);
+        replaceValue(editor, result.value, result.selectionStart, result.selectionEnd);
+    };
+    const submit = () => {
+        const name = cleanLanguage(language.$input.val());
+        if (block) {
+            apply(value => setFenceLanguage(value, start, end, block, name));
+        } else {
+            closePopover(editor);
+            editor.wrapSelection('```' + name + '\n', '\n```', t('code here'));
+        }
+    };
+    onEnter(language.$input, submit);
+
+    const $actions = $('<div>', { class: 'markdown-popover-actions' }).append(
+        createButton(block ? t('Apply') : t('Insert'), submit, true)
+    );
+    if (block) {
+        $actions.append(createButton(t('Remove code block'), () => {
+            apply(value => removeFences(value, start, end, block));
+        }));
+    }
+    $actions.append(createButton(t('Cancel'), () => closePopover(editor)));
+
+    $popover.append(language.$field.append($list), $actions);
+    openPopover(editor, $button, $popover);
+}
+
+/**
+ * Turn a text field into a combobox with a suggestion list
+ *
+ * Arrow keys move through the suggestions, Enter picks one, Escape
+ * closes the list (a second Escape closes the popover).
+ *
+ * @param {jQuery} $input
+ * @param {string[]} options
+ * @returns {jQuery} Suggestion list
+ */
+function attachAutocomplete($input, options) {
+    const listId = uniqueId('code-languages');
+    const $list = $('<ul>', { id: listId, class: 'markdown-autocomplete', role: 'listbox', hidden: true });
+    let active = -1;
+
+    $input.attr({
+        role: 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-expanded': 'false',
+        'aria-controls': listId
+    });
+
+    const close = () => {
+        active = -1;
+        $list.prop('hidden', true).empty();
+        $input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+    };
+    const setActive = (index) => {
+        const $options = $list.children();
+        active = (index + $options.length) % $options.length;
+        $options.attr('aria-selected', 'false').removeClass('is-active');
+        const $option = $options.eq(active).attr('aria-selected', 'true').addClass('is-active');
+        $input.attr('aria-activedescendant', $option.attr('id'));
+    };
+    const pick = (name) => {
+        $input.val(name);
+        close();
+    };
+    const open = () => {
+        const matches = filterLanguages(options, $input.val());
+        close();
+        if (!matches.length) return;
+
+        matches.forEach((name, index) => {
+            $list.append($('<li>', {
+                id: `${listId}-${index}`,
+                class: 'markdown-autocomplete-option',
+                role: 'option',
+                'aria-selected': 'false',
+                text: name,
+                // Keep focus in the input
+                mousedown: (e) => e.preventDefault(),
+                click: () => pick(name)
+            }));
+        });
+        $list.prop('hidden', false);
+        $input.attr('aria-expanded', 'true');
+    };
+
+    $input.on('input focus', open);
+    $input.on('blur', close);
+    $input.on('keydown', (e) => {
+        const isOpen = !$list.prop('hidden');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!isOpen) open();
+            setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter' && isOpen && active >= 0) {
+            e.preventDefault();
+            pick($list.children().eq(active).text());
+        } else if (e.key === 'Escape' && isOpen) {
+            e.preventDefault();
+            e.stopPropagation();
+            close();
+        }
+    });
+
+    return $list;
+}
+
+/**
+ * Languages matching the typed text (prefix matches first)
+ *
+ * @param {string[]} options
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function filterLanguages(options, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return options.slice(0, MAX_SUGGESTIONS);
+
+    const prefix = options.filter(name => name.startsWith(needle));
+    const inner = options.filter(name => !name.startsWith(needle) && name.includes(needle));
+    return prefix.concat(inner).filter(name => name !== needle).slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Reduce user input to a valid fence info string
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanLanguage(value) {
+    return value.trim().split(/\s+/)[0].replace(/[`~]/g, '');
+}
@@ -6,15 +6,35 @@
 
 import { $ } from './globals.js';
 import { debugLog } from './utils.js';
-import { createToolbar } from './toolbar.js';
-import { createPreview, setupLivePreview, renderPreview, togglePreview } from './preview.js';
-import { createFormatSwitcherStandalone, createFormatSwitcher, ensureFormatField } from './format-switcher.js';
+import { createToolbar, removeToolbar, refreshToolbar, updateToolbarState, runToolbarButton } from './toolbar.js';
+import { registerButton, unregisterButton, getButtons } from './toolbar-registry.js';
+import {
+    createPreview, setupLivePreview, renderPreview, togglePreview, selectTab, removePreviewTabs
+} from './preview.js';
+import {
+    createFormatSwitcherStandalone, createFormatSwitcher, ensureFormatField, hideFormatSwitchNotice,
+    getAllowedFormats, formatLabel
+} from './format-switcher.js';
+import { switchFormat, undoFormatSwitch } from './format-conversion.js';
 import { destroyRedactor, restoreRedactor, setupRedactorProtection } from './redactor-bridge.js';
 import { setupImageUpload, teardownImageUploadHandlers, triggerImageFileDialog, showUploadError } from './image-upload.js';
-import { setupCannedResponseHandler, htmlToMarkdown } from './canned-response.js';
+import { setupCannedResponseHandler } from './canned-response.js';
+import { toggleCannedPicker } from './canned-picker.js';
+import { htmlToMarkdown } from './html-to-markdown.js';
+import { setupScrollSync, teardownScrollSync } from './scroll-sync.js';
+import { setupHistory, teardownHistory, replaceRange, undo, redo } from './history.js';
+import { toggleFullscreen, enterFullscreen, exitFullscreen, setLayout } from './fullscreen.js';
+import { closePopover } from './popover.js';
+import { setupPasteHandler, teardownPasteHandler } from './paste.js';
+import { setupVariableAssist, teardownVariableAssist } from './variable-assist.js';
+import { on, off, emit, setupSubmitEvent, teardownSubmitEvent } from './events.js';
+import { instances, addInstance, removeInstance } from './instances.js';
+import { announce, removeAnnouncer } from './announcer.js';
+import { t } from './i18n.js';
 import {
-    wrapSelection, insertHeading, insertLink, insertCodeBlock,
-    insertList, insertBlockquote, insertHorizontalRule, setupKeyboardShortcuts
+    wrapSelection, insertHeading, setHeading, openHeadingMenu, insertLink, insertCodeBlock,
+    insertList, insertBlockquote, insertHorizontalRule, insertTable, runTableCommand,
+    setupKeyboardShortcuts
 } from './text-actions.js';
 
 export class MarkdownEditor {
@@ -30,22 +50,32 @@ export class MarkdownEditor {
         this.options = $.extend({
             showToolbar: globalConfig.showToolbar !== undefined ? globalConfig.showToolbar : true,
             allowFormatSwitch: globalConfig.allowFormatSwitch !== undefined ? globalConfig.allowFormatSwitch : true,
-            previewPosition: 'bottom',
+            allowedFormats: globalConfig.allowedFormats,
+            previewPosition: globalConfig.previewPosition || 'bottom',
             debounceDelay: 500,
-            toolbarButtons: [
-                'bold', 'italic', 'heading', 'link', 'code',
-                'codeblock', 'ul', 'ol', 'quote', 'hr', 'image'
+            syncScroll: globalConfig.syncScroll !== undefined ? globalConfig.syncScroll : true,
+            toolbarButtons: globalConfig.toolbarButtons || [
+                'bold', 'italic', 'heading', '|', 'link', 'code', 'codeblock', '|',
+                'ul', 'ol', 'quote', '|', 'table', 'hr', 'image', 'canned'
             ],
             shortcuts: true,
+            tabIndent: true,
+            fullscreen: true,
             autoInit: true,
             compact: false
         }, options);
+        this.options.allowedFormats = getAllowedFormats(this.options.allowedFormats);
 
         this.container = null;
         this.toolbar = null;
         this.previewPane = null;
         this.debounceTimer = null;
+        this.history = null;
+        this.listeners = {};
         this.currentFormat = globalConfig.defaultFormat || 'markdown';
+        if (!this.options.allowedFormats.includes(this.currentFormat)) {
+            this.currentFormat = this.options.allowedFormats[0];
+        }
 
         debugLog('Current format set to: ' + this.currentFormat, 'INFO');
         debugLog('Editor options', 'DEBUG', this.options);
@@ -66,7 +96,7 @@ export class MarkdownEditor {
             debugLog('Keeping Redactor (HTML format)', 'DEBUG');
         }
 
-        if (this.options.allowFormatSwitch) {
+        if (this.options.allowFormatSwitch && this.options.allowedFormats.length > 1) {
             this.createFormatSwitcherStandalone();
         }
 
@@ -74,25 +104,41 @@ export class MarkdownEditor {
             this.createContainer();
         }
 
-        if (this.options.showToolbar && this.currentFormat !== 'html') {
+        if (this.options.showToolbar && this.currentFormat === 'markdown') {
             this.createToolbar();
         }
 
-        if (this.currentFormat === 'markdown' && !this.options.compact) {
+        if (this.currentFormat === 'markdown' && this.wantsPreview()) {
             this.createPreview();
             this.setupLivePreview();
+            if (this.options.syncScroll && this.options.previewPosition !== 'tabs') {
+                this.setupScrollSync();
+            }
         }
 
-        if (this.options.shortcuts && this.currentFormat === 'markdown') {
+        if (this.currentFormat !== 'html') {
+            this.setupHistory();
+        }
+
+        if (this.options.shortcuts && this.currentFormat !== 'html') {
             this.setupKeyboardShortcuts();
         }
 
+        if (this.currentFormat !== 'html') {
+            this.setupPasteHandler();
+            this.setupVariableAssist();
+        }
+
         if (this.currentFormat === 'markdown' && !this.options.compact) {
             this.setupImageUpload();
         }
 
         this.setupCannedResponseHandler();
 
+        this.setupSubmitEvent();
+        addInstance(this);
+        this.emit('init');
+
         if (this.currentFormat === 'markdown' && this.textarea.val().trim()) {
             this.renderPreview();
         }
@@ -100,6 +146,13 @@ export class MarkdownEditor {
         debugLog('Editor initialized successfully', 'DEBUG');
     }
 
+    /**
+     * Compact editors only get a preview in tabs mode (no extra vertical space)
+     */
+    wantsPreview() {
+        return !this.options.compact || this.options.previewPosition === 'tabs';
+    }
+
     // -- Container --
 
     createContainer() {
@@ -120,8 +173,25 @@ export class MarkdownEditor {
         this.ensureFormatField();
     }
 
+    // -- Toolbar button registry (public API: window.MarkdownEditor.registerButton) --
+
+    static registerButton(definition) { return registerButton(definition); }
+    static unregisterButton(id) { return unregisterButton(id); }
+    static getToolbarButtons() { return getButtons(); }
+
+    // -- Editor registry (public API: window.MarkdownEditor.instances) --
+
+    static get instances() { return instances; }
+
     // -- Delegated module methods --
 
+    // Events
+    on(name, handler) { on(this, name, handler); return this; }
+    off(name, handler) { off(this, name, handler); return this; }
+    emit(name, detail) { return emit(this, name, detail); }
+    setupSubmitEvent() { setupSubmitEvent(this); }
+    teardownSubmitEvent() { teardownSubmitEvent(this); }
+
     // Redactor bridge
     destroyRedactor() { destroyRedactor(this); }
     restoreRedactor() { restoreRedactor(this); }
@@ -129,28 +199,71 @@ export class MarkdownEditor {
 
     // Toolbar
     createToolbar() { createToolbar(this); }
+    removeToolbar() { removeToolbar(this); }
+    refreshToolbar() { refreshToolbar(this); }
+    updateToolbarState() { updateToolbarState(this); }
+    runToolbarButton(button, $button) { runToolbarButton(this, button, $button); }
 
     // Preview
     createPreview() { createPreview(this); }
     setupLivePreview() { setupLivePreview(this); }
     renderPreview() { renderPreview(this); }
     togglePreview() { togglePreview(this); }
+    selectTab(tab) { selectTab(this, tab); }
+    removePreviewTabs() { removePreviewTabs(this); }
+
+    // Scroll sync
+    setupScrollSync() { setupScrollSync(this); }
+    teardownScrollSync() { teardownScrollSync(this); }
+
+    // Edit history
+    setupHistory() { setupHistory(this); }
+    teardownHistory() { teardownHistory(this); }
+    replaceRange(start, end, text, options) { replaceRange(this, start, end, text, options); }
+    undo() { return undo(this); }
+    redo() { return redo(this); }
+
+    // Fullscreen
+    toggleFullscreen() { toggleFullscreen(this); }
+    enterFullscreen() { enterFullscreen(this); }
+    exitFullscreen() { exitFullscreen(this); }
+    setLayout(layout) { setLayout(this, layout); }
 
     // Format switcher
     createFormatSwitcherStandalone() { createFormatSwitcherStandalone(this); }
     createFormatSwitcher() { return createFormatSwitcher(this); }
     ensureFormatField() { ensureFormatField(this); }
+    switchFormat(newFormat, options) { return switchFormat(this, newFormat, options); }
+    undoFormatSwitch() { return undoFormatSwitch(this); }
 
     // Text actions
     wrapSelection(prefix, suffix, placeholder) { wrapSelection(this, prefix, suffix, placeholder); }
     insertHeading() { insertHeading(this); }
-    insertLink() { insertLink(this); }
-    insertCodeBlock() { insertCodeBlock(this); }
+    setHeading(level) { setHeading(this, level); }
+    openHeadingMenu($button) { openHeadingMenu(this, $button); }
+    insertLink($button) { insertLink(this, $button); }
+    insertCodeBlock($button) { insertCodeBlock(this, $button); }
     insertList(type) { insertList(this, type); }
     insertBlockquote() { insertBlockquote(this); }
+    insertTable(rows, cols) { insertTable(this, rows, cols); }
+    tableCommand(command) { return runTableCommand(this, command); }
     insertHorizontalRule() { insertHorizontalRule(this); }
     setupKeyboardShortcuts() { setupKeyboardShortcuts(this); }
 
+    // Popovers
+    closePopover(refocus) { closePopover(this, refocus); }
+
+    // Screen reader announcements
+    announce(message) { announce(this, message); }
+
+    // Paste handling
+    setupPasteHandler() { setupPasteHandler(this); }
+    teardownPasteHandler() { teardownPasteHandler(this); }
+
+    // Template variables
+    setupVariableAssist() { setupVariableAssist(this); }
+    teardownVariableAssist() { teardownVariableAssist(this); }
+
     // Image upload
     setupImageUpload() { setupImageUpload(this); }
     _teardownImageUploadHandlers() { teardownImageUploadHandlers(this); }
@@ -159,16 +272,29 @@ export class MarkdownEditor {
 
     // Canned response
     setupCannedResponseHandler() { setupCannedResponseHandler(this); }
+    openCannedPicker($button) { toggleCannedPicker(this, $button); }
     htmlToMarkdown(html) { return htmlToMarkdown(html); }
 
     // -- Format switching (orchestrator) --
 
-    switchFormat(newFormat) {
+    /**
+     * Switch the editor to a format with already converted content
+     *
+     * switchFormat() converts the content first; this only rebuilds the
+     * editor around the textarea. Plain text keeps the textarea, history
+     * and variable assist, but has no toolbar and no preview.
+     *
+     * @param {string} newFormat - 'markdown', 'html' or 'text'
+     * @param {string} value - Content in the new format
+     */
+    applyFormat(newFormat, value) {
         debugLog('Switching format from ' + this.currentFormat + ' to ' + newFormat, 'INFO');
 
         const oldFormat = this.currentFormat;
+        this.exitFullscreen();
+        this.closePopover(false);
         this.currentFormat = newFormat;
-        this.container.attr('data-format', newFormat);
+        if (this.container) this.container.attr('data-format', newFormat);
 
         if (this.formatField) {
             this.formatField.val(newFormat);
@@ -179,7 +305,8 @@ export class MarkdownEditor {
         this.textarea.removeAttr('data-markdown-enabled');
         this.textarea.removeAttr('data-wants-redactor');
 
-        if (newFormat === 'markdown') {
+        if (newFormat !== 'html') {
+            // Also keeps Redactor from taking over a plain-text textarea
             this.textarea.addClass('markdown-active markdown-textarea');
             this.textarea.attr('data-markdown-enabled', 'true');
         }
@@ -187,23 +314,21 @@ export class MarkdownEditor {
         if (newFormat === 'html') {
             debugLog('Switching to HTML format', 'DEBUG');
 
-            this.textarea.closest('td').find('.markdown-preview-container').remove();
-            this.previewPane = null;
-            debugLog('Removed all preview containers', 'DEBUG');
-
-            if (this.toolbar) {
-                this.toolbar.remove();
-                this.toolbar = null;
-                debugLog('Removed Markdown toolbar', 'DEBUG');
-            }
+            this.teardownHistory();
+            this.teardownPasteHandler();
+            this.teardownVariableAssist();
+            this.removeMarkdownTools();
 
+            // Redactor is initialized from the textarea
+            this.textarea.val(value);
             this.restoreRedactor();
-        } else if (newFormat === 'markdown') {
-            debugLog('Switching to Markdown format', 'DEBUG');
+        } else {
+            debugLog('Switching to ' + newFormat + ' format', 'DEBUG');
 
             if (oldFormat === 'html') {
                 this.destroyRedactor();
             }
+            this.textarea.val(value);
 
             if (!this.container || this.container.length === 0) {
                 this.createContainer();
@@ -214,43 +339,98 @@ export class MarkdownEditor {
                 debugLog('Restored textarea to markdown container', 'DEBUG');
             }
 
-            if (this.options.showToolbar && !this.toolbar) {
-                this.createToolbar();
-                debugLog('Created Markdown toolbar', 'DEBUG');
-            }
+            // Before the image upload's paste handler, as in init(): a
+            // spreadsheet range pasted as table is not uploaded as image
+            this.setupPasteHandler();
 
-            if (!this.previewPane && !this.options.compact) {
-                this.createPreview();
-                this.setupLivePreview();
-                debugLog('Created Markdown preview', 'DEBUG');
+            if (newFormat === 'text') {
+                this.removeMarkdownTools();
+            } else {
+                this.addMarkdownTools();
             }
 
-            if (!this.options.compact) {
-                this.setupImageUpload();
-            }
-
-            if (this.toolbar) {
-                this.toolbar.find('.markdown-toolbar-btn').show();
-                this.toolbar.show();
-            }
+            this.setupVariableAssist();
+            this.setupHistory();
 
             if (this.previewPane && this.textarea.val().trim()) {
                 this.renderPreview();
             }
         }
 
+        this.announce(t('Format: {format}', { format: formatLabel(newFormat) }));
         this.textarea.trigger('formatChanged', [oldFormat, newFormat]);
         debugLog(`Format switch complete: ${oldFormat} → ${newFormat}`, 'DEBUG');
     }
 
+    /**
+     * Create the toolbar, preview and image upload of the Markdown format
+     */
+    addMarkdownTools() {
+        if (this.options.showToolbar && !this.toolbar) {
+            this.createToolbar();
+            debugLog('Created Markdown toolbar', 'DEBUG');
+        }
+
+        if (!this.previewPane && this.wantsPreview()) {
+            this.createPreview();
+            this.setupLivePreview();
+            if (this.options.syncScroll && this.options.previewPosition !== 'tabs') {
+                this.setupScrollSync();
+            }
+            debugLog('Created Markdown preview', 'DEBUG');
+        }
+
+        if (!this.options.compact) {
+            this.setupImageUpload();
+        }
+
+        if (this.toolbar) {
+            this.toolbar.find('.markdown-toolbar-btn').show();
+            this.toolbar.show();
+        }
+    }
+
+    /**
+     * Remove the toolbar, preview and image upload (HTML and plain text)
+     */
+    removeMarkdownTools() {
+        this.teardownScrollSync();
+        this._teardownImageUploadHandlers();
+        this.removePreviewTabs();
+        this.textarea.closest('td').find('.markdown-preview-container').remove();
+        this.previewPane = null;
+        debugLog('Removed all preview containers', 'DEBUG');
+
+        if (this.toolbar) {
+            this.removeToolbar();
+            debugLog('Removed Markdown toolbar', 'DEBUG');
+        }
+    }
+
     // -- Cleanup --
 
     destroy() {
+        this.emit('destroy');
+        this.exitFullscreen();
+        this.closePopover(false);
+        hideFormatSwitchNotice(this);
+        clearTimeout(this.debounceTimer);
+        if (this.previewXhr) {
+            this.previewXhr.abort();
+            this.previewXhr = null;
+        }
         if (this.redactorObserver) {
             this.redactorObserver.disconnect();
             this.redactorObserver = null;
         }
-        if (this.toolbar) this.toolbar.remove();
+        this.teardownHistory();
+        this.teardownScrollSync();
+        this.teardownPasteHandler();
+        this.teardownVariableAssist();
+        this.teardownSubmitEvent();
+        this.removePreviewTabs();
+        this.removeToolbar();
+        removeAnnouncer(this);
         if (this.previewPane) this.previewPane.parent().remove();
         this.textarea.unwrap();
         this.textarea.unwrap();
@@ -259,6 +439,8 @@ export class MarkdownEditor {
         if (this.container) {
             this.container.off('dragover.markdownImageUpload dragleave.markdownImageUpload drop.markdownImageUpload');
         }
+        this.textarea.removeData('markdownEditor');
+        removeInstance(this);
         debugLog('Editor destroyed', 'DEBUG');
     }
 }
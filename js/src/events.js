@@ -0,0 +1,139 @@
+/**
+ * Editor lifecycle events
+ *
+ * Integrations subscribe with editor.on(name, handler). Handlers get one
+ * event object with the event data; some events can be changed or
+ * cancelled:
+ *
+ * - init, destroy
+ * - beforeRender {markdown}   - change markdown, preventDefault() skips the render
+ * - afterRender {markdown, html} - change html (sanitized afterwards)
+ * - beforeInsert {text, source} - change text, preventDefault() cancels
+ *   (source: 'paste' or 'canned')
+ * - uploadStart {file}        - preventDefault() cancels the upload
+ * - uploadDone {file, url, markdown} - change the inserted markdown
+ * - uploadError {file, message}
+ * - beforeSubmit {value, format} - change the submitted value,
+ *   preventDefault() stops the form submission
+ *
+ * Every event is also triggered as jQuery event "markdown:<name>" on the
+ * textarea (it bubbles, so $(document).on('markdown:init', ...) works).
+ */
+
+import { $ } from './globals.js';
+import { debugLog } from './utils.js';
+
+/** Event names */
+export const EVENTS = [
+    'init', 'beforeRender', 'afterRender', 'beforeInsert',
+    'uploadStart', 'uploadDone', 'uploadError', 'beforeSubmit', 'destroy'
+];
+
+/**
+ * Subscribe to an editor event
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} name - Event name (see EVENTS)
+ * @param {function} handler - Called with the event object
+ */
+export function on(editor, name, handler) {
+    if (!EVENTS.includes(name)) {
+        throw new TypeError(`Unknown editor event "${name}"`);
+    }
+    if (typeof handler !== 'function') {
+        throw new TypeError(`Handler for "${name}" must be a function`);
+    }
+
+    if (!editor.listeners) {
+        editor.listeners = {};
+    }
+    (editor.listeners[name] = editor.listeners[name] || []).push(handler);
+}
+
+/**
+ * Unsubscribe from an editor event
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} name - Event name
+ * @param {function} [handler] - Handler to remove (all handlers if omitted)
+ */
+export function off(editor, name, handler) {
+    if (!editor.listeners || !editor.listeners[name]) return;
+
+    editor.listeners[name] = handler
+        ? editor.listeners[name].filter(listener => listener !== handler)
+        : [];
+}
+
+/**
+ * Run the handlers of an event
+ *
+ * A failing handler is logged and does not stop the others or the editor.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} name - Event name
+ * @param {object} [detail] - Event data, handlers may change it
+ * @returns {object} The event object (check defaultPrevented and changed data)
+ */
+export function emit(editor, name, detail = {}) {
+    const event = Object.assign({
+        type: name,
+        editor,
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+    }, detail);
+
+    const handlers = (editor.listeners && editor.listeners[name]) || [];
+    handlers.slice().forEach(handler => {
+        try {
+            handler.call(editor, event);
+        } catch (e) {
+            debugLog(`Handler for editor event "${name}" failed: ${e.message}`, 'ERROR');
+        }
+    });
+
+    if ($ && editor.textarea) {
+        editor.textarea.trigger('markdown:' + name, [event]);
+    }
+    return event;
+}
+
+/**
+ * Fire beforeSubmit when the surrounding form is submitted
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function setupSubmitEvent(editor) {
+    teardownSubmitEvent(editor);
+
+    const $form = editor.textarea.closest('form');
+    if ($form.length === 0) return;
+
+    editor.submitHandler = (e) => {
+        const value = editor.textarea.val();
+        const event = emit(editor, 'beforeSubmit', { value, format: editor.currentFormat });
+        if (event.defaultPrevented) {
+            e.preventDefault();
+            return;
+        }
+        if (typeof event.value === 'string' && event.value !== value) {
+            editor.textarea.val(event.value);
+        }
+    };
+    editor.submitForm = $form.on('submit', editor.submitHandler);
+}
+
+/**
+ * Remove the form submit handler
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function teardownSubmitEvent(editor) {
+    if (editor.submitForm) {
+        editor.submitForm.off('submit', editor.submitHandler);
+    }
+    editor.submitForm = null;
+    editor.submitHandler = null;
+}
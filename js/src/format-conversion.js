@@ -0,0 +1,244 @@
+/**
+ * Content conversion when switching between Markdown, HTML and plain text
+ *
+ * - Markdown → HTML: rendered like the preview (backend API, client
+ *   renderer as fallback) and sanitized before Redactor gets it
+ * - HTML → Markdown: htmlToMarkdown() on Redactor's current HTML
+ * - → plain text: htmlToText() on the HTML (Markdown is rendered first)
+ * - Plain text →: textToHtml(), converted on from there
+ *
+ * A conversion is lossy when the visible content differs before and
+ * after (compared line by line) or when formatting the new format cannot
+ * express is dropped. Lossy switches are confirmed with a
+ * diff first; every switch can be undone from the notice shown afterwards.
+ */
+
+import { debugLog } from './utils.js';
+import { renderHtml } from './preview.js';
+import { renderMarkdown } from './markdown-renderer.js';
+import { sanitizeHtml } from './sanitizer.js';
+import { htmlToMarkdown, findLostFormatting } from './html-to-markdown.js';
+import { htmlToText, textToHtml, findTextFormatting } from './plain-text.js';
+import { getRedactorHtml } from './redactor-bridge.js';
+import { confirmFormatSwitch, showFormatSwitchNotice, hideFormatSwitchNotice } from './format-switcher.js';
+import { t } from './i18n.js';
+
+/** Larger diffs (lines before × lines after) are not aligned line by line */
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Switch the editor's format, converting its content
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} newFormat - 'markdown', 'html' or 'text'
+ * @param {object} [options]
+ * @param {boolean} [options.confirm=true] - Confirm lossy conversions
+ * @returns {Promise<boolean>} Whether the format was switched
+ */
+export function switchFormat(editor, newFormat, options = {}) {
+    const oldFormat = editor.currentFormat;
+    if (newFormat === oldFormat || editor.formatSwitchPending) {
+        return Promise.resolve(false);
+    }
+    if (!editor.options.allowedFormats.includes(newFormat)) {
+        debugLog('Format not allowed: ' + newFormat, 'WARNING');
+        return Promise.resolve(false);
+    }
+
+    const original = oldFormat === 'html' ? getRedactorHtml(editor) : editor.textarea.val();
+    editor.formatSwitchPending = true;
+    setSwitcherBusy(editor, true);
+    hideFormatSwitchNotice(editor);
+
+    const finish = (result) => {
+        editor.formatSwitchPending = false;
+        setSwitcherBusy(editor, false);
+
+        if (!result) {
+            debugLog('Format switch cancelled', 'DEBUG');
+            if (editor.formatSwitcherSelect) editor.formatSwitcherSelect.val(oldFormat);
+            return false;
+        }
+
+        editor.applyFormat(newFormat, result.value);
+        if (original.trim()) {
+            editor.lastFormatSwitch = { format: oldFormat, value: original };
+            showFormatSwitchNotice(editor, newFormat, () => undoFormatSwitch(editor));
+        }
+        return true;
+    };
+
+    return convertContent(original, oldFormat, newFormat)
+        .then(result => {
+            if (!result.lossy || options.confirm === false) return result;
+            return confirmFormatSwitch(editor, newFormat, result).then(confirmed => confirmed && result);
+        })
+        .then(finish, (error) => {
+            debugLog('Format conversion failed: ' + error, 'ERROR');
+            return finish(null);
+        });
+}
+
+/**
+ * Go back to the format and content from before the last switch
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {boolean} Whether there was a switch to undo
+ */
+export function undoFormatSwitch(editor) {
+    const last = editor.lastFormatSwitch;
+    hideFormatSwitchNotice(editor);
+    if (!last || editor.formatSwitchPending) return false;
+
+    editor.lastFormatSwitch = null;
+    editor.applyFormat(last.format, last.value);
+    if (editor.formatSwitcherSelect) editor.formatSwitcherSelect.val(last.format);
+    editor.announce(t('Format switch undone'));
+    return true;
+}
+
+/**
+ * Convert content between the formats and check what gets lost
+ *
+ * @param {string} value - Content in the old format
+ * @param {string} from - 'markdown', 'html' or 'text'
+ * @param {string} to - 'markdown', 'html' or 'text'
+ * @returns {Promise<{value: string, lossy: boolean, lost: string[], diff: Array}>}
+ *          lost: keys of findLostFormatting() or findTextFormatting();
+ *          diff: result of diffLines()
+ */
+export function convertContent(value, from, to) {
+    if (!value.trim()) {
+        return Promise.resolve({ value: '', lossy: false, lost: [], diff: [] });
+    }
+
+    if (from === 'markdown') {
+        return renderHtml(value).then(rendered => {
+            const html = sanitizeHtml(rendered);
+            return to === 'html' ? analyzeConversion(html, rendered, html, []) : convertToText(html);
+        });
+    }
+
+    const html = from === 'text' ? textToHtml(value) : value;
+    if (to === 'text') {
+        return Promise.resolve(convertToText(html));
+    }
+    if (to === 'html') {
+        return Promise.resolve(analyzeConversion(html, html, html, []));
+    }
+
+    const markdown = htmlToMarkdown(html);
+    return Promise.resolve(analyzeConversion(markdown, html, renderMarkdown(markdown), findLostFormatting(html)));
+}
+
+/**
+ * Convert HTML to plain text
+ *
+ * @param {string} html
+ * @returns {{value: string, lossy: boolean, lost: string[], diff: Array}}
+ */
+function convertToText(html) {
+    const text = htmlToText(html);
+    return analyzeConversion(text, html, textToHtml(text), findTextFormatting(html));
+}
+
+/**
+ * Build the conversion result
+ *
+ * @param {string} value - Converted content
+ * @param {string} beforeHtml - Rendered content before
+ * @param {string} afterHtml - Rendered content after
+ * @param {string[]} lost - Dropped formatting
+ * @returns {{value: string, lossy: boolean, lost: string[], diff: Array}}
+ */
+function analyzeConversion(value, beforeHtml, afterHtml, lost) {
+    const diff = diffLines(contentLines(beforeHtml), contentLines(afterHtml));
+    const changed = diff.some(line => line.type !== 'same');
+    return { value, lossy: changed || lost.length > 0, lost, diff };
+}
+
+/**
+ * Visible content of HTML as lines of text
+ *
+ * The lines of htmlToText() with whitespace collapsed and blank lines
+ * left out, so the lines of a plain-text result compare directly.
+ *
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function contentLines(html) {
+    return htmlToText(String(html || '')).split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Line diff (longest common subsequence)
+ *
+ * Unchanged lines at the start and end are matched first; a very large
+ * changed middle is reported as removed and added as a whole.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Array<{type: string, text: string}>} type: same, removed, added
+ */
+export function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < before.length - start && end < after.length - start
+        && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+        end++;
+    }
+
+    const a = before.slice(start, before.length - end);
+    const b = after.slice(start, after.length - end);
+    const same = (text) => ({ type: 'same', text });
+    const middle = [];
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        a.forEach(text => middle.push({ type: 'removed', text }));
+        b.forEach(text => middle.push({ type: 'added', text }));
+    } else {
+        // lengths[i][j]: common lines of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push(same(a[i]));
+                i++;
+                j++;
+            } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+                middle.push({ type: 'removed', text: a[i++] });
+            } else {
+                middle.push({ type: 'added', text: b[j++] });
+            }
+        }
+    }
+
+    return before.slice(0, start).map(same)
+        .concat(middle, before.slice(before.length - end).map(same));
+}
+
+/**
+ * Disable the format select while a switch is in progress
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {boolean} busy
+ */
+function setSwitcherBusy(editor, busy) {
+    if (editor.formatSwitcherSelect) {
+        editor.formatSwitcherSelect.prop('disabled', busy).attr('aria-busy', busy ? 'true' : null);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Markdown context at the caret
+ *
+ * Which toolbar formats apply to the selection: used for the pressed
+ * state of the toolbar buttons. Inside a fenced code block only the code
+ * block counts, the markup there is literal text.
+ */
+
+import { findInlineSpan, getHeadingLevel, findFencedBlock } from './formatting.js';
+import { parseLinePrefix } from './list-editing.js';
+import { findLink } from './links.js';
+import { findTable } from './tables.js';
+
+/**
+ * Whether a format applies to the selection
+ *
+ * @param {string} value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} format - Toolbar button id (bold, italic, code, heading,
+ *                          ul, ol, quote, codeblock, link, table)
+ * @returns {boolean}
+ */
+export function isFormatActive(value, start, end, format) {
+    const block = findFencedBlock(value, start);
+    if (format === 'codeblock') return !!block;
+    if (block) return false;
+
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    let lineEnd = value.indexOf('\n', start);
+    if (lineEnd === -1) lineEnd = value.length;
+    const line = value.substring(lineStart, lineEnd);
+    const prefix = parseLinePrefix(line);
+
+    switch (format) {
+        case 'bold':
+            return !!(findInlineSpan(value, start, end, '**', '**') || findInlineSpan(value, start, end, '__', '__'));
+        case 'italic':
+            return !!(findInlineSpan(value, start, end, '*', '*') || findInlineSpan(value, start, end, '_', '_'));
+        case 'code':
+            return !!findInlineSpan(value, start, end, '`', '`');
+        case 'heading':
+            return getHeadingLevel(line) > 0;
+        case 'ul':
+            return !!(prefix && prefix.marker && prefix.number === null);
+        case 'ol':
+            return !!(prefix && prefix.marker && prefix.number !== null);
+        case 'quote':
+            return /^[ \t]*>/.test(line);
+        case 'link': {
+            const link = findLink(value, start);
+            return !!link && end <= link.end;
+        }
+        case 'table':
+            return !!findTable(value, start);
+        default:
+            return false;
+    }
+}
@@ -1,9 +1,37 @@
 /**
- * Format switcher UI (Markdown/HTML dropdown)
+ * Format switcher UI (Markdown/HTML/plain text dropdown)
+ *
+ * Also shows the confirmation for lossy conversions (with a diff) and the
+ * notice that offers to undo a switch (see format-conversion.js).
  */
 
 import { $ } from './globals.js';
 import { debugLog } from './utils.js';
+import { createButton, uniqueId } from './popover.js';
+import { t } from './i18n.js';
+
+/** Formats of the editor, in switcher order */
+const FORMATS = ['markdown', 'html', 'text'];
+
+/** How long (ms) the undo notice stays */
+const NOTICE_TIMEOUT = 15000;
+
+/** Unchanged lines shown around each change in the diff */
+const DIFF_CONTEXT = 2;
+
+/**
+ * Formats the editor may switch between
+ *
+ * osTicketMarkdownConfig.allowedFormats limits them (e.g. ['text'] for
+ * departments that must reply in plain text); unknown names are ignored.
+ *
+ * @param {string[]} [allowed] - Configured formats
+ * @returns {string[]} Allowed formats in switcher order, never empty
+ */
+export function getAllowedFormats(allowed) {
+    const formats = Array.isArray(allowed) ? FORMATS.filter(format => allowed.includes(format)) : [];
+    return formats.length ? formats : FORMATS.slice();
+}
 
 /**
  * Create standalone format switcher (placed before textarea)
@@ -23,7 +51,7 @@ export function createFormatSwitcherStandalone(editor) {
     });
 
     const $label = $('<label>', {
-        text: 'Format: ',
+        text: t('Format:') + ' ',
         css: {
             'font-weight': 'bold',
             'margin-right': '10px',
@@ -33,7 +61,7 @@ export function createFormatSwitcherStandalone(editor) {
 
     const $select = $('<select>', {
         class: 'format-switcher-select',
-        'aria-label': 'Select input format',
+        'aria-label': t('Select input format'),
         css: {
             'padding': '1px 30px 6px 10px',
             'border': '1px solid #ccc',
@@ -45,18 +73,7 @@ export function createFormatSwitcherStandalone(editor) {
         change: (e) => editor.switchFormat(e.target.value)
     });
 
-    const formats = [
-        { value: 'markdown', label: 'Markdown' },
-        { value: 'html', label: 'HTML' }
-    ];
-
-    formats.forEach(format => {
-        $select.append($('<option>', {
-            value: format.value,
-            text: format.label,
-            selected: format.value === editor.currentFormat
-        }));
-    });
+    $select.append(createFormatOptions(editor));
 
     $wrapper.append($label).append($select);
     editor.textarea.before($wrapper);
@@ -79,27 +96,30 @@ export function createFormatSwitcher(editor) {
 
     const select = $('<select>', {
         class: 'format-switcher-select',
-        'aria-label': 'Select input format',
+        'aria-label': t('Select input format'),
         change: (e) => editor.switchFormat(e.target.value)
     });
 
-    const formats = [
-        { value: 'markdown', label: 'Markdown' },
-        { value: 'html', label: 'HTML' }
-    ];
-
-    formats.forEach(format => {
-        select.append($('<option>', {
-            value: format.value,
-            text: format.label,
-            selected: format.value === editor.currentFormat
-        }));
-    });
+    select.append(createFormatOptions(editor));
 
     switcher.append(select);
     return switcher;
 }
 
+/**
+ * Options of the allowed formats for the switcher select
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery[]}
+ */
+function createFormatOptions(editor) {
+    return editor.options.allowedFormats.map(format => $('<option>', {
+        value: format,
+        text: formatLabel(format),
+        selected: format === editor.currentFormat
+    }));
+}
+
 /**
  * Ensure a hidden format field exists and is set to current format
  *
@@ -128,3 +148,194 @@ export function ensureFormatField(editor) {
 
     editor.formatField = formatField;
 }
+
+/**
+ * Ask before a lossy format switch
+ *
+ * Lists the formatting that gets dropped and shows the changed lines of
+ * the visible content. Escape cancels.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} newFormat - 'markdown', 'html' or 'text'
+ * @param {object} result - Result of convertContent()
+ * @returns {Promise<boolean>} Whether to switch
+ */
+export function confirmFormatSwitch(editor, newFormat, result) {
+    return new Promise(resolve => {
+        const titleId = uniqueId('format-confirm-title');
+        const messageId = uniqueId('format-confirm-message');
+        const $dialog = $('<div>', {
+            class: 'markdown-format-confirm',
+            role: 'alertdialog',
+            'aria-labelledby': titleId,
+            'aria-describedby': messageId
+        });
+
+        const close = (confirmed) => {
+            $dialog.remove();
+            if (editor.formatSwitcherSelect) editor.formatSwitcherSelect.trigger('focus');
+            resolve(confirmed);
+        };
+
+        $dialog.append(
+            $('<strong>', { id: titleId, class: 'markdown-format-confirm-title', text: t('Switch to {format}?', { format: formatLabel(newFormat) }) }),
+            $('<p>', { id: messageId, text: t('Some content cannot be converted exactly. Please review the changes.') })
+        );
+
+        if (result.lost.length) {
+            const $lost = $('<ul>', { class: 'markdown-format-lost' });
+            result.lost.forEach(key => $lost.append($('<li>', { text: lostFormattingLabel(key) })));
+            $dialog.append($('<p>', { text: t('Formatting that will be removed:') }), $lost);
+        }
+
+        if (result.diff.some(line => line.type !== 'same')) {
+            $dialog.append(createDiff(result.diff));
+        }
+
+        const $cancel = createButton(t('Cancel'), () => close(false));
+        $dialog.append($('<div>', { class: 'markdown-popover-actions' }).append(
+            createButton(t('Switch anyway'), () => close(true), true),
+            $cancel
+        ));
+        $dialog.on('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close(false);
+            }
+        });
+
+        insertNearSwitcher(editor, $dialog);
+        $cancel.trigger('focus');
+    });
+}
+
+/**
+ * Render the changed lines with some unchanged lines around them
+ *
+ * @param {Array<{type: string, text: string}>} diff - Result of diffLines()
+ * @returns {jQuery}
+ */
+function createDiff(diff) {
+    const $diff = $('<div>', { class: 'markdown-format-diff', role: 'group', 'aria-label': t('Changes') });
+    $diff.append($('<div>', { class: 'markdown-format-diff-legend' }).append(
+        $('<del>', { text: t('Before') }),
+        $('<ins>', { text: t('After') })
+    ));
+
+    const shown = diff.map((line, index) => diff.slice(Math.max(index - DIFF_CONTEXT, 0), index + DIFF_CONTEXT + 1)
+        .some(near => near.type !== 'same'));
+    let gap = false;
+
+    diff.forEach((line, index) => {
+        if (!shown[index]) {
+            if (!gap) $diff.append($('<div>', { class: 'markdown-format-diff-gap', text: '…' }));
+            gap = true;
+            return;
+        }
+        gap = false;
+
+        const tag = { removed: '<del>', added: '<ins>' }[line.type] || '<div>';
+        $diff.append($(tag, { class: 'markdown-format-diff-line', text: line.text }));
+    });
+
+    return $diff;
+}
+
+/**
+ * Show the "Switched to …" notice with an undo button
+ *
+ * The notice disappears after a timeout, on the next edit in the
+ * textarea, or when the format is switched again.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} format - New format
+ * @param {Function} undo
+ */
+export function showFormatSwitchNotice(editor, format, undo) {
+    hideFormatSwitchNotice(editor);
+
+    const $notice = $('<div>', { class: 'markdown-format-notice', role: 'status' });
+    $notice.append(
+        $('<span>', { text: t('Switched to {format}.', { format: formatLabel(format) }) + ' ' }),
+        $('<button>', {
+            type: 'button',
+            class: 'markdown-format-notice-action',
+            text: t('Undo'),
+            click: (e) => {
+                e.preventDefault();
+                undo();
+            }
+        })
+    );
+
+    insertNearSwitcher(editor, $notice);
+    editor.formatNotice = $notice;
+    editor.formatNoticeTimer = setTimeout(() => hideFormatSwitchNotice(editor), NOTICE_TIMEOUT);
+    editor.textarea.one('input.markdownFormatNotice', () => hideFormatSwitchNotice(editor));
+}
+
+/**
+ * Remove the undo notice
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function hideFormatSwitchNotice(editor) {
+    clearTimeout(editor.formatNoticeTimer);
+    editor.textarea.off('input.markdownFormatNotice');
+    if (editor.formatNotice) {
+        editor.formatNotice.remove();
+        editor.formatNotice = null;
+    }
+}
+
+/**
+ * Insert an element below the format switcher (or above the editor)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} $element
+ */
+function insertNearSwitcher(editor, $element) {
+    if (editor.formatSwitcher && editor.formatSwitcher.length) {
+        editor.formatSwitcher.after($element);
+    } else if (editor.container && editor.container.is(':visible')) {
+        editor.container.before($element);
+    } else {
+        editor.textarea.before($element);
+    }
+}
+
+/**
+ * @param {string} format - 'markdown', 'html' or 'text'
+ * @returns {string} Translated format name
+ */
+export function formatLabel(format) {
+    const labels = {
+        markdown: t('Markdown'),
+        html: t('HTML'),
+        text: t('Plain text')
+    };
+    return labels[format] || format;
+}
+
+/**
+ * @param {string} key - Key of findLostFormatting() or findTextFormatting()
+ * @returns {string} Translated description
+ */
+function lostFormattingLabel(key) {
+    const labels = {
+        emphasis: t('Bold, italic and strikethrough'),
+        headings: t('Headings'),
+        code: t('Code formatting'),
+        tables: t('Table layout'),
+        images: t('Images (replaced by their name)'),
+        underline: t('Underline'),
+        color: t('Text and background colors'),
+        size: t('Font sizes'),
+        alignment: t('Text alignment'),
+        script: t('Subscript and superscript'),
+        media: t('Embedded videos and frames'),
+        table: t('Merged table cells and nested tables')
+    };
+    return labels[key] || key;
+}
@@ -0,0 +1,516 @@
+/**
+ * Toggle-aware formatting
+ *
+ * Detects existing markup around the selection, so applying a format a
+ * second time removes it:
+ * - Emphasis and inline code are unwrapped when the selection is inside
+ *   (or covers) a marked span; multi-line selections work line by line
+ * - Lists, quotes and headings are line formats; lists convert between
+ *   bullet and numbered instead of nesting
+ *
+ * The functions work on plain values and offsets and return
+ * {value, selectionStart, selectionEnd}; text-actions.js applies them.
+ */
+
+import { parseLinePrefix } from './list-editing.js';
+
+/** Quote markers at the start of a line */
+const QUOTE_PREFIX = /^(?:[ \t]*>[ \t]?)*/;
+
+/** Block prefix skipped when emphasis is applied to whole lines */
+const BLOCK_PREFIX = /^(?:[ \t]*>[ \t]?)*[ \t]*(?:(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?|#{1,6}[ \t]+)?/;
+
+/** Heading marker */
+const HEADING_PREFIX = /^#{1,6}(?:[ \t]+|$)/;
+
+/**
+ * Wrap the selection in inline markers, or remove them if present
+ *
+ * @param {string} value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} prefix - e.g. '**'
+ * @param {string} suffix - e.g. '**'
+ * @param {string} placeholder - Inserted if nothing is selected
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function toggleInline(value, start, end, prefix, suffix, placeholder = '') {
+    if (value.substring(start, end).includes('\n')) {
+        return toggleInlineLines(value, start, end, prefix, suffix);
+    }
+
+    const span = findInlineSpan(value, start, end, prefix, suffix);
+    if (span) {
+        return removeRanges(value, start, end, [
+            [span.start, span.start + prefix.length],
+            [span.end - suffix.length, span.end]
+        ]);
+    }
+
+    const inner = value.substring(start, end) || placeholder;
+    return {
+        value: value.substring(0, start) + prefix + inner + suffix + value.substring(end),
+        selectionStart: start + prefix.length,
+        selectionEnd: start + prefix.length + inner.length
+    };
+}
+
+/**
+ * Find the marked span on the selection's line that contains the selection
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} prefix
+ * @param {string} suffix
+ * @returns {{start: number, end: number}|null} Outer range including markers
+ */
+export function findInlineSpan(value, start, end, prefix, suffix) {
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    let lineEnd = value.indexOf('\n', end);
+    if (lineEnd === -1) lineEnd = value.length;
+    const line = value.substring(lineStart, lineEnd);
+
+    let match;
+    const pattern = getSpanPattern(prefix, suffix);
+    while ((match = pattern.exec(line)) !== null) {
+        const spanStart = lineStart + match.index;
+        const spanEnd = spanStart + match[0].length;
+        if (start >= spanStart && end <= spanEnd) {
+            return { start: spanStart, end: spanEnd };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the pattern matching a marked span on one line
+ *
+ * Markers made of a single repeated character must not be part of a
+ * longer run (`*` is not found inside `**bold**`), except for `***`,
+ * which is bold and italic at once.
+ *
+ * @param {string} prefix
+ * @param {string} suffix
+ * @returns {RegExp}
+ */
+function getSpanPattern(prefix, suffix) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (prefix === suffix && /^(.)\1*$/.test(prefix)) {
+        const char = escape(prefix[0]);
+        const runs = [escape(prefix)];
+        if ('*_'.includes(prefix[0]) && prefix.length < 3) {
+            runs.push(char + '{3}');
+        }
+        return new RegExp(`(?<!${char})(${runs.join('|')})(?!${char})(?=\\S)[^\\n]*?[^${char}\\s]\\1(?!${char})`, 'g');
+    }
+
+    return new RegExp(escape(prefix) + '[^\\n]*?' + escape(suffix), 'g');
+}
+
+/**
+ * Toggle inline markers on each line of a multi-line selection
+ *
+ * If every selected line is already marked, the markers are removed;
+ * otherwise unmarked lines are wrapped. List, quote and heading markers
+ * at the start of fully selected lines stay outside the markers.
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} prefix
+ * @param {string} suffix
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+function toggleInlineLines(value, start, end, prefix, suffix) {
+    const segments = [];
+    let lineStart = value.lastIndexOf('\n', start - 1) + 1;
+
+    while (lineStart <= end) {
+        let lineEnd = value.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = value.length;
+
+        let segStart = Math.max(start, lineStart);
+        let segEnd = Math.min(end, lineEnd);
+        if (segStart === lineStart) {
+            segStart += value.substring(lineStart, lineEnd).match(BLOCK_PREFIX)[0].length;
+        }
+        const text = value.substring(segStart, segEnd);
+        segStart += text.length - text.trimStart().length;
+        segEnd -= text.length - text.trimEnd().length;
+
+        if (segEnd > segStart) {
+            const span = findInlineSpan(value, segStart, segEnd, prefix, suffix);
+            segments.push({ start: segStart, end: segEnd, span });
+        }
+        lineStart = lineEnd + 1;
+    }
+
+    if (segments.length > 0 && segments.every(segment => segment.span)) {
+        const ranges = [];
+        segments.forEach(({ span }) => {
+            ranges.push([span.start, span.start + prefix.length], [span.end - suffix.length, span.end]);
+        });
+        return removeRanges(value, start, end, ranges);
+    }
+
+    let result = value;
+    let shift = 0;
+    let selectionEnd = end;
+    segments.forEach(segment => {
+        if (segment.span) return;
+        const s = segment.start + shift;
+        const e = segment.end + shift;
+        result = result.substring(0, s) + prefix + result.substring(s, e) + suffix + result.substring(e);
+        shift += prefix.length + suffix.length;
+        if (segment.end <= end) {
+            selectionEnd = end + shift;
+        }
+    });
+
+    return { value: result, selectionStart: start, selectionEnd };
+}
+
+/**
+ * Remove ranges from a value, keeping the selection on the same content
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {Array<number[]>} ranges - Non-overlapping [from, to] pairs
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+function removeRanges(value, start, end, ranges) {
+    const sorted = ranges.slice().sort((a, b) => b[0] - a[0]);
+    const adjust = pos => sorted.reduce((p, [from, to]) => {
+        if (p <= from) return p;
+        if (p >= to) return p - (to - from);
+        return from;
+    }, pos);
+
+    let result = value;
+    sorted.forEach(([from, to]) => {
+        result = result.substring(0, from) + result.substring(to);
+    });
+
+    return { value: result, selectionStart: adjust(start), selectionEnd: adjust(end) };
+}
+
+/**
+ * Turn the selected lines into a list, convert between bullet and
+ * numbered lists, or remove the list markers
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} type - 'ul' or 'ol'
+ * @param {string} placeholder - Item text for an empty line
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function toggleList(value, start, end, type, placeholder = '') {
+    const isType = parsed => parsed && parsed.marker && (type === 'ol') === (parsed.number !== null);
+    const lines = getLines(value, start, end);
+    const parsed = lines.map(line => parseLinePrefix(line.text));
+    const remove = lines.every((line, i) => line.text.trim() === '' || isType(parsed[i])) &&
+        lines.some(line => line.text.trim() !== '');
+
+    if (!remove && lines.length === 1 && isBlankLine(lines[0].text)) {
+        const item = type === 'ol' ? '1. ' : '- ';
+        return insertLinePrefix(value, lines[0], lines[0].text.match(QUOTE_PREFIX)[0] + item, placeholder);
+    }
+
+    const counters = [];
+    return transformLines(value, start, end, lines, (line, i) => {
+        const info = parsed[i];
+        const quote = info ? info.quote : '';
+        const rest = line.substring(quote.length);
+        if (rest.trim() === '') return null;
+
+        const indent = info ? info.indent : rest.match(/^[ \t]*/)[0];
+        const oldLength = info && info.marker ? info.prefix.length : quote.length + indent.length;
+
+        if (remove) {
+            return { oldLength, prefix: quote + indent };
+        }
+
+        let marker = '- ';
+        if (type === 'ol') {
+            counters.length = Math.min(counters.length, indent.length + 1);
+            counters[indent.length] = (counters[indent.length] || 0) + 1;
+            marker = counters[indent.length] + '. ';
+        }
+        return { oldLength, prefix: quote + indent + marker + (info ? info.task : '') };
+    });
+}
+
+/**
+ * Quote the selected lines, or remove one quote level if all are quoted
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} placeholder - Quote text for an empty line
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function toggleBlockquote(value, start, end, placeholder = '') {
+    const lines = getLines(value, start, end);
+    const quoted = line => /^[ \t]*>/.test(line);
+    const remove = lines.every(line => line.text.trim() === '' || quoted(line.text)) &&
+        lines.some(line => quoted(line.text));
+
+    if (!remove && lines.length === 1 && lines[0].text.trim() === '') {
+        return insertLinePrefix(value, lines[0], '> ', placeholder);
+    }
+
+    return transformLines(value, start, end, lines, line => {
+        if (remove) {
+            const marker = line.match(/^[ \t]*>[ \t]?/);
+            return marker ? { oldLength: marker[0].length, prefix: '' } : null;
+        }
+        return { oldLength: 0, prefix: line.trim() === '' ? '>' : '> ' };
+    });
+}
+
+/**
+ * Step the heading level of the selected lines: normal text, H1 ... H6,
+ * then back to normal text
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function cycleHeading(value, start, end) {
+    const lines = getLines(value, start, end);
+    const first = lines.find(line => line.text.trim() !== '') || lines[0];
+    const level = getHeadingLevel(first.text);
+
+    return setHeadingLevel(value, start, end, level === 6 ? 0 : level + 1);
+}
+
+/**
+ * Set the heading level of the selected lines (0 = normal text)
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {number} level - 0-6
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function setHeadingLevel(value, start, end, level) {
+    const lines = getLines(value, start, end);
+    const single = lines.length === 1;
+
+    return transformLines(value, start, end, lines, line => {
+        if (line.trim() === '' && !single) return null;
+
+        const quote = line.match(QUOTE_PREFIX)[0];
+        const marker = line.substring(quote.length).match(HEADING_PREFIX);
+        return {
+            oldLength: quote.length + (marker ? marker[0].length : 0),
+            prefix: quote + (level > 0 ? '#'.repeat(level) + ' ' : '')
+        };
+    });
+}
+
+/**
+ * Heading level of a line
+ *
+ * @param {string} line
+ * @returns {number} 0 for normal text
+ */
+export function getHeadingLevel(line) {
+    const marker = line.replace(QUOTE_PREFIX, '').match(HEADING_PREFIX);
+    return marker ? marker[0].trim().length : 0;
+}
+
+/**
+ * Find the fenced code block containing an offset
+ *
+ * @param {string} value
+ * @param {number} offset
+ * @returns {{start: number, end: number, contentStart: number, contentEnd: number}|null}
+ *   Block range including the fence lines, and the range of the code
+ */
+export function findFencedBlock(value, offset) {
+    const fence = /^[ \t]*(`{3,}|~{3,})/;
+    let open = null;
+    let lineStart = 0;
+
+    while (lineStart <= value.length) {
+        let lineEnd = value.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = value.length;
+        const match = value.substring(lineStart, lineEnd).match(fence);
+
+        if (match && !open) {
+            open = { start: lineStart, contentStart: Math.min(lineEnd + 1, value.length), char: match[1][0] };
+        } else if (match && match[1][0] === open.char) {
+            if (offset >= open.start && offset <= lineEnd) {
+                return {
+                    start: open.start,
+                    end: lineEnd,
+                    contentStart: open.contentStart,
+                    contentEnd: Math.max(lineStart - 1, open.contentStart)
+                };
+            }
+            open = null;
+        }
+
+        if (lineEnd === value.length) break;
+        lineStart = lineEnd + 1;
+    }
+    return null;
+}
+
+/**
+ * Remove the fences of a code block, keeping the code
+ *
+ * @param {string} value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {object} block - Result of findFencedBlock()
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function removeFences(value, start, end, block) {
+    const closeFrom = block.contentEnd === block.contentStart ? block.contentStart : block.contentEnd;
+    return removeRanges(value, start, end, [
+        [block.start, block.contentStart],
+        [closeFrom, block.end]
+    ]);
+}
+
+/**
+ * Get the language (info string) of a code block
+ *
+ * @param {string} value
+ * @param {object} block - Result of findFencedBlock()
+ * @returns {string}
+ */
+export function getFenceLanguage(value, block) {
+    const match = value.substring(block.start, block.contentStart).match(/^[ \t]*(?:`{3,}|~{3,})[ \t]*(\S*)/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Set the language (info string) of a code block
+ *
+ * @param {string} value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {object} block - Result of findFencedBlock()
+ * @param {string} language
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function setFenceLanguage(value, start, end, block, language) {
+    let lineEnd = value.indexOf('\n', block.start);
+    if (lineEnd === -1) lineEnd = value.length;
+    const fence = value.substring(block.start, lineEnd).match(/^[ \t]*(?:`{3,}|~{3,})/)[0];
+    const line = fence + language.trim();
+    const shift = line.length - (lineEnd - block.start);
+    const move = offset => (offset > lineEnd ? offset + shift : Math.min(offset, block.start + line.length));
+
+    return {
+        value: value.substring(0, block.start) + line + value.substring(lineEnd),
+        selectionStart: move(start),
+        selectionEnd: move(end)
+    };
+}
+
+/**
+ * Lines touched by a selection (a selection ending at a line start does
+ * not touch that line)
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<{start: number, text: string}>}
+ */
+function getLines(value, start, end) {
+    const first = value.lastIndexOf('\n', start - 1) + 1;
+    const lastOffset = end > start && value[end - 1] === '\n' ? end - 1 : end;
+    let last = value.indexOf('\n', lastOffset);
+    if (last === -1) last = value.length;
+
+    let offset = first;
+    return value.substring(first, last).split('\n').map(text => {
+        const line = { start: offset, text };
+        offset += text.length + 1;
+        return line;
+    });
+}
+
+/**
+ * Replace the prefix of each line and map the selection
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {Array<{start: number, text: string}>} lines - From getLines()
+ * @param {Function} transform - (text, index) => {oldLength, prefix} or null to keep the line
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+function transformLines(value, start, end, lines, transform) {
+    let shift = 0;
+    let selectionStart = start;
+    let selectionEnd = end;
+    const mapped = lines.map((line, i) => {
+        const change = transform(line.text, i);
+        const lineEnd = line.start + line.text.length;
+        const map = pos => {
+            if (!change) return pos + shift;
+            const column = pos - line.start;
+            // A selection starting at a line start keeps covering the whole line
+            const lineSelected = pos === start && start !== end && column === 0;
+            if (column >= change.oldLength && !lineSelected) return pos + shift + change.prefix.length - change.oldLength;
+            return line.start + shift + Math.min(column, change.prefix.length);
+        };
+
+        if (start >= line.start && start <= lineEnd) selectionStart = map(start);
+        if (end >= line.start && end <= lineEnd) selectionEnd = map(end);
+
+        if (!change) return line.text;
+        shift += change.prefix.length - change.oldLength;
+        return change.prefix + line.text.substring(change.oldLength);
+    });
+
+    const first = lines[0].start;
+    const last = lines[lines.length - 1].start + lines[lines.length - 1].text.length;
+    if (end > last) selectionEnd = end + shift;
+
+    return {
+        value: value.substring(0, first) + mapped.join('\n') + value.substring(last),
+        selectionStart,
+        selectionEnd
+    };
+}
+
+/**
+ * Add a line prefix and placeholder text to an empty line, with the
+ * placeholder selected
+ *
+ * @param {string} value
+ * @param {{start: number, text: string}} line
+ * @param {string} prefix
+ * @param {string} placeholder
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+function insertLinePrefix(value, line, prefix, placeholder) {
+    const lineEnd = line.start + line.text.length;
+    const selectionStart = line.start + prefix.length;
+    return {
+        value: value.substring(0, line.start) + prefix + placeholder + value.substring(lineEnd),
+        selectionStart,
+        selectionEnd: selectionStart + placeholder.length
+    };
+}
+
+/**
+ * Whether a line has no content apart from quote markers
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlankLine(line) {
+    return line.replace(QUOTE_PREFIX, '').trim() === '';
+}
@@ -0,0 +1,375 @@
+/**
+ * Fullscreen (distraction-free) compose mode
+ *
+ * The editor container is pinned over the page; textarea, format field and
+ * upload handlers stay the same DOM nodes inside the ticket form. Editor and
+ * preview are split by a draggable splitter. Layout and split ratio are
+ * remembered per agent in localStorage.
+ */
+
+import { $ } from './globals.js';
+import { debugLog } from './utils.js';
+import { getIcon } from './icons.js';
+import { t } from './i18n.js';
+import { updateTabStops } from './toolbar.js';
+
+/** Available layouts in fullscreen mode */
+export const LAYOUTS = {
+    side: 'Side by side',
+    bottom: 'Preview below',
+    editor: 'Editor only',
+    preview: 'Preview only'
+};
+
+/** Split ratio bounds (editor share in percent) */
+const MIN_SPLIT = 15;
+const MAX_SPLIT = 85;
+const SPLIT_STEP = 5;
+
+const STORAGE_KEY = 'osticket-markdown-layout';
+
+/** Editor currently in fullscreen (only one at a time) */
+let activeEditor = null;
+
+/**
+ * Toggle fullscreen mode
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function toggleFullscreen(editor) {
+    if (editor.isFullscreen) {
+        exitFullscreen(editor);
+    } else {
+        enterFullscreen(editor);
+    }
+}
+
+/**
+ * Enter fullscreen mode with the remembered layout
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function enterFullscreen(editor) {
+    if (editor.isFullscreen || !editor.container) return;
+
+    if (activeEditor && activeEditor !== editor) {
+        exitFullscreen(activeEditor);
+    }
+
+    const prefs = loadLayoutPrefs();
+    const wrapper = editor.textarea.parent();
+
+    // Side layout already has a content area; bottom layout gets one for the split
+    editor.splitArea = wrapper.parent('.markdown-content-area');
+    if (editor.splitArea.length === 0) {
+        wrapper.add(editor.previewPane ? editor.previewPane.parent() : $())
+            .wrapAll('<div class="markdown-content-area markdown-fullscreen-split"></div>');
+        editor.splitArea = wrapper.parent();
+    }
+
+    editor.isFullscreen = true;
+    activeEditor = editor;
+
+    editor.container.addClass('markdown-editor-fullscreen');
+    $('body').addClass('markdown-fullscreen-active');
+
+    if (editor.previewTabs) {
+        // Tabs mode keeps its tabs: one panel at a time, full size
+        editor.container.attr('data-layout', 'tabs');
+    } else if (editor.previewPane) {
+        createSplitter(editor);
+        createLayoutSwitcher(editor);
+        setLayout(editor, prefs.layout, false);
+        setSplit(editor, prefs.split);
+    } else {
+        setLayout(editor, 'editor', false);
+    }
+
+    // Escape in the textarea first arms the Esc-then-Tab focus escape
+    // (text-actions.js) and prevents the default; the next one gets here
+    $(document).on('keydown.markdownFullscreen', (e) => {
+        if (e.key === 'Escape' && !e.isDefaultPrevented()) {
+            e.preventDefault();
+            exitFullscreen(editor);
+        }
+    });
+
+    updateFullscreenToggle(editor);
+    editor.textarea.focus();
+
+    debugLog('Entered fullscreen mode', 'DEBUG', prefs);
+}
+
+/**
+ * Leave fullscreen mode and restore the inline layout
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function exitFullscreen(editor) {
+    if (!editor.isFullscreen) return;
+
+    $(document).off('keydown.markdownFullscreen');
+
+    if (editor.splitter) {
+        editor.splitter.remove();
+        editor.splitter = null;
+    }
+    if (editor.layoutSwitcher) {
+        editor.layoutSwitcher.remove();
+        editor.layoutSwitcher = null;
+        updateTabStops(editor);
+    }
+
+    if (editor.splitArea.hasClass('markdown-fullscreen-split')) {
+        editor.splitArea.children().unwrap();
+    }
+    editor.splitArea = null;
+
+    editor.container
+        .removeClass('markdown-editor-fullscreen')
+        .removeAttr('data-layout');
+    editor.container[0].style.removeProperty('--markdown-split');
+    $('body').removeClass('markdown-fullscreen-active');
+
+    editor.isFullscreen = false;
+    if (activeEditor === editor) {
+        activeEditor = null;
+    }
+
+    updateFullscreenToggle(editor);
+    editor.textarea.focus();
+
+    debugLog('Exited fullscreen mode', 'DEBUG');
+}
+
+/**
+ * Switch the fullscreen layout
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} layout - One of LAYOUTS
+ * @param {boolean} [remember=true] - Store as the agent's preferred layout
+ */
+export function setLayout(editor, layout, remember = true) {
+    if (!Object.prototype.hasOwnProperty.call(LAYOUTS, layout)) return;
+
+    editor.container.attr('data-layout', layout);
+
+    if (editor.splitter) {
+        editor.splitter.attr('aria-orientation', layout === 'side' ? 'vertical' : 'horizontal');
+    }
+    if (editor.layoutSwitcher) {
+        editor.layoutSwitcher.find('[data-layout]').each(function() {
+            $(this).attr('aria-pressed', String($(this).attr('data-layout') === layout));
+        });
+    }
+
+    if (layout === 'preview') {
+        editor.renderPreview();
+    }
+
+    if (remember) {
+        saveLayoutPrefs({ layout });
+    }
+}
+
+/**
+ * Set the editor share of the split
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {number} percent - Editor share in percent
+ */
+function setSplit(editor, percent) {
+    const split = clampSplit(percent);
+    editor.container[0].style.setProperty('--markdown-split', split + '%');
+    if (editor.splitter) {
+        editor.splitter.attr('aria-valuenow', Math.round(split));
+    }
+    editor.splitRatio = split;
+}
+
+/**
+ * Create the draggable (and keyboard operable) splitter
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function createSplitter(editor) {
+    editor.splitter = $('<div>', {
+        class: 'markdown-splitter',
+        role: 'separator',
+        tabindex: 0,
+        title: t('Drag to resize'),
+        'aria-label': t('Resize editor and preview'),
+        'aria-valuemin': MIN_SPLIT,
+        'aria-valuemax': MAX_SPLIT
+    });
+
+    editor.splitter.on('pointerdown', (e) => {
+        const event = e.originalEvent;
+        e.preventDefault();
+        editor.splitter[0].setPointerCapture(event.pointerId);
+        editor.container.addClass('is-resizing');
+
+        editor.splitter.on('pointermove.markdownSplitter', (moveEvent) => {
+            setSplit(editor, getPointerSplit(editor, moveEvent.originalEvent));
+        });
+        editor.splitter.one('pointerup pointercancel', () => {
+            editor.splitter.off('pointermove.markdownSplitter');
+            editor.container.removeClass('is-resizing');
+            saveLayoutPrefs({ split: editor.splitRatio });
+        });
+    });
+
+    editor.splitter.on('keydown', (e) => {
+        const steps = {
+            ArrowLeft: -SPLIT_STEP,
+            ArrowUp: -SPLIT_STEP,
+            ArrowRight: SPLIT_STEP,
+            ArrowDown: SPLIT_STEP,
+            Home: MIN_SPLIT - MAX_SPLIT,
+            End: MAX_SPLIT - MIN_SPLIT
+        };
+        if (!Object.prototype.hasOwnProperty.call(steps, e.key)) return;
+
+        e.preventDefault();
+        setSplit(editor, editor.splitRatio + steps[e.key]);
+        saveLayoutPrefs({ split: editor.splitRatio });
+    });
+
+    editor.textarea.parent().after(editor.splitter);
+}
+
+/**
+ * Compute the split ratio from a pointer position
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {PointerEvent} event
+ * @returns {number} Editor share in percent
+ */
+function getPointerSplit(editor, event) {
+    const rect = editor.splitArea[0].getBoundingClientRect();
+
+    if (editor.container.attr('data-layout') === 'side') {
+        return (event.clientX - rect.left) / rect.width * 100;
+    }
+    return (event.clientY - rect.top) / rect.height * 100;
+}
+
+/**
+ * Create the layout button group in the toolbar
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function createLayoutSwitcher(editor) {
+    if (!editor.toolbar) return;
+
+    const icons = {
+        side: 'layout-side',
+        bottom: 'layout-bottom',
+        editor: 'layout-editor',
+        preview: 'eye'
+    };
+
+    editor.layoutSwitcher = $('<div>', {
+        class: 'markdown-layout-switcher',
+        role: 'group',
+        'aria-label': t('Layout')
+    });
+
+    Object.keys(LAYOUTS).forEach(layout => {
+        editor.layoutSwitcher.append($('<button>', {
+            type: 'button',
+            class: 'markdown-toolbar-btn',
+            'data-layout': layout,
+            title: t(LAYOUTS[layout]),
+            'aria-label': t(LAYOUTS[layout]),
+            'aria-pressed': 'false',
+            html: getIcon(icons[layout]),
+            click: (e) => {
+                e.preventDefault();
+                setLayout(editor, layout);
+            }
+        }));
+    });
+
+    const toggle = editor.toolbar.find('[data-action="fullscreen"]');
+    if (toggle.length) {
+        toggle.before(editor.layoutSwitcher);
+    } else {
+        editor.toolbar.append(editor.layoutSwitcher);
+    }
+    updateTabStops(editor);
+}
+
+/**
+ * Reflect the fullscreen state on the toolbar toggle
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function updateFullscreenToggle(editor) {
+    if (!editor.toolbar) return;
+
+    const title = editor.isFullscreen ? t('Exit Fullscreen (Esc)') : t('Fullscreen');
+    editor.toolbar.find('[data-action="fullscreen"]')
+        .attr('aria-pressed', String(!!editor.isFullscreen))
+        .attr('title', title)
+        .attr('aria-label', title)
+        .html(getIcon(editor.isFullscreen ? 'fullscreen-exit' : 'fullscreen'));
+}
+
+/**
+ * Clamp a split ratio to the allowed range
+ *
+ * @param {number} percent
+ * @returns {number}
+ */
+export function clampSplit(percent) {
+    if (typeof percent !== 'number' || isNaN(percent)) return 50;
+    return Math.min(Math.max(percent, MIN_SPLIT), MAX_SPLIT);
+}
+
+/**
+ * Load the agent's layout preferences
+ *
+ * @returns {{layout: string, split: number}}
+ */
+export function loadLayoutPrefs() {
+    const prefs = { layout: 'side', split: 50 };
+
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(getStorageKey()) || '{}');
+        if (Object.prototype.hasOwnProperty.call(LAYOUTS, stored.layout)) {
+            prefs.layout = stored.layout;
+        }
+        if (typeof stored.split === 'number') {
+            prefs.split = clampSplit(stored.split);
+        }
+    } catch (e) {
+        // Storage disabled or corrupt entry: use defaults
+    }
+
+    return prefs;
+}
+
+/**
+ * Merge and store layout preferences
+ *
+ * @param {object} changes - Partial preferences
+ */
+export function saveLayoutPrefs(changes) {
+    try {
+        const prefs = Object.assign(loadLayoutPrefs(), changes);
+        window.localStorage.setItem(getStorageKey(), JSON.stringify(prefs));
+    } catch (e) {
+        debugLog('Could not store layout preferences', 'WARNING');
+    }
+}
+
+/**
+ * Storage key, scoped to the logged-in agent if known
+ *
+ * @returns {string}
+ */
+function getStorageKey() {
+    const config = window.osTicketMarkdownConfig || {};
+    return config.agentId ? STORAGE_KEY + ':' + config.agentId : STORAGE_KEY;
+}
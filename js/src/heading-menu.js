@@ -0,0 +1,56 @@
+/**
+ * Heading dropdown
+ *
+ * Menu with normal text and H1-H6 for the selected lines; the current
+ * level is checked and focused when the menu opens.
+ */
+
+import { $ } from './globals.js';
+import { getHeadingLevel } from './formatting.js';
+import { openPopover, closePopover, isPopoverOpen, setupMenuKeys } from './popover.js';
+import { t } from './i18n.js';
+
+/**
+ * Open or close the heading menu
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} $button - Toolbar button
+ */
+export function toggleHeadingMenu(editor, $button) {
+    if (isPopoverOpen(editor, $button)) {
+        closePopover(editor);
+        return;
+    }
+
+    const { value, selectionStart } = editor.textarea[0];
+    const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+    let lineEnd = value.indexOf('\n', selectionStart);
+    if (lineEnd === -1) lineEnd = value.length;
+    const current = getHeadingLevel(value.substring(lineStart, lineEnd));
+
+    const $menu = $('<div>', {
+        class: 'markdown-table-picker markdown-table-menu markdown-heading-menu',
+        role: 'menu',
+        'aria-label': t('Heading')
+    });
+
+    for (let level = 0; level <= 6; level++) {
+        $menu.append($('<button>', {
+            type: 'button',
+            class: 'markdown-table-menu-item markdown-heading-option',
+            role: 'menuitemradio',
+            tabindex: -1,
+            'aria-checked': String(level === current),
+            'data-level': level,
+            text: level === 0 ? t('Normal text') : t('Heading {level}', { level }),
+            click: (e) => {
+                e.preventDefault();
+                closePopover(editor);
+                editor.setHeading(level);
+            }
+        }));
+    }
+
+    setupMenuKeys(editor, $menu);
+    openPopover(editor, $button, $menu, { focus: '[aria-checked="true"]' });
+}
@@ -0,0 +1,350 @@
+/**
+ * Offline syntax highlighting for fenced code blocks
+ *
+ * Small regex grammars, bundled with the editor (no network, no external
+ * library). Runs on sanitized preview content, so client-rendered and
+ * backend-rendered previews are highlighted the same way.
+ *
+ * Tokens are built as DOM nodes (never via innerHTML): a token is a
+ * <span class="markdown-hl-{type}"> around its text.
+ */
+
+/** Code longer than this is left plain to keep the preview responsive */
+const MAX_HIGHLIGHT_LENGTH = 50000;
+
+const DQ_STRING = /"(?:\\.|[^"\\\n])*"/;
+const SQ_STRING = /'(?:\\.|[^'\\\n])*'/;
+const NUMBER = /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/i;
+const C_COMMENT = /\/\/.*|\/\*[\s\S]*?\*\//;
+
+/** Line-anchored scalar value (YAML) */
+const YAML_VALUE_START = '(?<=:[ \\t]+|-[ \\t]+|^[ \\t]*)';
+const YAML_VALUE_END = '(?=[ \\t]*(?:#|$))';
+
+const GRAMMARS = {
+    bash: [
+        { type: 'comment', pattern: /(?<=^|\s)#.*/m },
+        {
+            type: 'string',
+            pattern: /"(?:\\[\s\S]|[^"\\])*"/,
+            inside: [{ type: 'variable', pattern: /\$(?:\{[^}\n]*\}|[A-Za-z_]\w*|[0-9@#?$!*-])/ }]
+        },
+        { type: 'string', pattern: /'[^']*'/ },
+        { type: 'variable', pattern: /\$(?:\{[^}\n]*\}|\([^)\n]*\)|[A-Za-z_]\w*|[0-9@#?$!*-])/ },
+        {
+            type: 'keyword',
+            pattern: /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|select|return|exit|break|continue|export|local|readonly|declare|unset|source|alias)\b/
+        },
+        {
+            type: 'builtin',
+            pattern: /\b(?:echo|printf|cd|pwd|ls|cat|grep|sed|awk|curl|wget|sudo|chmod|chown|mkdir|rm|cp|mv|tar|find|xargs|test|read|set|shift|trap|eval|exec|kill|ps|tail|head|systemctl|service|apt-get|apt|yum|dnf|git|php|composer|npm|docker)\b/
+        },
+        { type: 'number', pattern: /\b\d+\b/ }
+    ],
+
+    json: [
+        { type: 'key', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/ },
+        { type: 'string', pattern: DQ_STRING },
+        { type: 'number', pattern: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/ },
+        { type: 'literal', pattern: /\b(?:true|false|null)\b/ }
+    ],
+
+    yaml: [
+        { type: 'comment', pattern: /(?<=^|\s)#.*/m },
+        { type: 'meta', pattern: /^(?:---|\.\.\.)(?=\s*$)/m },
+        { type: 'key', pattern: /(?<=^[ \t]*(?:-[ \t]+)?)(?!-\s)[^\s#'"][^#\n]*?(?=[ \t]*:(?:\s|$))/m },
+        { type: 'string', pattern: /"(?:\\.|[^"\\\n])*"|'(?:''|[^'\n])*'/ },
+        { type: 'variable', pattern: /(?<=^|[\s[{,:])[&*][\w-]+/m },
+        { type: 'meta', pattern: /(?<=^|\s)!{1,2}[\w/.:-]*/m },
+        {
+            type: 'literal',
+            pattern: new RegExp(YAML_VALUE_START + '(?:true|false|yes|no|on|off|null|~)' + YAML_VALUE_END, 'im')
+        },
+        {
+            type: 'number',
+            pattern: new RegExp(YAML_VALUE_START + '[+-]?(?:0x[\\da-f]+|\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?|\\.inf|\\.nan)' + YAML_VALUE_END, 'im')
+        }
+    ],
+
+    sql: [
+        { type: 'comment', pattern: /--.*|\/\*[\s\S]*?\*\// },
+        { type: 'string', pattern: /'(?:''|\\.|[^'\\])*'/ },
+        { type: 'variable', pattern: /`[^`\n]*`|"(?:""|[^"\n])*"|[@:]\w+/ },
+        {
+            type: 'keyword',
+            pattern: /\b(?:SELECT|FROM|WHERE|AND|OR|NOT|INSERT|INTO|VALUES|UPDATE|SET|DELETE|CREATE|ALTER|DROP|TABLE|INDEX|VIEW|DATABASE|JOIN|INNER|LEFT|RIGHT|OUTER|FULL|CROSS|ON|AS|GROUP|BY|ORDER|HAVING|LIMIT|OFFSET|UNION|ALL|DISTINCT|CASE|WHEN|THEN|ELSE|END|IN|IS|LIKE|BETWEEN|EXISTS|PRIMARY|KEY|FOREIGN|REFERENCES|DEFAULT|ASC|DESC|WITH|RETURNING|TRUNCATE|BEGIN|COMMIT|ROLLBACK|TRANSACTION|GRANT|REVOKE|SHOW|DESCRIBE|EXPLAIN|USE|IF|REPLACE|UNIQUE|CONSTRAINT|AUTO_INCREMENT|ENGINE|CHARSET|COLLATE)\b/i
+        },
+        {
+            type: 'builtin',
+            pattern: /\b(?:COUNT|SUM|AVG|MIN|MAX|COALESCE|IFNULL|NOW|CONCAT|LOWER|UPPER|SUBSTRING|LENGTH|CAST|CONVERT|DATE_FORMAT|ROUND)(?=\s*\()|\b(?:INT|INTEGER|BIGINT|SMALLINT|TINYINT|DECIMAL|FLOAT|DOUBLE|VARCHAR|CHAR|TEXT|BLOB|DATE|DATETIME|TIMESTAMP|BOOLEAN|JSON)\b/i
+        },
+        { type: 'literal', pattern: /\b(?:NULL|TRUE|FALSE)\b/i },
+        { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ }
+    ],
+
+    php: [
+        { type: 'meta', pattern: /<\?(?:php|=)?|\?>/ },
+        { type: 'comment', pattern: /\/\/.*|#(?!\[).*|\/\*[\s\S]*?\*\// },
+        {
+            type: 'string',
+            pattern: /"(?:\\[\s\S]|[^"\\])*"/,
+            inside: [{ type: 'variable', pattern: /\{\$[^}\n]*\}|\$\w+/ }]
+        },
+        { type: 'string', pattern: /'(?:\\[\s\S]|[^'\\])*'/ },
+        { type: 'variable', pattern: /\$\w+/ },
+        {
+            type: 'keyword',
+            pattern: /\b(?:abstract|and|array|as|break|callable|case|catch|class|clone|const|continue|declare|default|do|echo|else|elseif|empty|enum|extends|final|finally|fn|for|foreach|function|global|goto|if|implements|include|include_once|instanceof|insteadof|interface|isset|list|match|namespace|new|or|print|private|protected|public|readonly|require|require_once|return|static|switch|throw|trait|try|unset|use|var|while|xor|yield)\b/i
+        },
+        { type: 'literal', pattern: /\b(?:true|false|null)\b/i },
+        { type: 'builtin', pattern: /\b(?:int|float|bool|string|void|mixed|object|iterable|never|self|parent)\b/ },
+        { type: 'number', pattern: NUMBER }
+    ],
+
+    js: [
+        { type: 'comment', pattern: C_COMMENT },
+        { type: 'string', pattern: /`(?:\\[\s\S]|[^`\\])*`/ },
+        { type: 'string', pattern: DQ_STRING },
+        { type: 'string', pattern: SQ_STRING },
+        {
+            type: 'keyword',
+            pattern: /\b(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)\b/
+        },
+        { type: 'literal', pattern: /\b(?:true|false|null|undefined|NaN|Infinity)\b/ },
+        { type: 'number', pattern: NUMBER }
+    ],
+
+    python: [
+        { type: 'comment', pattern: /#.*/ },
+        { type: 'string', pattern: /(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?"""|'''[\s\S]*?''')/ },
+        { type: 'string', pattern: /(?:[rRbBuUfF]{1,2})?(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/ },
+        { type: 'meta', pattern: /(?<=^[ \t]*)@[\w.]+/m },
+        {
+            type: 'keyword',
+            pattern: /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield|match|case)\b/
+        },
+        { type: 'literal', pattern: /\b(?:True|False|None)\b/ },
+        {
+            type: 'builtin',
+            pattern: /\b(?:print|len|range|str|int|float|bool|list|dict|set|tuple|open|isinstance|super|self|enumerate|zip|map|filter|sorted)\b/
+        },
+        { type: 'number', pattern: NUMBER }
+    ],
+
+    xml: [
+        { type: 'comment', pattern: /<!--[\s\S]*?-->/ },
+        { type: 'meta', pattern: /<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\?[\s\S]*?\?>/i },
+        {
+            type: null,
+            pattern: /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>=`]+))?)*\s*\/?>/,
+            inside: [
+                { type: 'tag', pattern: /^<\/?[\w:.-]+/ },
+                { type: 'tag', pattern: /\/?>$/ },
+                { type: 'string', pattern: /"[^"]*"|'[^']*'/ },
+                { type: 'attr', pattern: /[^\s"'<>/=]+/ }
+            ]
+        },
+        { type: 'literal', pattern: /&(?:#\d+|#x[\da-f]+|\w+);/i }
+    ],
+
+    ini: [
+        { type: 'comment', pattern: /(?<=^[ \t]*)[;#].*/m },
+        { type: 'section', pattern: /(?<=^[ \t]*)\[\[?[^\]\n]*\]\]?/m },
+        { type: 'key', pattern: /(?<=^[ \t]*)[^\s=:;#[][^=:\n]*?(?=[ \t]*[=:])/m },
+        { type: 'string', pattern: DQ_STRING },
+        { type: 'string', pattern: SQ_STRING },
+        { type: 'variable', pattern: /\$\{[^}\n]*\}|%\([^)\n]*\)s/ },
+        { type: 'literal', pattern: /\b(?:true|false|yes|no|on|off|null|none)\b/i },
+        { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ }
+    ],
+
+    diff: [
+        { type: 'meta', pattern: /^(?:diff |index |--- |\+\+\+ ).*/m },
+        { type: 'section', pattern: /^@@.*/m },
+        { type: 'inserted', pattern: /^[+>].*/m },
+        { type: 'deleted', pattern: /^[-<].*/m },
+        { type: 'comment', pattern: /^\\ .*/m }
+    ]
+};
+
+/** Fence info strings mapped to grammar names */
+const ALIASES = {
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    console: 'bash',
+    yml: 'yaml',
+    javascript: 'js',
+    jsx: 'js',
+    mjs: 'js',
+    ts: 'js',
+    typescript: 'js',
+    py: 'python',
+    python3: 'python',
+    html: 'xml',
+    htm: 'xml',
+    xhtml: 'xml',
+    svg: 'xml',
+    conf: 'ini',
+    cfg: 'ini',
+    toml: 'ini',
+    properties: 'ini',
+    env: 'ini',
+    patch: 'diff',
+    mysql: 'sql',
+    pgsql: 'sql',
+    postgresql: 'sql'
+};
+
+/** Compiled (sticky) grammars, built on first use */
+const compiled = {};
+
+/**
+ * Highlight all fenced code blocks with a known language
+ *
+ * Blocks without a language, with an unknown language, or that already
+ * contain markup are left untouched.
+ *
+ * @param {ParentNode} root - Preview fragment or element
+ */
+export function highlightCodeBlocks(root) {
+    root.querySelectorAll('pre > code[class*="language-"]').forEach(code => {
+        const match = code.className.match(/(?:^|\s)language-(\S+)/);
+        if (!match || code.children.length > 0) return;
+
+        const tokens = highlightCode(code.textContent, match[1]);
+        if (!tokens) return;
+
+        code.textContent = '';
+        appendTokens(code, tokens);
+    });
+}
+
+/**
+ * Language names and aliases that are highlighted
+ *
+ * @returns {string[]} Sorted names
+ */
+export function getLanguages() {
+    return Object.keys(GRAMMARS).concat(Object.keys(ALIASES)).sort();
+}
+
+/**
+ * Tokenize code for a language
+ *
+ * @param {string} code - Source code
+ * @param {string} language - Fence info string (language name or alias)
+ * @returns {Array|null} Tokens (strings and {type, content}), or null if
+ *                       the language is unknown or the code too long
+ */
+export function highlightCode(code, language) {
+    const grammar = getGrammar(language);
+    if (!grammar || code.length > MAX_HIGHLIGHT_LENGTH) return null;
+
+    return tokenize(code, grammar);
+}
+
+/**
+ * Get the compiled grammar for a language name or alias
+ *
+ * @param {string} language
+ * @returns {Array|null}
+ */
+function getGrammar(language) {
+    let name = String(language || '').toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(ALIASES, name)) {
+        name = ALIASES[name];
+    }
+    if (!Object.prototype.hasOwnProperty.call(GRAMMARS, name)) return null;
+
+    if (!compiled[name]) {
+        compiled[name] = compileRules(GRAMMARS[name]);
+    }
+    return compiled[name];
+}
+
+/**
+ * Turn rule patterns into sticky regexes (matched at an exact position)
+ *
+ * @param {Array} rules
+ * @returns {Array}
+ */
+function compileRules(rules) {
+    return rules.map(rule => ({
+        type: rule.type,
+        regex: new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', '') + 'y'),
+        inside: rule.inside ? compileRules(rule.inside) : null
+    }));
+}
+
+/**
+ * Split text into tokens: at each position the first matching rule wins
+ *
+ * @param {string} text
+ * @param {Array} rules - Compiled rules
+ * @returns {Array} Plain strings and {type, content} tokens
+ */
+function tokenize(text, rules) {
+    const tokens = [];
+    const word = /\w+/y;
+    let plain = '';
+    let pos = 0;
+
+    scan:
+    while (pos < text.length) {
+        for (const rule of rules) {
+            rule.regex.lastIndex = pos;
+            const match = rule.regex.exec(text);
+            if (!match || match[0] === '') continue;
+
+            if (plain) {
+                tokens.push(plain);
+                plain = '';
+            }
+
+            const content = rule.inside ? tokenize(match[0], rule.inside) : match[0];
+            if (rule.type) {
+                tokens.push({ type: rule.type, content });
+            } else {
+                tokens.push(...content);
+            }
+
+            pos += match[0].length;
+            continue scan;
+        }
+
+        // No token here: skip a whole word (rules never start mid-word)
+        word.lastIndex = pos;
+        const skipped = word.exec(text);
+        const length = skipped ? skipped[0].length : 1;
+        plain += text.substr(pos, length);
+        pos += length;
+    }
+
+    if (plain) {
+        tokens.push(plain);
+    }
+    return tokens;
+}
+
+/**
+ * Append tokens as text nodes and spans
+ *
+ * @param {Node} parent
+ * @param {Array} tokens
+ */
+function appendTokens(parent, tokens) {
+    const doc = parent.ownerDocument;
+
+    tokens.forEach(token => {
+        if (typeof token === 'string') {
+            parent.appendChild(doc.createTextNode(token));
+            return;
+        }
+
+        const span = doc.createElement('span');
+        span.className = 'markdown-hl-' + token.type;
+        appendTokens(span, typeof token.content === 'string' ? [token.content] : token.content);
+        parent.appendChild(span);
+    });
+}
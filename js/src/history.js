@@ -0,0 +1,388 @@
+/**
+ * Edit pipeline with undo/redo history
+ *
+ * Assigning textarea.value wipes the browser's native undo stack, so the
+ * editor keeps its own history:
+ * - Programmatic edits (toolbar, shortcuts, uploads, canned responses) go
+ *   through replaceRange() and are one undo step each
+ * - Native typing is recorded from beforeinput/input and grouped into runs
+ *   (per word, per deletion run, broken by pauses and caret jumps)
+ * - Undo/redo restore text and selection
+ */
+
+/** Pause (ms) after which typing starts a new undo step */
+const TYPING_GROUP_TIMEOUT = 1000;
+
+export class EditHistory {
+
+    /**
+     * @param {number} limit - Maximum number of undo steps
+     */
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.current = null;
+        this.pending = null;
+        this.typing = null;
+        this.applying = false;
+    }
+
+    /**
+     * Record the state before a change
+     *
+     * Consecutive changes with the same group key form one undo step.
+     *
+     * @param {object} state - {value, selectionStart, selectionEnd}
+     * @param {*} [group] - Group key (null = always a separate step)
+     */
+    push(state, group = null) {
+        if (group !== null && group === this.group) return;
+
+        this.undoStack.push(state);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.group = group;
+    }
+
+    /**
+     * Step back
+     *
+     * @param {object} current - State to return to on redo
+     * @returns {object|null} State to restore
+     */
+    undo(current) {
+        if (this.undoStack.length === 0) return null;
+
+        this.redoStack.push(current);
+        this.group = null;
+        return this.undoStack.pop();
+    }
+
+    /**
+     * Step forward
+     *
+     * @param {object} current - State to return to on undo
+     * @returns {object|null} State to restore
+     */
+    redo(current) {
+        if (this.redoStack.length === 0) return null;
+
+        this.undoStack.push(current);
+        this.group = null;
+        return this.redoStack.pop();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Replace text in all recorded states
+     *
+     * Used for upload placeholders: once the upload is done, no undo step
+     * should bring back the "Uploading..." text.
+     *
+     * @param {string} search - Text to replace (first occurrence per state)
+     * @param {string} replacement
+     */
+    rewrite(search, replacement) {
+        const update = state => replaceInState(state, search, replacement);
+        this.undoStack = this.undoStack.map(update);
+        this.redoStack = this.redoStack.map(update);
+        if (this.current) {
+            this.current = update(this.current);
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.typing = null;
+    }
+}
+
+/**
+ * Replace a range of the textarea value as one undoable step
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {string} text - Replacement text
+ * @param {object} [options]
+ * @param {number} [options.selectionStart] - Defaults to the end of the inserted text
+ * @param {number} [options.selectionEnd] - Defaults to selectionStart
+ * @param {boolean} [options.record=true] - Record an undo step
+ */
+export function replaceRange(editor, start, end, text, options = {}) {
+    const textarea = editor.textarea[0];
+    const history = editor.history;
+    const value = textarea.value;
+
+    if (history && options.record !== false) {
+        history.push(getState(textarea));
+        history.typing = null;
+    }
+
+    const selectionStart = options.selectionStart !== undefined ? options.selectionStart : start + text.length;
+    const selectionEnd = options.selectionEnd !== undefined ? options.selectionEnd : selectionStart;
+
+    setState(editor, {
+        value: value.substring(0, start) + text + value.substring(end),
+        selectionStart,
+        selectionEnd
+    });
+}
+
+/**
+ * Replace the whole textarea value as one undoable step
+ *
+ * Only the changed middle part is written, so unchanged text before and
+ * after it keeps its offsets.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} value - New value
+ * @param {number} selectionStart
+ * @param {number} [selectionEnd] - Defaults to selectionStart
+ */
+export function replaceValue(editor, value, selectionStart, selectionEnd = selectionStart) {
+    const current = editor.textarea[0].value;
+    let start = 0;
+    while (start < current.length && start < value.length && current[start] === value[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < current.length - start && end < value.length - start &&
+        current[current.length - 1 - end] === value[value.length - 1 - end]) {
+        end++;
+    }
+
+    replaceRange(editor, start, current.length - end, value.substring(start, value.length - end), {
+        selectionStart,
+        selectionEnd
+    });
+}
+
+/**
+ * Undo the last step
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {boolean} Whether there was something to undo
+ */
+export function undo(editor) {
+    if (!editor.history) return false;
+
+    const state = editor.history.undo(getState(editor.textarea[0]));
+    if (!state) return false;
+
+    setState(editor, state);
+    return true;
+}
+
+/**
+ * Redo the last undone step
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {boolean} Whether there was something to redo
+ */
+export function redo(editor) {
+    if (!editor.history) return false;
+
+    const state = editor.history.redo(getState(editor.textarea[0]));
+    if (!state) return false;
+
+    setState(editor, state);
+    return true;
+}
+
+/**
+ * Start recording history for the textarea
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function setupHistory(editor) {
+    const textarea = editor.textarea[0];
+
+    if (!editor.history) {
+        editor.history = new EditHistory();
+    }
+    const history = editor.history;
+    history.current = getState(textarea);
+
+    teardownHistory(editor);
+
+    editor.textarea.on('keydown.markdownHistory', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo(editor);
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo(editor);
+        }
+    });
+
+    editor.textarea.on('beforeinput.markdownHistory', (e) => {
+        const inputType = e.originalEvent && e.originalEvent.inputType;
+
+        // Undo/Redo from the browser's Edit or context menu
+        if (inputType === 'historyUndo' || inputType === 'historyRedo') {
+            e.preventDefault();
+            if (inputType === 'historyUndo') {
+                undo(editor);
+            } else {
+                redo(editor);
+            }
+            return;
+        }
+
+        history.pending = getState(textarea);
+    });
+
+    editor.textarea.on('input.markdownHistory', (e) => {
+        if (history.applying) return;
+
+        const before = history.pending || history.current;
+        history.pending = null;
+
+        if (before && before.value !== textarea.value) {
+            history.push(before, e.originalEvent ? getTypingGroup(history, e.originalEvent, before, textarea) : null);
+        }
+        history.current = getState(textarea);
+    });
+
+    // Keep the selection of the current state fresh (used without beforeinput)
+    editor.textarea.on('keyup.markdownHistory mouseup.markdownHistory', () => {
+        if (history.current && history.current.value === textarea.value) {
+            history.current = getState(textarea);
+        }
+    });
+}
+
+/**
+ * Stop recording history (the history itself is kept)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function teardownHistory(editor) {
+    editor.textarea.off('.markdownHistory');
+}
+
+/**
+ * Decide whether a native edit continues the current typing run
+ *
+ * @param {EditHistory} history
+ * @param {InputEvent} event - Native input event
+ * @param {object} before - State before the edit
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {object|null} Group key, or null for a separate step
+ */
+function getTypingGroup(history, event, before, textarea) {
+    const inputType = event.inputType || '';
+    const kind = inputType === 'insertText' ? 'insert'
+        : inputType.startsWith('delete') ? 'delete'
+            : null;
+
+    if (!kind) {
+        history.typing = null;
+        return null;
+    }
+
+    const data = event.data || '';
+    const last = history.typing;
+    const continues = last &&
+        last.kind === kind &&
+        Date.now() - last.time < TYPING_GROUP_TIMEOUT &&
+        before.selectionStart === before.selectionEnd &&
+        before.selectionStart === last.caret &&
+        // A new word starts a new step
+        !(kind === 'insert' && /\s$/.test(last.data) && !/^\s/.test(data));
+
+    history.typing = {
+        kind,
+        data,
+        time: Date.now(),
+        caret: textarea.selectionStart,
+        group: continues ? last.group : {}
+    };
+
+    return history.typing.group;
+}
+
+/**
+ * Read value and selection
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {object}
+ */
+function getState(textarea) {
+    return {
+        value: textarea.value,
+        selectionStart: textarea.selectionStart,
+        selectionEnd: textarea.selectionEnd
+    };
+}
+
+/**
+ * Write value and selection, then notify listeners (live preview etc.)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {object} state
+ */
+function setState(editor, state) {
+    const textarea = editor.textarea[0];
+    const history = editor.history;
+
+    textarea.value = state.value;
+    textarea.setSelectionRange(state.selectionStart, state.selectionEnd);
+
+    if (history) {
+        history.applying = true;
+        history.current = getState(textarea);
+    }
+    try {
+        editor.textarea.trigger('input');
+    } finally {
+        if (history) {
+            history.applying = false;
+        }
+    }
+}
+
+/**
+ * Replace the first occurrence of a text in a state, keeping the selection
+ * on the same content
+ *
+ * @param {object} state
+ * @param {string} search
+ * @param {string} replacement
+ * @returns {object} New state (or the same state if not found)
+ */
+export function replaceInState(state, search, replacement) {
+    const index = state.value.indexOf(search);
+    if (index === -1) return state;
+
+    const end = index + search.length;
+    const shift = replacement.length - search.length;
+    const adjust = pos => {
+        if (pos <= index) return pos;
+        if (pos >= end) return pos + shift;
+        return index + replacement.length;
+    };
+
+    return {
+        value: state.value.substring(0, index) + replacement + state.value.substring(end),
+        selectionStart: adjust(state.selectionStart),
+        selectionEnd: adjust(state.selectionEnd)
+    };
+}
@@ -0,0 +1,577 @@
+/**
+ * HTML to Markdown conversion
+ *
+ * Converts canned responses and rich clipboard content by walking the
+ * parsed DOM, so formatting survives inside list items, block quotes and
+ * table cells:
+ * - Nested and mixed lists, task list checkboxes, ordered list start
+ * - Bold, italic, strikethrough and code from tags and from inline styles
+ *   (<span style="font-weight: bold"> as written by rich text editors)
+ * - <div>-wrapped lines become paragraphs, <br> becomes a hard break
+ * - <pre> becomes a fenced code block (language from a language-* class)
+ * - Literal Markdown characters in text are escaped with a backslash
+ */
+
+import { tableFromRows } from './tables.js';
+import { encodeUrl } from './links.js';
+import { isSafeUrl } from './sanitizer.js';
+
+/** Elements that start a new block */
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'CENTER', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+    'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+
+const BLOCK_SELECTOR = Array.from(BLOCK_TAGS).join(', ').toLowerCase();
+
+/** Elements whose content is never text */
+const SKIPPED_TAGS = new Set([
+    'HEAD', 'IFRAME', 'INPUT', 'LINK', 'META', 'NOSCRIPT', 'OBJECT', 'SCRIPT', 'SELECT',
+    'STYLE', 'TEMPLATE', 'TEXTAREA', 'TITLE'
+]);
+
+const BOLD_TAGS = new Set(['B', 'STRONG']);
+const ITALIC_TAGS = new Set(['CITE', 'DFN', 'EM', 'I', 'VAR']);
+const STRIKE_TAGS = new Set(['DEL', 'S', 'STRIKE']);
+const CODE_TAGS = new Set(['CODE', 'KBD', 'SAMP', 'TT']);
+
+/**
+ * Formatting Markdown has no syntax for, dropped by the conversion
+ * (tags, presentational attributes and inline styles that signal it)
+ */
+const LOST_FORMATTING = [
+    { key: 'underline', tags: ['U', 'INS'], style: /text-decoration[^;]*underline/i },
+    { key: 'color', tags: ['MARK'], attrs: { color: /\S/, bgcolor: /\S/ }, style: /(^|;)\s*(color|background(-color)?)\s*:/i },
+    { key: 'size', tags: ['BIG', 'SMALL'], attrs: { size: /\S/ }, style: /font-size\s*:/i },
+    { key: 'alignment', tags: ['CENTER'], attrs: { align: /^\s*(center|right|justify)/i }, style: /text-align\s*:\s*(center|right|justify)/i },
+    { key: 'script', tags: ['SUB', 'SUP'] },
+    { key: 'media', tags: ['AUDIO', 'EMBED', 'IFRAME', 'OBJECT', 'VIDEO'] }
+];
+
+/**
+ * Convert HTML to Markdown
+ *
+ * @param {string} html - HTML string to convert
+ * @returns {string} Markdown string
+ */
+export function htmlToMarkdown(html) {
+    if (!html || typeof html !== 'string') return '';
+
+    return convertBlocks(parse(html).body, {}).join('\n\n');
+}
+
+/**
+ * Convert an HTML table to a GFM table
+ *
+ * The first row is the header row; cell content keeps its inline
+ * formatting, colspans are filled with empty cells.
+ *
+ * @param {string} html - <table> markup
+ * @returns {string} Markdown table
+ */
+export function tableToMarkdown(html) {
+    const table = parse(html).querySelector('table');
+    return table ? convertTable(table, {}) : '';
+}
+
+/**
+ * Formatting in HTML that the conversion to Markdown drops
+ *
+ * Alignment of table cells is kept (GFM column alignment); merged cells
+ * and nested tables are reported as 'table'.
+ *
+ * @param {string} html
+ * @returns {string[]} Keys: underline, color, size, alignment, script,
+ *                     media, table
+ */
+export function findLostFormatting(html) {
+    if (!html || typeof html !== 'string') return [];
+
+    const found = new Set();
+    parse(html).body.querySelectorAll('*').forEach(element => {
+        const tag = element.tagName;
+        const style = element.getAttribute('style') || '';
+        const isCell = tag === 'TD' || tag === 'TH';
+
+        LOST_FORMATTING.forEach(format => {
+            if (format.key === 'alignment' && isCell) return;
+            if (format.tags.includes(tag)
+                || Object.entries(format.attrs || {}).some(([name, pattern]) => pattern.test(element.getAttribute(name) || ''))
+                || (format.style && format.style.test(style))) {
+                found.add(format.key);
+            }
+        });
+
+        if ((isCell && (element.colSpan > 1 || element.rowSpan > 1))
+            || (tag === 'TABLE' && element.parentElement.closest('table'))) {
+            found.add('table');
+        }
+    });
+
+    return LOST_FORMATTING.map(format => format.key).concat('table').filter(key => found.has(key));
+}
+
+/**
+ * Parse markup into an inert document: nothing in it is loaded or executed
+ *
+ * @param {string} html
+ * @returns {Document}
+ */
+function parse(html) {
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html.replace(/\r\n?/g, '\n');
+    return doc;
+}
+
+/**
+ * Convert the children of an element to Markdown blocks
+ *
+ * Inline content between block elements becomes a paragraph.
+ *
+ * @param {Element} parent
+ * @param {object} ctx - Conversion context (enclosing formatting, table cell)
+ * @returns {string[]}
+ */
+function convertBlocks(parent, ctx) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        const paragraph = finishParagraph(inline);
+        if (paragraph) blocks.push(paragraph);
+        inline = '';
+    };
+
+    parent.childNodes.forEach(node => {
+        if (isBlock(node)) {
+            flush();
+            blocks.push(...convertBlock(node, ctx));
+        } else if (wrapsBlocks(node)) {
+            // Inline wrapper around paragraphs (Google Docs wraps the
+            // whole document in <b style="font-weight:normal">)
+            flush();
+            blocks.push(...convertBlocks(node, ctx));
+        } else {
+            inline = appendInline(inline, convertInline(node, ctx));
+        }
+    });
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Convert a block element
+ *
+ * @param {Element} element
+ * @param {object} ctx
+ * @returns {string[]} Markdown blocks
+ */
+function convertBlock(element, ctx) {
+    const tag = element.tagName;
+
+    if (/^H[1-6]$/.test(tag)) {
+        const text = convertInlineChildren(element, ctx).replace(/\s*\n\s*/g, ' ').trim();
+        return text ? ['#'.repeat(Number(tag[1])) + ' ' + text] : [];
+    }
+    if (tag === 'HR') {
+        return ['---'];
+    }
+    if (tag === 'PRE') {
+        return [convertPre(element)];
+    }
+    if (tag === 'BLOCKQUOTE') {
+        const content = convertBlocks(element, ctx).join('\n\n');
+        return content ? [content.split('\n').map(line => line ? '> ' + line : '>').join('\n')] : [];
+    }
+    if (tag === 'UL' || tag === 'OL') {
+        const list = convertList(element, ctx);
+        return list ? [list] : [];
+    }
+    if (tag === 'TABLE') {
+        const table = convertTable(element, ctx);
+        return table ? [table] : [];
+    }
+    return convertBlocks(element, ctx);
+}
+
+/**
+ * Convert a list with its nested lists
+ *
+ * A list is loose (blank lines between the items) if an item contains
+ * paragraphs. Item content is indented by at least four spaces: Parsedown
+ * strips up to four per level, so a narrower indent would pull a third
+ * level up into the second.
+ *
+ * @param {Element} list - <ul> or <ol>
+ * @param {object} ctx
+ * @returns {string}
+ */
+function convertList(list, ctx) {
+    const ordered = list.tagName === 'OL';
+    const start = parseInt(list.getAttribute('start'), 10);
+    let number = Number.isNaN(start) ? 1 : start;
+
+    const loose = Array.from(list.children).some(li =>
+        li.tagName === 'LI' && Array.from(li.children).some(child => child.tagName === 'P')
+    );
+    const items = [];
+
+    Array.from(list.children).forEach(child => {
+        if (child.tagName === 'LI') {
+            items.push(convertListItem(child, ordered ? number++ + '. ' : '- ', loose, ctx));
+        } else if ((child.tagName === 'UL' || child.tagName === 'OL') && items.length) {
+            // A list directly inside a list belongs to the item before it
+            const width = itemIndent(ordered ? (number - 1) + '. ' : '- ');
+            items[items.length - 1] += '\n' + ' '.repeat(width) + indent(convertList(child, ctx), width);
+        } else if (isBlock(child)) {
+            items.push(...convertBlock(child, ctx));
+        }
+    });
+
+    return items.join(loose ? '\n\n' : '\n');
+}
+
+/**
+ * Convert a list item; continuation lines are indented below the marker
+ *
+ * @param {Element} li
+ * @param {string} marker - "- " or "1. "
+ * @param {boolean} loose
+ * @param {object} ctx
+ * @returns {string}
+ */
+function convertListItem(li, marker, loose, ctx) {
+    const checkbox = findTaskCheckbox(li);
+    const task = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+    const content = convertBlocks(li, ctx).join(loose ? '\n\n' : '\n');
+
+    if (!content && !task) return marker.trimEnd();
+    return marker + task + indent(content, itemIndent(marker)).trimStart();
+}
+
+/**
+ * Indent of the lines below a list marker
+ *
+ * @param {string} marker
+ * @returns {number}
+ */
+function itemIndent(marker) {
+    return Math.max(marker.length, 4);
+}
+
+/**
+ * The checkbox at the start of a task list item
+ *
+ * @param {Element} li
+ * @returns {HTMLInputElement|null}
+ */
+function findTaskCheckbox(li) {
+    let node = li.firstChild;
+    while (node) {
+        if (node.nodeType === 3 && node.data.trim() === '') {
+            node = node.nextSibling;
+        } else if (node.nodeType === 1 && node.tagName === 'P') {
+            node = node.firstChild;
+        } else {
+            break;
+        }
+    }
+    return node && node.tagName === 'INPUT' && node.type === 'checkbox' ? node : null;
+}
+
+/**
+ * Convert a <pre> element to a fenced code block
+ *
+ * The fence is longer than any backtick run in the code.
+ *
+ * @param {Element} pre
+ * @returns {string}
+ */
+function convertPre(pre) {
+    pre.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+
+    const code = pre.textContent.replace(/^\n/, '').replace(/\n$/, '');
+    const classes = [pre, ...pre.querySelectorAll('code')].map(el => el.className).join(' ');
+    const language = classes.match(/(?:^|\s)lang(?:uage)?-([\w#+.-]+)/);
+    const fence = '`'.repeat(Math.max(3, longestRun(code, '`') + 1));
+
+    return fence + (language ? language[1] : '') + '\n' + code + '\n' + fence;
+}
+
+/**
+ * Convert a table element to a GFM table
+ *
+ * @param {HTMLTableElement} table
+ * @param {object} ctx
+ * @returns {string}
+ */
+function convertTable(table, ctx) {
+    const rows = [];
+    const alignment = [];
+    const cellCtx = Object.assign({}, ctx, { table: true });
+
+    Array.from(table.rows).forEach((tr, rowIndex) => {
+        const cells = [];
+        Array.from(tr.cells).forEach(cell => {
+            if (rowIndex === 0) {
+                const align = (cell.style.textAlign || cell.getAttribute('align') || '').toLowerCase();
+                alignment[cells.length] = ['left', 'center', 'right'].includes(align) ? align : null;
+            }
+            cells.push(convertBlocks(cell, cellCtx).join('\n'));
+            for (let i = 1; i < (cell.colSpan || 1); i++) {
+                cells.push('');
+            }
+        });
+        rows.push(cells);
+    });
+
+    return rows.length ? tableFromRows(rows, alignment) : '';
+}
+
+/**
+ * Convert an inline node
+ *
+ * @param {Node} node
+ * @param {object} ctx
+ * @returns {string}
+ */
+function convertInline(node, ctx) {
+    if (node.nodeType === 3) {
+        return escapeText(node.data.replace(/[ \t\n\r\f\u00a0]+/g, ' '));
+    }
+    if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) {
+        return '';
+    }
+
+    const tag = node.tagName;
+    const style = node.getAttribute('style') || '';
+
+    if (tag === 'BR') {
+        // tableFromRows joins the lines of a table cell with a space
+        return ctx.table ? '\n' : '  \n';
+    }
+    if (tag === 'IMG') {
+        return convertImage(node);
+    }
+    if (tag === 'A') {
+        return convertLink(node, ctx);
+    }
+    if (CODE_TAGS.has(tag) || /font-family\s*:[^;]*(monospace|courier|consolas)/i.test(style)) {
+        return codeSpan(node.textContent);
+    }
+    if (isBlock(node)) {
+        // Block inside an inline element (<a><div>...</div></a>)
+        return ' ' + convertInlineChildren(node, ctx) + ' ';
+    }
+
+    const bold = (BOLD_TAGS.has(tag) && !/font-weight\s*:\s*(normal|[1-4]00)/i.test(style))
+        || /font-weight\s*:\s*(bold|[6-9]00)/i.test(style);
+    const italic = ITALIC_TAGS.has(tag) || /font-style\s*:\s*italic/i.test(style);
+    const strike = STRIKE_TAGS.has(tag) || /text-decoration[^;]*line-through/i.test(style);
+
+    let content = convertInlineChildren(node, Object.assign({}, ctx, {
+        bold: ctx.bold || bold,
+        italic: ctx.italic || italic,
+        strike: ctx.strike || strike
+    }));
+
+    // Nested tags of the same kind (<b><strong>) are marked once
+    if (strike && !ctx.strike) content = wrapInline(content, '~~');
+    if (italic && !ctx.italic) content = wrapInline(content, '*');
+    if (bold && !ctx.bold) content = wrapInline(content, '**');
+    return content;
+}
+
+/**
+ * Convert the children of an inline element
+ *
+ * @param {Element} element
+ * @param {object} ctx
+ * @returns {string}
+ */
+function convertInlineChildren(element, ctx) {
+    let result = '';
+    element.childNodes.forEach(node => {
+        result = appendInline(result, convertInline(node, ctx));
+    });
+    return result;
+}
+
+/**
+ * Convert a link; links with unsafe schemes keep their text only
+ *
+ * @param {Element} a
+ * @param {object} ctx
+ * @returns {string}
+ */
+function convertLink(a, ctx) {
+    const href = (a.getAttribute('href') || '').trim();
+    const text = convertInlineChildren(a, ctx).replace(/\s*\n\s*/g, ' ').trim();
+
+    if (!href || !isSafeUrl(href)) return text;
+    if (!text) return '';
+
+    // Autolinks
+    const plain = a.textContent.trim();
+    if (plain === href && /^(https?|ftps?):\/\/\S+$/i.test(href)) {
+        return '<' + href + '>';
+    }
+    if ('mailto:' + plain === href && /^[^\s<>@]+@[^\s<>@]+$/.test(plain)) {
+        return '<' + plain + '>';
+    }
+
+    const title = a.getAttribute('title');
+    return '[' + text + '](' + encodeUrl(href) + (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '') + ')';
+}
+
+/**
+ * Convert an image; images with unsafe sources are dropped
+ *
+ * @param {Element} img
+ * @returns {string}
+ */
+function convertImage(img) {
+    const src = (img.getAttribute('src') || '').trim();
+    if (!src || !isSafeUrl(src)) return '';
+
+    const alt = (img.getAttribute('alt') || '').replace(/\s+/g, ' ').replace(/([[\]\\])/g, '\\$1');
+    const title = img.getAttribute('title');
+    return '![' + alt + '](' + encodeUrl(src) + (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '') + ')';
+}
+
+/**
+ * Inline code with a backtick run longer than any run in the code
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function codeSpan(text) {
+    const code = text.replace(/\s*\n\s*/g, ' ');
+    if (!code.trim()) return code ? ' ' : '';
+
+    const ticks = '`'.repeat(longestRun(code, '`') + 1);
+    const pad = /^`|`$/.test(code) ? ' ' : '';
+    return ticks + pad + code + pad + ticks;
+}
+
+/**
+ * Wrap inline content in emphasis markers
+ *
+ * Surrounding whitespace is moved outside the markers ("** a **" is not
+ * emphasis); empty content is not wrapped.
+ *
+ * @param {string} content
+ * @param {string} marker
+ * @returns {string}
+ */
+function wrapInline(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return match[1] + marker + match[2] + marker + match[3];
+}
+
+/**
+ * Append inline Markdown, collapsing whitespace at the boundary
+ *
+ * @param {string} text
+ * @param {string} addition
+ * @returns {string}
+ */
+function appendInline(text, addition) {
+    if (/[ \n]$/.test(text) && addition.startsWith(' ')) {
+        return text + addition.substring(1);
+    }
+    return text + addition;
+}
+
+/**
+ * Tidy up the inline Markdown of a paragraph
+ *
+ * Lines are left-trimmed (indentation would start a code block) and text
+ * that would start a block (heading, list, quote, rule) is escaped.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function finishParagraph(text) {
+    return text
+        .split('\n')
+        .map(line => escapeLineStart(line.replace(/^[ \t]+/, '')).replace(/[ \t]{2,}$/, '  '))
+        .join('\n')
+        .replace(/[ \t]+(?=\n\n|$)/g, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Escape literal Markdown characters in text
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text.replace(/[\\`*_[\]]/g, '\\$&');
+}
+
+/**
+ * Escape a line start that would be read as a block marker
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function escapeLineStart(line) {
+    return line
+        .replace(/^(#{1,6}|[-+>])(?=\s|$)/, '\\$1')
+        .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+        .replace(/^-{3,}\s*$/, '\\$&');
+}
+
+/**
+ * Indent all lines but the first
+ *
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+function indent(text, width) {
+    const pad = ' '.repeat(width);
+    return text.split('\n').map((line, i) => i === 0 || line === '' ? line : pad + line).join('\n');
+}
+
+/**
+ * Length of the longest run of a character
+ *
+ * @param {string} text
+ * @param {string} char
+ * @returns {number}
+ */
+function longestRun(text, char) {
+    let longest = 0;
+    let current = 0;
+    for (const c of text) {
+        current = c === char ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    }
+    return longest;
+}
+
+/**
+ * Whether an inline element (other than a link) contains block elements
+ *
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function wrapsBlocks(node) {
+    return node.nodeType === 1 && node.tagName !== 'A' && !SKIPPED_TAGS.has(node.tagName)
+        && node.querySelector(BLOCK_SELECTOR) !== null;
+}
+
+/**
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isBlock(node) {
+    return node.nodeType === 1 && BLOCK_TAGS.has(node.tagName);
+}
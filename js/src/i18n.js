@@ -0,0 +1,111 @@
+/**
+ * UI string translation
+ *
+ * Strings are written in English and looked up in a gettext-style
+ * catalog (English text => translation), injected by the plugin as
+ * window.osTicketMarkdownConfig.translations for the agent's locale.
+ * Missing entries fall back to the English text.
+ *
+ * - Parameters: t('Uploading {name}...', { name }) replaces {name}
+ * - Plurals: tn('{count} row', '{count} rows', n) looks up the gettext
+ *   key "singular\u0000plural"; its translation holds the plural forms
+ *   separated by \u0000, in CLDR order (zero, one, two, few, many, other,
+ *   only the categories the locale uses - e.g. "one" and "other" for
+ *   German)
+ */
+
+/** CLDR plural categories in gettext form order */
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+let catalog = null;
+let locale = 'en';
+
+/**
+ * Replace the catalog (defaults to osTicketMarkdownConfig.translations)
+ *
+ * @param {object} translations - English text => translation
+ * @param {string} [lang] - BCP 47 locale, e.g. 'de-DE'
+ */
+export function setTranslations(translations, lang = 'en') {
+    catalog = translations || {};
+    locale = lang || 'en';
+}
+
+/**
+ * Translate a string
+ *
+ * @param {string} text - English text
+ * @param {object} [params] - Values for {name} placeholders
+ * @returns {string}
+ */
+export function t(text, params = {}) {
+    const translations = getCatalog();
+    const translated = Object.prototype.hasOwnProperty.call(translations, text) ? translations[text] : '';
+    return interpolate(typeof translated === 'string' && translated ? translated : text, params);
+}
+
+/**
+ * Translate a string with a count
+ *
+ * {count} is available as placeholder.
+ *
+ * @param {string} singular - English singular
+ * @param {string} plural - English plural
+ * @param {number} count
+ * @param {object} [params] - Values for other {name} placeholders
+ * @returns {string}
+ */
+export function tn(singular, plural, count, params = {}) {
+    const values = Object.assign({ count }, params);
+    const key = singular + '\u0000' + plural;
+    const translations = getCatalog();
+    const translated = Object.prototype.hasOwnProperty.call(translations, key) ? translations[key] : '';
+
+    if (typeof translated === 'string' && translated) {
+        const forms = translated.split('\u0000');
+        const form = forms[Math.min(pluralIndex(count), forms.length - 1)];
+        return interpolate(form, values);
+    }
+    return interpolate(count === 1 ? singular : plural, values);
+}
+
+/**
+ * Current catalog, read from the global config on first use
+ *
+ * @returns {object}
+ */
+function getCatalog() {
+    if (catalog === null) {
+        const config = (typeof window !== 'undefined' && window.osTicketMarkdownConfig) || {};
+        setTranslations(config.translations, config.locale);
+    }
+    return catalog;
+}
+
+/**
+ * Index of the plural form for a count in the current locale
+ *
+ * @param {number} count
+ * @returns {number}
+ */
+function pluralIndex(count) {
+    try {
+        const rules = new Intl.PluralRules(locale);
+        const categories = rules.resolvedOptions().pluralCategories;
+        return PLURAL_CATEGORIES.filter(category => categories.includes(category)).indexOf(rules.select(count));
+    } catch (e) {
+        return count === 1 ? 0 : 1;
+    }
+}
+
+/**
+ * Replace {name} placeholders
+ *
+ * @param {string} text
+ * @param {object} params
+ * @returns {string}
+ */
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match);
+}
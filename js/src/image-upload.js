@@ -6,6 +6,9 @@
 
 import { $ } from './globals.js';
 import { debugLog, insertTextAtCursor, replacePlaceholder } from './utils.js';
+import { t } from './i18n.js';
+import { emit } from './events.js';
+import { announce } from './announcer.js';
 
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'];
 
@@ -34,7 +37,8 @@ export function setupImageUpload(editor) {
 
     // Paste handler
     editor.textarea.on('paste.markdownImageUpload', (e) => {
-        if (editor.currentFormat !== 'markdown') return;
+        // Already handled (e.g. spreadsheet range pasted as table)
+        if (editor.currentFormat !== 'markdown' || e.isDefaultPrevented()) return;
         const clipboardData = e.originalEvent.clipboardData;
         if (!clipboardData || !clipboardData.items) return;
 
@@ -128,13 +132,20 @@ function updateUploadUrl(editor) {
 /**
  * Upload a single image file
  *
+ * Fires uploadStart (cancelable), then uploadDone or uploadError.
+ *
  * @param {object} editor - MarkdownEditor instance
  * @param {File} file - The image file to upload
  */
 function uploadImage(editor, file) {
+    if (emit(editor, 'uploadStart', { file }).defaultPrevented) {
+        debugLog('Image upload cancelled by uploadStart handler', 'DEBUG');
+        return;
+    }
+
     editor.uploadCounter++;
     const uploadId = editor.uploadCounter;
-    const placeholder = `![Uploading image-${uploadId}...]()`;
+    const placeholder = `![${t('Uploading image')}-${uploadId}...]()`;
 
     insertTextAtCursor(editor, placeholder);
     showUploadProgress(editor, uploadId);
@@ -147,7 +158,9 @@ function uploadImage(editor, file) {
         debugLog('CSRF token not found - upload aborted', 'ERROR');
         replacePlaceholder(editor, placeholder, '');
         hideUploadProgress(editor, uploadId);
-        showUploadError(editor, 'Upload failed: Security token not found. Please reload the page.');
+        const message = t('Upload failed: Security token not found. Please reload the page.');
+        showUploadError(editor, message);
+        emit(editor, 'uploadError', { file, message });
         return;
     }
 
@@ -162,10 +175,10 @@ function uploadImage(editor, file) {
         dataType: 'json',
         global: false,
         success: (response) => {
-            handleUploadSuccess(editor, response, placeholder, uploadId);
+            handleUploadSuccess(editor, file, response, placeholder, uploadId);
         },
         error: (xhr) => {
-            handleUploadError(editor, xhr, placeholder, uploadId);
+            handleUploadError(editor, file, xhr, placeholder, uploadId);
         }
     });
 }
@@ -173,12 +186,14 @@ function uploadImage(editor, file) {
 /**
  * Handle successful image upload
  */
-function handleUploadSuccess(editor, response, placeholder, uploadId) {
+function handleUploadSuccess(editor, file, response, placeholder, uploadId) {
     hideUploadProgress(editor, uploadId);
 
     const keys = Object.keys(response);
     if (keys.length === 0) {
-        replacePlaceholder(editor, placeholder, '![Upload failed]()');
+        replacePlaceholder(editor, placeholder, `![${t('Upload failed')}]()`);
+        announce(editor, t('Upload failed'));
+        emit(editor, 'uploadError', { file, message: t('Upload failed') });
         return;
     }
 
@@ -194,19 +209,20 @@ function handleUploadSuccess(editor, response, placeholder, uploadId) {
     const rawUrl = fileData.url || 'file.php?key=' + String(fileData.id) + '&disposition=inline';
     const imageUrl = /^https?:\/\//.test(rawUrl) || /file\.php\?/.test(rawUrl) ? rawUrl : '#invalid-url';
     const altText = fileName.replace(/\.[^.]+$/, '').replace(/[\[\]()]/g, '');
-    const markdown = `![${altText}](${imageUrl})`;
+    const event = emit(editor, 'uploadDone', { file, url: imageUrl, markdown: `![${altText}](${imageUrl})` });
 
-    replacePlaceholder(editor, placeholder, markdown);
+    replacePlaceholder(editor, placeholder, String(event.markdown));
+    announce(editor, t('Image uploaded: {name}', { name: fileName }));
     debugLog('Image uploaded successfully: ' + fileName, 'INFO');
 }
 
 /**
  * Handle failed image upload
  */
-function handleUploadError(editor, xhr, placeholder, uploadId) {
+function handleUploadError(editor, file, xhr, placeholder, uploadId) {
     hideUploadProgress(editor, uploadId);
 
-    let errorMsg = 'Upload failed';
+    let errorMsg = t('Upload failed');
     try {
         const resp = JSON.parse(xhr.responseText);
         if (resp.error) errorMsg = String(resp.error).substring(0, 200);
@@ -218,6 +234,7 @@ function handleUploadError(editor, xhr, placeholder, uploadId) {
 
     replacePlaceholder(editor, placeholder, '');
     showUploadError(editor, errorMsg);
+    emit(editor, 'uploadError', { file, message: errorMsg });
     debugLog('Image upload failed: ' + errorMsg, 'ERROR');
 }
 
@@ -229,8 +246,9 @@ function showUploadProgress(editor, uploadId) {
     const $indicator = $('<div>', {
         class: 'markdown-upload-indicator',
         'data-upload-id': uploadId,
-        html: '<span class="markdown-upload-spinner"></span> <span class="markdown-upload-text">Uploading image...</span>'
+        html: '<span class="markdown-upload-spinner"></span> <span class="markdown-upload-text"></span>'
     });
+    $indicator.find('.markdown-upload-text').text(t('Uploading image...'));
     editor.container.append($indicator);
 }
 
@@ -243,9 +261,10 @@ function hideUploadProgress(editor, uploadId) {
 }
 
 /**
- * Show upload error notification
+ * Show upload error notification (and announce it to screen readers)
  */
 export function showUploadError(editor, message) {
+    announce(editor, message);
     if (!editor.container) return;
     const $error = $('<div>', {
         class: 'markdown-upload-error',
@@ -262,7 +281,7 @@ export function showUploadError(editor, message) {
  */
 export function triggerImageFileDialog(editor) {
     if (!editor.uploadUrl) {
-        showUploadError(editor, 'Image upload not available \u2014 no draft context found.');
+        showUploadError(editor, t('Image upload not available \u2014 no draft context found.'));
         return;
     }
 
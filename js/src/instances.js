@@ -0,0 +1,76 @@
+/**
+ * Registry of active editors (public API: window.MarkdownEditor.instances)
+ *
+ * Lets other scripts find the editor of a textarea:
+ *
+ *   const editor = MarkdownEditor.instances.get('#response');
+ *   if (editor) editor.on('beforeSubmit', ...);
+ */
+
+/** @type {Map<HTMLTextAreaElement, object>} */
+const editors = new Map();
+
+export const instances = {
+
+    /**
+     * Editor attached to a textarea
+     *
+     * @param {Element|jQuery|string} target - Textarea, jQuery object or selector
+     * @returns {object|null} MarkdownEditor instance
+     */
+    get(target) {
+        return editors.get(resolveElement(target)) || null;
+    },
+
+    /**
+     * @returns {object[]} All active editors
+     */
+    all() {
+        return Array.from(editors.values());
+    },
+
+    /**
+     * @param {function} callback - Called with each editor
+     */
+    forEach(callback) {
+        this.all().forEach(editor => callback(editor));
+    },
+
+    get size() {
+        return editors.size;
+    },
+
+    [Symbol.iterator]() {
+        return this.all()[Symbol.iterator]();
+    }
+};
+
+/**
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function addInstance(editor) {
+    editors.set(editor.textarea[0], editor);
+}
+
+/**
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function removeInstance(editor) {
+    if (editors.get(editor.textarea[0]) === editor) {
+        editors.delete(editor.textarea[0]);
+    }
+}
+
+/**
+ * @param {Element|jQuery|string} target
+ * @returns {Element|null}
+ */
+function resolveElement(target) {
+    if (typeof target === 'string') {
+        return document.querySelector(target);
+    }
+    if (target && target.jquery) {
+        return target[0] || null;
+    }
+    return target || null;
+}
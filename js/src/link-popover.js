@@ -0,0 +1,88 @@
+/**
+ * Link popover
+ *
+ * URL and text fields for inserting a link, or editing / removing the
+ * link at the caret. URLs are validated: only web, mail and FTP links
+ * and relative URLs are accepted (no javascript: or data: links).
+ */
+
+import { $ } from './globals.js';
+import { replaceValue } from './history.js';
+import { findLink, normalizeUrl, applyLink, removeLink } from './links.js';
+import {
+    openPopover, closePopover, isPopoverOpen, createField, createButton, onEnter, uniqueId
+} from './popover.js';
+import { t } from './i18n.js';
+
+/**
+ * Open or close the link popover
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} $button - Toolbar button (null when opened with Ctrl+K)
+ */
+export function toggleLinkPopover(editor, $button) {
+    if (isPopoverOpen(editor, $button)) {
+        closePopover(editor);
+        return;
+    }
+
+    const textarea = editor.textarea[0];
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const found = findLink(textarea.value, start);
+    const link = found && end <= found.end ? found : null;
+    const selection = textarea.value.substring(start, end);
+
+    const $popover = $('<div>', {
+        class: 'markdown-link-popover',
+        role: 'dialog',
+        'aria-label': link ? t('Edit link') : t('Insert link')
+    });
+
+    const errorId = uniqueId('link-error');
+    const url = createField(uniqueId('link-url'), t('URL'), {
+        inputmode: 'url',
+        placeholder: 'https://',
+        value: link ? link.url : '',
+        'aria-describedby': errorId
+    });
+    const text = createField(uniqueId('link-text'), t('Text'), {
+        value: link ? link.text : (selection.includes('\n') ? '' : selection)
+    });
+    const $error = $('<div>', { id: errorId, class: 'markdown-popover-error', role: 'alert' });
+
+    const submit = () => {
+        const raw = url.$input.val().trim();
+        const normalized = normalizeUrl(raw);
+        if (!normalized) {
+            $error.text(raw ? t('This kind of link is not allowed. Use a web, e-mail or relative address.') : t('Enter a URL.'));
+            url.$input.attr('aria-invalid', 'true').trigger('focus');
+            return;
+        }
+
+        closePopover(editor);
+        const result = applyLink(textarea.value, start, end, text.$input.val().trim(), normalized, link);
+        replaceValue(editor, result.value, result.selectionStart, result.selectionEnd);
+    };
+
+    url.$input.on('input', () => {
+        url.$input.removeAttr('aria-invalid');
+        $error.text('');
+    });
+    onEnter(url.$input, submit);
+    onEnter(text.$input, submit);
+
+    const $actions = $('<div>', { class: 'markdown-popover-actions' }).append(
+        createButton(link ? t('Update') : t('Insert'), submit, true)
+    );
+    if (link) {
+        $actions.append(createButton(t('Remove link'), () => {
+            closePopover(editor);
+            const result = removeLink(textarea.value, link);
+            replaceValue(editor, result.value, result.selectionStart, result.selectionEnd);
+        }));
+    }
+    $actions.append(createButton(t('Cancel'), () => closePopover(editor)));
+
+    $popover.append(url.$field, text.$field, $error, $actions);
+    openPopover(editor, $button, $popover);
+}
@@ -0,0 +1,137 @@
+/**
+ * Markdown link editing
+ *
+ * Pure functions on the textarea value: find the link at the caret,
+ * validate URLs and insert, update or remove [text](url) links. Like
+ * formatting.js they return {value, selectionStart, selectionEnd}.
+ */
+
+import { isSafeUrl } from './sanitizer.js';
+
+/** [text](url "title"), not preceded by ! (images) */
+const LINK_PATTERN = /(?<![!\\])\[((?:\\.|[^\]\\\n])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"((?:\\.|[^"\\])*)")?\s*\)/g;
+
+/**
+ * Find the Markdown link at an offset
+ *
+ * @param {string} value
+ * @param {number} offset - Caret position
+ * @returns {{start: number, end: number, text: string, url: string, title: string}|null}
+ */
+export function findLink(value, offset) {
+    const lineStart = value.lastIndexOf('\n', offset - 1) + 1;
+    let lineEnd = value.indexOf('\n', offset);
+    if (lineEnd === -1) lineEnd = value.length;
+    const line = value.substring(lineStart, lineEnd);
+
+    LINK_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = LINK_PATTERN.exec(line)) !== null) {
+        const start = lineStart + match.index;
+        const end = start + match[0].length;
+        if (offset >= start && offset <= end) {
+            return {
+                start,
+                end,
+                text: match[1].replace(/\\([[\]\\])/g, '$1'),
+                url: match[2],
+                title: match[3] || ''
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check and normalize a link URL
+ *
+ * Bare domains ("example.com/page") and hosts with a port
+ * ("localhost:8080") get https://, e-mail addresses get mailto:. URLs
+ * the preview sanitizer would drop (javascript:, data:, vbscript:, ...)
+ * are rejected.
+ *
+ * @param {string} url
+ * @returns {string|null} Normalized URL, or null if not allowed
+ */
+export function normalizeUrl(url) {
+    const trimmed = String(url || '').trim();
+
+    // host:port would otherwise be read as a scheme
+    if (/^[a-z\d-]+(\.[a-z\d-]+)*:\d+([/?#]|$)/i.test(trimmed)) {
+        return 'https://' + encodeUrl(trimmed);
+    }
+    if (!trimmed || !isSafeUrl(trimmed)) return null;
+
+    if (/^[a-z][a-z\d+.-]*:/i.test(trimmed)) {
+        return encodeUrl(trimmed);
+    }
+
+    if (/^[^\s@/]+@[^\s@/]+\.[a-z]{2,}$/i.test(trimmed)) {
+        return 'mailto:' + trimmed;
+    }
+    if (/^(www\.)?[a-z\d-]+(\.[a-z\d-]+)*\.[a-z]{2,}(:\d+)?([/?#]|$)/i.test(trimmed)) {
+        return 'https://' + encodeUrl(trimmed);
+    }
+    // Relative URL (/path, #anchor, ?query, ./file)
+    return encodeUrl(trimmed);
+}
+
+/**
+ * Insert a link for the selection, or replace an existing link
+ *
+ * @param {string} value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} text - Link text (the URL is used if empty)
+ * @param {string} url - Normalized URL
+ * @param {object|null} [link] - Link to replace (result of findLink())
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function applyLink(value, start, end, text, url, link = null) {
+    const from = link ? link.start : start;
+    const to = link ? link.end : end;
+    const title = link && link.title ? ` "${link.title}"` : '';
+    const markdown = `[${escapeLinkText(text || url)}](${url}${title})`;
+
+    const caret = from + markdown.length;
+    return {
+        value: value.substring(0, from) + markdown + value.substring(to),
+        selectionStart: caret,
+        selectionEnd: caret
+    };
+}
+
+/**
+ * Replace a link with its text
+ *
+ * @param {string} value
+ * @param {object} link - Result of findLink()
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function removeLink(value, link) {
+    return {
+        value: value.substring(0, link.start) + link.text + value.substring(link.end),
+        selectionStart: link.start,
+        selectionEnd: link.start + link.text.length
+    };
+}
+
+/**
+ * Escape characters that would end the link text
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLinkText(text) {
+    return text.replace(/\n+/g, ' ').replace(/([[\]\\])/g, '\\$1');
+}
+
+/**
+ * Encode characters that would end the link destination
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function encodeUrl(url) {
+    return url.replace(/\s/g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/</g, '%3C').replace(/>/g, '%3E');
+}
@@ -0,0 +1,307 @@
+/**
+ * List and blockquote editing
+ *
+ * - Enter continues lists (-, *, +, 1., 1), task items) and blockquotes;
+ *   Enter on an empty item ends the list
+ * - Tab / Shift+Tab indent and outdent list items and selected lines
+ * - Ordered lists are renumbered after each change
+ *
+ * The functions here work on plain values and offsets; the key handling
+ * lives in setupKeyboardShortcuts() (text-actions.js).
+ */
+
+/** Quote prefix, indentation, list marker and optional task checkbox */
+const LINE_PREFIX = /^((?:[ \t]*>[ \t]?)*)([ \t]*)(?:([-*+]|(\d{1,9})([.)]))([ \t]+|$)(\[[ xX]\][ \t]+)?)?/;
+
+/**
+ * Parse the Markdown prefix of a line
+ *
+ * @param {string} line
+ * @returns {object|null} Prefix parts, or null for lines without quote or marker
+ */
+export function parseLinePrefix(line) {
+    const match = line.match(LINE_PREFIX);
+    if (!match[1] && !match[3]) return null;
+
+    return {
+        quote: match[1],
+        indent: match[2],
+        marker: match[3] || null,
+        number: match[4] !== undefined ? parseInt(match[4], 10) : null,
+        delimiter: match[5] || null,
+        spacing: match[6] || '',
+        task: match[7] || '',
+        prefix: match[3] ? match[0] : match[1]
+    };
+}
+
+/**
+ * Continue the list or blockquote at the caret (Enter)
+ *
+ * @param {string} value - Textarea value
+ * @param {number} caret - Caret position (collapsed selection)
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}|null} Null if Enter should behave normally
+ */
+export function continueList(value, caret) {
+    const lineStart = value.lastIndexOf('\n', caret - 1) + 1;
+    let lineEnd = value.indexOf('\n', caret);
+    if (lineEnd === -1) lineEnd = value.length;
+
+    const line = value.substring(lineStart, lineEnd);
+    const parsed = parseLinePrefix(line);
+    if (!parsed || isInCodeBlock(value, lineStart)) return null;
+    if (caret - lineStart < parsed.prefix.length) return null;
+
+    if (line.substring(parsed.prefix.length).trim() === '') {
+        // Empty item ends the list (an empty quote line ends the quote)
+        const keep = parsed.marker ? parsed.quote : '';
+        const position = lineStart + keep.length;
+        return {
+            value: value.substring(0, lineStart) + keep + value.substring(lineEnd),
+            selectionStart: position,
+            selectionEnd: position
+        };
+    }
+
+    let next = parsed.quote;
+    if (parsed.marker) {
+        const marker = parsed.number !== null ? (parsed.number + 1) + parsed.delimiter : parsed.marker;
+        next += parsed.indent + marker + (parsed.spacing || ' ') + (parsed.task ? '[ ] ' : '');
+    }
+
+    const updated = value.substring(0, caret) + '\n' + next + value.substring(caret);
+    const position = caret + 1 + next.length;
+
+    if (parsed.number !== null) {
+        return renumberAt(updated, position, [lineIndexAt(updated, position)]);
+    }
+    return { value: updated, selectionStart: position, selectionEnd: position };
+}
+
+/**
+ * Indent or outdent the lines touched by a selection (Tab / Shift+Tab)
+ *
+ * A single line is only handled if it is a list item; selections across
+ * line breaks are always handled.
+ *
+ * @param {string} value - Textarea value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {boolean} outdent - Shift+Tab
+ * @param {string} unit - Indentation unit; Parsedown strips up to four
+ *   spaces per nesting level, so shorter steps flatten the third level
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}|null}
+ */
+export function indentLines(value, start, end, outdent, unit = '    ') {
+    const first = value.lastIndexOf('\n', start - 1) + 1;
+    // A selection ending right after a newline does not touch the next line
+    const lastOffset = end > start && value[end - 1] === '\n' ? end - 1 : end;
+    let last = value.indexOf('\n', lastOffset);
+    if (last === -1) last = value.length;
+
+    const lines = value.substring(first, last).split('\n');
+    if (lines.length === 1 && !value.substring(start, end).includes('\n')) {
+        const parsed = parseLinePrefix(lines[0]);
+        if (!parsed || !parsed.marker) return null;
+    }
+
+    const firstLineIndex = lineIndexAt(value, first);
+    let selectionStart = start;
+    let selectionEnd = end;
+    let offset = first;
+
+    const changed = lines.map((line, i) => {
+        const quote = (line.match(/^(?:[ \t]*>[ \t]?)*/) || [''])[0];
+        const rest = line.substring(quote.length);
+        let updated = line;
+
+        if (!outdent && line.trim() !== '') {
+            updated = quote + unit + rest;
+        } else if (outdent) {
+            const remove = rest.match(new RegExp('^(?:\\t| {1,' + unit.length + '})'));
+            if (remove) {
+                updated = quote + rest.substring(remove[0].length);
+            }
+        }
+
+        // Shift selection ends that lie after the change point on this line
+        const delta = updated.length - line.length;
+        const changeAt = offset + quote.length;
+        if (i === 0 && start > changeAt) {
+            selectionStart = Math.max(start + delta, changeAt);
+        }
+        if (end > changeAt || (end === changeAt && end > start && i > 0)) {
+            selectionEnd = Math.max(selectionEnd + delta, changeAt);
+        }
+
+        offset += line.length + 1;
+        return updated;
+    });
+
+    const result = {
+        value: value.substring(0, first) + changed.join('\n') + value.substring(last),
+        selectionStart,
+        selectionEnd
+    };
+
+    // Renumber lists at the new and old positions of the touched items;
+    // items nested under a list item start a new list at 1
+    const touched = lines.map((line, i) => firstLineIndex + i);
+    const previous = firstLineIndex > 0 ? parseLinePrefix(value.split('\n')[firstLineIndex - 1]) : null;
+    const restart = !outdent && previous && previous.marker ? touched : [];
+    touched.push(firstLineIndex - 1, firstLineIndex + lines.length);
+    return renumberAt(result.value, result.selectionStart, touched, result.selectionEnd, restart);
+}
+
+/**
+ * Renumber the ordered lists containing the given lines
+ *
+ * @param {string} value
+ * @param {number} selectionStart
+ * @param {number[]} lineIndexes - Lines whose lists are renumbered
+ * @param {number} [selectionEnd] - Defaults to selectionStart
+ * @param {number[]} [restart] - Lines that restart numbering at 1 when first in their list
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+function renumberAt(value, selectionStart, lineIndexes, selectionEnd = selectionStart, restart = []) {
+    const lines = value.split('\n');
+    const startPos = offsetToPosition(lines, selectionStart);
+    const endPos = offsetToPosition(lines, selectionEnd);
+    const done = new Set();
+
+    lineIndexes.forEach(index => {
+        if (index < 0 || index >= lines.length || done.has(index)) return;
+        const parsed = parseLinePrefix(lines[index]);
+        if (!parsed || parsed.number === null) return;
+
+        const siblings = findSiblings(lines, index);
+        const startNumber = restart.includes(siblings[0]) ? 1 : parseLinePrefix(lines[siblings[0]]).number;
+
+        siblings.forEach((lineIndex, n) => {
+            done.add(lineIndex);
+            const item = parseLinePrefix(lines[lineIndex]);
+            const oldMarker = item.number + item.delimiter;
+            const newMarker = (startNumber + n) + item.delimiter;
+            if (oldMarker === newMarker) return;
+
+            const markerAt = item.quote.length + item.indent.length;
+            lines[lineIndex] = lines[lineIndex].substring(0, markerAt) + newMarker +
+                lines[lineIndex].substring(markerAt + oldMarker.length);
+
+            [startPos, endPos].forEach(pos => {
+                if (pos.line === lineIndex && pos.column > markerAt) {
+                    pos.column = Math.max(pos.column + newMarker.length - oldMarker.length, markerAt);
+                }
+            });
+        });
+    });
+
+    return {
+        value: lines.join('\n'),
+        selectionStart: positionToOffset(lines, startPos),
+        selectionEnd: positionToOffset(lines, endPos)
+    };
+}
+
+/**
+ * Find the ordered items of the list a line belongs to (same quote and indent)
+ *
+ * @param {string[]} lines
+ * @param {number} index - Line index of an ordered item
+ * @returns {number[]} Line indexes, top to bottom
+ */
+function findSiblings(lines, index) {
+    const base = parseLinePrefix(lines[index]);
+    const quote = base.quote.replace(/\s/g, '');
+    const indent = base.indent.length;
+    const siblings = [index];
+
+    const walk = (step) => {
+        for (let i = index + step; i >= 0 && i < lines.length; i += step) {
+            const line = lines[i];
+            const parsed = parseLinePrefix(line);
+            const lineQuote = parsed ? parsed.quote : '';
+
+            if (lineQuote.replace(/\s/g, '') !== quote) break;
+
+            const body = line.substring(lineQuote.length);
+            if (body.trim() === '') {
+                // One blank line may separate items of a loose list
+                const neighbour = lines[i + step];
+                if (neighbour === undefined || neighbour.substring(lineQuote.length).trim() === '') break;
+                continue;
+            }
+
+            if (parsed && parsed.marker) {
+                if (parsed.indent.length < indent) break;
+                if (parsed.indent.length > indent) continue;
+                if (parsed.number === null || parsed.delimiter !== base.delimiter) break;
+                if (step < 0) {
+                    siblings.unshift(i);
+                } else {
+                    siblings.push(i);
+                }
+                continue;
+            }
+
+            // Indented continuation or nested content
+            if (body.match(/^[ \t]*/)[0].length > indent) continue;
+
+            // Unindented text: lazy continuation directly after an item, otherwise the list ends
+            const previous = lines[i - 1];
+            if (step > 0 || previous === undefined || previous.trim() === '') break;
+        }
+    };
+
+    walk(-1);
+    walk(1);
+    return siblings;
+}
+
+/**
+ * Check whether a position lies inside a fenced code block
+ *
+ * @param {string} value
+ * @param {number} lineStart - Offset of the line start
+ * @returns {boolean}
+ */
+function isInCodeBlock(value, lineStart) {
+    const fences = value.substring(0, lineStart).match(/^[ \t]*(?:```|~~~)/gm);
+    return fences !== null && fences.length % 2 === 1;
+}
+
+/**
+ * @param {string} value
+ * @param {number} offset
+ * @returns {number} Zero-based line index of the offset
+ */
+function lineIndexAt(value, offset) {
+    return value.substring(0, offset).split('\n').length - 1;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+function offsetToPosition(lines, offset) {
+    let line = 0;
+    while (line < lines.length - 1 && offset > lines[line].length) {
+        offset -= lines[line].length + 1;
+        line++;
+    }
+    return { line, column: offset };
+}
+
+/**
+ * @param {string[]} lines
+ * @param {{line: number, column: number}} pos
+ * @returns {number}
+ */
+function positionToOffset(lines, pos) {
+    let offset = 0;
+    for (let i = 0; i < pos.line; i++) {
+        offset += lines[i].length + 1;
+    }
+    return offset + pos.column;
+}
@@ -0,0 +1,847 @@
+/**
+ * Client-side Markdown renderer (Parsedown-compatible)
+ *
+ * Block/inline tokenizer used by the preview when the backend API is not
+ * available. It follows the parsing rules of Parsedown 1.7 in SafeMode
+ * (the renderer behind markdown-body.php and markdown-preview.php), so the
+ * fallback preview shows what the agent will actually send:
+ * - GFM tables, nested lists, fenced code with info strings
+ * - Autolinks, hard breaks, backslash escapes, strikethrough
+ * - Raw HTML is escaped, unsafe link schemes are neutralized
+ *
+ * Shared fixtures in tests/fixtures/markdown keep both renderers in sync.
+ */
+
+/** Block types keyed by the first character of a line (Parsedown order) */
+const BLOCK_TYPES = {
+    '#': ['header'],
+    '*': ['rule', 'list'],
+    '+': ['list'],
+    '-': ['setextHeader', 'table', 'rule', 'list'],
+    '0': ['list'], '1': ['list'], '2': ['list'], '3': ['list'], '4': ['list'],
+    '5': ['list'], '6': ['list'], '7': ['list'], '8': ['list'], '9': ['list'],
+    ':': ['table'],
+    '=': ['setextHeader'],
+    '>': ['quote'],
+    '[': ['reference'],
+    '_': ['rule'],
+    '`': ['fencedCode'],
+    '|': ['table'],
+    '~': ['fencedCode']
+};
+
+/** Block types tried for every line regardless of its first character */
+const UNMARKED_BLOCK_TYPES = ['code'];
+
+/** Inline types keyed by marker character (Parsedown order) */
+const INLINE_TYPES = {
+    '"': ['specialCharacter'],
+    '!': ['image'],
+    '&': ['specialCharacter'],
+    '*': ['emphasis'],
+    ':': ['url'],
+    '<': ['urlTag', 'emailTag', 'specialCharacter'],
+    '>': ['specialCharacter'],
+    '[': ['link'],
+    '_': ['emphasis'],
+    '`': ['code'],
+    '~': ['strikethrough'],
+    '\\': ['escapeSequence']
+};
+
+const INLINE_MARKERS = /[!"*_&[:<>`~\\]/;
+
+const SPECIAL_CHARACTERS = ['\\', '`', '*', '_', '{', '}', '[', ']', '(', ')', '>', '#', '+', '-', '.', '!', '|'];
+
+const STRONG_REGEX = {
+    '*': /^[*]{2}((?:\\\*|[^*]|[*][^*]*[*])+?)[*]{2}(?![*])/,
+    '_': /^__((?:\\_|[^_]|_[^_]*_)+?)__(?!_)/
+};
+
+const EM_REGEX = {
+    '*': /^[*]((?:\\\*|[^*]|[*][*][^*]+?[*][*])+?)[*](?![*])/,
+    '_': /^_((?:\\_|[^_]|__[^_]*__)+?)_(?!_)\b/
+};
+
+const SAFE_LINKS = [
+    'http://', 'https://', 'ftp://', 'ftps://', 'mailto:',
+    'data:image/png;base64,', 'data:image/gif;base64,', 'data:image/jpeg;base64,',
+    'irc:', 'ircs:', 'git:', 'ssh:', 'news:', 'steam:'
+];
+
+const PHP_WHITESPACE = ' \t\n\r\0\x0B';
+
+/**
+ * Render Markdown to HTML
+ *
+ * @param {string} markdown - Raw markdown text
+ * @returns {string} HTML string
+ */
+export function renderMarkdown(markdown) {
+    const ctx = { references: {} };
+
+    const text = trimChars(String(markdown || '').replace(/\r\n?/g, '\n'), '\n');
+    return trimChars(renderLines(ctx, text.split('\n')), '\n');
+}
+
+/**
+ * Get the source line range of every top-level rendered block
+ *
+ * Top-level blocks map 1:1 to the top-level elements of the rendered
+ * HTML (client renderer and Parsedown alike), which allows the preview
+ * to be annotated with source lines.
+ *
+ * @param {string} markdown - Raw markdown text
+ * @returns {Array<{start: number, end: number}>} Zero-based, inclusive line ranges
+ */
+export function getBlockLineRanges(markdown) {
+    const normalized = String(markdown || '').replace(/\r\n?/g, '\n');
+    const text = trimChars(normalized, '\n');
+    const offset = text ? normalized.indexOf(text) : 0;
+    const lineOffset = normalized.substring(0, offset).split('\n').length - 1;
+
+    return parseBlocks({ references: {} }, text.split('\n'))
+        .filter(block => block && !block.hidden)
+        .map(block => ({ start: block.startLine + lineOffset, end: block.endLine + lineOffset }));
+}
+
+// -- Block level --
+
+/**
+ * Parse lines into blocks and render them
+ *
+ * @param {object} ctx - Render context (reference definitions)
+ * @param {string[]} lines - Source lines
+ * @returns {string} HTML markup
+ */
+function renderLines(ctx, lines) {
+    let markup = '';
+    parseBlocks(ctx, lines).forEach(block => {
+        if (!block || block.hidden) return;
+        markup += '\n' + (block.markup !== undefined ? block.markup : renderElement(ctx, block.element));
+    });
+
+    return markup + '\n';
+}
+
+/**
+ * Split lines into blocks (Parsedown block rules)
+ *
+ * Each block records the first and last source line it consumed.
+ *
+ * @param {object} ctx - Render context (reference definitions)
+ * @param {string[]} lines - Source lines
+ * @returns {Array<object|null>} Blocks (may contain null entries)
+ */
+function parseBlocks(ctx, lines) {
+    const blocks = [];
+    let current = null;
+
+    lines.forEach((rawLine, index) => {
+        if (rtrimChars(rawLine, PHP_WHITESPACE) === '') {
+            if (current) current.interrupted = true;
+            return;
+        }
+
+        const line = createLine(rawLine);
+
+        if (current && current.continuable) {
+            const handler = BLOCKS[current.type];
+            const continued = handler.continue(ctx, line, current);
+            if (continued) {
+                current = continued;
+                current.endLine = index;
+                return;
+            }
+            if (handler.complete) {
+                current = handler.complete(current);
+            }
+        }
+
+        const types = UNMARKED_BLOCK_TYPES.concat(BLOCK_TYPES[line.text[0]] || []);
+
+        for (const type of types) {
+            const block = BLOCKS[type].start(ctx, line, current);
+            if (!block) continue;
+
+            block.type = type;
+            if (block !== current) {
+                // Blocks that take over the current one (tables) start where it started
+                block.startLine = block.identified && current ? current.startLine : index;
+            }
+            if (!block.identified) {
+                blocks.push(current);
+                block.identified = true;
+            }
+            if (BLOCKS[type].continue) {
+                block.continuable = true;
+            }
+            block.endLine = index;
+            current = block;
+            return;
+        }
+
+        if (current && !current.type && !current.interrupted) {
+            current.element.text += '\n' + line.text;
+            current.endLine = index;
+        } else {
+            blocks.push(current);
+            current = {
+                identified: true,
+                startLine: index,
+                endLine: index,
+                element: { name: 'p', text: line.text, handler: 'line' }
+            };
+        }
+    });
+
+    if (current && current.continuable && BLOCKS[current.type].complete) {
+        current = BLOCKS[current.type].complete(current);
+    }
+    blocks.push(current);
+
+    return blocks;
+}
+
+/**
+ * Build a line descriptor (tabs expanded to 4-column stops)
+ *
+ * @param {string} raw - Raw source line
+ * @returns {{body: string, indent: number, text: string}}
+ */
+function createLine(raw) {
+    let body = raw;
+
+    if (body.indexOf('\t') !== -1) {
+        const parts = body.split('\t');
+        body = parts.shift();
+        parts.forEach(part => {
+            body += ' '.repeat(4 - (body.length % 4)) + part;
+        });
+    }
+
+    let indent = 0;
+    while (body[indent] === ' ') indent++;
+
+    return { body, indent, text: body.substring(indent) };
+}
+
+const BLOCKS = {
+    code: {
+        start(ctx, line, block) {
+            if (block && !block.type && !block.interrupted) return null;
+            if (line.indent < 4) return null;
+            return {
+                element: {
+                    name: 'pre',
+                    handler: 'element',
+                    text: { name: 'code', text: line.body.substring(4) }
+                }
+            };
+        },
+        continue(ctx, line, block) {
+            if (line.indent < 4) return null;
+            if (block.interrupted) {
+                block.element.text.text += '\n';
+                delete block.interrupted;
+            }
+            block.element.text.text += '\n' + line.body.substring(4);
+            return block;
+        },
+        complete(block) {
+            return block;
+        }
+    },
+
+    header: {
+        start(ctx, line) {
+            if (line.text.length < 2) return null;
+            let level = 1;
+            while (line.text[level] === '#') level++;
+            if (level > 6) return null;
+            return {
+                element: { name: 'h' + level, text: trimChars(line.text, '# '), handler: 'line' }
+            };
+        }
+    },
+
+    setextHeader: {
+        start(ctx, line, block) {
+            if (!block || block.type || block.interrupted) return null;
+            if (rtrimChars(line.text, line.text[0]) !== '') return null;
+            block.element.name = line.text[0] === '=' ? 'h1' : 'h2';
+            return block;
+        }
+    },
+
+    rule: {
+        start(ctx, line) {
+            const marker = escapeRegex(line.text[0]);
+            const re = new RegExp('^([' + marker + '])([ ]*\\1){2,}[ ]*$');
+            if (!re.test(line.text)) return null;
+            return { element: { name: 'hr' } };
+        }
+    },
+
+    fencedCode: {
+        start(ctx, line) {
+            const char = line.text[0];
+            const re = new RegExp('^[' + char + ']{3,}[ ]*([^`]+)?[ ]*$');
+            const match = line.text.match(re);
+            if (!match) return null;
+
+            const code = { name: 'code', text: '' };
+            if (match[1] !== undefined) {
+                const language = match[1].split(/[ \t\n\f\r]/)[0];
+                code.attributes = { class: 'language-' + language };
+            }
+
+            return {
+                char,
+                element: { name: 'pre', handler: 'element', text: code }
+            };
+        },
+        continue(ctx, line, block) {
+            if (block.complete) return null;
+            if (block.interrupted) {
+                block.element.text.text += '\n';
+                delete block.interrupted;
+            }
+            const closing = new RegExp('^' + escapeRegex(block.char) + '{3,}[ ]*$');
+            if (closing.test(line.text)) {
+                block.element.text.text = block.element.text.text.substring(1);
+                block.complete = true;
+                return block;
+            }
+            block.element.text.text += '\n' + line.body;
+            return block;
+        },
+        complete(block) {
+            return block;
+        }
+    },
+
+    list: {
+        start(ctx, line) {
+            const isUl = line.text[0] <= '-';
+            const pattern = isUl ? '[*+-]' : '[0-9]+[.]';
+            const match = line.text.match(new RegExp('^(' + pattern + '[ ]+)(.*)'));
+            if (!match) return null;
+
+            const block = {
+                indent: line.indent,
+                pattern,
+                element: { name: isUl ? 'ul' : 'ol', handler: 'elements', text: [] }
+            };
+
+            if (!isUl) {
+                const listStart = match[0].substring(0, match[0].indexOf('.'));
+                if (listStart !== '1') {
+                    block.element.attributes = { start: listStart };
+                }
+            }
+
+            block.li = { name: 'li', handler: 'li', text: [match[2]] };
+            block.element.text.push(block.li);
+            return block;
+        },
+        continue(ctx, line, block) {
+            const item = line.text.match(new RegExp('^' + block.pattern + '(?:[ ]+(.*)|$)'));
+            if (block.indent === line.indent && item) {
+                if (block.interrupted) {
+                    block.li.text.push('');
+                    block.loose = true;
+                    delete block.interrupted;
+                }
+                block.li = { name: 'li', handler: 'li', text: [item[1] !== undefined ? item[1] : ''] };
+                block.element.text.push(block.li);
+                return block;
+            }
+
+            if (line.text[0] === '[' && BLOCKS.reference.start(ctx, line)) {
+                return block;
+            }
+
+            if (!block.interrupted) {
+                block.li.text.push(line.body.replace(/^[ ]{0,4}/, ''));
+                return block;
+            }
+
+            if (line.indent > 0) {
+                block.li.text.push('');
+                block.li.text.push(line.body.replace(/^[ ]{0,4}/, ''));
+                delete block.interrupted;
+                return block;
+            }
+
+            return null;
+        },
+        complete(block) {
+            if (block.loose) {
+                block.element.text.forEach(li => {
+                    if (li.text[li.text.length - 1] !== '') {
+                        li.text.push('');
+                    }
+                });
+            }
+            return block;
+        }
+    },
+
+    quote: {
+        start(ctx, line) {
+            const match = line.text.match(/^>[ ]?(.*)/);
+            if (!match) return null;
+            return { element: { name: 'blockquote', handler: 'lines', text: [match[1]] } };
+        },
+        continue(ctx, line, block) {
+            const match = line.text[0] === '>' ? line.text.match(/^>[ ]?(.*)/) : null;
+            if (match) {
+                if (block.interrupted) {
+                    block.element.text.push('');
+                    delete block.interrupted;
+                }
+                block.element.text.push(match[1]);
+                return block;
+            }
+            if (!block.interrupted) {
+                block.element.text.push(line.text);
+                return block;
+            }
+            return null;
+        }
+    },
+
+    reference: {
+        start(ctx, line) {
+            const match = line.text.match(/^\[(.+?)\]:[ ]*<?(\S+?)>?(?:[ ]+["'(](.+)["')])?[ ]*$/);
+            if (!match) return null;
+            ctx.references[match[1].toLowerCase()] = {
+                url: match[2],
+                title: match[3] !== undefined ? match[3] : null
+            };
+            return { hidden: true };
+        }
+    },
+
+    table: {
+        start(ctx, line, block) {
+            if (!block || block.type || block.interrupted) return null;
+            if (block.element.text.indexOf('|') === -1 || rtrimChars(line.text, ' -:|') !== '') return null;
+
+            const alignments = [];
+            trimChars(line.text.trim(), '|').split('|').forEach(cell => {
+                cell = cell.trim();
+                if (cell === '') return;
+                let alignment = null;
+                if (cell[0] === ':') alignment = 'left';
+                if (cell[cell.length - 1] === ':') alignment = alignment === 'left' ? 'center' : 'right';
+                alignments.push(alignment);
+            });
+
+            const headerCells = trimChars(block.element.text.trim(), '|').split('|').map((cell, index) => {
+                return createCell('th', cell.trim(), alignments[index]);
+            });
+
+            return {
+                alignments,
+                identified: true,
+                element: {
+                    name: 'table',
+                    handler: 'elements',
+                    text: [
+                        { name: 'thead', handler: 'elements', text: [{ name: 'tr', handler: 'elements', text: headerCells }] },
+                        { name: 'tbody', handler: 'elements', text: [] }
+                    ]
+                }
+            };
+        },
+        continue(ctx, line, block) {
+            if (block.interrupted) return null;
+            if (line.text[0] !== '|' && line.text.indexOf('|') <= 0) return null;
+
+            const row = trimChars(line.text.trim(), '|');
+            const cells = (row.match(/(?:(\\[|])|[^|`]|`[^`]+`|`)+/g) || []).map((cell, index) => {
+                return createCell('td', cell.trim(), block.alignments[index]);
+            });
+
+            block.element.text[1].text.push({ name: 'tr', handler: 'elements', text: cells });
+            return block;
+        }
+    }
+};
+
+/**
+ * Create a table cell element
+ *
+ * @param {string} name - 'th' or 'td'
+ * @param {string} text - Cell markdown
+ * @param {string|null|undefined} alignment - Column alignment
+ * @returns {object} Element
+ */
+function createCell(name, text, alignment) {
+    const cell = { name, text, handler: 'line' };
+    if (alignment) {
+        cell.attributes = { style: 'text-align: ' + alignment + ';' };
+    }
+    return cell;
+}
+
+// -- Element rendering --
+
+const HANDLERS = {
+    line: (ctx, text, nonNestables) => renderInline(ctx, text, nonNestables),
+    lines: (ctx, lines) => renderLines(ctx, lines),
+    element: (ctx, element) => renderElement(ctx, element),
+    elements: (ctx, elements) => elements.map(el => '\n' + renderElement(ctx, el)).join('') + '\n',
+    li: (ctx, lines) => renderListItem(ctx, lines)
+};
+
+/**
+ * Render an element tree node to HTML
+ *
+ * @param {object} ctx - Render context
+ * @param {object} element - Element with name, attributes, text, handler
+ * @returns {string} HTML markup
+ */
+function renderElement(ctx, element) {
+    element = sanitizeElement(element);
+
+    let markup = '<' + element.name;
+
+    if (element.attributes) {
+        Object.keys(element.attributes).forEach(name => {
+            const value = element.attributes[name];
+            if (value === null || value === undefined) return;
+            markup += ' ' + name + '="' + escapeHtml(value) + '"';
+        });
+    }
+
+    if (element.text === null || element.text === undefined) {
+        return markup + ' />';
+    }
+
+    markup += '>';
+    if (element.handler) {
+        markup += HANDLERS[element.handler](ctx, element.text, element.nonNestables || []);
+    } else {
+        markup += escapeHtml(element.text, true);
+    }
+
+    return markup + '</' + element.name + '>';
+}
+
+/**
+ * Render list item lines, unwrapping the paragraph of tight items
+ *
+ * @param {object} ctx - Render context
+ * @param {string[]} lines - Item lines
+ * @returns {string} HTML markup
+ */
+function renderListItem(ctx, lines) {
+    let markup = renderLines(ctx, lines);
+    const trimmed = trimChars(markup, PHP_WHITESPACE);
+
+    if (lines.indexOf('') === -1 && trimmed.substring(0, 3) === '<p>') {
+        markup = trimmed.substring(3);
+        const position = markup.indexOf('</p>');
+        markup = markup.substring(0, position) + markup.substring(position + 4);
+    }
+
+    return markup;
+}
+
+/**
+ * Neutralize unsafe URL schemes (Parsedown SafeMode)
+ *
+ * @param {object} element - Element to check
+ * @returns {object} Element with safe URL attributes
+ */
+function sanitizeElement(element) {
+    const urlAttribute = { a: 'href', img: 'src' }[element.name];
+
+    if (urlAttribute && element.attributes && typeof element.attributes[urlAttribute] === 'string') {
+        const url = element.attributes[urlAttribute];
+        const lower = url.toLowerCase();
+        if (!SAFE_LINKS.some(scheme => lower.indexOf(scheme) === 0)) {
+            element.attributes[urlAttribute] = url.replace(/:/g, '%3A');
+        }
+    }
+
+    return element;
+}
+
+// -- Inline level --
+
+/**
+ * Render inline markdown
+ *
+ * @param {object} ctx - Render context
+ * @param {string} text - Inline markdown
+ * @param {string[]} nonNestables - Inline types not allowed in this context
+ * @returns {string} HTML markup
+ */
+function renderInline(ctx, text, nonNestables = []) {
+    let markup = '';
+    let markerPosition;
+
+    while ((markerPosition = text.search(INLINE_MARKERS)) !== -1) {
+        const marker = text[markerPosition];
+        const excerpt = { text: text.substring(markerPosition), context: text };
+        let found = null;
+
+        for (const type of INLINE_TYPES[marker]) {
+            if (nonNestables.indexOf(type) !== -1) continue;
+
+            const inline = INLINES[type](ctx, excerpt);
+            if (!inline) continue;
+            if (inline.position !== undefined && inline.position > markerPosition) continue;
+            if (inline.position === undefined) inline.position = markerPosition;
+
+            if (inline.element) {
+                inline.element.nonNestables = (inline.element.nonNestables || []).concat(nonNestables);
+            }
+            found = inline;
+            break;
+        }
+
+        if (found) {
+            markup += unmarkedText(text.substring(0, found.position));
+            markup += found.markup !== undefined ? found.markup : renderElement(ctx, found.element);
+            text = text.substring(found.position + found.extent);
+        } else {
+            markup += unmarkedText(text.substring(0, markerPosition + 1));
+            text = text.substring(markerPosition + 1);
+        }
+    }
+
+    return markup + unmarkedText(text);
+}
+
+/**
+ * Apply hard line breaks to plain text
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function unmarkedText(text) {
+    return text
+        .replace(/(?:[ ][ ]+|[ ]*\\)\n/g, '<br />\n')
+        .replace(/ \n/g, '\n');
+}
+
+const INLINES = {
+    code(ctx, excerpt) {
+        const match = excerpt.text.match(/^(`+)[ ]*([\s\S]+?)[ ]*(?<!`)\1(?!`)/);
+        if (!match) return null;
+        return {
+            extent: match[0].length,
+            element: { name: 'code', text: match[2].replace(/[ ]*\n/g, ' ') }
+        };
+    },
+
+    emailTag(ctx, excerpt) {
+        if (excerpt.text.indexOf('>') === -1) return null;
+        const match = excerpt.text.match(/^<((mailto:)?\S+?@\S+?)>/i);
+        if (!match) return null;
+        return {
+            extent: match[0].length,
+            element: {
+                name: 'a',
+                text: match[1],
+                attributes: { href: match[2] ? match[1] : 'mailto:' + match[1] }
+            }
+        };
+    },
+
+    emphasis(ctx, excerpt) {
+        if (excerpt.text.length < 2) return null;
+
+        const marker = excerpt.text[0];
+        let name;
+        let match = null;
+
+        if (excerpt.text[1] === marker) {
+            match = excerpt.text.match(STRONG_REGEX[marker]);
+            name = 'strong';
+        }
+        if (!match) {
+            match = excerpt.text.match(EM_REGEX[marker]);
+            name = 'em';
+        }
+        if (!match) return null;
+
+        return {
+            extent: match[0].length,
+            element: { name, handler: 'line', text: match[1] }
+        };
+    },
+
+    escapeSequence(ctx, excerpt) {
+        const char = excerpt.text[1];
+        if (char === undefined || SPECIAL_CHARACTERS.indexOf(char) === -1) return null;
+        return { markup: escapeHtml(char, true), extent: 2 };
+    },
+
+    image(ctx, excerpt) {
+        if (excerpt.text[1] !== '[') return null;
+
+        const link = INLINES.link(ctx, { text: excerpt.text.substring(1), context: excerpt.context });
+        if (!link) return null;
+
+        const attributes = { src: link.element.attributes.href, alt: link.element.text };
+        if (link.element.attributes.title !== null) {
+            attributes.title = link.element.attributes.title;
+        }
+
+        return {
+            extent: link.extent + 1,
+            element: { name: 'img', attributes }
+        };
+    },
+
+    link(ctx, excerpt) {
+        const element = {
+            name: 'a',
+            handler: 'line',
+            nonNestables: ['url', 'link'],
+            text: null,
+            attributes: { href: null, title: null }
+        };
+
+        const closing = findClosingBracket(excerpt.text);
+        if (closing === -1) return null;
+
+        element.text = excerpt.text.substring(1, closing);
+        let extent = closing + 1;
+        const remainder = excerpt.text.substring(extent);
+
+        const inlineTarget = remainder.match(/^[(]\s*((?:[^ ()]+|[(][^ )]+[)])+)(?:[ ]+("[^"]*"|'[^']*'))?\s*[)]/);
+        if (inlineTarget) {
+            element.attributes.href = inlineTarget[1];
+            if (inlineTarget[2] !== undefined) {
+                element.attributes.title = inlineTarget[2].slice(1, -1);
+            }
+            extent += inlineTarget[0].length;
+        } else {
+            let definition;
+            const reference = remainder.match(/^\s*\[(.*?)\]/);
+            if (reference) {
+                definition = (reference[1].length ? reference[1] : element.text).toLowerCase();
+                extent += reference[0].length;
+            } else {
+                definition = element.text.toLowerCase();
+            }
+
+            const data = ctx.references[definition];
+            if (!data) return null;
+
+            element.attributes.href = data.url;
+            element.attributes.title = data.title;
+        }
+
+        return { extent, element };
+    },
+
+    specialCharacter(ctx, excerpt) {
+        const char = excerpt.text[0];
+        if (char === '&' && !/^&#?\w+;/.test(excerpt.text)) {
+            return { markup: '&amp;', extent: 1 };
+        }
+        const entities = { '>': '&gt;', '<': '&lt;', '"': '&quot;' };
+        if (entities[char]) {
+            return { markup: entities[char], extent: 1 };
+        }
+        return null;
+    },
+
+    strikethrough(ctx, excerpt) {
+        if (excerpt.text[1] !== '~') return null;
+        const match = excerpt.text.match(/^~~(?=\S)([\s\S]+?)(?<=\S)~~/);
+        if (!match) return null;
+        return {
+            extent: match[0].length,
+            element: { name: 'del', text: match[1], handler: 'line' }
+        };
+    },
+
+    url(ctx, excerpt) {
+        if (excerpt.text[2] !== '/') return null;
+        const match = /\bhttps?:[/]{2}[^\s<]+\b\/*/i.exec(excerpt.context);
+        if (!match) return null;
+        return {
+            extent: match[0].length,
+            position: match.index,
+            element: { name: 'a', text: match[0], attributes: { href: match[0] } }
+        };
+    },
+
+    urlTag(ctx, excerpt) {
+        if (excerpt.text.indexOf('>') === -1) return null;
+        const match = excerpt.text.match(/^<(\w+:\/{2}[^ >]+)>/i);
+        if (!match) return null;
+        return {
+            extent: match[0].length,
+            element: { name: 'a', text: match[1], attributes: { href: match[1] } }
+        };
+    }
+};
+
+/**
+ * Find the bracket closing the one at position 0 (nesting aware)
+ *
+ * @param {string} text - Text starting with '['
+ * @returns {number} Index of the matching ']' or -1
+ */
+function findClosingBracket(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+// -- String helpers --
+
+/**
+ * Escape HTML special characters (htmlspecialchars semantics)
+ *
+ * @param {string} text
+ * @param {boolean} allowQuotes - Leave quotes unescaped (text content)
+ * @returns {string}
+ */
+export function escapeHtml(text, allowQuotes = false) {
+    let escaped = String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    if (!allowQuotes) {
+        escaped = escaped.replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+    }
+    return escaped;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
+function trimChars(text, chars) {
+    return rtrimChars(ltrimChars(text, chars), chars);
+}
+
+function ltrimChars(text, chars) {
+    let start = 0;
+    while (start < text.length && chars.indexOf(text[start]) !== -1) start++;
+    return text.substring(start);
+}
+
+function rtrimChars(text, chars) {
+    let end = text.length;
+    while (end > 0 && chars.indexOf(text[end - 1]) !== -1) end--;
+    return text.substring(0, end);
+}
@@ -0,0 +1,442 @@
+/**
+ * Clipboard paste handling for Markdown mode
+ *
+ * - Tabular clipboard data (a spreadsheet range as text/html <table> or
+ *   as tab-separated text/plain) is inserted as a GFM table
+ * - Rich text (text/html from web pages, mail clients, Word, Google Docs)
+ *   is converted to Markdown, without Office/Google Docs markup
+ *
+ * A notice offers to paste the plain text instead; Ctrl+Shift+V
+ * (Cmd+Shift+V) always pastes plain text.
+ *
+ * Registered before the image upload paste handler, so a spreadsheet
+ * range (which usually also comes with a picture of the cells) is not
+ * uploaded as an image.
+ */
+
+import { $ } from './globals.js';
+import { debugLog } from './utils.js';
+import { replaceValue } from './history.js';
+import { tableFromRows, insertTableMarkdown } from './tables.js';
+import { emit } from './events.js';
+import { htmlToMarkdown, tableToMarkdown } from './html-to-markdown.js';
+import { t, tn } from './i18n.js';
+
+/** How long (ms) the paste notice stays */
+const NOTICE_TIMEOUT = 10000;
+
+/** Elements worth converting; HTML without them is pasted as plain text */
+const FORMATTED_HTML = /<(a|b|strong|i|em|code|pre|ul|ol|h[1-6]|blockquote|table|img|hr)[\s>]/i;
+
+/** Office/clipboard elements that are dropped with their content */
+const DROPPED_ELEMENTS = 'style, script, meta, link, title, xml';
+
+/**
+ * Setup paste handling
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function setupPasteHandler(editor) {
+    teardownPasteHandler(editor);
+
+    // Paste events carry no modifier keys, so remember Ctrl+Shift+V
+    editor.textarea.on('keydown.markdownPaste', (e) => {
+        editor.plainPaste = (e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'v';
+    });
+    editor.textarea.on('keyup.markdownPaste', () => {
+        editor.plainPaste = false;
+    });
+
+    editor.textarea.on('paste.markdownPaste', (e) => {
+        if (editor.currentFormat !== 'markdown') return;
+
+        const plain = editor.plainPaste;
+        editor.plainPaste = false;
+        if (plain) return;
+
+        const clipboardData = e.originalEvent && e.originalEvent.clipboardData;
+        if (!clipboardData) return;
+
+        const text = clipboardData.getData('text/plain');
+        const html = clipboardData.getData('text/html');
+
+        const table = clipboardToTable(html, text);
+        const markdown = table ? null : clipboardToMarkdown(html, text);
+        if (!table && !markdown) return;
+
+        // Cancelled by an integration: the browser pastes as usual
+        const event = emit(editor, 'beforeInsert', { text: table || markdown, source: 'paste' });
+        if (event.defaultPrevented) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (table) {
+            pasteTable(editor, String(event.text), text);
+        } else {
+            pasteMarkdown(editor, String(event.text), text);
+        }
+    });
+}
+
+/**
+ * Remove paste handling
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function teardownPasteHandler(editor) {
+    editor.textarea.off('.markdownPaste');
+    hidePasteNotice(editor);
+}
+
+/**
+ * Convert tabular clipboard data to a GFM table
+ *
+ * @param {string} html - text/html clipboard data
+ * @param {string} text - text/plain clipboard data
+ * @returns {string|null} Table Markdown, or null if the data is not a table
+ */
+export function clipboardToTable(html, text) {
+    if (html && /<table[\s>]/i.test(html)) {
+        const table = htmlTableOnly(html);
+        if (table) return tableToMarkdown(table);
+    }
+
+    const rows = parseTsv(text || '');
+    return rows ? tableFromRows(rows) : null;
+}
+
+/**
+ * Return the table markup if the HTML consists of a single table only
+ * (web pages with text around a table are not converted)
+ *
+ * @param {string} html
+ * @returns {string|null}
+ */
+function htmlTableOnly(html) {
+    // Inert document: nothing in the markup is loaded or executed
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+    doc.body.querySelectorAll('style, script, title, meta, link').forEach(node => node.remove());
+
+    const tables = doc.body.querySelectorAll('table');
+    if (tables.length !== 1 || tables[0].rows.length < 2) return null;
+
+    const table = tables[0];
+    const outside = doc.body.textContent.replace(table.textContent, '');
+    return outside.trim() === '' ? table.outerHTML : null;
+}
+
+/**
+ * Parse tab-separated text as rows of cells
+ *
+ * Cells in double quotes may contain tabs, line breaks and doubled
+ * quotes (as spreadsheets export them).
+ *
+ * @param {string} text
+ * @returns {string[][]|null} At least two rows with the same number (2+)
+ *   of cells, otherwise null
+ */
+export function parseTsv(text) {
+    if (!text.includes('\t')) return null;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let i = 0;
+    const input = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+
+    while (i <= input.length) {
+        const char = input[i];
+
+        if (cell === '' && char === '"') {
+            const close = findClosingQuote(input, i + 1);
+            if (close !== -1 && (close + 1 === input.length || /[\t\n]/.test(input[close + 1]))) {
+                cell = input.substring(i + 1, close).replace(/""/g, '"');
+                i = close + 1;
+                continue;
+            }
+        }
+
+        if (char === '\t' || char === '\n' || i === input.length) {
+            row.push(cell);
+            cell = '';
+            if (char !== '\t') {
+                rows.push(row);
+                row = [];
+            }
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+
+    const width = rows[0].length;
+    if (rows.length < 2 || width < 2 || !rows.every(cells => cells.length === width)) return null;
+
+    return rows.map(cells => cells.map(value => value.trim()));
+}
+
+/**
+ * @param {string} input
+ * @param {number} from - Offset after the opening quote
+ * @returns {number} Offset of the closing quote or -1
+ */
+function findClosingQuote(input, from) {
+    for (let i = from; i < input.length; i++) {
+        if (input[i] !== '"') continue;
+        if (input[i + 1] === '"') {
+            i++;
+            continue;
+        }
+        return i;
+    }
+    return -1;
+}
+
+/**
+ * Convert rich clipboard HTML to Markdown
+ *
+ * @param {string} html - text/html clipboard data
+ * @param {string} text - text/plain clipboard data
+ * @returns {string|null} Markdown, or null if plain text pasting gives the
+ *   same result (no formatting worth keeping)
+ */
+export function clipboardToMarkdown(html, text) {
+    if (!html) return null;
+
+    const cleaned = cleanClipboardHtml(html);
+    if (!FORMATTED_HTML.test(cleaned)) return null;
+
+    const markdown = htmlToMarkdown(cleaned);
+    if (!markdown || markdown === (text || '').trim()) return null;
+    return markdown;
+}
+
+/**
+ * Remove Office and Google Docs markup from clipboard HTML
+ *
+ * - Only the copied fragment is kept (StartFragment/EndFragment)
+ * - Comments, conditional comments, <style>, <o:p> and the like are dropped
+ * - Word list paragraphs (mso-list) become real lists
+ * - Bold/italic/monospace spans become <strong>/<em>/<code>, other spans
+ *   are unwrapped; style, class and id attributes are removed
+ * - Embedded images (data:, cid:, file:) are dropped, they cannot be
+ *   referenced from Markdown
+ *
+ * @param {string} html
+ * @returns {string} Cleaned HTML
+ */
+export function cleanClipboardHtml(html) {
+    const fragment = html.match(/<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/);
+    let source = fragment ? fragment[1] : html;
+    source = source.replace(/<!--\[if[\s\S]*?<!\[endif\]-->/gi, '').replace(/<!--[\s\S]*?-->/g, '');
+
+    // Inert document: nothing in the markup is loaded or executed
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = source;
+    const body = doc.body;
+
+    body.querySelectorAll(DROPPED_ELEMENTS).forEach(node => node.remove());
+    body.querySelectorAll('img').forEach(img => {
+        if (/^(data|cid|file):/i.test(img.getAttribute('src') || '')) img.remove();
+    });
+
+    convertWordLists(doc);
+
+    Array.from(body.querySelectorAll('*')).forEach(element => {
+        const tag = element.tagName.toLowerCase();
+        const style = (element.getAttribute('style') || '').toLowerCase();
+
+        // Google Docs wraps everything in <b style="font-weight:normal" id="docs-internal-guid-...">
+        if (tag === 'b' && /font-weight:\s*(normal|400)/.test(style)) {
+            unwrap(element);
+            return;
+        }
+        if (tag.includes(':') || tag === 'font') {
+            unwrap(element);
+            return;
+        }
+        if (tag === 'span') {
+            let wrapper = element;
+            const wrap = (name) => {
+                const node = doc.createElement(name);
+                while (wrapper.firstChild) node.appendChild(wrapper.firstChild);
+                wrapper.appendChild(node);
+                wrapper = node;
+            };
+            if (/font-weight:\s*(bold|[6-9]00)/.test(style)) wrap('strong');
+            if (/font-style:\s*italic/.test(style)) wrap('em');
+            if (/font-family:[^;]*(courier|consolas|monospace|menlo|monaco)/.test(style)) wrap('code');
+            unwrap(element);
+            return;
+        }
+
+        ['style', 'class', 'id', 'lang', 'dir'].forEach(attr => element.removeAttribute(attr));
+    });
+
+    // Word and Google Docs use non-breaking spaces for normal spacing
+    return body.innerHTML.replace(/&nbsp;|\u00a0/g, ' ');
+}
+
+/**
+ * Turn Word list paragraphs into nested <ul>/<ol> lists
+ *
+ * Word exports list items as <p style="mso-list:l0 level2 lfo1"> with the
+ * bullet or number in a <span style="mso-list:Ignore">.
+ *
+ * @param {Document} doc
+ */
+function convertWordLists(doc) {
+    const isListParagraph = node => node && node.nodeType === 1 &&
+        /mso-list:\s*l\d+/i.test(node.getAttribute('style') || '');
+
+    Array.from(doc.body.querySelectorAll('p')).forEach(paragraph => {
+        if (!paragraph.parentNode || !isListParagraph(paragraph) ||
+            isListParagraph(paragraph.previousElementSibling)) return;
+
+        // First paragraph of a run (later ones are already moved into the list)
+        const stack = [];
+        let node = paragraph;
+        const parent = paragraph.parentNode;
+        const anchor = doc.createComment('');
+        parent.insertBefore(anchor, paragraph);
+
+        while (isListParagraph(node)) {
+            const next = node.nextElementSibling;
+            const level = parseInt(((node.getAttribute('style') || '').match(/level(\d+)/i) || [0, 1])[1], 10);
+            const ignore = Array.from(node.querySelectorAll('span'))
+                .find(span => /mso-list:\s*ignore/i.test(span.getAttribute('style') || ''));
+            const marker = ignore ? ignore.textContent.trim() : '';
+            if (ignore) ignore.remove();
+
+            const type = /^[\da-z]{1,3}[.)]$/i.test(marker) ? 'ol' : 'ul';
+            while (stack.length > level) stack.pop();
+            while (stack.length < level) {
+                const list = doc.createElement(type);
+                if (stack.length === 0) {
+                    parent.insertBefore(list, anchor);
+                } else {
+                    const owner = stack[stack.length - 1].lastElementChild || stack[stack.length - 1];
+                    owner.appendChild(list);
+                }
+                stack.push(list);
+            }
+
+            const item = doc.createElement('li');
+            while (node.firstChild) item.appendChild(node.firstChild);
+            stack[stack.length - 1].appendChild(item);
+            node.remove();
+            node = next;
+        }
+        anchor.remove();
+    });
+}
+
+/**
+ * Replace an element with its children
+ *
+ * @param {Element} element
+ */
+function unwrap(element) {
+    const parent = element.parentNode;
+    if (!parent) return;
+    while (element.firstChild) parent.insertBefore(element.firstChild, element);
+    parent.removeChild(element);
+}
+
+/**
+ * Insert pasted rich text as Markdown and offer plain text instead
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} markdown
+ * @param {string} text - Plain clipboard text
+ */
+function pasteMarkdown(editor, markdown, text) {
+    const textarea = editor.textarea[0];
+    const { value, selectionStart, selectionEnd } = textarea;
+    const caret = selectionStart + markdown.length;
+    const pasted = value.substring(0, selectionStart) + markdown + value.substring(selectionEnd);
+
+    replaceValue(editor, pasted, caret);
+    debugLog('Pasted rich text as Markdown', 'DEBUG');
+
+    showPasteNotice(editor, t('Pasted as Markdown.'), t('Paste as plain text'), () => {
+        if (textarea.value !== pasted) return;
+        replaceValue(editor, value.substring(0, selectionStart) + text + value.substring(selectionEnd),
+            selectionStart + text.length);
+    });
+}
+
+/**
+ * Insert a pasted table and offer plain text instead
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} table - Table Markdown
+ * @param {string} text - Plain clipboard text
+ */
+function pasteTable(editor, table, text) {
+    const textarea = editor.textarea[0];
+    const { value, selectionStart, selectionEnd } = textarea;
+    const result = insertTableMarkdown(value, selectionStart, selectionEnd, table);
+
+    replaceValue(editor, result.value, result.selectionStart, result.selectionEnd);
+    debugLog('Pasted tabular data as table', 'DEBUG');
+
+    const rows = table.split('\n').length - 1;
+    const message = tn('Pasted as a table with {count} row.', 'Pasted as a table with {count} rows.', rows);
+    showPasteNotice(editor, message, t('Paste as plain text'), () => {
+        if (textarea.value !== result.value) return;
+        const caret = selectionStart + text.length;
+        replaceValue(editor, value.substring(0, selectionStart) + text + value.substring(selectionEnd), caret);
+    });
+}
+
+/**
+ * Show a notice below the textarea with one action button
+ *
+ * The notice disappears on the next edit, after a timeout, or when the
+ * action is used.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} message
+ * @param {string} actionLabel
+ * @param {Function} action
+ */
+export function showPasteNotice(editor, message, actionLabel, action) {
+    hidePasteNotice(editor);
+    if (!editor.container) return;
+
+    const $notice = $('<div>', { class: 'markdown-paste-notice', role: 'status' });
+    const $action = $('<button>', {
+        type: 'button',
+        class: 'markdown-paste-notice-action',
+        text: actionLabel,
+        click: (e) => {
+            e.preventDefault();
+            hidePasteNotice(editor);
+            action();
+            editor.textarea.trigger('focus');
+        }
+    });
+
+    $notice.append($('<span>', { text: message + ' ' }), $action);
+    editor.container.append($notice);
+    editor.pasteNotice = $notice;
+
+    editor.pasteNoticeTimer = setTimeout(() => hidePasteNotice(editor), NOTICE_TIMEOUT);
+    editor.textarea.one('input.markdownPasteNotice', () => hidePasteNotice(editor));
+}
+
+/**
+ * Remove the paste notice
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function hidePasteNotice(editor) {
+    clearTimeout(editor.pasteNoticeTimer);
+    editor.textarea.off('input.markdownPasteNotice');
+    if (editor.pasteNotice) {
+        editor.pasteNotice.remove();
+        editor.pasteNotice = null;
+    }
+}
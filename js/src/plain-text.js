@@ -0,0 +1,241 @@
+/**
+ * Plain text conversion
+ *
+ * HTML to plain text as it would be written in a plain-text email:
+ * - Paragraphs, headings, tables and code blocks are separated by a blank
+ *   line, <br> and <div> start a new line
+ * - List items keep a "- " or "1. " marker, nested lists are indented
+ * - Block quotes are prefixed with "> "
+ * - Table cells are separated by " | "
+ * - Links keep their URL ("text <url>"), images become "[Image: alt]"
+ *
+ * Markdown is converted by rendering it first, so escaped characters and
+ * link syntax come out as the reader would see them.
+ */
+
+import { findLostFormatting } from './html-to-markdown.js';
+import { escapeHtml } from './markdown-renderer.js';
+import { t } from './i18n.js';
+
+/** Elements separated from their neighbours by a blank line */
+const PARAGRAPH_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'CENTER', 'DL', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4',
+    'H5', 'H6', 'HEADER', 'P', 'SECTION', 'TABLE'
+]);
+
+/** Elements that start a new line */
+const LINE_TAGS = new Set(['DD', 'DIV', 'DT', 'FIGCAPTION', 'TR']);
+
+/** Elements without visible text */
+const HIDDEN_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'TEMPLATE', 'TITLE']);
+
+/** Formatting plain text has no way to show (besides findLostFormatting()) */
+const TEXT_FORMATTING = [
+    { key: 'emphasis', tags: ['B', 'CITE', 'DEL', 'DFN', 'EM', 'I', 'S', 'STRIKE', 'STRONG', 'VAR'] },
+    { key: 'headings', tags: ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'] },
+    { key: 'code', tags: ['CODE', 'KBD', 'PRE', 'SAMP', 'TT'] },
+    { key: 'tables', tags: ['TABLE'] },
+    { key: 'images', tags: ['IMG'] }
+];
+
+/**
+ * Convert HTML to plain text
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    if (!html || typeof html !== 'string') return '';
+
+    return trimLines(collect(parse(html).body)).join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Convert plain text to HTML: paragraphs at blank lines, <br> at line
+ * breaks, leading spaces kept as non-breaking spaces
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function textToHtml(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    return text.replace(/\r\n?/g, '\n')
+        .split(/\n[ \t]*\n/)
+        .filter(paragraph => paragraph.trim())
+        .map(paragraph => '<p>' + paragraph.replace(/^\n+|\n+$/g, '').split('\n')
+            .map(line => escapeHtml(line).replace(/^ +/, spaces => '&nbsp;'.repeat(spaces.length)))
+            .join('<br>') + '</p>')
+        .join('\n');
+}
+
+/**
+ * Formatting in HTML that the conversion to plain text drops
+ *
+ * @param {string} html
+ * @returns {string[]} Keys: emphasis, headings, code, tables, images and
+ *                     those of findLostFormatting()
+ */
+export function findTextFormatting(html) {
+    if (!html || typeof html !== 'string') return [];
+
+    const body = parse(html).body;
+    const found = TEXT_FORMATTING
+        .filter(format => format.tags.some(tag => body.getElementsByTagName(tag).length))
+        .map(format => format.key);
+
+    // Merged cells are part of the table layout that is dropped anyway
+    return found.concat(findLostFormatting(html).filter(key => key !== 'table'));
+}
+
+/**
+ * Parse markup into an inert document: nothing in it is loaded or executed
+ *
+ * @param {string} html
+ * @returns {Document}
+ */
+function parse(html) {
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html.replace(/\r\n?/g, '\n');
+    return doc;
+}
+
+/**
+ * Text lines of an element's content, without blank lines around them
+ *
+ * @param {Element} element
+ * @returns {string[]}
+ */
+function collect(element) {
+    const lines = [''];
+    collectLines(element, lines);
+    return trimLines(lines);
+}
+
+/**
+ * Append the text of a node's children to the lines
+ *
+ * @param {Node} parent
+ * @param {string[]} lines - The last entry is the current line
+ */
+function collectLines(parent, lines) {
+    parent.childNodes.forEach(node => {
+        if (node.nodeType === 3) {
+            append(lines, node.data.replace(/\s+/g, ' '));
+            return;
+        }
+        if (node.nodeType !== 1 || HIDDEN_TAGS.has(node.tagName)) return;
+
+        const tag = node.tagName;
+        if (tag === 'BR') {
+            lines.push('');
+        } else if (tag === 'HR') {
+            pushBlock(lines, ['---'], true);
+        } else if (tag === 'IMG') {
+            const src = node.getAttribute('src') || '';
+            const name = node.getAttribute('alt') || src.split(/[/?#]/).filter(Boolean).pop() || '';
+            append(lines, ' [' + t('Image: {name}', { name }) + '] ');
+        } else if (tag === 'INPUT') {
+            if ((node.getAttribute('type') || '').toLowerCase() === 'checkbox') {
+                append(lines, node.hasAttribute('checked') ? '[x] ' : '[ ] ');
+            }
+        } else if (tag === 'PRE') {
+            pushBlock(lines, node.textContent.replace(/\n$/, '').split('\n'), true);
+        } else if (tag === 'TD' || tag === 'TH') {
+            if (node.previousElementSibling) append(lines, ' | ');
+            collectLines(node, lines);
+        } else if (tag === 'A') {
+            collectLines(node, lines);
+            const text = node.textContent.trim();
+            const href = (node.getAttribute('href') || '').trim();
+            if (href && href !== text && href !== 'mailto:' + text) {
+                append(lines, ' <' + href + '>');
+            }
+        } else if (tag === 'UL' || tag === 'OL') {
+            pushBlock(lines, collectList(node), !node.parentElement.closest('li'));
+        } else if (tag === 'BLOCKQUOTE') {
+            pushBlock(lines, collect(node).map(line => (line ? '> ' + line : '>')), true);
+        } else if (PARAGRAPH_TAGS.has(tag)) {
+            pushBlock(lines, collect(node), true);
+        } else if (LINE_TAGS.has(tag)) {
+            pushBlock(lines, collect(node), false);
+        } else {
+            collectLines(node, lines);
+        }
+    });
+}
+
+/**
+ * Lines of a list: items with their marker, continuation lines indented
+ *
+ * @param {Element} list - <ul> or <ol>
+ * @returns {string[]}
+ */
+function collectList(list) {
+    const start = parseInt(list.getAttribute('start'), 10);
+    let number = isNaN(start) ? 1 : start;
+    const lines = [];
+
+    Array.from(list.children).forEach(child => {
+        const content = collect(child);
+        if (child.tagName !== 'LI') {
+            lines.push(...content);
+            return;
+        }
+
+        const marker = list.tagName === 'OL' ? (number++) + '. ' : '- ';
+        const indent = ' '.repeat(marker.length);
+        (content.length ? content : ['']).forEach((line, index) => {
+            lines.push(index ? (line ? indent + line : '') : marker + line);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Add text to the current line, collapsing spaces at the joint
+ *
+ * @param {string[]} lines
+ * @param {string} text
+ */
+function append(lines, text) {
+    const current = lines[lines.length - 1];
+    if (!current.trim() || current.endsWith(' ')) {
+        text = text.replace(/^ +/, '');
+    }
+    lines[lines.length - 1] = (current.trim() ? current : '') + text;
+}
+
+/**
+ * Add lines of a block on their own, followed by a new current line
+ *
+ * @param {string[]} lines
+ * @param {string[]} block
+ * @param {boolean} paragraph - Separate the block by blank lines
+ */
+function pushBlock(lines, block, paragraph) {
+    if (lines[lines.length - 1].trim()) {
+        lines.push('');
+    }
+    lines.pop();
+    if (paragraph && lines.length && lines[lines.length - 1] !== '') {
+        lines.push('');
+    }
+    lines.push(...block, '');
+    if (paragraph) {
+        lines.push('');
+    }
+}
+
+/**
+ * Remove trailing spaces and the blank lines at the start and end
+ *
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function trimLines(lines) {
+    const trimmed = lines.map(line => line.replace(/\s+$/, ''));
+    while (trimmed.length && !trimmed[0]) trimmed.shift();
+    while (trimmed.length && !trimmed[trimmed.length - 1]) trimmed.pop();
+    return trimmed;
+}
@@ -0,0 +1,217 @@
+/**
+ * Toolbar popover
+ *
+ * A small non-modal dialog or menu below a toolbar button (table picker,
+ * link, code block and heading popovers, toolbar overflow menu). Only one
+ * popover is open per editor.
+ *
+ * - Escape closes it and moves focus back to the textarea
+ * - Clicking or tabbing outside closes it
+ * - The button's aria-expanded reflects the state
+ */
+
+import { $ } from './globals.js';
+
+let idCounter = 0;
+
+/**
+ * Open a popover below a toolbar button
+ *
+ * Without a button (toolbar hidden, opened by a keyboard shortcut) the
+ * popover is shown at the top of the textarea.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} $button - Toolbar button the popover belongs to
+ * @param {jQuery} $popover - Popover content
+ * @param {object} [options]
+ * @param {string} [options.focus] - Selector of the element to focus
+ *                                   (default: first focusable element)
+ * @param {function} [options.onClose] - Called after the popover is closed
+ */
+export function openPopover(editor, $button, $popover, options = {}) {
+    closePopover(editor, false);
+
+    $popover.addClass('markdown-popover');
+    if ($button && $button.length && $button.is(':visible')) {
+        $popover.css({
+            top: $button.position().top + $button.outerHeight() + 4,
+            left: $button.position().left
+        });
+        $button.after($popover).attr('aria-expanded', 'true');
+
+        // Keep popovers of buttons near the right edge inside the toolbar
+        const overflow = $popover.position().left + $popover.outerWidth() - $popover.offsetParent().innerWidth();
+        if (overflow > 0) {
+            $popover.css('left', Math.max(0, $popover.position().left - overflow));
+        }
+    } else {
+        $popover.css({ top: 4, left: 4 });
+        editor.textarea.before($popover);
+    }
+
+    editor.popover = $popover;
+    editor.popoverButton = $button || null;
+    editor.popoverOnClose = options.onClose || null;
+
+    const $focus = options.focus ? $popover.find(options.focus) : $popover.find('input, button').first();
+    $focus.first().trigger('focus');
+
+    $popover.on('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closePopover(editor);
+        }
+    });
+
+    $popover.on('focusout', (e) => {
+        const target = e.relatedTarget;
+        if (target && !$.contains($popover[0], target) && !(editor.popoverButton && editor.popoverButton.is(target))) {
+            closePopover(editor, false);
+        }
+    });
+
+    $(document).on('mousedown.markdownPopover', (e) => {
+        const $inside = editor.popoverButton ? $popover.add(editor.popoverButton) : $popover;
+        if (!$(e.target).closest($inside).length) {
+            closePopover(editor, false);
+        }
+    });
+}
+
+/**
+ * Close the open popover
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {boolean} [refocus=true] - Move focus back to the textarea
+ */
+export function closePopover(editor, refocus = true) {
+    if (!editor.popover) return;
+
+    const onClose = editor.popoverOnClose;
+    editor.popover.remove();
+    editor.popover = null;
+    editor.popoverOnClose = null;
+    if (editor.popoverButton) {
+        editor.popoverButton.attr('aria-expanded', 'false');
+        editor.popoverButton = null;
+    }
+    $(document).off('mousedown.markdownPopover');
+
+    if (refocus) {
+        editor.textarea.trigger('focus');
+    }
+    if (onClose) {
+        onClose();
+    }
+}
+
+/**
+ * Whether the popover of a toolbar button is open
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} $button
+ * @returns {boolean}
+ */
+export function isPopoverOpen(editor, $button) {
+    return !!editor.popover && !!$button && !!editor.popoverButton && editor.popoverButton.is($button);
+}
+
+/**
+ * Create a labelled text field for a popover form
+ *
+ * @param {string} id - Unique input id
+ * @param {string} label
+ * @param {object} [attrs] - Additional input attributes
+ * @returns {{$field: jQuery, $input: jQuery}}
+ */
+export function createField(id, label, attrs = {}) {
+    const $input = $('<input>', $.extend({
+        type: 'text',
+        id,
+        class: 'markdown-popover-input',
+        autocomplete: 'off',
+        spellcheck: 'false'
+    }, attrs));
+    const $field = $('<div>', { class: 'markdown-popover-field' }).append(
+        $('<label>', { for: id, text: label }),
+        $input
+    );
+    return { $field, $input };
+}
+
+/**
+ * Create a popover button
+ *
+ * @param {string} label
+ * @param {function} action
+ * @param {boolean} [primary=false]
+ * @returns {jQuery}
+ */
+export function createButton(label, action, primary = false) {
+    return $('<button>', {
+        type: 'button',
+        class: 'markdown-popover-btn' + (primary ? ' is-primary' : ''),
+        text: label,
+        click: (e) => {
+            e.preventDefault();
+            action();
+        }
+    });
+}
+
+/**
+ * Submit a popover form with Enter (never the surrounding ticket form)
+ *
+ * @param {jQuery} $input
+ * @param {function} submit
+ */
+export function onEnter($input, submit) {
+    $input.on('keydown', (e) => {
+        if (e.key === 'Enter' && !e.isDefaultPrevented()) {
+            e.preventDefault();
+            submit();
+        }
+    });
+}
+
+/**
+ * Keyboard navigation for a menu popover
+ *
+ * Arrow keys, Home and End move between the items, Tab closes the menu.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} $menu - Menu with button items
+ */
+export function setupMenuKeys(editor, $menu) {
+    $menu.on('keydown', (e) => {
+        const $items = $menu.find('button');
+        const index = $items.index(document.activeElement);
+        let next = null;
+
+        if (e.key === 'ArrowDown') next = (index + 1) % $items.length;
+        if (e.key === 'ArrowUp') next = (index - 1 + $items.length) % $items.length;
+        if (e.key === 'Home') next = 0;
+        if (e.key === 'End') next = $items.length - 1;
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            closePopover(editor);
+            return;
+        }
+        if (next !== null) {
+            e.preventDefault();
+            $items.eq(next).trigger('focus');
+        }
+    });
+}
+
+/**
+ * Unique id for popover form controls
+ *
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function uniqueId(prefix) {
+    idCounter++;
+    return `markdown-${prefix}-${idCounter}`;
+}
@@ -0,0 +1,89 @@
+/**
+ * Incremental preview DOM updates
+ *
+ * Splits rendered HTML into top-level blocks and only touches the blocks
+ * that changed since the last render. Unchanged blocks keep their DOM
+ * nodes, so images do not reload and the scroll offset stays put.
+ * Works on any HTML (backend API output and client renderer).
+ */
+
+/**
+ * Patch the preview pane with new content
+ *
+ * @param {HTMLElement} pane - Preview pane element
+ * @param {DocumentFragment} fragment - New (sanitized) content
+ */
+export function patchPreview(pane, fragment) {
+    const scrollTop = pane.scrollTop;
+
+    const newBlocks = getBlocks(fragment);
+    newBlocks.forEach(node => {
+        node.markdownBlockKey = getBlockKey(node);
+    });
+
+    const oldBlocks = Array.from(pane.childNodes);
+    if (oldBlocks.some(node => node.markdownBlockKey === undefined)) {
+        // First render (or foreign content): replace everything
+        pane.textContent = '';
+        newBlocks.forEach(node => pane.appendChild(node));
+        pane.scrollTop = scrollTop;
+        return;
+    }
+
+    // Unchanged head and tail stay where they are
+    let start = 0;
+    while (start < oldBlocks.length && start < newBlocks.length &&
+        oldBlocks[start].markdownBlockKey === newBlocks[start].markdownBlockKey) {
+        start++;
+    }
+
+    let oldEnd = oldBlocks.length - 1;
+    let newEnd = newBlocks.length - 1;
+    while (oldEnd >= start && newEnd >= start &&
+        oldBlocks[oldEnd].markdownBlockKey === newBlocks[newEnd].markdownBlockKey) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    // Changed middle: reuse identical blocks that only moved
+    const reusable = new Map();
+    for (let i = start; i <= oldEnd; i++) {
+        const key = oldBlocks[i].markdownBlockKey;
+        if (!reusable.has(key)) reusable.set(key, []);
+        reusable.get(key).push(oldBlocks[i]);
+    }
+
+    const anchor = oldBlocks[oldEnd + 1] || null;
+    for (let i = start; i <= newEnd; i++) {
+        const candidates = reusable.get(newBlocks[i].markdownBlockKey);
+        const node = candidates && candidates.length ? candidates.shift() : newBlocks[i];
+        pane.insertBefore(node, anchor);
+    }
+
+    reusable.forEach(nodes => nodes.forEach(node => node.remove()));
+
+    pane.scrollTop = scrollTop;
+}
+
+/**
+ * Get top-level blocks, ignoring whitespace between them
+ *
+ * @param {DocumentFragment} fragment
+ * @returns {Node[]}
+ */
+function getBlocks(fragment) {
+    return Array.from(fragment.childNodes).filter(node => {
+        if (node.nodeType === 1) return true;
+        return node.nodeType === 3 && node.textContent.trim() !== '';
+    });
+}
+
+/**
+ * Identity of a block: its markup as rendered
+ *
+ * @param {Node} node
+ * @returns {string}
+ */
+function getBlockKey(node) {
+    return node.nodeType === 1 ? node.outerHTML : '#text:' + node.textContent;
+}
@@ -4,6 +4,21 @@
 
 import { $ } from './globals.js';
 import { debugLog } from './utils.js';
+import { renderMarkdown, escapeHtml } from './markdown-renderer.js';
+import { sanitizeToFragment } from './sanitizer.js';
+import { patchPreview } from './preview-patch.js';
+import { highlightCodeBlocks } from './highlighter.js';
+import { getVariableConfig, markVariables } from './variables.js';
+import { RenderCache } from './render-cache.js';
+import { annotateSourceLines } from './scroll-sync.js';
+import { emit } from './events.js';
+import { t } from './i18n.js';
+
+/** Backend renders shared by all editors on the page */
+const renderCache = new RenderCache(50);
+
+/** Counter for unique tab/panel IDs */
+let tabsCounter = 0;
 
 /**
  * Create the preview pane
@@ -12,6 +27,7 @@ import { debugLog } from './utils.js';
  */
 export function createPreview(editor) {
     editor.textarea.closest('td').find('.markdown-preview-container').remove();
+    removePreviewTabs(editor);
     debugLog('Removed all existing preview containers', 'DEBUG');
 
     const previewContainer = $('<div>', {
@@ -20,19 +36,28 @@ export function createPreview(editor) {
 
     const previewHeader = $('<div>', {
         class: 'markdown-preview-header',
-        html: '<span>Preview</span>'
+        html: $('<span>', { text: t('Preview') })
+    });
+
+    editor.previewStatus = $('<span>', {
+        class: 'markdown-preview-status',
+        role: 'status'
     });
+    previewHeader.append(editor.previewStatus);
 
     editor.previewPane = $('<div>', {
         class: 'markdown-preview',
         'aria-live': 'polite',
-        'aria-label': 'Markdown Preview',
-        html: '<p class="preview-empty">Preview will be shown here...</p>'
+        'aria-label': t('Markdown Preview'),
+        html: emptyPreviewHtml()
     });
 
     previewContainer.append(previewHeader, editor.previewPane);
 
-    if (editor.options.previewPosition === 'side') {
+    if (editor.options.previewPosition === 'tabs') {
+        editor.textarea.parent().after(previewContainer);
+        createPreviewTabs(editor, previewContainer);
+    } else if (editor.options.previewPosition === 'side') {
         editor.container.addClass('preview-side');
         const contentArea = $('<div>', {
             class: 'markdown-content-area'
@@ -47,6 +72,110 @@ export function createPreview(editor) {
     debugLog('Created new preview container', 'DEBUG');
 }
 
+/**
+ * Create the Write/Preview tab bar
+ *
+ * Only one panel is visible at a time, so compact editors can offer a
+ * preview without extra vertical space. The preview is rendered when its
+ * tab is opened (see renderPreview).
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} previewContainer - Preview panel
+ */
+function createPreviewTabs(editor, previewContainer) {
+    const base = 'markdown-tabs-' + (++tabsCounter);
+    const panels = {
+        write: editor.textarea.parent(),
+        preview: previewContainer
+    };
+
+    editor.previewTabs = $('<div>', {
+        class: 'markdown-tabs',
+        role: 'tablist',
+        'aria-label': t('Editor mode')
+    });
+
+    [['write', t('Write')], ['preview', t('Preview')]].forEach(([tab, label]) => {
+        panels[tab].attr({
+            id: base + '-' + tab + '-panel',
+            role: 'tabpanel',
+            'aria-labelledby': base + '-' + tab
+        });
+
+        editor.previewTabs.append($('<button>', {
+            type: 'button',
+            class: 'markdown-tab',
+            role: 'tab',
+            id: base + '-' + tab,
+            'data-tab': tab,
+            'aria-controls': base + '-' + tab + '-panel',
+            text: label,
+            click: (e) => {
+                e.preventDefault();
+                selectTab(editor, tab);
+            }
+        }));
+    });
+
+    editor.previewTabs.on('keydown', (e) => {
+        if (!['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) return;
+        e.preventDefault();
+
+        const next = e.key === 'Home' ? 'write'
+            : e.key === 'End' ? 'preview'
+                : (editor.activeTab === 'write' ? 'preview' : 'write');
+        selectTab(editor, next);
+        editor.previewTabs.find('[data-tab="' + next + '"]').focus();
+    });
+
+    editor.container.addClass('preview-tabs').prepend(editor.previewTabs);
+    selectTab(editor, 'write');
+}
+
+/**
+ * Activate the Write or Preview tab
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} tab - 'write' or 'preview'
+ */
+export function selectTab(editor, tab) {
+    if (!editor.previewTabs) return;
+
+    editor.activeTab = tab;
+    editor.container.attr('data-active-tab', tab);
+
+    editor.previewTabs.find('[data-tab]').each(function() {
+        const selected = $(this).attr('data-tab') === tab;
+        $(this).attr({
+            'aria-selected': String(selected),
+            tabindex: selected ? 0 : -1
+        });
+    });
+
+    if (tab === 'preview') {
+        renderPreview(editor);
+    } else {
+        clearTimeout(editor.debounceTimer);
+    }
+
+    debugLog('Selected editor tab: ' + tab, 'DEBUG');
+}
+
+/**
+ * Remove the tab bar and show the editor again
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function removePreviewTabs(editor) {
+    if (!editor.previewTabs) return;
+
+    editor.previewTabs.remove();
+    editor.previewTabs = null;
+    editor.activeTab = null;
+    editor.container.removeClass('preview-tabs').removeAttr('data-active-tab');
+    editor.textarea.parent().removeAttr('id role aria-labelledby');
+}
+
 /**
  * Setup live preview with debouncing
  *
@@ -64,45 +193,137 @@ export function setupLivePreview(editor) {
 /**
  * Render the Markdown preview
  *
+ * Only the response of the latest request is applied: older in-flight
+ * requests are aborted, and late responses are discarded by sequence number.
+ *
  * @param {object} editor - MarkdownEditor instance
  */
 export function renderPreview(editor) {
     if (!editor.previewPane) return;
 
-    const markdown = editor.textarea.val();
+    // Tabs mode: render lazily, only while the Preview tab is open
+    if (editor.previewTabs && editor.activeTab !== 'preview') return;
+
+    const seq = (editor.previewSeq || 0) + 1;
+    editor.previewSeq = seq;
+    abortPendingPreview(editor);
+
+    const event = emit(editor, 'beforeRender', { markdown: editor.textarea.val() });
+    if (event.defaultPrevented) return;
+
+    const markdown = String(event.markdown);
     if (!markdown.trim()) {
-        editor.previewPane.html('<p class="preview-empty">Preview will be shown here...</p>');
+        setPreviewStatus(editor, '');
+        setPreviewHtml(editor, emptyPreviewHtml());
         return;
     }
 
     const config = window.osTicketMarkdownConfig || {};
     const previewApiUrl = config.previewApiUrl;
 
-    if (previewApiUrl) {
-        debugLog('Rendering preview via backend API', 'DEBUG', { url: previewApiUrl });
+    if (!previewApiUrl) {
+        debugLog('No backend API configured - using client-side preview', 'WARN');
+        fallbackToClientPreview(editor, markdown);
+        return;
+    }
+
+    const cached = renderCache.get(markdown);
+    if (cached !== undefined) {
+        debugLog('Preview served from render cache', 'DEBUG');
+        setPreviewStatus(editor, '');
+        setPreviewHtml(editor, cached, markdown);
+        return;
+    }
+
+    debugLog('Rendering preview via backend API', 'DEBUG', { url: previewApiUrl });
+    setPreviewStatus(editor, 'rendering');
+
+    editor.previewXhr = $.ajax({
+        url: previewApiUrl,
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ markdown }),
+        dataType: 'json',
+        success: (response) => {
+            if (seq !== editor.previewSeq) {
+                debugLog('Discarding stale preview response', 'DEBUG', { seq });
+                return;
+            }
+            editor.previewXhr = null;
+            if (response.success && response.html) {
+                debugLog('Backend preview rendered successfully', 'DEBUG');
+                renderCache.set(markdown, response.html);
+                setPreviewStatus(editor, '');
+                setPreviewHtml(editor, response.html, markdown);
+            } else {
+                debugLog('Backend preview failed: Invalid response', 'ERROR', response);
+                fallbackToClientPreview(editor, markdown);
+            }
+        },
+        error: (xhr, status, error) => {
+            if (status === 'abort' || seq !== editor.previewSeq) {
+                return;
+            }
+            editor.previewXhr = null;
+            debugLog('Backend preview failed: ' + error, 'ERROR', { status, xhr });
+            fallbackToClientPreview(editor, markdown);
+        }
+    });
+}
+
+/**
+ * Render Markdown to HTML outside the preview (format switch)
+ *
+ * Same renderer as the preview: the backend API (through the render
+ * cache), the client renderer when it is not configured or fails. The
+ * HTML is not sanitized.
+ *
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+export function renderHtml(markdown) {
+    const config = window.osTicketMarkdownConfig || {};
+    const cached = renderCache.get(markdown);
+
+    if (!config.previewApiUrl || !markdown.trim()) {
+        return Promise.resolve(renderMarkdown(markdown));
+    }
+    if (cached !== undefined) {
+        return Promise.resolve(cached);
+    }
+
+    return new Promise(resolve => {
         $.ajax({
-            url: previewApiUrl,
+            url: config.previewApiUrl,
             method: 'POST',
             contentType: 'application/json',
             data: JSON.stringify({ markdown }),
             dataType: 'json',
             success: (response) => {
                 if (response.success && response.html) {
-                    debugLog('Backend preview rendered successfully', 'DEBUG');
-                    editor.previewPane.html(response.html);
+                    renderCache.set(markdown, response.html);
+                    resolve(response.html);
                 } else {
-                    debugLog('Backend preview failed: Invalid response', 'ERROR', response);
-                    fallbackToClientPreview(editor, markdown);
+                    resolve(renderMarkdown(markdown));
                 }
             },
             error: (xhr, status, error) => {
-                debugLog('Backend preview failed: ' + error, 'ERROR', { status, xhr });
-                fallbackToClientPreview(editor, markdown);
+                debugLog('Backend rendering failed, using client renderer: ' + error, 'WARNING');
+                resolve(renderMarkdown(markdown));
             }
         });
-    } else {
-        debugLog('No backend API configured - using client-side preview', 'WARN');
-        fallbackToClientPreview(editor, markdown);
+    });
+}
+
+/**
+ * Abort the in-flight backend preview request, if any
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function abortPendingPreview(editor) {
+    if (editor.previewXhr) {
+        editor.previewXhr.abort();
+        editor.previewXhr = null;
     }
 }
 
@@ -114,52 +335,77 @@ export function renderPreview(editor) {
  */
 function fallbackToClientPreview(editor, markdown) {
     debugLog('Using client-side preview fallback', 'DEBUG');
-    const html = simpleMarkdownToHtml(markdown);
-    editor.previewPane.html(html);
+    const html = renderMarkdown(markdown);
+    setPreviewStatus(editor, 'offline');
+    setPreviewHtml(editor, html, markdown);
 }
 
 /**
- * Simple client-side Markdown-to-HTML converter (fallback)
+ * Show the preview state in the preview header
  *
- * @param {string} markdown - Raw markdown text
- * @returns {string} HTML string
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} state - 'rendering', 'offline' or '' (idle)
  */
-function simpleMarkdownToHtml(markdown) {
-    let html = markdown;
-
-    html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
-    html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-    html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-    html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    html = html.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2">$1</a>');
-    html = html.replace(/`(.+?)`/g, '<code>$1</code>');
-    html = html.replace(/^\* (.+)$/gim, '___UL___<li>$1</li>');
-    html = html.replace(/^\d+\. (.+)$/gim, '___OL___<li>$1</li>');
-    html = html.replace(/(___UL___<li>.*<\/li>\n?)+/g, function(match) {
-        return '<ul>' + match.replace(/___UL___/g, '') + '</ul>';
-    });
-    html = html.replace(/(___OL___<li>.*<\/li>\n?)+/g, function(match) {
-        return '<ol>' + match.replace(/___OL___/g, '') + '</ol>';
-    });
-    html = html.replace(/^> (.+)$/gim, '<blockquote>$1</blockquote>');
-    html = html.replace(/^---$/gim, '<hr>');
-    html = html.replace(/\n\n/g, '</p><p>');
-    html = html.replace(/\n/g, '<br>');
+function setPreviewStatus(editor, state) {
+    if (!editor.previewStatus) return;
 
-    if (!html.match(/^<(h\d|ul|ol|pre|blockquote)/)) {
-        html = '<p>' + html + '</p>';
-    }
+    const labels = {
+        rendering: t('Rendering\u2026'),
+        offline: t('Offline fallback')
+    };
+
+    editor.previewStatus
+        .attr('data-state', state || null)
+        .attr('title', state === 'offline' ? t('Server preview unavailable - rendered in the browser') : null)
+        .text(labels[state] || '');
+    editor.previewPane.attr('aria-busy', state === 'rendering' ? 'true' : null);
+}
 
-    return html;
+/**
+ * Placeholder shown while there is nothing to preview
+ *
+ * @returns {string}
+ */
+function emptyPreviewHtml() {
+    return '<p class="preview-empty">' + escapeHtml(t('Preview will be shown here...')) + '</p>';
 }
 
 /**
- * Toggle preview visibility (mobile)
+ * Write HTML into the preview pane
+ *
+ * All preview HTML (backend and client-rendered) goes through the
+ * sanitizer - the preview runs in the agent's authenticated session.
+ * Fenced code is highlighted and %{…} variables are marked after
+ * sanitizing, then only changed top-level blocks are replaced (see
+ * preview-patch.js). Blocks are then mapped to
+ * their source lines for scroll sync. afterRender handlers may change the
+ * HTML before it is sanitized.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} html - Untrusted HTML
+ * @param {string} [markdown] - Markdown source the HTML was rendered from
+ */
+function setPreviewHtml(editor, html, markdown) {
+    if (markdown !== undefined) {
+        html = String(emit(editor, 'afterRender', { markdown, html }).html);
+    }
+    const fragment = sanitizeToFragment(html);
+    highlightCodeBlocks(fragment);
+    const variables = getVariableConfig();
+    markVariables(fragment, variables.known, variables.values);
+    patchPreview(editor.previewPane[0], fragment);
+    annotateSourceLines(editor, markdown);
+}
+
+/**
+ * Toggle preview visibility (mobile), or switch tabs in tabs mode
  *
  * @param {object} editor - MarkdownEditor instance
  */
 export function togglePreview(editor) {
+    if (editor.previewTabs) {
+        selectTab(editor, editor.activeTab === 'preview' ? 'write' : 'preview');
+        return;
+    }
     editor.container.toggleClass('preview-hidden');
 }
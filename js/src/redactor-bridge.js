@@ -312,6 +312,29 @@ export function restoreRedactor(editor) {
     }
 }
 
+/**
+ * Current HTML of the Redactor editor
+ *
+ * Redactor writes its content back to the textarea only on some events,
+ * so it is asked directly; without an instance the textarea value is used.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {string}
+ */
+export function getRedactorHtml(editor) {
+    if (typeof editor.textarea.redactor === 'function' && editor.textarea.data('redactor')) {
+        try {
+            const html = editor.textarea.redactor('source.getCode');
+            if (typeof html === 'string') {
+                return html;
+            }
+        } catch (e) {
+            debugLog('Redactor source.getCode failed: ' + e.message, 'WARNING');
+        }
+    }
+    return editor.textarea.val();
+}
+
 /**
  * Setup MutationObserver to prevent Redactor from re-initializing
  *
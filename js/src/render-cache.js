@@ -0,0 +1,71 @@
+/**
+ * Bounded LRU cache for rendered preview HTML
+ *
+ * Keyed by a content hash of the Markdown source, so retyping the same
+ * text does not hit markdown-preview.php again.
+ */
+
+export class RenderCache {
+
+    /**
+     * @param {number} maxEntries - Maximum number of cached renders
+     */
+    constructor(maxEntries = 50) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get cached HTML (marks the entry as recently used)
+     *
+     * @param {string} markdown - Markdown source
+     * @returns {string|undefined} Cached HTML
+     */
+    get(markdown) {
+        const key = hashContent(markdown);
+        if (!this.entries.has(key)) return undefined;
+
+        const entry = this.entries.get(key);
+        // Hash collision guard: compare the source as well
+        if (entry.markdown !== markdown) return undefined;
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.html;
+    }
+
+    /**
+     * Store rendered HTML, evicting the least recently used entry
+     *
+     * @param {string} markdown - Markdown source
+     * @param {string} html - Rendered HTML
+     */
+    set(markdown, html) {
+        const key = hashContent(markdown);
+        this.entries.delete(key);
+        this.entries.set(key, { markdown, html });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, combined with its length
+ *
+ * @param {string} text
+ * @returns {string} Hash key
+ */
+export function hashContent(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16) + ':' + text.length;
+}
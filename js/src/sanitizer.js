@@ -0,0 +1,170 @@
+/**
+ * HTML sanitizer for preview output
+ *
+ * DOM-based allowlist sanitizer applied to every HTML string before it is
+ * written into the preview pane (backend API response and client renderer).
+ * Mirrors MarkdownSanitizer.php:
+ * - No javascript:/vbscript:/data: URLs
+ * - No on* event handlers
+ * - No expression() / url() CSS
+ * - No script, style or embedding elements
+ */
+
+/** Allowed elements and their allowed attributes */
+const ALLOWED_ELEMENTS = {
+    a: ['href', 'title'],
+    blockquote: [],
+    br: [],
+    code: ['class'],
+    del: [],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    img: ['src', 'alt', 'title'],
+    li: [],
+    ol: ['start'],
+    p: ['class'],
+    pre: ['class'],
+    span: ['class'],
+    strong: [],
+    table: [],
+    tbody: [],
+    td: ['style'],
+    th: ['style'],
+    thead: [],
+    tr: [],
+    ul: []
+};
+
+/** Elements removed together with their content */
+const DROP_WITH_CONTENT = [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'meta', 'link', 'base', 'form', 'input', 'button', 'select', 'textarea',
+    'template', 'svg', 'math', 'noscript', 'title', 'head'
+];
+
+/** Attributes holding URLs */
+const URL_ATTRIBUTES = ['href', 'src'];
+
+/** URL schemes allowed in href/src (relative URLs are always allowed) */
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'ftp', 'ftps'];
+
+/** Only text alignment is allowed as inline style (table cells) */
+const ALLOWED_STYLE = /^\s*text-align\s*:\s*(left|right|center)\s*;?\s*$/i;
+
+/**
+ * Sanitize an HTML string
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+    const container = document.createElement('div');
+    container.appendChild(sanitizeToFragment(html));
+    return container.innerHTML;
+}
+
+/**
+ * Sanitize an HTML string into a detached document fragment
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {DocumentFragment} Sanitized nodes
+ */
+export function sanitizeToFragment(html) {
+    // <template> content is inert: no scripts run, no images load
+    const template = document.createElement('template');
+    if (html && typeof html === 'string') {
+        template.innerHTML = html;
+        sanitizeChildren(template.content);
+    }
+
+    return template.content;
+}
+
+/**
+ * Sanitize all child nodes of a node (recursively)
+ *
+ * @param {Node} parent
+ */
+function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) {
+            return;
+        }
+
+        if (node.nodeType !== 1) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.nodeName.toLowerCase();
+
+        if (DROP_WITH_CONTENT.includes(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node);
+
+        if (!Object.prototype.hasOwnProperty.call(ALLOWED_ELEMENTS, tag)) {
+            // Unknown element: keep its (sanitized) content
+            node.replaceWith(...Array.from(node.childNodes));
+            return;
+        }
+
+        sanitizeAttributes(node, ALLOWED_ELEMENTS[tag]);
+    });
+}
+
+/**
+ * Remove all attributes that are not allowed or not safe
+ *
+ * @param {Element} element
+ * @param {string[]} allowed - Allowed attribute names for this element
+ */
+function sanitizeAttributes(element, allowed) {
+    Array.from(element.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+
+        if (!allowed.includes(name) || !isSafeAttributeValue(name, attr.value)) {
+            element.removeAttribute(attr.name);
+        }
+    });
+}
+
+/**
+ * Check a single attribute value
+ *
+ * @param {string} name - Lowercased attribute name
+ * @param {string} value - Attribute value (entities already decoded)
+ * @returns {boolean}
+ */
+function isSafeAttributeValue(name, value) {
+    if (URL_ATTRIBUTES.includes(name)) {
+        return isSafeUrl(value);
+    }
+    if (name === 'style') {
+        return ALLOWED_STYLE.test(value);
+    }
+    return true;
+}
+
+/**
+ * Check whether a URL uses an allowed scheme
+ *
+ * Whitespace and control characters are stripped first, so obfuscated
+ * variants like "java\tscript:" or " javascript:" are caught as well.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+    const normalized = String(url).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (!scheme) {
+        return true;
+    }
+
+    return ALLOWED_SCHEMES.includes(scheme[1]);
+}
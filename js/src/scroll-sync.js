@@ -0,0 +1,236 @@
+/**
+ * Synchronized scrolling between textarea and preview pane
+ *
+ * Top-level preview blocks are annotated with the source lines they were
+ * rendered from (data-source-line / data-source-line-end). With that map:
+ * - Scrolling the textarea scrolls the preview to the matching block
+ * - Moving the caret brings the block under the caret into view
+ * - Clicking a preview block moves the caret to its source line
+ */
+
+import { $ } from './globals.js';
+import { debugLog } from './utils.js';
+import { getBlockLineRanges } from './markdown-renderer.js';
+
+/**
+ * Annotate top-level preview blocks with their source line range
+ *
+ * Block ranges come from the Markdown source, so this works for backend
+ * output as well. If the block count does not match (unexpected HTML),
+ * annotations are dropped and scrolling falls back to proportional.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} markdown - Markdown the preview was rendered from
+ */
+export function annotateSourceLines(editor, markdown) {
+    if (!editor.previewPane) return;
+
+    const blocks = editor.previewPane.children();
+    const ranges = markdown ? getBlockLineRanges(markdown) : [];
+
+    if (ranges.length !== blocks.length) {
+        blocks.removeAttr('data-source-line data-source-line-end');
+        if (ranges.length) {
+            debugLog('Preview block count does not match source blocks', 'DEBUG', {
+                blocks: blocks.length,
+                ranges: ranges.length
+            });
+        }
+        return;
+    }
+
+    blocks.each((index, block) => {
+        block.setAttribute('data-source-line', ranges[index].start);
+        block.setAttribute('data-source-line-end', ranges[index].end);
+    });
+}
+
+/**
+ * Setup scroll and caret synchronization
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function setupScrollSync(editor) {
+    teardownScrollSync(editor);
+
+    editor.textarea.on('scroll.markdownScrollSync', () => {
+        if (Date.now() < (editor.scrollSyncMutedUntil || 0)) return;
+        syncPreviewScroll(editor);
+    });
+
+    editor.textarea.on('keyup.markdownScrollSync click.markdownScrollSync', () => {
+        revealCaretBlock(editor);
+    });
+
+    if (editor.previewPane) {
+        editor.previewPane.on('click.markdownScrollSync', (e) => {
+            if ($(e.target).closest('a').length) return;
+
+            const block = getTopLevelBlock(editor.previewPane[0], e.target);
+            if (!block || !block.hasAttribute('data-source-line')) return;
+
+            moveCaretToLine(editor, parseInt(block.getAttribute('data-source-line'), 10));
+        });
+    }
+
+    debugLog('Scroll sync enabled', 'DEBUG');
+}
+
+/**
+ * Remove scroll sync handlers
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function teardownScrollSync(editor) {
+    editor.textarea.off('.markdownScrollSync');
+    if (editor.previewPane) {
+        editor.previewPane.off('.markdownScrollSync');
+    }
+}
+
+/**
+ * Scroll the preview so it shows what is at the top of the textarea
+ *
+ * The top source line is derived from the textarea line height, so
+ * soft-wrapped lines make the position approximate (within a block).
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function syncPreviewScroll(editor) {
+    if (!editor.previewPane) return;
+
+    const textarea = editor.textarea[0];
+    const pane = editor.previewPane[0];
+    const paneRange = pane.scrollHeight - pane.clientHeight;
+    if (paneRange <= 0) return;
+
+    const editorRange = textarea.scrollHeight - textarea.clientHeight;
+    if (editorRange <= 0 || textarea.scrollTop >= editorRange - 1) {
+        pane.scrollTop = editorRange <= 0 ? 0 : paneRange;
+        return;
+    }
+
+    const blocks = getAnnotatedBlocks(pane);
+    if (blocks.length === 0) {
+        pane.scrollTop = paneRange * (textarea.scrollTop / editorRange);
+        return;
+    }
+
+    const topLine = textarea.scrollTop / getLineHeight(textarea);
+
+    let index = 0;
+    while (index + 1 < blocks.length && blocks[index + 1].start <= topLine) index++;
+
+    const current = blocks[index];
+    const next = blocks[index + 1];
+    const lineSpan = (next ? next.start : current.end + 1) - current.start;
+    const fraction = Math.min(Math.max((topLine - current.start) / lineSpan, 0), 1);
+
+    const top = current.element.offsetTop;
+    const bottom = next ? next.element.offsetTop : top + current.element.offsetHeight;
+
+    pane.scrollTop = top + fraction * (bottom - top);
+}
+
+/**
+ * Bring the preview block under the caret into view
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function revealCaretBlock(editor) {
+    if (!editor.previewPane) return;
+
+    const pane = editor.previewPane[0];
+    if (pane.scrollHeight <= pane.clientHeight) return;
+
+    const line = getCaretLine(editor.textarea[0]);
+    const block = getAnnotatedBlocks(pane).filter(b => b.start <= line).pop();
+    if (!block) return;
+
+    const top = block.element.offsetTop;
+    const bottom = top + block.element.offsetHeight;
+    const margin = 16;
+
+    if (top < pane.scrollTop) {
+        pane.scrollTop = Math.max(top - margin, 0);
+    } else if (bottom > pane.scrollTop + pane.clientHeight) {
+        pane.scrollTop = Math.min(top - margin, bottom - pane.clientHeight + margin);
+    }
+}
+
+/**
+ * Move the caret to the start of a source line and scroll it into view
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {number} line - Zero-based line number
+ */
+export function moveCaretToLine(editor, line) {
+    const textarea = editor.textarea[0];
+    const lines = textarea.value.split('\n');
+    let offset = 0;
+
+    for (let i = 0; i < line && i < lines.length; i++) {
+        offset += lines[i].length + 1;
+    }
+    offset = Math.min(offset, textarea.value.length);
+
+    // Our own scrolling must not scroll the preview away from the clicked block
+    editor.scrollSyncMutedUntil = Date.now() + 150;
+
+    textarea.focus({ preventScroll: true });
+    textarea.setSelectionRange(offset, offset);
+    textarea.scrollTop = Math.max(line * getLineHeight(textarea) - textarea.clientHeight / 3, 0);
+}
+
+/**
+ * Get annotated top-level blocks with their line ranges
+ *
+ * @param {HTMLElement} pane - Preview pane
+ * @returns {Array<{element: HTMLElement, start: number, end: number}>}
+ */
+function getAnnotatedBlocks(pane) {
+    return Array.from(pane.children)
+        .filter(el => el.hasAttribute('data-source-line'))
+        .map(el => ({
+            element: el,
+            start: parseInt(el.getAttribute('data-source-line'), 10),
+            end: parseInt(el.getAttribute('data-source-line-end'), 10)
+        }));
+}
+
+/**
+ * Find the direct child of the pane containing a node
+ *
+ * @param {HTMLElement} pane
+ * @param {Node} node
+ * @returns {HTMLElement|null}
+ */
+function getTopLevelBlock(pane, node) {
+    while (node && node.parentNode !== pane) {
+        node = node.parentNode;
+    }
+    return node || null;
+}
+
+/**
+ * Zero-based line number of the caret
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {number}
+ */
+function getCaretLine(textarea) {
+    return textarea.value.substring(0, textarea.selectionStart).split('\n').length - 1;
+}
+
+/**
+ * Computed line height of the textarea in pixels
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {number}
+ */
+function getLineHeight(textarea) {
+    const style = window.getComputedStyle(textarea);
+    const lineHeight = parseFloat(style.lineHeight);
+    if (!isNaN(lineHeight)) return lineHeight;
+    return (parseFloat(style.fontSize) || 14) * 1.6;
+}
@@ -0,0 +1,172 @@
+/**
+ * Table toolbar popover
+ *
+ * - Outside a table: grid picker to insert an N×M table (mouse or arrow
+ *   keys + Enter)
+ * - Inside a table: menu with row, column, alignment and format commands
+ */
+
+import { $ } from './globals.js';
+import { findTable } from './tables.js';
+import { openPopover, closePopover, isPopoverOpen, setupMenuKeys } from './popover.js';
+import { t, tn } from './i18n.js';
+
+/** Grid picker size (columns × rows, the first row is the header) */
+const GRID_COLS = 8;
+const GRID_ROWS = 6;
+
+/** Table menu entries (null = separator) */
+const MENU_ITEMS = [
+    ['rowAbove', 'Insert row above'],
+    ['rowBelow', 'Insert row below'],
+    ['removeRow', 'Delete row'],
+    null,
+    ['columnLeft', 'Insert column left'],
+    ['columnRight', 'Insert column right'],
+    ['removeColumn', 'Delete column'],
+    null,
+    ['alignLeft', 'Align left'],
+    ['alignCenter', 'Align center'],
+    ['alignRight', 'Align right'],
+    ['alignNone', 'Default alignment'],
+    null,
+    ['format', 'Format table']
+];
+
+/**
+ * Open or close the table popover below the toolbar button
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} $button - Toolbar button
+ */
+export function toggleTablePicker(editor, $button) {
+    if (isPopoverOpen(editor, $button)) {
+        closePopover(editor);
+        return;
+    }
+
+    const textarea = editor.textarea[0];
+    const inTable = findTable(textarea.value, textarea.selectionStart) !== null;
+    openPopover(editor, $button, inTable ? createTableMenu(editor) : createGrid(editor));
+}
+
+/**
+ * Create the size grid
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery}
+ */
+function createGrid(editor) {
+    const $popover = $('<div>', {
+        class: 'markdown-table-picker',
+        role: 'dialog',
+        'aria-label': t('Insert table')
+    });
+    const $grid = $('<div>', { class: 'markdown-table-grid', role: 'grid' });
+    const $size = $('<div>', { class: 'markdown-table-size', 'aria-live': 'polite' });
+
+    let current = { rows: 0, cols: 0 };
+    const highlight = (row, cols) => {
+        // A table has at least a header and one body row
+        const rows = Math.max(row, 2);
+        current = { rows: row, cols };
+        $grid.find('button').each(function () {
+            const cell = $(this);
+            cell.toggleClass('is-active', cell.data('rows') <= rows && cell.data('cols') <= cols);
+        });
+        $size.text(`${cols} × ${rows}`).attr('aria-label', describeSize(rows, cols));
+    };
+    const choose = (row, cols) => {
+        closePopover(editor);
+        editor.insertTable(Math.max(row, 2), cols);
+    };
+
+    for (let row = 1; row <= GRID_ROWS; row++) {
+        const $row = $('<div>', { class: 'markdown-table-grid-row', role: 'row' });
+        for (let col = 1; col <= GRID_COLS; col++) {
+            $row.append($('<button>', {
+                type: 'button',
+                class: 'markdown-table-grid-cell' + (row === 1 ? ' is-header' : ''),
+                role: 'gridcell',
+                tabindex: row === 1 && col === 1 ? 0 : -1,
+                'aria-label': describeSize(Math.max(row, 2), col),
+                'data-rows': row,
+                'data-cols': col,
+                mouseenter: () => highlight(row, col),
+                focus: () => highlight(row, col),
+                click: (e) => {
+                    e.preventDefault();
+                    choose(row, col);
+                }
+            }));
+        }
+        $grid.append($row);
+    }
+
+    $grid.on('keydown', (e) => {
+        const moves = {
+            ArrowRight: [0, 1],
+            ArrowLeft: [0, -1],
+            ArrowDown: [1, 0],
+            ArrowUp: [-1, 0]
+        };
+        if (!moves[e.key]) return;
+
+        e.preventDefault();
+        const rows = Math.min(Math.max(current.rows + moves[e.key][0], 1), GRID_ROWS);
+        const cols = Math.min(Math.max(current.cols + moves[e.key][1], 1), GRID_COLS);
+        $grid.find('button').attr('tabindex', -1);
+        $grid.find(`[data-rows="${rows}"][data-cols="${cols}"]`).attr('tabindex', 0).trigger('focus');
+    });
+
+    return $popover.append($grid, $size);
+}
+
+/**
+ * Spoken table size, e.g. "3 columns, 2 rows"
+ *
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {string}
+ */
+function describeSize(rows, cols) {
+    return tn('{count} column', '{count} columns', cols) + ', ' + tn('{count} row', '{count} rows', rows);
+}
+
+/**
+ * Create the table command menu
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery}
+ */
+function createTableMenu(editor) {
+    const $menu = $('<div>', {
+        class: 'markdown-table-picker markdown-table-menu',
+        role: 'menu',
+        'aria-label': t('Table')
+    });
+
+    MENU_ITEMS.forEach(item => {
+        if (!item) {
+            $menu.append($('<div>', { class: 'markdown-table-menu-separator', role: 'separator' }));
+            return;
+        }
+        const [command, label] = item;
+        $menu.append($('<button>', {
+            type: 'button',
+            class: 'markdown-table-menu-item',
+            role: 'menuitem',
+            tabindex: -1,
+            'data-command': command,
+            text: t(label),
+            click: (e) => {
+                e.preventDefault();
+                closePopover(editor);
+                editor.tableCommand(command);
+            }
+        }));
+    });
+
+    setupMenuKeys(editor, $menu);
+    return $menu;
+}
@@ -0,0 +1,449 @@
+/**
+ * Markdown (GFM) tables
+ *
+ * - Insert an N×M table
+ * - Find the table at the caret and parse it into a model
+ *   ({header, align, rows}); cells keep their raw Markdown
+ * - Table commands (cell navigation, add/remove rows and columns,
+ *   alignment, format) re-render the table with padded, aligned pipes
+ *
+ * Like list-editing.js, the functions work on plain values and offsets
+ * and return {value, selectionStart, selectionEnd}.
+ */
+
+import { findFencedBlock } from './formatting.js';
+
+/** Separator cell: ---, :---, ---:, :---: */
+const SEPARATOR_CELL = /^:?-+:?$/;
+
+/** Minimum column width (separator needs at least three dashes) */
+const MIN_WIDTH = 3;
+
+/**
+ * Split a table row into cells
+ *
+ * @param {string} line
+ * @returns {Array<{text: string, start: number, end: number}>} Trimmed cell
+ *   text with the raw cell range (between the pipes) in the line
+ */
+export function splitRow(line) {
+    const cells = [];
+    let i = line.length - line.trimStart().length;
+    if (line[i] === '|') i++;
+
+    let start = i;
+    for (; i <= line.length; i++) {
+        if (line[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (line[i] === '|' || i === line.length) {
+            cells.push({ text: line.substring(start, i).trim(), start, end: i });
+            start = i + 1;
+        }
+    }
+
+    // A trailing pipe ends the row instead of starting an empty cell
+    const last = cells[cells.length - 1];
+    if (cells.length > 1 && last.text === '' && /\|\s*$/.test(line) && !/\\\|\s*$/.test(line)) {
+        cells.pop();
+    }
+    return cells;
+}
+
+/**
+ * Whether a line is a table separator row
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isSeparator(line) {
+    if (!line.includes('-') || !(line.includes('|') || /^\s*:?-+:?\s*$/.test(line))) return false;
+    const cells = splitRow(line);
+    return cells.length > 0 && cells.every(cell => SEPARATOR_CELL.test(cell.text));
+}
+
+/**
+ * Read the alignment of a separator cell
+ *
+ * @param {string} text
+ * @returns {string|null} 'left', 'center', 'right' or null
+ */
+function parseAlign(text) {
+    const left = text.startsWith(':');
+    const right = text.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+}
+
+/**
+ * Find the table containing an offset
+ *
+ * @param {string} value
+ * @param {number} offset
+ * @returns {object|null} {start, end, model, row, col, offset} where row 0
+ *   is the header and 1..n are body rows; offset is the caret position in
+ *   the cell text
+ */
+export function findTable(value, offset) {
+    if (findFencedBlock(value, offset)) return null;
+
+    const lines = [];
+    let lineStart = 0;
+    value.split('\n').forEach(text => {
+        lines.push({ start: lineStart, text });
+        lineStart += text.length + 1;
+    });
+
+    let current = lines.findIndex(line => offset >= line.start && offset <= line.start + line.text.length);
+    if (current === -1 || (!lines[current].text.includes('|') && !isSeparator(lines[current].text))) return null;
+
+    // Run of non-blank lines around the caret
+    let first = current;
+    while (first > 0 && lines[first - 1].text.trim() !== '') first--;
+    let last = current;
+    while (last < lines.length - 1 && lines[last + 1].text.trim() !== '' && lines[last + 1].text.includes('|')) last++;
+
+    let header = -1;
+    for (let i = first; i < current + 1 && i < last; i++) {
+        if (lines[i].text.includes('|') && isSeparator(lines[i + 1].text)) {
+            header = i;
+        }
+    }
+    if (header === -1) return null;
+
+    // Body rows end at the first line without a pipe
+    let end = header + 1;
+    while (end < last && lines[end + 1].text.includes('|')) end++;
+    if (current > end) return null;
+
+    const tableLines = lines.slice(header, end + 1);
+    const model = {
+        header: splitRow(tableLines[0].text).map(cell => cell.text),
+        align: splitRow(tableLines[1].text).map(cell => parseAlign(cell.text)),
+        rows: tableLines.slice(2).map(line => splitRow(line.text).map(cell => cell.text))
+    };
+
+    // Caret position in the model (the separator counts as header)
+    const lineIndex = current - header;
+    const row = lineIndex <= 1 ? 0 : lineIndex - 1;
+    const column = offset - lines[current].start;
+    const cells = splitRow(lines[current].text);
+    let col = cells.findIndex(cell => column <= cell.end);
+    if (col === -1) col = cells.length - 1;
+    const cell = cells[Math.max(col, 0)];
+    const textStart = cell ? cell.start + lines[current].text.substring(cell.start, cell.end).search(/\S|$/) : 0;
+
+    return {
+        start: tableLines[0].start,
+        end: tableLines[tableLines.length - 1].start + tableLines[tableLines.length - 1].text.length,
+        model: normalize(model),
+        row,
+        col: Math.max(col, 0),
+        offset: lineIndex === 1 || !cell ? 0 : Math.max(0, Math.min(column - textStart, cell.text.length))
+    };
+}
+
+/**
+ * Give header, alignment and all rows the same number of columns
+ *
+ * Columns are never dropped, so no cell content is lost.
+ *
+ * @param {object} model
+ * @returns {object} Same model
+ */
+function normalize(model) {
+    const count = Math.max(1, model.header.length, ...model.rows.map(row => row.length));
+    const pad = (cells, filler) => {
+        while (cells.length < count) cells.push(filler);
+        return cells;
+    };
+    pad(model.header, '');
+    pad(model.align, null);
+    model.rows.forEach(row => pad(row, ''));
+    return model;
+}
+
+/**
+ * Render a table model with aligned pipes
+ *
+ * @param {object} model - {header, align, rows}
+ * @returns {{text: string, cellStart: Function}} Markdown and a function
+ *   (row, col) => offset of the cell text in the returned text
+ */
+export function renderTable(model) {
+    normalize(model);
+    const widths = model.header.map((text, col) => Math.max(
+        MIN_WIDTH,
+        text.length,
+        ...model.rows.map(row => row[col].length)
+    ));
+
+    const padCell = (text, col) => {
+        const space = widths[col] - text.length;
+        if (model.align[col] === 'right') return ' '.repeat(space) + text;
+        if (model.align[col] === 'center') {
+            const left = Math.floor(space / 2);
+            return ' '.repeat(left) + text + ' '.repeat(space - left);
+        }
+        return text + ' '.repeat(space);
+    };
+
+    const separator = widths.map((width, col) => {
+        const align = model.align[col];
+        const left = align === 'left' || align === 'center' ? ':' : '';
+        const right = align === 'right' || align === 'center' ? ':' : '';
+        return left + '-'.repeat(width - left.length - right.length) + right;
+    });
+
+    const line = cells => '| ' + cells.join(' | ') + ' |';
+    const lines = [
+        line(model.header.map(padCell)),
+        line(separator),
+        ...model.rows.map(row => line(row.map(padCell)))
+    ];
+
+    const cellStart = (row, col) => {
+        const lineIndex = row === 0 ? 0 : row + 1;
+        let offset = lines.slice(0, lineIndex).reduce((sum, text) => sum + text.length + 1, 0) + 2;
+        for (let c = 0; c < col; c++) {
+            offset += widths[c] + 3;
+        }
+        const text = row === 0 ? model.header[col] : model.rows[row - 1][col];
+        return offset + padCell(text, col).indexOf(text);
+    };
+
+    return { text: lines.join('\n'), cellStart };
+}
+
+/**
+ * Build the Markdown for a new table
+ *
+ * @param {number} rows - Rows including the header row (at least 2)
+ * @param {number} cols - Columns
+ * @param {function} [headerText] - Header placeholder for a column number
+ * @returns {string}
+ */
+export function createTable(rows, cols, headerText = n => 'Column ' + n) {
+    const model = {
+        header: Array.from({ length: cols }, (x, i) => headerText(i + 1)),
+        align: Array.from({ length: cols }, () => null),
+        rows: Array.from({ length: Math.max(rows, 2) - 1 }, () => Array.from({ length: cols }, () => ''))
+    };
+    return renderTable(model).text;
+}
+
+/**
+ * Insert a new table at the selection, on its own lines, with the first
+ * header cell selected
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {number} rows
+ * @param {number} cols
+ * @param {function} [headerText] - See createTable()
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}}
+ */
+export function insertTable(value, start, end, rows, cols, headerText) {
+    const table = createTable(rows, cols, headerText);
+    const result = insertTableMarkdown(value, start, end, table);
+
+    result.selectionStart = result.tableStart + 2;
+    result.selectionEnd = result.selectionStart + table.indexOf(' |') - 2;
+    return result;
+}
+
+/**
+ * Insert table Markdown at the selection, separated from the text around
+ * it by blank lines; the caret ends up after the table
+ *
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} table - Table Markdown
+ * @returns {{value: string, selectionStart: number, selectionEnd: number, tableStart: number}}
+ */
+export function insertTableMarkdown(value, start, end, table) {
+    const before = value.substring(0, start);
+    const after = value.substring(end);
+    const lead = before === '' ? '' : before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+    const trail = after === '' ? '\n' : after.startsWith('\n\n') ? '' : after.startsWith('\n') ? '\n' : '\n\n';
+
+    const tableStart = start + lead.length;
+    // Start of the (blank) line after the table
+    const caret = tableStart + table.length + 1;
+    return {
+        value: before + lead + table + trail + after,
+        selectionStart: caret,
+        selectionEnd: caret,
+        tableStart
+    };
+}
+
+/**
+ * Run a table command at the caret
+ *
+ * Commands: next, previous (cell navigation, adds a row after the last
+ * cell), rowBelow, rowAbove, removeRow, columnLeft, columnRight,
+ * removeColumn, alignLeft, alignCenter, alignRight, alignNone, format.
+ *
+ * @param {string} value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} command
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}|null}
+ *   Null if the caret is not in a table or the command is not possible
+ */
+export function tableCommand(value, start, end, command) {
+    const table = findTable(value, start);
+    if (!table || !COMMANDS[command]) return null;
+
+    const { model } = table;
+    const target = COMMANDS[command](model, { row: table.row, col: table.col, offset: table.offset });
+    if (!target) return null;
+
+    const { text, cellStart } = renderTable(model);
+    const cellText = target.row === 0 ? model.header[target.col] : model.rows[target.row - 1][target.col];
+    const cellOffset = table.start + cellStart(target.row, target.col);
+
+    return {
+        value: value.substring(0, table.start) + text + value.substring(table.end),
+        selectionStart: cellOffset + (target.select ? 0 : Math.min(target.offset || 0, cellText.length)),
+        selectionEnd: cellOffset + (target.select ? cellText.length : Math.min(target.offset || 0, cellText.length))
+    };
+}
+
+/**
+ * Enter in a table: add a row below, or leave the table from an empty
+ * last row
+ *
+ * @param {string} value
+ * @param {number} caret
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}|null}
+ */
+export function tableEnter(value, caret) {
+    const table = findTable(value, caret);
+    if (!table) return null;
+
+    const { model } = table;
+    const rowCells = table.row > 0 ? model.rows[table.row - 1] : null;
+    const isLastEmpty = rowCells && table.row === model.rows.length && rowCells.every(cell => cell === '');
+
+    if (!isLastEmpty) {
+        return tableCommand(value, caret, caret, 'rowBelow');
+    }
+
+    model.rows.pop();
+    const text = renderTable(model).text;
+    const rest = value.substring(table.end).replace(/^\n+/, '');
+    const position = table.start + text.length + 2;
+    return {
+        value: value.substring(0, table.start) + text + '\n\n' + (rest ? '\n\n' + rest : ''),
+        selectionStart: position,
+        selectionEnd: position
+    };
+}
+
+/**
+ * Table commands: mutate the model and return the target cell
+ * ({row, col, offset, select}) or null if not possible
+ */
+const COMMANDS = {
+    next: (model, pos) => {
+        let { row, col } = pos;
+        col++;
+        if (col >= model.header.length) {
+            col = 0;
+            row++;
+        }
+        if (row > model.rows.length) {
+            model.rows.push(model.header.map(() => ''));
+        }
+        return { row, col, select: true };
+    },
+    previous: (model, pos) => {
+        let { row, col } = pos;
+        col--;
+        if (col < 0) {
+            if (row === 0) return { row: 0, col: 0, select: true };
+            row--;
+            col = model.header.length - 1;
+        }
+        return { row, col, select: true };
+    },
+    rowBelow: (model, pos) => {
+        model.rows.splice(pos.row, 0, model.header.map(() => ''));
+        return { row: pos.row + 1, col: 0 };
+    },
+    rowAbove: (model, pos) => {
+        const index = Math.max(pos.row - 1, 0);
+        model.rows.splice(index, 0, model.header.map(() => ''));
+        return { row: index + 1, col: pos.col };
+    },
+    removeRow: (model, pos) => {
+        if (pos.row === 0) return null;
+        model.rows.splice(pos.row - 1, 1);
+        return { row: Math.min(pos.row, model.rows.length), col: pos.col };
+    },
+    columnLeft: (model, pos) => insertColumn(model, pos.col, pos),
+    columnRight: (model, pos) => insertColumn(model, pos.col + 1, pos),
+    removeColumn: (model, pos) => {
+        if (model.header.length === 1) return null;
+        [model.header, model.align, ...model.rows].forEach(cells => cells.splice(pos.col, 1));
+        return { row: pos.row, col: Math.min(pos.col, model.header.length - 1) };
+    },
+    alignLeft: (model, pos) => align(model, pos, 'left'),
+    alignCenter: (model, pos) => align(model, pos, 'center'),
+    alignRight: (model, pos) => align(model, pos, 'right'),
+    alignNone: (model, pos) => align(model, pos, null),
+    format: (model, pos) => pos
+};
+
+/**
+ * @param {object} model
+ * @param {number} index - Column index of the new column
+ * @param {object} pos - Caret position
+ * @returns {object} Target cell (the new column in the caret's row)
+ */
+function insertColumn(model, index, pos) {
+    model.header.splice(index, 0, '');
+    model.align.splice(index, 0, null);
+    model.rows.forEach(row => row.splice(index, 0, ''));
+    return { row: pos.row, col: index };
+}
+
+/**
+ * @param {object} model
+ * @param {object} pos - Caret position
+ * @param {string|null} value - Alignment of the caret's column
+ * @returns {object} Target cell (unchanged caret position)
+ */
+function align(model, pos, value) {
+    model.align[pos.col] = value;
+    return pos;
+}
+
+/**
+ * Build a GFM table from rows of plain cell texts (first row = header)
+ *
+ * Pipes in cells are escaped; Parsedown splits the header line at every
+ * pipe, so header cells get the &#124; entity instead. Cells are single
+ * lines, so line breaks become spaces (Parsedown's safe mode would print
+ * a <br> as text).
+ *
+ * @param {string[][]} rows
+ * @param {Array<string|null>} [alignment]
+ * @returns {string}
+ */
+export function tableFromRows(rows, alignment = []) {
+    const escape = (text, pipe) => String(text).replace(/\|/g, pipe).replace(/\s*\n\s*/g, ' ').trim();
+    const cells = rows.map((row, index) => row.map(text => escape(text, index === 0 ? '&#124;' : '\\|')));
+    return renderTable({
+        header: cells[0] || [''],
+        align: alignment.slice(),
+        rows: cells.slice(1)
+    }).text;
+}
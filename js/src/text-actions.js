@@ -2,12 +2,24 @@
  * Text manipulation actions for the Markdown editor
  *
  * All formatting operations that work on textarea selection/content.
+ * Every change goes through replaceRange() so it is one undo step.
  */
 
-import { debugLog } from './utils.js';
+import { replaceRange, replaceValue } from './history.js';
+import { continueList, indentLines } from './list-editing.js';
+import { toggleInline, toggleList, toggleBlockquote, cycleHeading, setHeadingLevel } from './formatting.js';
+import { insertTable as buildTable, tableCommand, tableEnter } from './tables.js';
+import { toggleLinkPopover } from './link-popover.js';
+import { toggleCodePopover } from './code-popover.js';
+import { toggleHeadingMenu } from './heading-menu.js';
+import { announce } from './announcer.js';
+import { findShortcutButton, getLayout } from './toolbar-registry.js';
+import { runToolbarButton } from './toolbar.js';
+import { t } from './i18n.js';
 
 /**
- * Wraps selected text with prefix and suffix
+ * Wraps selected text with prefix and suffix, or removes them if the
+ * selection is already wrapped
  *
  * @param {object} editor - MarkdownEditor instance
  * @param {string} prefix - Text before selection
@@ -18,129 +30,124 @@ export function wrapSelection(editor, prefix, suffix, placeholder = '') {
     const textarea = editor.textarea[0];
     const start = textarea.selectionStart;
     const end = textarea.selectionEnd;
-    const text = textarea.value;
-    const selection = text.substring(start, end);
-
-    const wrapped = prefix + (selection || placeholder) + suffix;
-    textarea.value = text.substring(0, start) + wrapped + text.substring(end);
-
-    const newCursorPos = start + prefix.length;
-    textarea.setSelectionRange(
-        newCursorPos,
-        newCursorPos + (selection || placeholder).length
-    );
-    editor.textarea.trigger('input');
+
+    // Block wrappers (code fences) are not toggled here
+    if (prefix.includes('\n')) {
+        const inner = textarea.value.substring(start, end) || placeholder;
+        replaceRange(editor, start, end, prefix + inner + suffix, {
+            selectionStart: start + prefix.length,
+            selectionEnd: start + prefix.length + inner.length
+        });
+        return;
+    }
+
+    applyResult(editor, toggleInline(textarea.value, start, end, prefix, suffix, placeholder));
 }
 
 /**
- * Insert heading (cycles through H1-H6)
+ * Insert heading (cycles H1-H6, then back to normal text)
  *
  * @param {object} editor - MarkdownEditor instance
  */
 export function insertHeading(editor) {
     const textarea = editor.textarea[0];
-    const start = textarea.selectionStart;
-    const text = textarea.value;
-
-    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
-    const lineText = text.substring(lineStart, start);
-    const hashMatch = lineText.match(/^(#{1,6})\s*/);
-
-    let hashCount = hashMatch ? hashMatch[1].length : 0;
-    hashCount = (hashCount % 6) + 1;
-    const hashes = '#'.repeat(hashCount) + ' ';
-
-    if (hashMatch) {
-        const newText = text.substring(0, lineStart) + text.substring(lineStart).replace(/^#{1,6}\s*/, hashes);
-        textarea.value = newText;
-        textarea.setSelectionRange(start, start);
-    } else {
-        textarea.value = text.substring(0, lineStart) + hashes + text.substring(lineStart);
-        textarea.setSelectionRange(start + hashes.length, start + hashes.length);
-    }
-    editor.textarea.trigger('input');
+    applyResult(editor, cycleHeading(textarea.value, textarea.selectionStart, textarea.selectionEnd));
 }
 
 /**
- * Insert link with prompt
+ * Set the heading level of the selected lines
  *
  * @param {object} editor - MarkdownEditor instance
+ * @param {number} level - 0 (normal text) to 6
  */
-export function insertLink(editor) {
+export function setHeading(editor, level) {
     const textarea = editor.textarea[0];
-    const start = textarea.selectionStart;
-    const end = textarea.selectionEnd;
-    const text = textarea.value;
-    const selection = text.substring(start, end);
-
-    const linkText = selection || 'Link Text';
-    const url = prompt('URL eingeben:', 'https://');
-    if (url && url !== 'https://') {
-        const link = `[${linkText}](${url})`;
-        textarea.value = text.substring(0, start) + link + text.substring(end);
-        const newPos = start + link.length;
-        textarea.setSelectionRange(newPos, newPos);
-        editor.textarea.trigger('input');
-    }
+    applyResult(editor, setHeadingLevel(textarea.value, textarea.selectionStart, textarea.selectionEnd, level));
+    announce(editor, level > 0 ? t('Heading {level}', { level }) : t('Normal text'));
 }
 
 /**
- * Insert code block with language prompt
+ * Open the heading menu (normal text, H1-H6)
  *
  * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} [$button] - Toolbar button (defaults to the heading button)
  */
-export function insertCodeBlock(editor) {
-    const language = prompt('Programmiersprache (optional):', 'javascript') || '';
-    wrapSelection(editor, '```' + language + '\n', '\n```', 'code here');
+export function openHeadingMenu(editor, $button) {
+    toggleHeadingMenu(editor, $button || getToolbarButton(editor, 'heading'));
 }
 
 /**
- * Insert list (ul or ol)
+ * Open the link popover (insert a link, or edit the link at the caret)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} [$button] - Toolbar button (defaults to the link button)
+ */
+export function insertLink(editor, $button) {
+    toggleLinkPopover(editor, $button || getToolbarButton(editor, 'link'));
+}
+
+/**
+ * Open the code block popover (insert a code block, or change the
+ * language of / remove the code block at the caret)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} [$button] - Toolbar button (defaults to the code block button)
+ */
+export function insertCodeBlock(editor, $button) {
+    toggleCodePopover(editor, $button || getToolbarButton(editor, 'codeblock'));
+}
+
+/**
+ * Toggle list (ul or ol) on the selected lines
+ *
+ * Converts between bullet and numbered lists; removes the markers if all
+ * lines already are items of that type.
  *
  * @param {object} editor - MarkdownEditor instance
  * @param {string} type - 'ul' or 'ol'
  */
 export function insertList(editor, type) {
     const textarea = editor.textarea[0];
-    const start = textarea.selectionStart;
-    const end = textarea.selectionEnd;
-    const text = textarea.value;
-    const selection = text.substring(start, end);
-
-    const lines = selection ? selection.split('\n') : ['List Item'];
-    const prefix = type === 'ul' ? '- ' : '1. ';
-    const list = lines.map((line, index) => {
-        if (type === 'ol') {
-            return `${index + 1}. ${line}`;
-        }
-        return `${prefix}${line}`;
-    }).join('\n');
-
-    textarea.value = text.substring(0, start) + list + text.substring(end);
-    const newPos = start + list.length;
-    textarea.setSelectionRange(newPos, newPos);
-    editor.textarea.trigger('input');
+    applyResult(editor, toggleList(textarea.value, textarea.selectionStart, textarea.selectionEnd, type, t('List Item')));
 }
 
 /**
- * Insert blockquote
+ * Toggle blockquote on the selected lines
  *
  * @param {object} editor - MarkdownEditor instance
  */
 export function insertBlockquote(editor) {
     const textarea = editor.textarea[0];
-    const start = textarea.selectionStart;
-    const end = textarea.selectionEnd;
-    const text = textarea.value;
-    const selection = text.substring(start, end);
+    applyResult(editor, toggleBlockquote(textarea.value, textarea.selectionStart, textarea.selectionEnd, t('Quote')));
+}
 
-    const lines = selection ? selection.split('\n') : ['Quote'];
-    const quote = lines.map(line => `> ${line}`).join('\n');
+/**
+ * Insert an empty table (rows include the header row)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {number} rows
+ * @param {number} cols
+ */
+export function insertTable(editor, rows, cols) {
+    const textarea = editor.textarea[0];
+    const header = n => t('Column {n}', { n });
+    applyResult(editor, buildTable(textarea.value, textarea.selectionStart, textarea.selectionEnd, rows, cols, header));
+}
 
-    textarea.value = text.substring(0, start) + quote + text.substring(end);
-    const newPos = start + quote.length;
-    textarea.setSelectionRange(newPos, newPos);
-    editor.textarea.trigger('input');
+/**
+ * Run a table command (see tables.js) on the table at the caret
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} command - e.g. 'rowBelow', 'alignCenter', 'format'
+ * @returns {boolean} Whether the caret was in a table and the command applied
+ */
+export function runTableCommand(editor, command) {
+    const textarea = editor.textarea[0];
+    const result = tableCommand(textarea.value, textarea.selectionStart, textarea.selectionEnd, command);
+    if (!result) return false;
+
+    applyResult(editor, result);
+    return true;
 }
 
 /**
@@ -151,42 +158,101 @@ export function insertBlockquote(editor) {
 export function insertHorizontalRule(editor) {
     const textarea = editor.textarea[0];
     const start = textarea.selectionStart;
-    const text = textarea.value;
 
-    const hr = '\n\n---\n\n';
-    textarea.value = text.substring(0, start) + hr + text.substring(start);
-    const newPos = start + hr.length;
-    textarea.setSelectionRange(newPos, newPos);
-    editor.textarea.trigger('input');
+    replaceRange(editor, start, start, '\n\n---\n\n');
 }
 
 /**
- * Setup keyboard shortcuts (Ctrl+B, Ctrl+I, Ctrl+K, Ctrl+H)
+ * Setup keyboard shortcuts of the toolbar buttons (Ctrl+B, Ctrl+I,
+ * Ctrl+K, Ctrl+H and those of registered buttons)
  *
  * @param {object} editor - MarkdownEditor instance
  */
 export function setupKeyboardShortcuts(editor) {
     editor.textarea.on('keydown', (e) => {
         const isMod = e.ctrlKey || e.metaKey;
-        if (!isMod) return;
-
-        switch (e.key.toLowerCase()) {
-            case 'b':
-                e.preventDefault();
-                wrapSelection(editor, '**', '**', 'bold text');
-                break;
-            case 'i':
-                e.preventDefault();
-                wrapSelection(editor, '*', '*', 'italic text');
-                break;
-            case 'k':
-                e.preventDefault();
-                insertLink(editor);
-                break;
-            case 'h':
-                e.preventDefault();
-                insertHeading(editor);
-                break;
+
+        if (!isMod && !e.altKey && handleBlockKeys(editor, e)) {
+            e.preventDefault();
+            return;
         }
+
+        if (!isMod && !e.altKey) return;
+        if (editor.currentFormat && editor.currentFormat !== 'markdown') return;
+
+        // Buttons left out of the toolbar (or hidden in compact editors) have no shortcut
+        const layout = getLayout(editor.options.toolbarButtons, { compact: editor.options.compact });
+        const button = findShortcutButton(e, layout);
+        if (!button) return;
+
+        e.preventDefault();
+        runToolbarButton(editor, button, getToolbarButton(editor, button.id));
     });
 }
+
+/**
+ * Enter and Tab in tables, lists and quotes
+ *
+ * - Tables: Tab/Shift+Tab move between cells, Enter adds a row
+ * - Lists and quotes: Enter continues them, Tab/Shift+Tab indent list
+ *   items and selected lines
+ *
+ * Escape followed by Tab moves focus out of the textarea as usual, so
+ * keyboard users are never trapped. In fullscreen mode the first Escape
+ * only does that; a second one in a row leaves fullscreen.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {KeyboardEvent} e - keydown event
+ * @returns {boolean} Whether the key was handled
+ */
+function handleBlockKeys(editor, e) {
+    const textarea = editor.textarea[0];
+    const tabEscape = editor.tabEscape;
+    editor.tabEscape = e.key === 'Escape';
+
+    if (e.key === 'Escape' && !tabEscape && editor.isFullscreen) {
+        // Keeps the fullscreen Escape handler from firing
+        e.preventDefault();
+        return false;
+    }
+
+    if (editor.currentFormat && editor.currentFormat !== 'markdown') return false;
+
+    const composing = e.isComposing || (e.originalEvent && e.originalEvent.isComposing);
+    if (composing) return false;
+
+    const { value, selectionStart, selectionEnd } = textarea;
+    let result = null;
+    if (e.key === 'Enter' && !e.shiftKey && selectionStart === selectionEnd) {
+        result = tableEnter(value, selectionStart) || continueList(value, selectionStart);
+    } else if (e.key === 'Tab' && !tabEscape && editor.options.tabIndent !== false) {
+        result = tableCommand(value, selectionStart, selectionEnd, e.shiftKey ? 'previous' : 'next') ||
+            indentLines(value, selectionStart, selectionEnd, e.shiftKey);
+    }
+
+    if (!result) return false;
+
+    applyResult(editor, result);
+    return true;
+}
+
+/**
+ * Find a toolbar button by action
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} action
+ * @returns {jQuery|null}
+ */
+function getToolbarButton(editor, action) {
+    return editor.toolbar ? editor.toolbar.find(`[data-action="${action}"]`) : null;
+}
+
+/**
+ * Apply a {value, selectionStart, selectionEnd} result as one undo step
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {object} result
+ */
+function applyResult(editor, result) {
+    replaceValue(editor, result.value, result.selectionStart, result.selectionEnd);
+}
@@ -0,0 +1,188 @@
+/**
+ * Toolbar overflow menu
+ *
+ * Buttons that do not fit into one toolbar row are hidden, starting with
+ * the last one, and offered in a "more" menu instead. The toolbar is
+ * measured after rendering and whenever its size changes (narrow note
+ * columns, tablets, fullscreen).
+ */
+
+import { $ } from './globals.js';
+import { getIcon } from './icons.js';
+import { getButton, formatShortcut } from './toolbar-registry.js';
+import { openPopover, closePopover, isPopoverOpen, setupMenuKeys } from './popover.js';
+import { t } from './i18n.js';
+
+/**
+ * Create the "more" button (hidden while all buttons fit)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery}
+ */
+export function createMoreButton(editor) {
+    const $more = $('<button>', {
+        type: 'button',
+        class: 'markdown-toolbar-btn markdown-toolbar-more',
+        'data-action': 'more',
+        title: t('More formatting'),
+        'aria-label': t('More formatting'),
+        'aria-haspopup': 'menu',
+        'aria-expanded': 'false',
+        hidden: true,
+        html: getIcon('more'),
+        click: (e) => {
+            e.preventDefault();
+            toggleOverflowMenu(editor, $more);
+        }
+    });
+    return $more;
+}
+
+/**
+ * Re-measure the toolbar when its size changes
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {function} onUpdate - Called after the overflow was updated
+ */
+export function setupOverflow(editor, onUpdate) {
+    teardownOverflow(editor);
+    if (typeof ResizeObserver === 'undefined') return;
+
+    editor.overflowObserver = new ResizeObserver(() => {
+        cancelAnimationFrame(editor.overflowFrame);
+        editor.overflowFrame = requestAnimationFrame(() => {
+            updateOverflow(editor);
+            onUpdate();
+        });
+    });
+    editor.overflowObserver.observe(editor.toolbar[0]);
+}
+
+/**
+ * Stop measuring the toolbar
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function teardownOverflow(editor) {
+    if (editor.overflowObserver) {
+        editor.overflowObserver.disconnect();
+        editor.overflowObserver = null;
+    }
+    if (editor.overflowFrame) {
+        cancelAnimationFrame(editor.overflowFrame);
+        editor.overflowFrame = null;
+    }
+}
+
+/**
+ * Move the buttons that do not fit into the "more" menu
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function updateOverflow(editor) {
+    if (!editor.toolbar) return;
+
+    const $toolbar = editor.toolbar;
+    const $more = $toolbar.children('.markdown-toolbar-more');
+    const $buttons = $toolbar.children('.markdown-toolbar-group').children('.markdown-toolbar-btn');
+
+    $toolbar.find('.is-overflow').removeClass('is-overflow');
+    $more.prop('hidden', true);
+
+    // Hidden toolbar (HTML mode, Preview tab): nothing to measure
+    if (!$toolbar[0].offsetWidth || fitsOneRow($toolbar)) return;
+
+    $more.prop('hidden', false);
+    for (let i = $buttons.length - 1; i >= 0 && !fitsOneRow($toolbar); i--) {
+        $buttons.eq(i).addClass('is-overflow');
+        hideEmptyGroups($toolbar);
+    }
+}
+
+/**
+ * Whether all visible toolbar items are in the first row
+ *
+ * @param {jQuery} $toolbar
+ * @returns {boolean}
+ */
+function fitsOneRow($toolbar) {
+    const items = $toolbar.children(':visible').not('.markdown-popover').get();
+    if (items.length === 0) return true;
+
+    const rowBottom = items[0].offsetTop + items[0].offsetHeight;
+    return items.every(item => item.offsetTop < rowBottom);
+}
+
+/**
+ * Hide groups without visible buttons and the separator before them
+ *
+ * @param {jQuery} $toolbar
+ */
+function hideEmptyGroups($toolbar) {
+    $toolbar.children('.markdown-toolbar-group').each(function () {
+        const $group = $(this);
+        if ($group.children('.markdown-toolbar-btn').not('.is-overflow').length === 0) {
+            $group.addClass('is-overflow');
+            $group.prev('.markdown-toolbar-separator').addClass('is-overflow');
+        }
+    });
+}
+
+/**
+ * Open or close the menu with the hidden buttons
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery} $more - The "more" button
+ */
+function toggleOverflowMenu(editor, $more) {
+    if (isPopoverOpen(editor, $more)) {
+        closePopover(editor);
+        return;
+    }
+
+    const $menu = $('<div>', {
+        class: 'markdown-table-picker markdown-table-menu markdown-overflow-menu',
+        role: 'menu',
+        'aria-label': t('More formatting')
+    });
+
+    editor.toolbar.find('.markdown-toolbar-group .markdown-toolbar-btn.is-overflow').each(function () {
+        const $original = $(this);
+        const button = getButton($original.attr('data-action'));
+        if (!button) return;
+
+        const pressed = $original.attr('aria-pressed');
+        const $item = $('<button>', {
+            type: 'button',
+            class: 'markdown-table-menu-item markdown-overflow-item',
+            role: pressed ? 'menuitemcheckbox' : 'menuitem',
+            tabindex: -1,
+            'data-action': button.id,
+            click: (e) => {
+                e.preventDefault();
+                closePopover(editor, false);
+                // Popups open below the "more" button
+                editor.runToolbarButton(button, $more);
+                if (!button.popup) {
+                    editor.textarea.trigger('focus');
+                }
+            }
+        });
+        if (pressed) {
+            $item.attr('aria-checked', pressed);
+        }
+
+        $item.append(
+            $('<span>', { class: 'markdown-overflow-icon', 'aria-hidden': 'true', html: button.icon }),
+            $('<span>', { class: 'markdown-overflow-label', text: t(button.title) })
+        );
+        const shortcut = formatShortcut(button.shortcut);
+        if (shortcut) {
+            $item.append($('<span>', { class: 'markdown-overflow-shortcut', text: shortcut }));
+        }
+        $menu.append($item);
+    });
+
+    setupMenuKeys(editor, $menu);
+    openPopover(editor, $more, $menu);
+}
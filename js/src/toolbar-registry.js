@@ -0,0 +1,210 @@
+/**
+ * Toolbar button registry
+ *
+ * Built-in buttons and buttons added by other plugins are registered here
+ * and exposed as MarkdownEditor.registerButton(). A button definition:
+ *
+ *   {
+ *       id: 'kb-article',               // unique, used in toolbarButtons
+ *       title: 'Insert KB article',     // tooltip / accessible name
+ *       icon: '<svg ...>...</svg>',     // trusted SVG markup
+ *       shortcut: 'Mod+Shift+K',        // optional, Mod = Ctrl or Cmd
+ *       action: (editor, $button) => {},
+ *       isActive: (editor) => false,    // optional, shown as aria-pressed
+ *       popup: false,                   // action opens a popover
+ *       compact: true,                  // shown in compact editors
+ *       after: 'link'                   // optional placement, see getLayout()
+ *   }
+ *
+ * Registering or removing a button updates the toolbars of existing editors.
+ */
+
+import { t } from './i18n.js';
+
+/** @type {Map<string, object>} */
+const buttons = new Map();
+
+/** Called after every change of the registry */
+const listeners = [];
+
+/** Toolbar separator (also starts a new button group) */
+export const SEPARATOR = '|';
+
+/**
+ * Register a toolbar button (replaces a button with the same id)
+ *
+ * @param {object} definition - Button definition (see module doc)
+ * @param {boolean} [builtin=false] - Built-in buttons are only shown when
+ *                                    listed in toolbarButtons
+ * @returns {object} The stored definition
+ */
+export function registerButton(definition, builtin = false) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id || definition.id === SEPARATOR) {
+        throw new TypeError('Toolbar button needs an id');
+    }
+    if (typeof definition.action !== 'function') {
+        throw new TypeError(`Toolbar button "${definition.id}" needs an action function`);
+    }
+
+    const button = Object.assign({
+        title: definition.id,
+        icon: '',
+        shortcut: null,
+        isActive: null,
+        popup: false,
+        compact: true,
+        after: null
+    }, definition, { builtin });
+
+    buttons.set(button.id, button);
+    notify();
+    return button;
+}
+
+/**
+ * Remove a toolbar button
+ *
+ * @param {string} id
+ * @returns {boolean} Whether the button existed
+ */
+export function unregisterButton(id) {
+    const removed = buttons.delete(id);
+    if (removed) notify();
+    return removed;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} Button definition
+ */
+export function getButton(id) {
+    return buttons.get(id) || null;
+}
+
+/**
+ * @returns {object[]} All button definitions in registration order
+ */
+export function getButtons() {
+    return Array.from(buttons.values());
+}
+
+/**
+ * Subscribe to registry changes
+ *
+ * @param {function} listener
+ */
+export function onRegistryChange(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Toolbar layout: button ids and separators
+ *
+ * Starts from the configured order (toolbarButtons). Registered
+ * non-built-in buttons that are not listed are added after the button
+ * named in their `after` property, or at the end in their own group.
+ * Unknown ids and doubled separators are dropped.
+ *
+ * @param {string[]} order - Configured ids and separators
+ * @param {object} [options]
+ * @param {boolean} [options.compact=false] - Skip buttons with compact: false
+ * @returns {string[]}
+ */
+export function getLayout(order, options = {}) {
+    const layout = (order || []).slice();
+    const appended = [];
+
+    buttons.forEach(button => {
+        if (button.builtin || layout.includes(button.id)) return;
+        const index = button.after ? layout.indexOf(button.after) : -1;
+        if (index === -1) {
+            appended.push(button.id);
+        } else {
+            layout.splice(index + 1, 0, button.id);
+        }
+    });
+    if (appended.length) {
+        layout.push(SEPARATOR, ...appended);
+    }
+
+    const visible = layout.filter(id => {
+        if (id === SEPARATOR) return true;
+        const button = buttons.get(id);
+        return !!button && !(options.compact && button.compact === false);
+    });
+
+    // No leading, trailing or doubled separators
+    return visible.filter((id, index) => id !== SEPARATOR ||
+        (index > 0 && index < visible.length - 1 && visible[index + 1] !== SEPARATOR));
+}
+
+/**
+ * Parse a shortcut like "Mod+Shift+K"
+ *
+ * @param {string} shortcut
+ * @returns {{key: string, mod: boolean, shift: boolean, alt: boolean}|null}
+ */
+export function parseShortcut(shortcut) {
+    if (!shortcut) return null;
+
+    const parts = String(shortcut).split('+').map(part => part.trim().toLowerCase());
+    const key = parts.pop();
+    if (!key) return null;
+
+    return {
+        key,
+        mod: parts.includes('mod') || parts.includes('ctrl') || parts.includes('cmd'),
+        shift: parts.includes('shift'),
+        alt: parts.includes('alt')
+    };
+}
+
+/**
+ * Find the button whose shortcut matches a keydown event
+ *
+ * @param {KeyboardEvent} e
+ * @param {string[]} [layout] - Only buttons of this layout (see getLayout());
+ *                              all registered buttons if omitted
+ * @returns {object|null} Button definition
+ */
+export function findShortcutButton(e, layout = null) {
+    const mod = !!(e.ctrlKey || e.metaKey);
+    const key = String(e.key || '').toLowerCase();
+
+    for (const button of buttons.values()) {
+        if (layout && !layout.includes(button.id)) continue;
+
+        const shortcut = parseShortcut(button.shortcut);
+        if (shortcut && shortcut.key === key && shortcut.mod === mod &&
+            shortcut.shift === !!e.shiftKey && shortcut.alt === !!e.altKey) {
+            return button;
+        }
+    }
+    return null;
+}
+
+/**
+ * Human readable shortcut for tooltips ("Ctrl+Shift+K", "Cmd+Shift+K" on Mac)
+ *
+ * @param {string} shortcut
+ * @returns {string}
+ */
+export function formatShortcut(shortcut) {
+    const parsed = parseShortcut(shortcut);
+    if (!parsed) return '';
+
+    const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+    const parts = [];
+    if (parsed.mod) parts.push(isMac ? 'Cmd' : t('Ctrl'));
+    if (parsed.alt) parts.push(isMac ? 'Option' : t('Alt'));
+    if (parsed.shift) parts.push(t('Shift'));
+    parts.push(parsed.key.length === 1 ? parsed.key.toUpperCase() : parsed.key);
+    return parts.join('+');
+}
+
+/**
+ * Run registry listeners
+ */
+function notify() {
+    listeners.forEach(listener => listener());
+}
@@ -1,9 +1,149 @@
 /**
- * Toolbar creation and button definitions
+ * Toolbar creation and built-in buttons
+ *
+ * Buttons come from the registry (toolbar-registry.js); the layout is the
+ * configured toolbarButtons order, separators split it into groups.
+ *
+ * Keyboard use follows the WAI-ARIA toolbar pattern: the toolbar is one
+ * tab stop, arrow keys move between the buttons, Home/End jump to the
+ * first/last one. Buttons with isActive() show the Markdown context at
+ * the caret as aria-pressed. Buttons that do not fit into one row move
+ * into a "more" menu (toolbar-overflow.js).
  */
 
 import { $ } from './globals.js';
+import { debugLog } from './utils.js';
 import { getIcon } from './icons.js';
+import { toggleTablePicker } from './table-picker.js';
+import { closePopover } from './popover.js';
+import {
+    registerButton, getButton, getLayout, onRegistryChange, formatShortcut, SEPARATOR
+} from './toolbar-registry.js';
+import { createMoreButton, setupOverflow, teardownOverflow, updateOverflow } from './toolbar-overflow.js';
+import { isFormatActive } from './format-state.js';
+import { announce } from './announcer.js';
+import { t } from './i18n.js';
+
+/** Editors with a toolbar, updated when buttons are (un)registered */
+const toolbarEditors = new Set();
+
+/**
+ * isActive() predicate for a built-in format
+ *
+ * @param {string} format - See isFormatActive()
+ * @returns {function}
+ */
+const caretIn = format => (editor) => {
+    const { value, selectionStart, selectionEnd } = editor.textarea[0];
+    return isFormatActive(value, selectionStart, selectionEnd, format);
+};
+
+/** Built-in buttons (only shown when listed in toolbarButtons) */
+const BUILTIN_BUTTONS = [
+    {
+        id: 'bold',
+        title: 'Bold',
+        icon: getIcon('bold'),
+        shortcut: 'Mod+B',
+        action: (editor) => editor.wrapSelection('**', '**', t('bold text')),
+        isActive: caretIn('bold')
+    },
+    {
+        id: 'italic',
+        title: 'Italic',
+        icon: getIcon('italic'),
+        shortcut: 'Mod+I',
+        action: (editor) => editor.wrapSelection('*', '*', t('italic text')),
+        isActive: caretIn('italic')
+    },
+    {
+        id: 'heading',
+        title: 'Heading',
+        icon: getIcon('heading'),
+        shortcut: 'Mod+H',
+        popup: true,
+        action: (editor, $button) => editor.openHeadingMenu($button),
+        isActive: caretIn('heading')
+    },
+    {
+        id: 'link',
+        title: 'Link',
+        icon: getIcon('link'),
+        shortcut: 'Mod+K',
+        popup: true,
+        action: (editor, $button) => editor.insertLink($button),
+        isActive: caretIn('link')
+    },
+    {
+        id: 'code',
+        title: 'Inline Code',
+        icon: getIcon('code'),
+        action: (editor) => editor.wrapSelection('`', '`', t('code')),
+        isActive: caretIn('code')
+    },
+    {
+        id: 'codeblock',
+        title: 'Code Block',
+        icon: getIcon('codeblock'),
+        popup: true,
+        action: (editor, $button) => editor.insertCodeBlock($button),
+        isActive: caretIn('codeblock')
+    },
+    {
+        id: 'ul',
+        title: 'Unordered List',
+        icon: getIcon('list-ul'),
+        action: (editor) => editor.insertList('ul'),
+        isActive: caretIn('ul')
+    },
+    {
+        id: 'ol',
+        title: 'Ordered List',
+        icon: getIcon('list-ol'),
+        action: (editor) => editor.insertList('ol'),
+        isActive: caretIn('ol')
+    },
+    {
+        id: 'quote',
+        title: 'Blockquote',
+        icon: getIcon('quote'),
+        action: (editor) => editor.insertBlockquote(),
+        isActive: caretIn('quote')
+    },
+    {
+        id: 'table',
+        title: 'Table',
+        icon: getIcon('table'),
+        popup: true,
+        action: (editor, $button) => toggleTablePicker(editor, $button),
+        isActive: caretIn('table')
+    },
+    {
+        id: 'hr',
+        title: 'Horizontal Rule',
+        icon: getIcon('hr'),
+        action: (editor) => editor.insertHorizontalRule()
+    },
+    {
+        id: 'image',
+        title: 'Insert Image',
+        icon: getIcon('image'),
+        compact: false,
+        action: (editor) => editor._triggerImageFileDialog()
+    },
+    {
+        id: 'canned',
+        title: 'Canned Response',
+        icon: getIcon('canned'),
+        shortcut: 'Mod+Shift+R',
+        popup: true,
+        action: (editor, $button) => editor.openCannedPicker($button)
+    }
+];
+
+BUILTIN_BUTTONS.forEach(button => registerButton(button, true));
+
+onRegistryChange(() => toolbarEditors.forEach(editor => refreshToolbar(editor)));
 
 /**
  * Create the toolbar with all buttons
@@ -14,109 +154,271 @@ export function createToolbar(editor) {
     editor.toolbar = $('<div>', {
         class: 'markdown-toolbar',
         role: 'toolbar',
-        'aria-label': 'Markdown Formatting Tools'
+        'aria-label': t('Markdown Formatting Tools')
     });
 
-    const skipInCompact = ['image'];
+    renderButtons(editor);
 
-    editor.options.toolbarButtons.forEach(button => {
-        if (editor.options.compact && skipInCompact.includes(button)) return;
-        const btn = createToolbarButton(editor, button);
-        if (btn) {
-            editor.toolbar.append(btn);
-        }
-    });
-
-    if (!editor.options.compact) {
+    if (!editor.options.compact && editor.options.previewPosition !== 'tabs') {
         const previewToggle = createPreviewToggle(editor);
         editor.toolbar.append(previewToggle);
     }
 
+    if (editor.options.fullscreen) {
+        editor.toolbar.append(createFullscreenToggle(editor));
+    }
+
     editor.container.prepend(editor.toolbar);
+    toolbarEditors.add(editor);
+    setupRovingFocus(editor);
+    updateOverflow(editor);
+    updateTabStops(editor);
+    setupOverflow(editor, () => updateTabStops(editor));
+
+    editor.textarea.on('keyup.markdownToolbar mouseup.markdownToolbar input.markdownToolbar focus.markdownToolbar',
+        () => updateToolbarState(editor));
+    updateToolbarState(editor);
 }
 
 /**
- * Create a single toolbar button
+ * Remove the toolbar
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function removeToolbar(editor) {
+    toolbarEditors.delete(editor);
+    teardownOverflow(editor);
+    editor.textarea.off('.markdownToolbar');
+    if (editor.toolbar) {
+        editor.toolbar.remove();
+        editor.toolbar = null;
+    }
+}
+
+/**
+ * Re-render the registry buttons (after buttons were registered or removed)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function refreshToolbar(editor) {
+    if (!editor.toolbar) return;
+
+    // The button of an open popover may be replaced
+    closePopover(editor, false);
+    const stop = editor.toolbar.find('button[tabindex="0"]').attr('data-action');
+    renderButtons(editor);
+    updateOverflow(editor);
+    updateTabStops(editor, stop ? editor.toolbar.find(`[data-action="${stop}"]`) : null);
+    updateToolbarState(editor);
+}
+
+/**
+ * Run a toolbar button (click or keyboard shortcut)
+ *
+ * A change of the button's pressed state is announced to screen readers.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {object} button - Button definition from the registry
+ * @param {jQuery|null} $button - Button element (null if not shown)
+ */
+export function runToolbarButton(editor, button, $button) {
+    const wasActive = isButtonActive(editor, button);
+    try {
+        button.action(editor, $button);
+    } catch (error) {
+        debugLog(`Toolbar button "${button.id}" failed: ${error.message}`, 'ERROR');
+    }
+    updateToolbarState(editor);
+
+    const active = isButtonActive(editor, button);
+    if (!button.popup && active !== null && active !== wasActive) {
+        const name = t(button.title);
+        announce(editor, active ? t('{name} on', { name }) : t('{name} off', { name }));
+    }
+}
+
+/**
+ * Make one toolbar button the tab stop
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {jQuery|null} [$stop] - New tab stop (default: keep the current
+ *                                one, or the first button)
+ */
+export function updateTabStops(editor, $stop = null) {
+    if (!editor.toolbar) return;
+
+    const $buttons = getToolbarButtons(editor);
+    if (!$stop || !$stop.length || $stop.is('.is-overflow')) {
+        $stop = $buttons.filter('[tabindex="0"]').not('.is-overflow');
+    }
+    if (!$stop.length) {
+        $stop = $buttons.filter(':visible');
+    }
+    if (!$stop.length) {
+        // Toolbar not shown yet (HTML mode, Preview tab)
+        $stop = $buttons.not('.is-overflow, [hidden]');
+    }
+    $buttons.attr('tabindex', '-1');
+    $stop.first().attr('tabindex', '0');
+}
+
+/**
+ * Update aria-pressed of buttons with an isActive() predicate
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function updateToolbarState(editor) {
+    if (!editor.toolbar) return;
+
+    editor.toolbar.find('.markdown-toolbar-group [aria-pressed]').each(function () {
+        const $button = $(this);
+        const active = isButtonActive(editor, getButton($button.attr('data-action')));
+        if (active !== null) {
+            $button.attr('aria-pressed', String(active));
+        }
+    });
+}
+
+/**
+ * Pressed state of a button
  *
  * @param {object} editor - MarkdownEditor instance
- * @param {string} type - Button type identifier
- * @returns {jQuery|null} Button element or null
+ * @param {object|null} button - Button definition
+ * @returns {boolean|null} Null for buttons without isActive()
  */
-function createToolbarButton(editor, type) {
-    const buttons = {
-        bold: {
-            title: 'Bold (Ctrl+B)',
-            icon: getIcon('bold'),
-            action: () => editor.wrapSelection('**', '**', 'bold text')
-        },
-        italic: {
-            title: 'Italic (Ctrl+I)',
-            icon: getIcon('italic'),
-            action: () => editor.wrapSelection('*', '*', 'italic text')
-        },
-        heading: {
-            title: 'Heading (Ctrl+H)',
-            icon: getIcon('heading'),
-            action: () => editor.insertHeading()
-        },
-        link: {
-            title: 'Link (Ctrl+K)',
-            icon: getIcon('link'),
-            action: () => editor.insertLink()
-        },
-        code: {
-            title: 'Inline Code',
-            icon: getIcon('code'),
-            action: () => editor.wrapSelection('`', '`', 'code')
-        },
-        codeblock: {
-            title: 'Code Block',
-            icon: getIcon('codeblock'),
-            action: () => editor.insertCodeBlock()
-        },
-        ul: {
-            title: 'Unordered List',
-            icon: getIcon('list-ul'),
-            action: () => editor.insertList('ul')
-        },
-        ol: {
-            title: 'Ordered List',
-            icon: getIcon('list-ol'),
-            action: () => editor.insertList('ol')
-        },
-        quote: {
-            title: 'Blockquote',
-            icon: getIcon('quote'),
-            action: () => editor.insertBlockquote()
-        },
-        hr: {
-            title: 'Horizontal Rule',
-            icon: getIcon('hr'),
-            action: () => editor.insertHorizontalRule()
-        },
-        image: {
-            title: 'Insert Image',
-            icon: getIcon('image'),
-            action: () => editor._triggerImageFileDialog()
+function isButtonActive(editor, button) {
+    if (!button || !button.isActive) return null;
+
+    try {
+        return !!button.isActive(editor);
+    } catch (e) {
+        debugLog(`isActive() of toolbar button "${button.id}" failed: ${e.message}`, 'ERROR');
+        return false;
+    }
+}
+
+/**
+ * Buttons of the toolbar itself (not the ones in an open popover)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery}
+ */
+function getToolbarButtons(editor) {
+    return editor.toolbar.find('button').filter((i, el) => !$(el).closest('.markdown-popover').length);
+}
+
+/**
+ * Arrow keys, Home and End move between the toolbar buttons
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function setupRovingFocus(editor) {
+    editor.toolbar.on('keydown.markdownToolbar', (e) => {
+        const $buttons = getToolbarButtons(editor).filter(':visible');
+        const index = $buttons.index(e.target);
+        if (index === -1) return;
+
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+                next = (index + 1) % $buttons.length;
+                break;
+            case 'ArrowLeft':
+                next = (index - 1 + $buttons.length) % $buttons.length;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = $buttons.length - 1;
+                break;
+            default:
+                return;
         }
-    };
+        e.preventDefault();
 
-    const config = buttons[type];
-    if (!config) return null;
+        const $next = $buttons.eq(next);
+        updateTabStops(editor, $next);
+        $next.trigger('focus');
+    });
 
-    return $('<button>', {
+    // Clicked buttons become the tab stop as well
+    editor.toolbar.on('focusin.markdownToolbar', (e) => {
+        const $target = $(e.target);
+        if ($target.is('button') && getToolbarButtons(editor).index(e.target) !== -1) {
+            updateTabStops(editor, $target);
+        }
+    });
+}
+
+/**
+ * Render the button groups and separators
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function renderButtons(editor) {
+    editor.toolbar.children('.markdown-toolbar-group, .markdown-toolbar-separator, .markdown-toolbar-more').remove();
+
+    const layout = getLayout(editor.options.toolbarButtons, { compact: editor.options.compact });
+    const items = [];
+    let $group = null;
+
+    layout.forEach(id => {
+        if (id === SEPARATOR) {
+            items.push($('<span>', {
+                class: 'markdown-toolbar-separator',
+                role: 'separator',
+                'aria-orientation': 'vertical'
+            }));
+            $group = null;
+            return;
+        }
+        if (!$group) {
+            $group = $('<div>', { class: 'markdown-toolbar-group', role: 'group' });
+            items.push($group);
+        }
+        $group.append(createToolbarButton(editor, getButton(id)));
+    });
+    items.push(createMoreButton(editor));
+
+    editor.toolbar.prepend(items);
+}
+
+/**
+ * Create a single toolbar button
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {object} button - Button definition from the registry
+ * @returns {jQuery} Button element
+ */
+function createToolbarButton(editor, button) {
+    const shortcut = formatShortcut(button.shortcut);
+    const title = t(button.title) + (shortcut ? ` (${shortcut})` : '');
+
+    const $button = $('<button>', {
         type: 'button',
         class: 'markdown-toolbar-btn',
-        'data-action': type,
-        title: config.title,
-        'aria-label': config.title,
-        html: config.icon,
+        'data-action': button.id,
+        title,
+        'aria-label': title,
+        html: button.icon,
         click: (e) => {
             e.preventDefault();
-            config.action();
-            editor.textarea.focus();
+            runToolbarButton(editor, button, $button);
+            // Popups manage focus themselves
+            if (!button.popup) {
+                editor.textarea.focus();
+            }
         }
     });
+
+    if (button.popup) {
+        $button.attr({ 'aria-haspopup': 'true', 'aria-expanded': 'false' });
+    }
+    if (button.isActive) {
+        $button.attr('aria-pressed', 'false');
+    }
+    return $button;
 }
 
 /**
@@ -130,8 +432,8 @@ function createPreviewToggle(editor) {
         type: 'button',
         class: 'markdown-preview-toggle',
         'data-action': 'toggle-preview',
-        title: 'Toggle Preview',
-        'aria-label': 'Toggle Preview',
+        title: t('Toggle Preview'),
+        'aria-label': t('Toggle Preview'),
         html: getIcon('eye'),
         click: (e) => {
             e.preventDefault();
@@ -139,3 +441,25 @@ function createPreviewToggle(editor) {
         }
     });
 }
+
+/**
+ * Create the fullscreen toggle button
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery} Toggle button element
+ */
+function createFullscreenToggle(editor) {
+    return $('<button>', {
+        type: 'button',
+        class: 'markdown-toolbar-btn markdown-fullscreen-toggle',
+        'data-action': 'fullscreen',
+        title: t('Fullscreen'),
+        'aria-label': t('Fullscreen'),
+        'aria-pressed': 'false',
+        html: getIcon('fullscreen'),
+        click: (e) => {
+            e.preventDefault();
+            editor.toggleFullscreen();
+        }
+    });
+}
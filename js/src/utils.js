@@ -3,6 +3,7 @@
  */
 
 import { DEBUG } from './globals.js';
+import { replaceRange, replaceInState } from './history.js';
 
 /**
  * Debug logging function (browser console only)
@@ -77,33 +78,41 @@ export function insertTextAtCursor(editor, text) {
         suffix = '\n';
     }
 
-    const insertText = prefix + text + suffix;
-    textarea.value = value.substring(0, start) + insertText + value.substring(end);
-
-    const newPos = start + insertText.length;
-    textarea.setSelectionRange(newPos, newPos);
-    editor.textarea.trigger('input');
+    replaceRange(editor, start, end, prefix + text + suffix);
 }
 
 /**
  * Replace placeholder text in textarea
  *
+ * Not a separate undo step: the placeholder is replaced in the recorded
+ * history as well, and the agent's selection stays where it is.
+ *
  * @param {object} editor - MarkdownEditor instance
  * @param {string} placeholder - Text to find and replace
  * @param {string} replacement - Replacement text
  */
 export function replacePlaceholder(editor, placeholder, replacement) {
     const textarea = editor.textarea[0];
-    const value = textarea.value;
-    const index = value.indexOf(placeholder);
+    const index = textarea.value.indexOf(placeholder);
 
     if (index === -1) {
         debugLog('Placeholder not found in textarea', 'WARNING');
         return;
     }
 
-    textarea.value = value.substring(0, index) + replacement + value.substring(index + placeholder.length);
-    const newPos = index + replacement.length;
-    textarea.setSelectionRange(newPos, newPos);
-    editor.textarea.trigger('input');
+    if (editor.history) {
+        editor.history.rewrite(placeholder, replacement);
+    }
+
+    const selection = replaceInState({
+        value: textarea.value,
+        selectionStart: textarea.selectionStart,
+        selectionEnd: textarea.selectionEnd
+    }, placeholder, replacement);
+
+    replaceRange(editor, index, index + placeholder.length, replacement, {
+        selectionStart: selection.selectionStart,
+        selectionEnd: selection.selectionEnd,
+        record: false
+    });
 }
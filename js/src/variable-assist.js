@@ -0,0 +1,469 @@
+/**
+ * osTicket variables in the Markdown textarea
+ *
+ * - Highlighting: a backdrop behind the (then transparent) textarea
+ *   mirrors its text and marks each %{…} token; unknown variables are
+ *   marked as errors
+ * - "Variables used" panel below the textarea; a variable's button
+ *   selects its next occurrence
+ * - Autocomplete: typing "%{" opens a list of known variables at the
+ *   caret (arrow keys, Enter/Tab to insert, Escape to close)
+ *
+ * Nothing is added to the page while the text has no variables.
+ */
+
+import { $ } from './globals.js';
+import { uniqueId } from './popover.js';
+import {
+    getVariableConfig, describeVariable, findVariables, summarizeVariables,
+    findPartialVariable, suggestVariables
+} from './variables.js';
+import { t, tn } from './i18n.js';
+
+/** Textarea styles that affect where text wraps */
+const MIRRORED_STYLES = [
+    'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight',
+    'letterSpacing', 'wordSpacing', 'tabSize', 'textIndent', 'textTransform',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+];
+
+/**
+ * Setup variable highlighting, panel and autocomplete
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function setupVariableAssist(editor) {
+    teardownVariableAssist(editor);
+
+    editor.variableConfig = getVariableConfig();
+
+    editor.textarea.on('input.markdownVariables', () => {
+        updateVariables(editor);
+        updateAutocomplete(editor);
+    });
+    editor.textarea.on('scroll.markdownVariables', () => syncBackdropScroll(editor));
+    editor.textarea.on('blur.markdownVariables click.markdownVariables', () => closeAutocomplete(editor));
+
+    // Capture phase: runs before the list editing and history key handlers
+    editor.variableKeyHandler = (e) => handleAutocompleteKey(editor, e);
+    editor.textarea[0].addEventListener('keydown', editor.variableKeyHandler, true);
+
+    if (window.ResizeObserver) {
+        editor.variableResizeObserver = new ResizeObserver(() => layoutBackdrop(editor));
+        editor.variableResizeObserver.observe(editor.textarea[0]);
+    }
+
+    updateVariables(editor);
+}
+
+/**
+ * Remove variable highlighting, panel and autocomplete
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+export function teardownVariableAssist(editor) {
+    editor.textarea.off('.markdownVariables');
+    if (editor.variableKeyHandler) {
+        editor.textarea[0].removeEventListener('keydown', editor.variableKeyHandler, true);
+        editor.variableKeyHandler = null;
+    }
+    if (editor.variableResizeObserver) {
+        editor.variableResizeObserver.disconnect();
+        editor.variableResizeObserver = null;
+    }
+    if (editor.variableList) {
+        editor.variableList.remove();
+        editor.variableList = null;
+    }
+    editor.textarea.removeAttr('aria-autocomplete aria-controls aria-expanded aria-activedescendant');
+    removeHighlight(editor);
+}
+
+/**
+ * Refresh the highlighting and the panel from the textarea value
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function updateVariables(editor) {
+    const found = findVariables(editor.textarea.val(), editor.variableConfig.known);
+    if (!found.length) {
+        removeHighlight(editor);
+        return;
+    }
+
+    const $wrapper = editor.textarea.parent();
+    if (!editor.variableBackdrop) {
+        editor.variableBackdrop = $('<div>', { class: 'markdown-variable-backdrop', 'aria-hidden': 'true' });
+        editor.textarea.before(editor.variableBackdrop);
+        $wrapper.addClass('has-variable-highlight');
+    }
+
+    renderBackdrop(editor, found);
+    layoutBackdrop(editor);
+    renderPanel(editor, summarizeVariables(found));
+}
+
+/**
+ * Remove the backdrop and the panel
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function removeHighlight(editor) {
+    if (editor.variableBackdrop) {
+        editor.variableBackdrop.remove();
+        editor.variableBackdrop = null;
+    }
+    if (editor.variablePanel) {
+        editor.variablePanel.remove();
+        editor.variablePanel = null;
+        editor.variablePanelKey = null;
+    }
+    editor.textarea.parent().removeClass('has-variable-highlight');
+}
+
+/**
+ * Write the textarea text into the backdrop, with the variables marked
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {Array} found - Result of findVariables()
+ */
+function renderBackdrop(editor, found) {
+    const value = editor.textarea.val();
+    const backdrop = editor.variableBackdrop[0];
+    const doc = backdrop.ownerDocument;
+    let offset = 0;
+
+    backdrop.textContent = '';
+    found.forEach(variable => {
+        backdrop.appendChild(doc.createTextNode(value.substring(offset, variable.start)));
+        const mark = doc.createElement('mark');
+        mark.className = 'markdown-variable-mark' + (variable.known ? '' : ' is-unknown');
+        mark.textContent = value.substring(variable.start, variable.end);
+        backdrop.appendChild(mark);
+        offset = variable.end;
+    });
+    // The space keeps a trailing empty line as high as in the textarea
+    backdrop.appendChild(doc.createTextNode(value.substring(offset) + ' '));
+}
+
+/**
+ * Copy the textarea's box and text metrics to an element
+ *
+ * The element gets extra right padding for the textarea's scrollbar, so
+ * lines wrap at the same place.
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @param {HTMLElement} element
+ */
+function mirrorTextarea(textarea, element) {
+    const style = window.getComputedStyle(textarea);
+    MIRRORED_STYLES.forEach(property => {
+        element.style[property] = style[property];
+    });
+
+    const scrollbar = textarea.offsetWidth - textarea.clientWidth
+        - parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+    element.style.paddingRight = (parseFloat(style.paddingRight) + Math.max(scrollbar, 0)) + 'px';
+    element.style.top = textarea.offsetTop + 'px';
+    element.style.left = textarea.offsetLeft + 'px';
+    element.style.width = textarea.offsetWidth + 'px';
+    element.style.height = textarea.offsetHeight + 'px';
+}
+
+/**
+ * Place the backdrop exactly behind the textarea
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function layoutBackdrop(editor) {
+    if (!editor.variableBackdrop) return;
+    mirrorTextarea(editor.textarea[0], editor.variableBackdrop[0]);
+    syncBackdropScroll(editor);
+}
+
+/**
+ * Scroll the backdrop with the textarea
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function syncBackdropScroll(editor) {
+    if (!editor.variableBackdrop) return;
+    editor.variableBackdrop[0].scrollTop = editor.textarea[0].scrollTop;
+    editor.variableBackdrop[0].scrollLeft = editor.textarea[0].scrollLeft;
+}
+
+/**
+ * Position of a text offset inside the textarea's content box
+ *
+ * Measured with a hidden copy of the textarea text.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {number} offset
+ * @returns {{top: number, left: number, height: number}} Relative to the
+ *          top of the text (not scrolled)
+ */
+function measureOffset(editor, offset) {
+    const textarea = editor.textarea[0];
+    const doc = textarea.ownerDocument;
+    const mirror = doc.createElement('div');
+    mirror.className = 'markdown-variable-backdrop';
+    mirror.style.visibility = 'hidden';
+    mirrorTextarea(textarea, mirror);
+    mirror.style.height = 'auto';
+
+    const marker = doc.createElement('span');
+    marker.textContent = '\u200b';
+    mirror.textContent = textarea.value.substring(0, offset);
+    mirror.appendChild(marker);
+    textarea.parentNode.appendChild(mirror);
+
+    const position = { top: marker.offsetTop, left: marker.offsetLeft, height: marker.offsetHeight };
+    mirror.remove();
+    return position;
+}
+
+/**
+ * Render the "Variables used" panel
+ *
+ * Kept as is while the same variables are used, so a focused button
+ * stays focused.
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {Array} summary - Result of summarizeVariables()
+ */
+function renderPanel(editor, summary) {
+    const key = summary.map(entry => `${entry.name}:${entry.count}`).join('\n');
+    if (editor.variablePanel && editor.variablePanelKey === key) return;
+
+    const { known, values } = editor.variableConfig;
+    const unknown = summary.filter(entry => !entry.known).length;
+    const $panel = $('<div>', {
+        class: 'markdown-variables' + (unknown ? ' has-unknown' : ''),
+        role: 'region',
+        'aria-label': t('Variables used')
+    });
+
+    const $header = $('<div>', { class: 'markdown-variables-header' }).append(
+        $('<span>', { class: 'markdown-variables-title', text: t('Variables used') })
+    );
+    if (unknown) {
+        $header.append($('<span>', {
+            class: 'markdown-variables-warning',
+            text: tn('{count} unknown variable', '{count} unknown variables', unknown)
+        }));
+    }
+
+    const $list = $('<ul>', { class: 'markdown-variables-list' });
+    summary.forEach(entry => {
+        const hasValue = Object.prototype.hasOwnProperty.call(values, entry.name);
+        let detail = t('Unknown variable');
+        if (hasValue) {
+            detail = String(values[entry.name]);
+        } else if (entry.known) {
+            detail = describeVariable(entry.name, known);
+        }
+
+        const $button = $('<button>', {
+            type: 'button',
+            class: 'markdown-variable-item' + (entry.known ? '' : ' is-unknown'),
+            title: t('Select next occurrence'),
+            click: (e) => {
+                e.preventDefault();
+                selectNextOccurrence(editor, entry.name);
+            }
+        }).append($('<code>', { text: '%{' + entry.name + '}' }));
+        if (entry.count > 1) {
+            $button.append($('<span>', { class: 'markdown-variable-count', text: '×' + entry.count }));
+        }
+        if (detail) {
+            $button.append($('<span>', { class: 'markdown-variable-detail', text: detail }));
+        }
+        $list.append($('<li>').append($button));
+    });
+
+    $panel.append($header, $list);
+    if (editor.variablePanel) {
+        editor.variablePanel.replaceWith($panel);
+    } else {
+        editor.textarea.parent().append($panel);
+    }
+    editor.variablePanel = $panel;
+    editor.variablePanelKey = key;
+}
+
+/**
+ * Select the next occurrence of a variable after the selection
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} name
+ */
+function selectNextOccurrence(editor, name) {
+    const textarea = editor.textarea[0];
+    const matches = findVariables(textarea.value, editor.variableConfig.known)
+        .filter(variable => variable.name === name);
+    if (!matches.length) return;
+
+    const next = matches.find(variable => variable.start >= textarea.selectionEnd) || matches[0];
+    textarea.focus();
+    textarea.setSelectionRange(next.start, next.end);
+
+    const top = measureOffset(editor, next.start).top;
+    if (top < textarea.scrollTop || top > textarea.scrollTop + textarea.clientHeight - 20) {
+        textarea.scrollTop = Math.max(top - textarea.clientHeight / 3, 0);
+    }
+}
+
+/**
+ * Open, refresh or close the autocomplete for the text at the caret
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function updateAutocomplete(editor) {
+    const textarea = editor.textarea[0];
+    const partial = textarea.selectionStart === textarea.selectionEnd
+        ? findPartialVariable(textarea.value, textarea.selectionStart)
+        : null;
+    const names = partial ? suggestVariables(editor.variableConfig.known, partial.query) : [];
+    if (!names.length) {
+        closeAutocomplete(editor);
+        return;
+    }
+
+    const wasOpen = isAutocompleteOpen(editor);
+    const $list = getAutocompleteList(editor).empty();
+    const listId = $list.attr('id');
+    names.forEach((name, index) => {
+        $list.append($('<li>', {
+            id: `${listId}-${index}`,
+            class: 'markdown-autocomplete-option',
+            role: 'option',
+            'aria-selected': 'false',
+            'data-name': name,
+            // Keep focus in the textarea
+            mousedown: (e) => e.preventDefault(),
+            click: () => pickSuggestion(editor, name)
+        }).append(
+            $('<code>', { text: name }),
+            $('<span>', { class: 'markdown-variable-detail', text: describeVariable(name, editor.variableConfig.known) })
+        ));
+    });
+
+    const position = measureOffset(editor, partial.start);
+    $list.css({
+        top: textarea.offsetTop + position.top + position.height - textarea.scrollTop + 2,
+        left: Math.min(textarea.offsetLeft + position.left, Math.max(textarea.offsetWidth - 240, 0))
+    }).prop('hidden', false);
+
+    editor.textarea.attr('aria-expanded', 'true');
+    setActiveSuggestion(editor, 0);
+    if (!wasOpen) {
+        editor.announce(tn('{count} variable suggestion', '{count} variable suggestions', names.length));
+    }
+}
+
+/**
+ * Get (or create) the autocomplete list
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {jQuery}
+ */
+function getAutocompleteList(editor) {
+    if (!editor.variableList) {
+        const listId = uniqueId('variables');
+        editor.variableList = $('<ul>', {
+            id: listId,
+            class: 'markdown-autocomplete markdown-variable-autocomplete',
+            role: 'listbox',
+            'aria-label': t('Variables'),
+            hidden: true
+        });
+        editor.textarea.parent().append(editor.variableList);
+        editor.textarea.attr({
+            'aria-autocomplete': 'list',
+            'aria-controls': listId,
+            'aria-expanded': 'false'
+        });
+    }
+    return editor.variableList;
+}
+
+/**
+ * @param {object} editor - MarkdownEditor instance
+ * @returns {boolean}
+ */
+function isAutocompleteOpen(editor) {
+    return Boolean(editor.variableList && !editor.variableList.prop('hidden'));
+}
+
+/**
+ * Close the autocomplete list
+ *
+ * @param {object} editor - MarkdownEditor instance
+ */
+function closeAutocomplete(editor) {
+    if (!isAutocompleteOpen(editor)) return;
+    editor.variableList.prop('hidden', true).empty();
+    editor.textarea.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+}
+
+/**
+ * Highlight a suggestion (wraps around)
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {number} index
+ */
+function setActiveSuggestion(editor, index) {
+    const $options = editor.variableList.children();
+    const active = (index + $options.length) % $options.length;
+    $options.attr('aria-selected', 'false').removeClass('is-active');
+    const $option = $options.eq(active).attr('aria-selected', 'true').addClass('is-active');
+    editor.textarea.attr('aria-activedescendant', $option.attr('id'));
+    editor.variableActive = active;
+
+    const option = $option[0];
+    const list = editor.variableList[0];
+    if (option.offsetTop < list.scrollTop) {
+        list.scrollTop = option.offsetTop;
+    } else if (option.offsetTop + option.offsetHeight > list.scrollTop + list.clientHeight) {
+        list.scrollTop = option.offsetTop + option.offsetHeight - list.clientHeight;
+    }
+}
+
+/**
+ * Keyboard handling while the autocomplete is open
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {KeyboardEvent} e
+ */
+function handleAutocompleteKey(editor, e) {
+    if (!isAutocompleteOpen(editor) || e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        setActiveSuggestion(editor, editor.variableActive + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        pickSuggestion(editor, editor.variableList.children().eq(editor.variableActive).attr('data-name'));
+    } else if (e.key === 'Escape') {
+        closeAutocomplete(editor);
+    } else {
+        return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+}
+
+/**
+ * Complete the variable at the caret
+ *
+ * @param {object} editor - MarkdownEditor instance
+ * @param {string} name
+ */
+function pickSuggestion(editor, name) {
+    const textarea = editor.textarea[0];
+    const partial = findPartialVariable(textarea.value, textarea.selectionStart);
+    closeAutocomplete(editor);
+    if (!partial) return;
+
+    editor.replaceRange(partial.start, partial.end, '%{' + name + '}');
+    editor.announce(t('Inserted variable: {name}', { name }));
+}
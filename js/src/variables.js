@@ -0,0 +1,230 @@
+/**
+ * osTicket template variables (%{ticket.number}, %{recipient.name.first})
+ *
+ * Canned responses bring these tokens into the reply; osTicket replaces
+ * them when the reply is posted. This module finds and validates them
+ * against the known variables and marks them in the preview - with the
+ * resolved value when the page has a ticket context, otherwise as a
+ * placeholder chip.
+ *
+ * The plugin injects the ticket context as
+ * window.osTicketMarkdownConfig.ticketVariables (name => value);
+ * osTicketMarkdownConfig.variables (name => description) adds variables
+ * of custom forms and lists to the known list.
+ */
+
+import { t } from './i18n.js';
+
+/** %{name} - osTicket allows anything but braces in the name */
+const VARIABLE_PATTERN = /%\{([^{}\n]*)\}/g;
+
+/** Unfinished variable right before the caret: "%{ticket.nu" */
+const PARTIAL_PATTERN = /%\{([\w.]*)$/;
+
+/** Suggestions shown at once */
+const MAX_SUGGESTIONS = 8;
+
+/** Variables available in ticket replies (name => description) */
+const KNOWN_VARIABLES = {
+    'ticket.number': 'Ticket number',
+    'ticket.subject': 'Subject',
+    'ticket.status': 'Status',
+    'ticket.priority': 'Priority',
+    'ticket.dept': 'Department',
+    'ticket.topic': 'Help topic',
+    'ticket.source': 'Source',
+    'ticket.create_date': 'Date created',
+    'ticket.due_date': 'Due date',
+    'ticket.close_date': 'Date closed',
+    'ticket.last_update': 'Time of last update',
+    'ticket.name': 'Name of the ticket owner',
+    'ticket.name.first': 'First name of the ticket owner',
+    'ticket.name.last': 'Last name of the ticket owner',
+    'ticket.email': 'Email address of the ticket owner',
+    'ticket.phone': 'Phone number of the ticket owner',
+    'ticket.assigned': 'Assigned agent or team',
+    'ticket.staff': 'Assigned agent',
+    'ticket.team': 'Assigned team',
+    'ticket.recipients': 'Names of all recipients',
+    'ticket.client_link': 'Ticket link for the client',
+    'ticket.staff_link': 'Ticket link for agents',
+    'recipient.name': 'Recipient name',
+    'recipient.name.first': 'Recipient first name',
+    'recipient.name.last': 'Recipient last name',
+    'recipient.email': 'Recipient email address',
+    'recipient.ticket_link': 'Ticket link for the recipient',
+    'company.name': 'Company name',
+    'url': 'Help desk URL'
+};
+
+/**
+ * Read the variable settings from osTicketMarkdownConfig
+ *
+ * @returns {{known: object, values: object}} Known variables (name =>
+ *          description) and resolved values of the current ticket
+ */
+export function getVariableConfig() {
+    const config = (typeof window !== 'undefined' && window.osTicketMarkdownConfig) || {};
+    const values = config.ticketVariables || {};
+    const known = Object.assign({}, KNOWN_VARIABLES, config.variables || {});
+
+    // A value the plugin could resolve is a known variable
+    Object.keys(values).forEach(name => {
+        if (!known[name]) known[name] = '';
+    });
+
+    return { known, values };
+}
+
+/**
+ * Translated description of a variable
+ *
+ * @param {string} name
+ * @param {object} known - Known variables (name => description)
+ * @returns {string} Empty for variables without a description
+ */
+export function describeVariable(name, known) {
+    return known[name] ? t(known[name]) : '';
+}
+
+/**
+ * Find the variables in a text
+ *
+ * @param {string} text
+ * @param {object} known - Known variables (name => description)
+ * @returns {Array<{name: string, start: number, end: number, known: boolean}>}
+ */
+export function findVariables(text, known) {
+    const found = [];
+    for (const match of String(text).matchAll(VARIABLE_PATTERN)) {
+        const name = match[1].trim();
+        found.push({
+            name,
+            start: match.index,
+            end: match.index + match[0].length,
+            known: Object.prototype.hasOwnProperty.call(known, name)
+        });
+    }
+    return found;
+}
+
+/**
+ * Group found variables by name, in order of first use
+ *
+ * @param {Array} found - Result of findVariables()
+ * @returns {Array<{name: string, known: boolean, count: number}>}
+ */
+export function summarizeVariables(found) {
+    const byName = new Map();
+    found.forEach(variable => {
+        if (!byName.has(variable.name)) {
+            byName.set(variable.name, { name: variable.name, known: variable.known, count: 0 });
+        }
+        byName.get(variable.name).count++;
+    });
+    return Array.from(byName.values());
+}
+
+/**
+ * Unfinished variable the caret is in
+ *
+ * @param {string} value - Textarea value
+ * @param {number} caret - Caret position
+ * @returns {{start: number, end: number, query: string}|null} Range of the
+ *          token to replace (from "%{" to the end of the typed name,
+ *          including a closing brace) and the typed name
+ */
+export function findPartialVariable(value, caret) {
+    const match = value.substring(0, caret).match(PARTIAL_PATTERN);
+    if (!match) return null;
+
+    const rest = value.substring(caret).match(/^[\w.]*\}?/)[0];
+    return {
+        start: caret - match[0].length,
+        end: caret + rest.length,
+        query: match[1]
+    };
+}
+
+/**
+ * Known variables matching the typed name (prefix matches first)
+ *
+ * @param {object} known - Known variables (name => description)
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function suggestVariables(known, query) {
+    const needle = query.toLowerCase();
+    const names = Object.keys(known);
+    const prefix = names.filter(name => name.toLowerCase().startsWith(needle));
+    const inner = names.filter(name => !name.toLowerCase().startsWith(needle) && name.toLowerCase().includes(needle));
+    return prefix.concat(inner).slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Replace the variables in rendered preview content with chips
+ *
+ * A chip shows the resolved value when the ticket context has one,
+ * otherwise the variable name as a placeholder. Chips are built as DOM
+ * nodes, so values are never parsed as HTML.
+ *
+ * @param {Node} root - Sanitized preview content
+ * @param {object} known - Known variables (name => description)
+ * @param {object} values - Resolved values (name => value)
+ */
+export function markVariables(root, known, values) {
+    const doc = root.ownerDocument || root;
+    const walker = doc.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (walker.currentNode.nodeValue.includes('%{')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const found = findVariables(text, known);
+        if (!found.length) return;
+
+        const fragment = doc.createDocumentFragment();
+        let offset = 0;
+        found.forEach(variable => {
+            fragment.appendChild(doc.createTextNode(text.substring(offset, variable.start)));
+            fragment.appendChild(createChip(doc, variable, values));
+            offset = variable.end;
+        });
+        fragment.appendChild(doc.createTextNode(text.substring(offset)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+/**
+ * Build the preview chip for a variable
+ *
+ * @param {Document} doc
+ * @param {object} variable - Entry of findVariables()
+ * @param {object} values - Resolved values (name => value)
+ * @returns {HTMLElement}
+ */
+function createChip(doc, variable, values) {
+    const chip = doc.createElement('span');
+    const token = '%{' + variable.name + '}';
+    const hasValue = Object.prototype.hasOwnProperty.call(values, variable.name);
+    chip.setAttribute('data-variable', variable.name);
+
+    if (hasValue) {
+        chip.className = 'markdown-variable is-resolved';
+        chip.textContent = String(values[variable.name]);
+        chip.title = token;
+    } else if (variable.known) {
+        chip.className = 'markdown-variable is-placeholder';
+        chip.textContent = variable.name;
+        chip.title = t('{variable} is filled in when the reply is sent', { variable: token });
+    } else {
+        chip.className = 'markdown-variable is-unknown';
+        chip.textContent = variable.name;
+        chip.title = t('Unknown variable: {variable}', { variable: token });
+    }
+    return chip;
+}
@@ -12,20 +12,42 @@ use MarkdownSupport\Config\ConfigCache;
  * Handles:
  * - CSS injection (in <head> for FOUC prevention)
  * - JavaScript injection (deferred for performance)
- * - Configuration injection (window.osTicketMarkdownConfig)
+ * - Configuration injection (window.osTicketMarkdownConfig), including
+ *   the editor UI translations for the agent's locale, the canned
+ *   responses for the canned response picker and the variable values of
+ *   the open ticket for the preview
  * - Output buffer-based injection for pages without proper hooks
  *
  * @package MarkdownSupport
  */
 final class AssetInjector
 {
+    private const TRANSLATION_DOMAIN = 'markdown-support';
+
+    /**
+     * Variables resolved for the preview of a ticket reply
+     *
+     * Links are left out: the client link carries the ticket's auth token.
+     */
+    private const TICKET_VARIABLES = [
+        'ticket.number', 'ticket.subject', 'ticket.status', 'ticket.priority',
+        'ticket.dept', 'ticket.topic', 'ticket.source', 'ticket.create_date',
+        'ticket.due_date', 'ticket.close_date', 'ticket.last_update',
+        'ticket.name', 'ticket.name.first', 'ticket.name.last', 'ticket.email',
+        'ticket.phone', 'ticket.assigned', 'ticket.staff', 'ticket.team',
+        'recipient.name', 'recipient.name.first', 'recipient.name.last',
+        'recipient.email', 'company.name', 'url',
+    ];
+
     private string $pluginUrl;
     private ConfigCache $configCache;
+    private string $i18nDir;
 
-    public function __construct(string $pluginUrl, ConfigCache $configCache)
+    public function __construct(string $pluginUrl, ConfigCache $configCache, ?string $i18nDir = null)
     {
         $this->pluginUrl = rtrim($pluginUrl, '/');
         $this->configCache = $configCache;
+        $this->i18nDir = rtrim($i18nDir ?? dirname(__DIR__, 2) . '/i18n', '/');
     }
 
     /**
@@ -63,9 +85,14 @@ final class AssetInjector
     {
         $config = $this->configCache;
 
+        $allowedFormats = $config->getAllowedFormats();
         $defaultFormat = $config->get('default_format', 'markdown');
+        if (!in_array($defaultFormat, $allowedFormats, true)) {
+            $defaultFormat = $allowedFormats[0];
+        }
         $allowFormatSwitch = (bool) $config->get('allow_format_switch', true);
         $showToolbar = (bool) $config->get('show_toolbar', true);
+        $previewPosition = $this->normalizePreviewPosition((string) $config->get('preview_position', 'bottom'));
         $version = $config->get('installed_version', '');
 
         // Build URLs with cache-busting
@@ -76,8 +103,22 @@ final class AssetInjector
         // Determine preview API URL
         $previewApiUrl = $this->getPreviewApiUrl();
 
+        $locale = $this->getLocale();
+
         // Build HTML
-        $html = $this->buildConfigScript($defaultFormat, $allowFormatSwitch, $showToolbar, $previewApiUrl);
+        $html = $this->buildConfigScript(
+            $defaultFormat,
+            $allowedFormats,
+            $allowFormatSwitch,
+            $showToolbar,
+            $previewPosition,
+            $previewApiUrl,
+            $this->getAgentId(),
+            $locale,
+            $this->loadTranslations($locale),
+            $this->getCannedResponses(),
+            $this->getTicketVariables()
+        );
         $html .= $this->buildCssTag($cssUrl);
         $html .= $this->buildJsTag($jsUrl);
 
@@ -126,19 +167,37 @@ final class AssetInjector
      */
     private function buildConfigScript(
         string $defaultFormat,
+        array $allowedFormats,
         bool $allowFormatSwitch,
         bool $showToolbar,
-        string $previewApiUrl
+        string $previewPosition,
+        string $previewApiUrl,
+        int $agentId,
+        string $locale,
+        array $translations,
+        array $cannedResponses,
+        array $ticketVariables
     ): string {
         $config = [
             'defaultFormat' => $defaultFormat,
+            'allowedFormats' => $allowedFormats,
             'allowFormatSwitch' => $allowFormatSwitch,
             'showToolbar' => $showToolbar,
+            'previewPosition' => $previewPosition,
             'previewApiUrl' => $previewApiUrl,
+            'agentId' => $agentId,
+            'locale' => str_replace('_', '-', $locale),
+            'translations' => (object) $translations,
+            'cannedResponses' => $cannedResponses,
+            'ticketVariables' => (object) $ticketVariables,
         ];
 
+        // JSON_HEX_TAG: translations, canned response titles and ticket
+        // values must not be able to close the <script> tag
+        $json = json_encode($config, JSON_UNESCAPED_SLASHES | JSON_HEX_TAG);
+
         return '<script>' . "\n"
-            . 'window.osTicketMarkdownConfig = ' . json_encode($config, JSON_UNESCAPED_SLASHES) . ';' . "\n"
+            . 'window.osTicketMarkdownConfig = ' . $json . ';' . "\n"
             . '</script>' . "\n";
     }
 
@@ -158,6 +217,180 @@ final class AssetInjector
         return '<script defer src="' . htmlspecialchars($url, ENT_QUOTES, 'UTF-8') . '"></script>' . "\n";
     }
 
+    /**
+     * Restrict preview position to the layouts the editor knows
+     */
+    private function normalizePreviewPosition(string $position): string
+    {
+        return in_array($position, ['bottom', 'side', 'tabs'], true) ? $position : 'bottom';
+    }
+
+    /**
+     * Get ID of the logged-in agent
+     *
+     * Used client-side to remember editor preferences per agent.
+     * Returns 0 outside the staff panel.
+     */
+    private function getAgentId(): int
+    {
+        global $thisstaff;
+
+        if (is_object($thisstaff) && method_exists($thisstaff, 'getId')) {
+            return (int) $thisstaff->getId();
+        }
+
+        return 0;
+    }
+
+    /**
+     * Get the enabled canned responses (id and title) for the picker
+     *
+     * Only sent to a logged-in agent, and only the responses of the
+     * agent's departments (plus those for all departments), like
+     * osTicket's own canned response select. Pages with that select use
+     * its options instead.
+     *
+     * @return array<int, array{id: int, title: string}>
+     */
+    private function getCannedResponses(): array
+    {
+        global $thisstaff;
+
+        if (!is_object($thisstaff) || !method_exists($thisstaff, 'getDepts')
+            || !class_exists('Canned') || !method_exists('Canned', 'getCannedResponses')) {
+            return [];
+        }
+
+        // Department 0 would mean "no filter", so it is never passed on
+        $deptIds = array_unique(array_filter(array_map('intval', (array) $thisstaff->getDepts())));
+
+        $responses = [];
+        try {
+            foreach ($deptIds as $deptId) {
+                $responses += (array) \Canned::getCannedResponses($deptId);
+            }
+        } catch (\Throwable $e) {
+            return [];
+        }
+        asort($responses, SORT_NATURAL | SORT_FLAG_CASE);
+
+        $list = [];
+        foreach ($responses as $id => $title) {
+            $list[] = ['id' => (int) $id, 'title' => (string) $title];
+        }
+
+        return $list;
+    }
+
+    /**
+     * Get the variable values of the ticket the agent is viewing
+     *
+     * Resolved the way osTicket resolves them in a reply (with the ticket
+     * owner as recipient). Empty on other pages, without a staff session
+     * or without access to the ticket.
+     *
+     * @return array<string, string> Variable name => plain text value
+     */
+    private function getTicketVariables(): array
+    {
+        global $thisstaff;
+
+        $script = basename($_SERVER['SCRIPT_NAME'] ?? '');
+        $ticketId = (int) ($_GET['id'] ?? 0);
+        if ($script !== 'tickets.php' || $ticketId <= 0 || !is_object($thisstaff)
+            || !class_exists('Ticket') || !method_exists('Ticket', 'lookup')) {
+            return [];
+        }
+
+        try {
+            $ticket = \Ticket::lookup($ticketId);
+            if (!is_object($ticket) || !$ticket->checkStaffPerm($thisstaff)) {
+                return [];
+            }
+
+            $context = ['recipient' => $ticket->getOwner()];
+            $values = [];
+            foreach (self::TICKET_VARIABLES as $name) {
+                $token = '%{' . $name . '}';
+                $value = trim(strip_tags((string) $ticket->replaceVars($token, $context)));
+                // Unresolved variables come back unchanged
+                if ($value !== '' && strpos($value, '%{') === false) {
+                    $values[$name] = html_entity_decode($value, ENT_QUOTES, 'UTF-8');
+                }
+            }
+        } catch (\Throwable $e) {
+            return [];
+        }
+
+        return $values;
+    }
+
+    /**
+     * Get the locale of the logged-in agent (osTicket language code, e.g. de_DE)
+     *
+     * Falls back to the system language outside the staff panel.
+     */
+    private function getLocale(): string
+    {
+        global $thisstaff;
+
+        $locale = '';
+        if (is_object($thisstaff) && method_exists($thisstaff, 'getLanguage')) {
+            $locale = (string) $thisstaff->getLanguage();
+        }
+        if ($locale === '' && class_exists('Internationalization')
+            && method_exists('Internationalization', 'getCurrentLanguage')) {
+            $locale = (string) \Internationalization::getCurrentLanguage();
+        }
+
+        return preg_match('/^[a-z]{2,3}(_[A-Za-z]{2,4})?$/', $locale) ? $locale : 'en_US';
+    }
+
+    /**
+     * Load the editor translations for a locale
+     *
+     * Reads the plugin's compiled catalog (i18n/<locale>/LC_MESSAGES/
+     * markdown-support.mo.php). A language without region ("de") uses the
+     * first matching regional catalog ("de_DE"). Plural entries keep the
+     * gettext format: "singular\0plural" => "form1\0form2".
+     *
+     * @return array<string, string> English text => translation
+     */
+    private function loadTranslations(string $locale): array
+    {
+        $file = $this->findCatalog($locale);
+        if ($file === null) {
+            return [];
+        }
+
+        $catalog = include $file;
+        if (!is_array($catalog)) {
+            return [];
+        }
+
+        // '' holds the catalog headers
+        unset($catalog['']);
+
+        return array_filter($catalog, 'is_string');
+    }
+
+    /**
+     * Find the catalog file for a locale
+     */
+    private function findCatalog(string $locale): ?string
+    {
+        $path = '/LC_MESSAGES/' . self::TRANSLATION_DOMAIN . '.mo.php';
+
+        if (is_file($this->i18nDir . '/' . $locale . $path)) {
+            return $this->i18nDir . '/' . $locale . $path;
+        }
+
+        $language = strtolower(substr($locale, 0, (int) strcspn($locale, '_')));
+        $matches = glob($this->i18nDir . '/' . $language . '_*' . $path);
+
+        return $matches ? $matches[0] : null;
+    }
+
     /**
      * Get preview API URL
      *
@@ -21,6 +21,9 @@ namespace MarkdownSupport\Config;
  */
 final class ConfigCache
 {
+    /** Editor formats in switcher order */
+    public const FORMATS = ['markdown', 'html', 'text'];
+
     private static ?self $instance = null;
 
     /** @var array<string, mixed> */
@@ -90,6 +93,35 @@ final class ConfigCache
         $this->config[$key] = $value;
     }
 
+    /**
+     * Get the formats agents may use (allowed_formats)
+     *
+     * A multiselect config value arrives as JSON (key => label) or as an
+     * array; nothing valid selected allows all formats.
+     *
+     * @return string[] Allowed formats in switcher order
+     */
+    public function getAllowedFormats(): array
+    {
+        $formats = $this->get('allowed_formats', self::FORMATS);
+
+        if (is_string($formats)) {
+            $decoded = json_decode($formats, true);
+            $formats = is_array($decoded) ? $decoded : explode(',', $formats);
+        }
+        if (!is_array($formats)) {
+            return self::FORMATS;
+        }
+
+        // Keyed by format (multiselect) or a plain list
+        $isList = array_keys($formats) === range(0, count($formats) - 1);
+        $selected = $isList ? $formats : array_keys($formats);
+        $selected = array_map(static fn ($format): string => strtolower(trim((string) $format)), $selected);
+        $allowed = array_values(array_intersect(self::FORMATS, $selected));
+
+        return $allowed ?: self::FORMATS;
+    }
+
     /**
      * Check if cache has been populated
      */
@@ -4,6 +4,8 @@ declare(strict_types=1);
 
 namespace MarkdownSupport\Http;
 
+use MarkdownSupport\Config\ConfigCache;
+
 /**
  * Pre-processes Markdown POST fields to HTML before osTicket handles them.
  *
@@ -20,6 +22,9 @@ namespace MarkdownSupport\Http;
  * 2. osTicket creates ThreadEntry (HTML) and sends email (HTML)
  * 3. recordEntryId(): Signal handler stores the created entry ID
  * 4. shutdown(): UPDATE DB entry back to Markdown + format='markdown'
+ *
+ * A format that is not allowed (allowed_formats) is replaced by the
+ * closest allowed one before any of this.
  */
 final class MarkdownPostProcessor
 {
@@ -35,6 +40,23 @@ final class MarkdownPostProcessor
     /** @var string[] POST fields that may contain Markdown */
     private const MARKDOWN_FIELDS = ['response', 'note', 'message'];
 
+    /** @var array<string, string[]> Replacements of a format that is not allowed, closest first */
+    private const FALLBACK_FORMATS = [
+        'markdown' => ['html', 'text'],
+        'html' => ['text', 'markdown'],
+        'text' => ['markdown', 'html'],
+    ];
+
+    private ?ConfigCache $configCache;
+
+    /**
+     * @param ConfigCache|null $configCache For allowed_formats (all formats allowed without)
+     */
+    public function __construct(?ConfigCache $configCache = null)
+    {
+        $this->configCache = $configCache;
+    }
+
     /**
      * Pre-process POST data: save originals, convert to HTML, register shutdown.
      *
@@ -46,7 +68,13 @@ final class MarkdownPostProcessor
             return;
         }
 
-        if (($this->getPostFormat()) !== 'markdown') {
+        $format = $this->getPostFormat();
+        if (!$this->isAllowedFormat($format)) {
+            $this->applyFallbackFormat($format);
+            return;
+        }
+
+        if ($format !== 'markdown') {
             return;
         }
 
@@ -148,6 +176,66 @@ final class MarkdownPostProcessor
         }
     }
 
+    /**
+     * Whether the posted format may be saved.
+     *
+     * Formats the editor does not know are left to osTicket.
+     */
+    private function isAllowedFormat(string $format): bool
+    {
+        if ($this->configCache === null || !in_array($format, ConfigCache::FORMATS, true)) {
+            return true;
+        }
+
+        return in_array($format, $this->configCache->getAllowedFormats(), true);
+    }
+
+    /**
+     * Save content posted in a format that is not allowed in the closest allowed one.
+     *
+     * The editor only offers allowed formats, so this catches pages opened
+     * before the setting changed and forged requests. Markdown sent this
+     * way is saved as HTML and not restored afterwards.
+     */
+    private function applyFallbackFormat(string $format): void
+    {
+        $allowed = $this->configCache !== null ? $this->configCache->getAllowedFormats() : ConfigCache::FORMATS;
+        $fallback = current(array_intersect(self::FALLBACK_FORMATS[$format], $allowed));
+        if ($fallback === false) {
+            return;
+        }
+
+        foreach (self::MARKDOWN_FIELDS as $field) {
+            if (!empty($_POST[$field]) && is_string($_POST[$field])) {
+                $_POST[$field] = $this->convertContent($_POST[$field], $format, $fallback);
+            }
+        }
+
+        $_POST['format'] = $fallback;
+    }
+
+    /**
+     * Convert posted content to another format, as far as the server can.
+     *
+     * Markdown is rendered to HTML, HTML is reduced to its text, plain text
+     * keeps its line breaks in HTML. Markdown and plain text read the same
+     * in each other's format.
+     */
+    private function convertContent(string $content, string $from, string $to): string
+    {
+        if ($from === 'markdown' && $to === 'html' && class_exists('MarkdownThreadEntryBody')) {
+            return (new \MarkdownThreadEntryBody($content, []))->display();
+        }
+        if ($from === 'html' && class_exists('Format') && method_exists('Format', 'html2text')) {
+            return (string) \Format::html2text($content);
+        }
+        if ($from === 'text' && $to === 'html') {
+            return nl2br(htmlspecialchars($content, ENT_QUOTES, 'UTF-8'), false);
+        }
+
+        return $content;
+    }
+
     /**
      * Get the POST format value.
      */
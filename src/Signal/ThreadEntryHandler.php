@@ -131,8 +131,9 @@ final class ThreadEntryHandler
      */
     private function shouldAutoConvert(object $entry): bool
     {
-        // Only if enabled in config
-        if (!$this->configCache->get('auto_convert_to_markdown', false)) {
+        // Only if enabled in config and Markdown is allowed
+        if (!$this->configCache->get('auto_convert_to_markdown', false)
+            || !in_array('markdown', $this->configCache->getAllowedFormats(), true)) {
             return false;
         }
 
@@ -269,12 +270,18 @@ final class ThreadEntryHandler
 
     /**
      * Validate format value
+     *
+     * Unknown formats are saved as HTML; formats that are not allowed
+     * (allowed_formats) leave the entry's format as osTicket saved it.
      */
-    private function validateFormat(string $format): string
+    private function validateFormat(string $format): ?string
     {
         $format = strtolower(trim($format));
-        $validFormats = ['markdown', 'html', 'text'];
 
-        return in_array($format, $validFormats, true) ? $format : 'html';
+        if (!in_array($format, ConfigCache::FORMATS, true)) {
+            return 'html';
+        }
+
+        return in_array($format, $this->configCache->getAllowedFormats(), true) ? $format : null;
     }
 }
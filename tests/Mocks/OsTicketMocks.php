@@ -71,6 +71,7 @@ class PluginConfig {
         'allow_format_switch' => true,
         'show_preview' => true,
         'show_toolbar' => true,
+        'preview_position' => 'bottom',
     ];
 
     public function get($key) {
@@ -364,12 +365,21 @@ if (!class_exists('Signal', false)) {
  * Mock Ticket class
  */
 class Ticket {
+    /** @var array<int, Ticket> Tickets found by lookup() (id => ticket) */
+    public static $tickets = [];
+
     private $id;
     private $number;
+    private $variables;
 
-    public function __construct($id = 1, $number = 'ABC-123') {
+    public function __construct($id = 1, $number = 'ABC-123', $variables = []) {
         $this->id = $id;
         $this->number = $number;
+        $this->variables = $variables;
+    }
+
+    public static function lookup($id) {
+        return self::$tickets[$id] ?? null;
     }
 
     public function getId() {
@@ -379,9 +389,50 @@ class Ticket {
     public function getNumber() {
         return $this->number;
     }
+
+    public function getOwner() {
+        return null;
+    }
+
+    public function checkStaffPerm($staff) {
+        return true;
+    }
+
+    public function replaceVars($input, $vars = array()) {
+        return preg_replace_callback('/%\{([^}]+)\}/', function ($match) {
+            return $this->variables[$match[1]] ?? $match[0];
+        }, $input);
+    }
 }
 
 // Make Ticket available globally
 if (!class_exists('Ticket', false)) {
     class_alias(Ticket::class, 'Ticket');
 }
+
+/**
+ * Mock Canned response class
+ */
+class Canned {
+    /** @var array<int, string> Enabled responses (id => title) */
+    public static $responses = [];
+
+    /** @var array<int, int> Department of a response (id => dept id, 0 = all departments) */
+    public static $departments = [];
+
+    public static function getCannedResponses($deptId = 0, $explicit = false) {
+        if (!$deptId) {
+            return self::$responses;
+        }
+
+        return array_filter(self::$responses, function ($id) use ($deptId, $explicit) {
+            $dept = self::$departments[$id] ?? 0;
+            return $dept === (int) $deptId || (!$explicit && $dept === 0);
+        }, ARRAY_FILTER_USE_KEY);
+    }
+}
+
+// Make Canned available globally
+if (!class_exists('Canned', false)) {
+    class_alias(Canned::class, 'Canned');
+}
@@ -14,9 +14,11 @@ use PHPUnit\Framework\TestCase;
 final class AssetInjectorTest extends TestCase
 {
     private ConfigCache $configCache;
+    private string $scriptName;
 
     protected function setUp(): void
     {
+        $this->scriptName = $_SERVER['SCRIPT_NAME'] ?? '';
         ConfigCache::resetInstance();
         $this->configCache = ConfigCache::getInstance();
         $this->configCache->populate([
@@ -30,6 +32,11 @@ final class AssetInjectorTest extends TestCase
     protected function tearDown(): void
     {
         ConfigCache::resetInstance();
+        unset($GLOBALS['thisstaff'], $_GET['id']);
+        $_SERVER['SCRIPT_NAME'] = $this->scriptName;
+        \Canned::$responses = [];
+        \Canned::$departments = [];
+        \Ticket::$tickets = [];
     }
 
     /** @test */
@@ -144,4 +151,254 @@ final class AssetInjectorTest extends TestCase
         // No version parameter when version is empty
         $this->assertStringNotContainsString('?v=', $html);
     }
+
+    /** @test */
+    public function it_includes_preview_position(): void
+    {
+        $this->configCache->set('preview_position', 'tabs');
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"previewPosition":"tabs"', $html);
+    }
+
+    /** @test */
+    public function it_falls_back_to_bottom_for_unknown_preview_position(): void
+    {
+        $this->configCache->set('preview_position', 'diagonal');
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"previewPosition":"bottom"', $html);
+    }
+
+    /** @test */
+    public function it_allows_all_formats_by_default(): void
+    {
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"allowedFormats":["markdown","html","text"]', $html);
+    }
+
+    /** @test */
+    public function it_restricts_formats_from_multiselect_config(): void
+    {
+        $this->configCache->set('allowed_formats', '{"text":"Plain text","bogus":"Bogus"}');
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"allowedFormats":["text"]', $html);
+        // The default format is not allowed: the first allowed one is used
+        $this->assertStringContainsString('"defaultFormat":"text"', $html);
+    }
+
+    /** @test */
+    public function it_includes_agent_id_of_logged_in_staff(): void
+    {
+        $GLOBALS['thisstaff'] = new class {
+            public function getId(): int
+            {
+                return 42;
+            }
+        };
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"agentId":42', $html);
+    }
+
+    /** @test */
+    public function it_uses_zero_agent_id_without_staff_session(): void
+    {
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"agentId":0', $html);
+    }
+
+    /** @test */
+    public function it_injects_canned_responses_for_logged_in_staff(): void
+    {
+        $GLOBALS['thisstaff'] = new class {
+            public function getId(): int
+            {
+                return 1;
+            }
+
+            public function getDepts(): array
+            {
+                return [1];
+            }
+        };
+        \Canned::$responses = [3 => 'Password reset', 7 => '</script> tricky'];
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString(
+            '"cannedResponses":[{"id":3,"title":"Password reset"},{"id":7,"title":"\\u003C/script\\u003E tricky"}]',
+            $html
+        );
+    }
+
+    /** @test */
+    public function it_only_injects_canned_responses_of_the_agents_departments(): void
+    {
+        $GLOBALS['thisstaff'] = new class {
+            public function getId(): int
+            {
+                return 1;
+            }
+
+            public function getDepts(): array
+            {
+                return [2, 5];
+            }
+        };
+        \Canned::$responses = [1 => 'Welcome', 2 => 'Billing', 3 => 'Outage', 4 => 'HR only'];
+        \Canned::$departments = [1 => 0, 2 => 5, 3 => 2, 4 => 9];
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString(
+            '"cannedResponses":[{"id":2,"title":"Billing"},{"id":3,"title":"Outage"},{"id":1,"title":"Welcome"}]',
+            $html
+        );
+    }
+
+    /** @test */
+    public function it_sends_no_canned_responses_without_staff_session(): void
+    {
+        \Canned::$responses = [3 => 'Password reset'];
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"cannedResponses":[]', $html);
+    }
+
+    /** @test */
+    public function it_injects_variable_values_of_the_viewed_ticket(): void
+    {
+        $GLOBALS['thisstaff'] = new class {
+            public function getId(): int
+            {
+                return 1;
+            }
+        };
+        $_SERVER['SCRIPT_NAME'] = '/scp/tickets.php';
+        $_GET['id'] = '42';
+        \Ticket::$tickets[42] = new \Ticket(42, '100042', [
+            'ticket.number' => '100042',
+            'recipient.name.first' => 'Ana &amp; <b>Bo</b>',
+        ]);
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString(
+            '"ticketVariables":{"ticket.number":"100042","recipient.name.first":"Ana & Bo"}',
+            $html
+        );
+    }
+
+    /** @test */
+    public function it_sends_no_variable_values_outside_a_ticket(): void
+    {
+        $_SERVER['SCRIPT_NAME'] = '/scp/tickets.php';
+        $_GET['id'] = '42';
+        \Ticket::$tickets[42] = new \Ticket(42, '100042', ['ticket.number' => '100042']);
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"ticketVariables":{}', $html);
+    }
+
+    /** @test */
+    public function it_injects_translations_for_the_agent_locale(): void
+    {
+        $GLOBALS['thisstaff'] = new class {
+            public function getId(): int
+            {
+                return 1;
+            }
+
+            public function getLanguage(): string
+            {
+                return 'de_DE';
+            }
+        };
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"locale":"de-DE"', $html);
+        $this->assertStringContainsString('"Bold":"Fett"', $html);
+        // Plural entries keep the gettext NUL separator
+        $this->assertStringContainsString('"{count} row\\u0000{count} rows":"{count} Zeile\\u0000{count} Zeilen"', $html);
+        // Catalog headers are not sent
+        $this->assertStringNotContainsString('Plural-Forms', $html);
+    }
+
+    /** @test */
+    public function it_uses_the_regional_catalog_for_a_bare_language(): void
+    {
+        $GLOBALS['thisstaff'] = new class {
+            public function getLanguage(): string
+            {
+                return 'de';
+            }
+        };
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"locale":"de"', $html);
+        $this->assertStringContainsString('"Cancel":"Abbrechen"', $html);
+    }
+
+    /** @test */
+    public function it_sends_an_empty_catalog_without_translations(): void
+    {
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache);
+        $html = $injector->getAssetsHtml();
+
+        $this->assertStringContainsString('"locale":"en-US"', $html);
+        $this->assertStringContainsString('"translations":{}', $html);
+    }
+
+    /** @test */
+    public function it_escapes_translations_inside_the_script_tag(): void
+    {
+        $dir = sys_get_temp_dir() . '/markdown-i18n-' . uniqid();
+        mkdir($dir . '/xx_XX/LC_MESSAGES', 0777, true);
+        file_put_contents(
+            $dir . '/xx_XX/LC_MESSAGES/markdown-support.mo.php',
+            "<?php return ['Preview' => '</script><script>alert(1)</script>'];"
+        );
+        $GLOBALS['thisstaff'] = new class {
+            public function getLanguage(): string
+            {
+                return 'xx_XX';
+            }
+        };
+
+        $injector = new AssetInjector('/plugins/markdown-support', $this->configCache, $dir);
+        $html = $injector->getAssetsHtml();
+
+        unlink($dir . '/xx_XX/LC_MESSAGES/markdown-support.mo.php');
+        rmdir($dir . '/xx_XX/LC_MESSAGES');
+        rmdir($dir . '/xx_XX');
+        rmdir($dir);
+
+        $this->assertStringNotContainsString('</script><script>', $html);
+        $this->assertStringContainsString('\\u003C/script\\u003E', $html);
+    }
 }
@@ -127,4 +127,30 @@ final class ConfigCacheTest extends TestCase
         $this->assertNotSame($instance1, $instance2);
         $this->assertNull($instance2->get('marker'));
     }
+
+    /** @test */
+    public function it_allows_all_formats_by_default(): void
+    {
+        $cache = ConfigCache::getInstance();
+
+        $this->assertSame(['markdown', 'html', 'text'], $cache->getAllowedFormats());
+
+        $cache->set('allowed_formats', ['bogus']);
+        $this->assertSame(['markdown', 'html', 'text'], $cache->getAllowedFormats());
+    }
+
+    /** @test */
+    public function it_reads_allowed_formats_in_switcher_order(): void
+    {
+        $cache = ConfigCache::getInstance();
+
+        $cache->set('allowed_formats', '{"text":"Plain text","markdown":"Markdown"}');
+        $this->assertSame(['markdown', 'text'], $cache->getAllowedFormats());
+
+        $cache->set('allowed_formats', ['html', ' Text ']);
+        $this->assertSame(['html', 'text'], $cache->getAllowedFormats());
+
+        $cache->set('allowed_formats', 'text,html');
+        $this->assertSame(['html', 'text'], $cache->getAllowedFormats());
+    }
 }
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace MarkdownSupport\Tests\Unit\Http;
 
+use MarkdownSupport\Config\ConfigCache;
 use MarkdownSupport\Http\MarkdownPostProcessor;
 use PHPUnit\Framework\TestCase;
 
@@ -31,6 +32,20 @@ final class MarkdownPostProcessorTest extends TestCase
     {
         $_POST = $this->originalPost;
         $_SERVER = $this->originalServer;
+        ConfigCache::resetInstance();
+    }
+
+    /**
+     * Processor with only the given formats allowed
+     *
+     * @param string[] $formats
+     */
+    private function processorAllowing(array $formats): MarkdownPostProcessor
+    {
+        ConfigCache::resetInstance();
+        ConfigCache::getInstance()->populate(['allowed_formats' => $formats]);
+
+        return new MarkdownPostProcessor(ConfigCache::getInstance());
     }
 
     public function testSkipsNonPostRequests(): void
@@ -215,4 +230,79 @@ final class MarkdownPostProcessorTest extends TestCase
         self::assertStringContainsString('<strong>response</strong>', $_POST['response']);
         self::assertStringContainsString('<em>note</em>', $_POST['note']);
     }
+
+    public function testAllowedFormatIsProcessedAsUsual(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST['format'] = 'markdown';
+        $_POST['response'] = '**bold**';
+
+        $processor = $this->processorAllowing(['markdown', 'html']);
+        $processor->preProcess();
+
+        self::assertTrue($processor->wasProcessed());
+        self::assertSame('html', $_POST['format']);
+    }
+
+    public function testMarkdownThatIsNotAllowedIsSavedAsHtml(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST['format'] = 'markdown';
+        $_POST['response'] = '**bold**';
+
+        $processor = $this->processorAllowing(['html', 'text']);
+        $processor->preProcess();
+
+        self::assertFalse($processor->wasProcessed());
+        self::assertSame('html', $_POST['format']);
+        self::assertStringContainsString('<strong>bold</strong>', $_POST['response']);
+    }
+
+    public function testMarkdownFallsBackToTextWithoutHtml(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST['format'] = 'markdown';
+        $_POST['response'] = '**bold**';
+
+        $this->processorAllowing(['text'])->preProcess();
+
+        self::assertSame('text', $_POST['format']);
+        self::assertSame('**bold**', $_POST['response']);
+    }
+
+    public function testHtmlThatIsNotAllowedIsReducedToText(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST['format'] = 'html';
+        $_POST['note'] = '<p>Hello <b>there</b></p>';
+
+        $this->processorAllowing(['markdown'])->preProcess();
+
+        self::assertSame('markdown', $_POST['format']);
+        self::assertSame('Hello there', $_POST['note']);
+    }
+
+    public function testTextThatIsNotAllowedKeepsLineBreaksInHtml(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST['format'] = 'text';
+        $_POST['response'] = "a <b>\nnext";
+
+        $this->processorAllowing(['html'])->preProcess();
+
+        self::assertSame('html', $_POST['format']);
+        self::assertSame("a &lt;b&gt;<br>\nnext", $_POST['response']);
+    }
+
+    public function testUnknownFormatIsLeftToOsTicket(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST['format'] = 'rtf';
+        $_POST['response'] = 'text';
+
+        $this->processorAllowing(['markdown'])->preProcess();
+
+        self::assertSame('rtf', $_POST['format']);
+        self::assertSame('text', $_POST['response']);
+    }
 }
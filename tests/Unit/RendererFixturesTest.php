@@ -0,0 +1,47 @@
+<?php
+
+namespace MarkdownSupport\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use Parsedown;
+
+/**
+ * Shared Renderer Fixture Tests
+ *
+ * Renders tests/fixtures/markdown/*.md with Parsedown (SafeMode, as used by
+ * markdown-body.php and markdown-preview.php) and compares the output with
+ * the expected HTML. The client-side preview renderer is tested against the
+ * same fixtures (tests/js/markdown-renderer.test.js), so both stay in sync.
+ *
+ * @group unit
+ * @group markdown
+ */
+class RendererFixturesTest extends TestCase
+{
+    /**
+     * @dataProvider fixtureProvider
+     */
+    public function testFixtureMatchesParsedownOutput(string $markdownFile, string $htmlFile): void
+    {
+        $parsedown = new Parsedown();
+        $parsedown->setSafeMode(true);
+
+        $html = $parsedown->text(file_get_contents($markdownFile));
+
+        $this->assertSame(rtrim(file_get_contents($htmlFile), "\n"), $html);
+    }
+
+    public function fixtureProvider(): array
+    {
+        $cases = [];
+
+        foreach (glob(__DIR__ . '/../fixtures/markdown/*.md') as $markdownFile) {
+            $cases[basename($markdownFile)] = [
+                $markdownFile,
+                substr($markdownFile, 0, -3) . '.html',
+            ];
+        }
+
+        return $cases;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Canned response search tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzyMatch, searchCannedResponses } from '../../js/src/canned-picker.js';
+
+const responses = [
+    { id: '1', title: 'Welcome', text: 'Thanks for contacting the support team.' },
+    { id: '2', title: 'Password reset', text: 'Open the login page and click "Forgot password".' },
+    { id: '3', title: 'Reset 2FA', text: 'We have disabled two-factor authentication.' },
+    { id: '4', title: 'Closing ticket' }
+];
+
+const ids = (results) => results.map(result => result.item.id);
+
+test('fuzzyMatch finds characters in order and marks them', () => {
+    assert.deepEqual(fuzzyMatch('pwr', 'Password reset').indices, [0, 4, 9]);
+    assert.equal(fuzzyMatch('rp', 'Password reset'), null);
+    assert.deepEqual(fuzzyMatch('', 'Welcome'), { score: 0, indices: [] });
+});
+
+test('fuzzyMatch ignores case and accents and prefers word starts', () => {
+    assert.deepEqual(fuzzyMatch('ecole', 'École fermée').indices, [0, 1, 2, 3, 4]);
+    assert.deepEqual(fuzzyMatch('set', 'Reset settings').indices, [6, 7, 8]);
+    assert.ok(fuzzyMatch('res', 'Reset').score > fuzzyMatch('res', 'Password reset').score);
+    assert.ok(fuzzyMatch('reset', 'Reset').score > fuzzyMatch('rst', 'Reset').score);
+});
+
+test('searchCannedResponses keeps the list order for an empty query', () => {
+    assert.deepEqual(ids(searchCannedResponses(responses, '  ')), ['1', '2', '3', '4']);
+});
+
+test('searchCannedResponses ranks title matches above text matches', () => {
+    assert.deepEqual(ids(searchCannedResponses(responses, 'reset')), ['3', '2']);
+    assert.deepEqual(ids(searchCannedResponses(responses, 'password')), ['2']);
+    assert.deepEqual(ids(searchCannedResponses(responses, 'support')), ['1']);
+});
+
+test('searchCannedResponses needs every word to match', () => {
+    assert.deepEqual(ids(searchCannedResponses(responses, 'reset login')), ['2']);
+    assert.deepEqual(ids(searchCannedResponses(responses, 'closing xyz')), []);
+});
@@ -0,0 +1,68 @@
+/**
+ * Editor event and instance registry tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { on, off, emit } from '../../js/src/events.js';
+import { instances, addInstance, removeInstance } from '../../js/src/instances.js';
+
+globalThis.document = new JSDOM('<textarea id="response"></textarea><textarea id="note"></textarea>').window.document;
+
+test('handlers can change event data and cancel the default action', () => {
+    const editor = {};
+    on(editor, 'beforeRender', (event) => {
+        event.markdown = event.markdown.replace('%{name}', 'Ada');
+    });
+    on(editor, 'beforeRender', (event) => {
+        if (event.markdown.includes('skip')) event.preventDefault();
+    });
+
+    const event = emit(editor, 'beforeRender', { markdown: 'Hi %{name}' });
+    assert.equal(event.markdown, 'Hi Ada');
+    assert.equal(event.type, 'beforeRender');
+    assert.equal(event.editor, editor);
+    assert.equal(event.defaultPrevented, false);
+    assert.equal(emit(editor, 'beforeRender', { markdown: 'skip' }).defaultPrevented, true);
+});
+
+test('a failing handler does not stop the others, off() removes handlers', () => {
+    const editor = {};
+    const calls = [];
+    const second = () => calls.push('second');
+    on(editor, 'uploadDone', () => { throw new Error('broken'); });
+    on(editor, 'uploadDone', second);
+
+    emit(editor, 'uploadDone', {});
+    assert.deepEqual(calls, ['second']);
+
+    off(editor, 'uploadDone', second);
+    emit(editor, 'uploadDone', {});
+    assert.deepEqual(calls, ['second']);
+
+    off(editor, 'uploadDone');
+    assert.deepEqual(editor.listeners.uploadDone, []);
+});
+
+test('unknown events and non-function handlers are rejected', () => {
+    assert.throws(() => on({}, 'rendered', () => {}), TypeError);
+    assert.throws(() => on({}, 'init', null), TypeError);
+});
+
+test('instances finds the editor of a textarea by element, jQuery-like object or selector', () => {
+    const textarea = document.getElementById('response');
+    const editor = { textarea: { 0: textarea, jquery: '3' } };
+    addInstance(editor);
+
+    assert.equal(instances.get(textarea), editor);
+    assert.equal(instances.get('#response'), editor);
+    assert.equal(instances.get(editor.textarea), editor);
+    assert.equal(instances.get('#note'), null);
+    assert.equal(instances.size, 1);
+    assert.deepEqual([...instances], [editor]);
+
+    removeInstance(editor);
+    assert.equal(instances.get(textarea), null);
+    assert.equal(instances.size, 0);
+});
@@ -0,0 +1,88 @@
+/**
+ * Format switch conversion tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { convertContent, contentLines, diffLines } from '../../js/src/format-conversion.js';
+import { findLostFormatting } from '../../js/src/html-to-markdown.js';
+import { renderMarkdown } from '../../js/src/markdown-renderer.js';
+
+const window = new JSDOM('').window;
+globalThis.document = window.document;
+globalThis.window = window;
+
+test('contentLines lists the visible text per block', () => {
+    const html = '<h1>Title</h1><p>One<br>two <a href="https://x.test">link</a></p>' +
+        '<ul><li>item <img src="/img/shot.png"></li></ul><table><tr><td>a</td><td>b</td></tr></table><pre>x\n  y</pre>';
+    assert.deepEqual(contentLines(html), [
+        'Title', 'One', 'two link <https://x.test>', '- item [Image: shot.png]', 'a | b', 'x', 'y'
+    ]);
+});
+
+test('diffLines marks removed and added lines', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd']), [
+        { type: 'same', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'same', text: 'c' },
+        { type: 'added', text: 'x' },
+        { type: 'same', text: 'd' }
+    ]);
+    assert.deepEqual(diffLines([], ['new']), [{ type: 'added', text: 'new' }]);
+});
+
+test('findLostFormatting reports formatting Markdown cannot express', () => {
+    assert.deepEqual(findLostFormatting('<p><b>bold</b> <a href="https://x.test">link</a></p>'), []);
+    assert.deepEqual(findLostFormatting(
+        '<p style="text-align: center"><u>under</u> <span style="color: red">red</span> x<sup>2</sup></p>' +
+        '<table><tr><td colspan="2" style="text-align: right">merged</td></tr></table>'
+    ), ['underline', 'color', 'alignment', 'script', 'table']);
+});
+
+test('converts HTML to Markdown without loss', async () => {
+    const result = await convertContent('<p>Hello <strong>World</strong></p><ul><li>one</li><li>two</li></ul>', 'html', 'markdown');
+    assert.equal(result.value, 'Hello **World**\n\n- one\n- two');
+    assert.equal(result.lossy, false);
+});
+
+test('reports lossy HTML to Markdown conversions', async () => {
+    const result = await convertContent('<p><u>Note</u>: see <img src="data:image/png;base64,AA" alt="chart"></p>', 'html', 'markdown');
+    assert.equal(result.value, 'Note: see');
+    assert.equal(result.lossy, true);
+    assert.deepEqual(result.lost, ['underline']);
+    assert.deepEqual(result.diff, [
+        { type: 'removed', text: 'Note: see [Image: chart]' },
+        { type: 'added', text: 'Note: see' }
+    ]);
+});
+
+test('converts Markdown to sanitized HTML', async () => {
+    const result = await convertContent('# Title\n\n**bold** [x](https://x.test)', 'markdown', 'html');
+    assert.equal(result.value, '<h1>Title</h1>\n<p><strong>bold</strong> <a href="https://x.test">x</a></p>');
+    assert.equal(result.lossy, false);
+});
+
+test('empty content converts to empty content', async () => {
+    assert.deepEqual(await convertContent('  ', 'markdown', 'html'), { value: '', lossy: false, lost: [], diff: [] });
+});
+
+test('strips Markdown when converting to plain text', async () => {
+    const result = await convertContent('# Title\n\n- **one**\n- [two](https://x.test)\n\nHi %{recipient.name}', 'markdown', 'text');
+    assert.equal(result.value, 'Title\n\n- one\n- two <https://x.test>\n\nHi %{recipient.name}');
+    assert.equal(result.lossy, true);
+    assert.deepEqual(result.lost, ['emphasis', 'headings']);
+    assert.equal(result.diff.every(line => line.type === 'same'), true);
+});
+
+test('converts plain text to Markdown and HTML without loss', async () => {
+    const text = '* not a list\nline two\n\n<b>literal</b>';
+
+    const markdown = await convertContent(text, 'text', 'markdown');
+    assert.equal(markdown.lossy, false);
+    assert.deepEqual(contentLines(renderMarkdown(markdown.value)), ['* not a list', 'line two', '<b>literal</b>']);
+
+    const html = await convertContent(text, 'text', 'html');
+    assert.equal(html.value, '<p>* not a list<br>line two</p>\n<p>&lt;b&gt;literal&lt;/b&gt;</p>');
+    assert.equal(html.lossy, false);
+});
@@ -0,0 +1,38 @@
+/**
+ * Caret context (toolbar pressed state) tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isFormatActive } from '../../js/src/format-state.js';
+
+/**
+ * Active formats at the | in a value
+ */
+function activeAt(marked) {
+    const caret = marked.indexOf('|');
+    const value = marked.replace('|', '');
+    return ['bold', 'italic', 'code', 'heading', 'ul', 'ol', 'quote', 'codeblock', 'link', 'table']
+        .filter(format => isFormatActive(value, caret, caret, format));
+}
+
+test('inline formats are active inside their markers only', () => {
+    assert.deepEqual(activeAt('a **b|old** c'), ['bold']);
+    assert.deepEqual(activeAt('a *it|alic* c'), ['italic']);
+    assert.deepEqual(activeAt('***bo|th***'), ['bold', 'italic']);
+    assert.deepEqual(activeAt('run `co|de`'), ['code']);
+    assert.deepEqual(activeAt('plain| text **bold**'), []);
+    assert.deepEqual(activeAt('see [do|cs](https://x.test)'), ['link']);
+});
+
+test('block formats follow the caret line', () => {
+    assert.deepEqual(activeAt('## Ti|tle'), ['heading']);
+    assert.deepEqual(activeAt('- it|em'), ['ul']);
+    assert.deepEqual(activeAt('1. it|em'), ['ol']);
+    assert.deepEqual(activeAt('> - quo|ted item'), ['ul', 'quote']);
+    assert.deepEqual(activeAt('| a | b |\n| --- | --- |\n| 1 | |2 |'), ['table']);
+});
+
+test('inside a code block only the code block is active', () => {
+    assert.deepEqual(activeAt('```\n# **no|t bold**\n```'), ['codeblock']);
+});
@@ -0,0 +1,73 @@
+/**
+ * Format switch tests: the editor set up again after switching formats
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { File } from 'node:buffer';
+import { setupDom } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+let $;
+let editor;
+let uploads;
+
+beforeEach(() => {
+    ({ $ } = setupDom('<form><table><tr><td>' +
+        '<textarea name="response" id="response" data-draft-namespace="ticket.response"></textarea>' +
+        '</td></tr></table></form>'));
+
+    uploads = [];
+    editor = new MarkdownEditor($('#response')[0]);
+    editor.on('uploadStart', (event) => {
+        uploads.push(event.file.name);
+        event.preventDefault();
+    });
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * Paste clipboard data into the textarea
+ *
+ * @param {object} data - Clipboard data by type
+ * @param {string[]} [images] - Names of pasted image files
+ * @returns {Event}
+ */
+function paste(data, images = []) {
+    const event = new window.Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = {
+        getData: type => data[type] || '',
+        items: images.map(name => ({
+            type: 'image/png',
+            getAsFile: () => new File(['png'], name, { type: 'image/png' })
+        }))
+    };
+    editor.textarea[0].dispatchEvent(event);
+    return event;
+}
+
+test('a spreadsheet range pasted after a format switch becomes a table, not an image', () => {
+    editor.applyFormat('html', '');
+    editor.applyFormat('markdown', '');
+
+    // Spreadsheets put the range as text, HTML and a picture on the clipboard
+    const event = paste({
+        'text/plain': 'Name\tQty\nTea\t2',
+        'text/html': '<table><tr><td>Name</td><td>Qty</td></tr><tr><td>Tea</td><td>2</td></tr></table>'
+    }, ['range.png']);
+
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(editor.textarea.val(), '| Name | Qty |\n| ---- | --- |\n| Tea  | 2   |\n');
+    assert.deepEqual(uploads, []);
+});
+
+test('a pasted image is still uploaded after a format switch', () => {
+    editor.applyFormat('text', '');
+    editor.applyFormat('markdown', '');
+
+    paste({}, ['shot.png']);
+    assert.deepEqual(uploads, ['shot.png']);
+});
@@ -0,0 +1,118 @@
+/**
+ * Toggle-aware formatting tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toggleInline, toggleList, toggleBlockquote, cycleHeading, setHeadingLevel,
+    findFencedBlock, removeFences, getFenceLanguage, setFenceLanguage
+} from '../../js/src/formatting.js';
+
+/**
+ * Parse "a [sel] b" or "a | b" into value and selection
+ */
+function parse(text) {
+    if (text.includes('|')) {
+        const caret = text.indexOf('|');
+        return [text.replace('|', ''), caret, caret];
+    }
+    const start = text.indexOf('[');
+    const end = text.indexOf(']') - 1;
+    return [text.replace('[', '').replace(']', ''), start, end];
+}
+
+/**
+ * Format a result the same way
+ */
+function show(result) {
+    const { value, selectionStart: start, selectionEnd: end } = result;
+    if (start === end) {
+        return value.substring(0, start) + '|' + value.substring(start);
+    }
+    return value.substring(0, start) + '[' + value.substring(start, end) + ']' + value.substring(end);
+}
+
+function inline(text, marker, placeholder = '') {
+    return show(toggleInline(...parse(text), marker, marker, placeholder));
+}
+
+function list(text, type) {
+    return show(toggleList(...parse(text), type, 'List Item'));
+}
+
+test('bold wraps, and unwraps when the selection is inside or covers the markers', () => {
+    assert.equal(inline('a [bold] b', '**'), 'a **[bold]** b');
+    assert.equal(inline('a **[bold]** b', '**'), 'a [bold] b');
+    assert.equal(inline('a [**bold**] b', '**'), 'a [bold] b');
+    assert.equal(inline('a **bo|ld** b', '**'), 'a bo|ld b');
+    assert.equal(inline('x|', '**', 'bold text'), 'x**[bold text]**');
+});
+
+test('italic and bold are told apart', () => {
+    assert.equal(inline('a **[bold]** b', '*'), 'a ***[bold]*** b');
+    assert.equal(inline('a ***[both]*** b', '*'), 'a **[both]** b');
+    assert.equal(inline('a ***[both]*** b', '**'), 'a *[both]* b');
+    assert.equal(inline('*a* [b] *c*', '*'), '*a* *[b]* *c*');
+});
+
+test('inline code toggles', () => {
+    assert.equal(inline('use `[x]` now', '`'), 'use [x] now');
+    assert.equal(inline('use [x] now', '`'), 'use `[x]` now');
+});
+
+test('multi-line selections are formatted line by line', () => {
+    assert.equal(inline('[- one\n\n- two]', '**'), '[- **one**\n\n- **two**]');
+    assert.equal(inline('[- **one**\n- **two**]', '**'), '[- one\n- two]');
+    // Partly formatted lines are completed first
+    assert.equal(inline('[**a**\nb]', '**'), '[**a**\n**b**]');
+});
+
+test('lists are added, removed and converted instead of nested', () => {
+    assert.equal(list('[a\nb\n\nc]', 'ul'), '[- a\n- b\n\n- c]');
+    assert.equal(list('[- a\n- b]', 'ul'), '[a\nb]');
+    assert.equal(list('[1. a\n2. b]', 'ul'), '[- a\n- b]');
+    assert.equal(list('[- a\n  - b\n- [ ] c]', 'ol'), '[1. a\n  1. b\n2. [ ] c]');
+    assert.equal(list('[> a\n> b]', 'ul'), '[> - a\n> - b]');
+});
+
+test('list toggles the caret line, or inserts an item on an empty line', () => {
+    assert.equal(list('he|llo', 'ul'), '- he|llo');
+    assert.equal(list('- he|llo', 'ul'), 'he|llo');
+    assert.equal(list('x\n|', 'ol'), 'x\n1. [List Item]');
+});
+
+test('blockquote toggles one level', () => {
+    assert.equal(show(toggleBlockquote(...parse('[a\n\nb]'))), '[> a\n>\n> b]');
+    assert.equal(show(toggleBlockquote(...parse('[> a\n>\n> > b]'))), '[a\n\n> b]');
+    assert.equal(show(toggleBlockquote(...parse('|'), 'Quote')), '> [Quote]');
+});
+
+test('heading cycles H1-H6 and then clears', () => {
+    assert.equal(show(cycleHeading(...parse('Ti|tle'))), '# Ti|tle');
+    assert.equal(show(cycleHeading(...parse('## Ti|tle'))), '### Ti|tle');
+    assert.equal(show(cycleHeading(...parse('###### Ti|tle'))), 'Ti|tle');
+    assert.equal(show(cycleHeading(...parse('#hashtag|'))), '# #hashtag|');
+    assert.equal(show(setHeadingLevel(...parse('[### a\nb]'), 2)), '[## a\n## b]');
+});
+
+test('code block fences are found and removed', () => {
+    const [value, start, end] = parse('a\n```js\nco|de\n```\nb');
+    const block = findFencedBlock(value, start);
+    assert.ok(block);
+    assert.equal(show(removeFences(value, start, end, block)), 'a\nco|de\nb');
+
+    assert.equal(findFencedBlock('a\n```\nx\n```\nb', 0), null);
+    assert.equal(findFencedBlock('a\n```\nx\n```\nb', 13), null);
+});
+
+test('the language of a code block can be read and changed', () => {
+    const value = 'a\n```js\ncode\n```\nb';
+    const block = findFencedBlock(value, 10);
+    assert.equal(getFenceLanguage(value, block), 'js');
+
+    const result = setFenceLanguage(value, 10, 10, block, 'python');
+    assert.equal(result.value, 'a\n```python\ncode\n```\nb');
+    assert.equal(result.value.substring(result.selectionStart), 'de\n```\nb');
+    assert.equal(setFenceLanguage(value, 10, 10, block, '').value, 'a\n```\ncode\n```\nb');
+});
@@ -0,0 +1,101 @@
+/**
+ * Fullscreen layout preference and keyboard tests
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm, keydown } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+import { loadLayoutPrefs, saveLayoutPrefs, clampSplit } from '../../js/src/fullscreen.js';
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        keys: () => Array.from(items.keys())
+    };
+}
+
+beforeEach(() => {
+    globalThis.window = { localStorage: createStorage() };
+});
+
+test('defaults to side layout with an even split', () => {
+    assert.deepEqual(loadLayoutPrefs(), { layout: 'side', split: 50 });
+});
+
+test('merges saved layout and split', () => {
+    saveLayoutPrefs({ layout: 'bottom' });
+    saveLayoutPrefs({ split: 30 });
+
+    assert.deepEqual(loadLayoutPrefs(), { layout: 'bottom', split: 30 });
+});
+
+test('stores preferences per agent', () => {
+    window.osTicketMarkdownConfig = { agentId: 7 };
+    saveLayoutPrefs({ layout: 'editor' });
+
+    assert.deepEqual(window.localStorage.keys(), ['osticket-markdown-layout:7']);
+
+    window.osTicketMarkdownConfig = { agentId: 8 };
+    assert.equal(loadLayoutPrefs().layout, 'side');
+});
+
+test('ignores unknown layouts and corrupt entries', () => {
+    window.localStorage.setItem('osticket-markdown-layout', '{"layout":"diagonal","split":99}');
+    assert.deepEqual(loadLayoutPrefs(), { layout: 'side', split: 85 });
+
+    window.localStorage.setItem('osticket-markdown-layout', '{not json');
+    assert.deepEqual(loadLayoutPrefs(), { layout: 'side', split: 50 });
+});
+
+test('falls back to defaults when storage is unavailable', () => {
+    globalThis.window = {
+        get localStorage() {
+            throw new Error('SecurityError');
+        }
+    };
+
+    assert.deepEqual(loadLayoutPrefs(), { layout: 'side', split: 50 });
+    assert.doesNotThrow(() => saveLayoutPrefs({ layout: 'bottom' }));
+});
+
+test('clamps the split ratio', () => {
+    assert.equal(clampSplit(5), 15);
+    assert.equal(clampSplit(95), 85);
+    assert.equal(clampSplit(40), 40);
+    assert.equal(clampSplit(NaN), 50);
+});
+
+test('the first Escape in the textarea arms the Tab escape, the second leaves fullscreen', () => {
+    const { $ } = setupDom(replyForm('text'));
+    const editor = new MarkdownEditor($('#response')[0]);
+    const textarea = editor.textarea[0];
+    editor.enterFullscreen();
+
+    assert.equal(keydown(textarea, 'Escape').defaultPrevented, true);
+    assert.equal(editor.isFullscreen, true);
+
+    // Tab right after Escape is left to the browser
+    assert.equal(keydown(textarea, 'Tab').defaultPrevented, false);
+    assert.equal(editor.isFullscreen, true);
+
+    keydown(textarea, 'Escape');
+    keydown(textarea, 'Escape');
+    assert.equal(editor.isFullscreen, false);
+
+    editor.destroy();
+});
+
+test('Escape outside the textarea leaves fullscreen at once', () => {
+    const { $ } = setupDom(replyForm('text'));
+    const editor = new MarkdownEditor($('#response')[0]);
+    editor.enterFullscreen();
+
+    keydown(document.body, 'Escape');
+    assert.equal(editor.isFullscreen, false);
+    assert.equal($('body').hasClass('markdown-fullscreen-active'), false);
+
+    editor.destroy();
+});
@@ -0,0 +1,98 @@
+/**
+ * Heading menu tests
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm, keydown, fakeLayout } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+let $;
+let editor;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm('## Title\ntext')));
+    fakeLayout();
+    editor = new MarkdownEditor($('#response')[0], { toolbarButtons: ['heading'] });
+    editor.textarea[0].setSelectionRange(4, 4);
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * Open the menu from the toolbar button
+ *
+ * @returns {jQuery} The menu
+ */
+function openMenu() {
+    editor.toolbar.find('[data-action="heading"]').trigger('click');
+    return editor.toolbar.find('.markdown-heading-menu');
+}
+
+/**
+ * @returns {string} Level of the focused menu item
+ */
+function focusedLevel() {
+    return $(document.activeElement).attr('data-level');
+}
+
+test('the menu checks and focuses the current level', () => {
+    const $menu = openMenu();
+
+    assert.equal($menu.attr('role'), 'menu');
+    assert.equal($menu.find('[role="menuitemradio"]').length, 7);
+    assert.deepEqual($menu.find('[aria-checked="true"]').map((i, el) => $(el).text()).get(), ['Heading 2']);
+    assert.equal(focusedLevel(), '2');
+    assert.equal(editor.toolbar.find('[data-action="heading"]').attr('aria-expanded'), 'true');
+});
+
+test('arrow keys, Home and End move through the levels', () => {
+    openMenu();
+
+    keydown(document.activeElement, 'ArrowDown');
+    assert.equal(focusedLevel(), '3');
+    keydown(document.activeElement, 'ArrowUp');
+    keydown(document.activeElement, 'ArrowUp');
+    assert.equal(focusedLevel(), '1');
+
+    keydown(document.activeElement, 'End');
+    assert.equal(focusedLevel(), '6');
+    keydown(document.activeElement, 'ArrowDown');
+    assert.equal(focusedLevel(), '0');
+    keydown(document.activeElement, 'ArrowUp');
+    keydown(document.activeElement, 'Home');
+    assert.equal(focusedLevel(), '0');
+});
+
+test('choosing a level changes the heading and returns to the text', () => {
+    openMenu();
+    keydown(document.activeElement, 'ArrowDown');
+    document.activeElement.click();
+
+    assert.equal(editor.textarea.val(), '### Title\ntext');
+    assert.equal(editor.toolbar.find('.markdown-heading-menu').length, 0);
+    assert.equal(editor.toolbar.find('[data-action="heading"]').attr('aria-expanded'), 'false');
+    assert.equal(document.activeElement, editor.textarea[0]);
+});
+
+test('normal text removes the heading', () => {
+    openMenu();
+    keydown(document.activeElement, 'Home');
+    document.activeElement.click();
+
+    assert.equal(editor.textarea.val(), 'Title\ntext');
+});
+
+test('Escape and Tab close the menu without a change', () => {
+    openMenu();
+    keydown(document.activeElement, 'Escape');
+    assert.equal(editor.toolbar.find('.markdown-heading-menu').length, 0);
+    assert.equal(document.activeElement, editor.textarea[0]);
+
+    openMenu();
+    assert.equal(keydown(document.activeElement, 'Tab').defaultPrevented, true);
+    assert.equal(editor.toolbar.find('.markdown-heading-menu').length, 0);
+    assert.equal(editor.textarea.val(), '## Title\ntext');
+});
@@ -0,0 +1,86 @@
+/**
+ * Browser environment for editor tests
+ *
+ * Builds a jsdom window with jQuery (osTicket provides jQuery on the real
+ * page) and exposes the globals the editor modules use.
+ */
+
+import { JSDOM } from 'jsdom';
+import jQueryFactory from 'jquery';
+import { init as initGlobals } from '../../../js/src/globals.js';
+
+/**
+ * Create a fresh window and make it the global one
+ *
+ * @param {string} [body] - Initial body markup
+ * @returns {{window: Window, document: Document, $: function}}
+ */
+export function setupDom(body = '') {
+    const { window } = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, {
+        pretendToBeVisual: true
+    });
+
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.Node = window.Node;
+    globalThis.MutationObserver = window.MutationObserver;
+    globalThis.requestAnimationFrame = window.requestAnimationFrame.bind(window);
+    globalThis.cancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+    window.osTicketMarkdownConfig = {};
+
+    const $ = jQueryFactory(window);
+    initGlobals($, false);
+    return { window, document: window.document, $ };
+}
+
+/**
+ * Reply form markup as osTicket renders it
+ *
+ * @param {string} [value] - Textarea content
+ * @returns {string}
+ */
+export function replyForm(value = '') {
+    return '<form><table><tr><td>' +
+        `<textarea name="response" id="response">${value}</textarea>` +
+        '</td></tr></table></form>';
+}
+
+/**
+ * Dispatch a keydown event
+ *
+ * @param {Element} element
+ * @param {string} key
+ * @param {object} [init] - Further KeyboardEvent properties
+ * @returns {KeyboardEvent}
+ */
+export function keydown(element, key, init = {}) {
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, init));
+    element.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * Give elements a box (jsdom does no layout)
+ *
+ * Hidden elements - hidden attribute, display: none, a class the plugin
+ * stylesheet hides, or inside such an element - get an empty box, all
+ * others the one `box` returns. jQuery's :visible works on these sizes.
+ *
+ * @param {function} [box] - element => {width, height, top}
+ */
+export function fakeLayout(box = () => ({ width: 20, height: 20, top: 0 })) {
+    const hidden = element => !element.isConnected ||
+        !!element.closest('[hidden], .markdown-toolbar .is-overflow, [style*="display: none"]');
+    const measure = element => (hidden(element) ? { width: 0, height: 0, top: 0 } : box(element));
+    const proto = window.HTMLElement.prototype;
+
+    Object.defineProperties(proto, {
+        offsetWidth: { configurable: true, get() { return measure(this).width; } },
+        offsetHeight: { configurable: true, get() { return measure(this).height; } },
+        offsetTop: { configurable: true, get() { return measure(this).top; } }
+    });
+    proto.getClientRects = function () {
+        const { width, height } = measure(this);
+        return width || height ? [{ width, height }] : [];
+    };
+}
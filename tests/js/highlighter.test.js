@@ -0,0 +1,143 @@
+/**
+ * Code block syntax highlighting tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { highlightCode, highlightCodeBlocks } from '../../js/src/highlighter.js';
+import { sanitizeToFragment } from '../../js/src/sanitizer.js';
+import { renderMarkdown } from '../../js/src/markdown-renderer.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+/**
+ * Collect [type, text] pairs of all tokens (nested tokens flattened)
+ */
+function tokensOf(code, language) {
+    const pairs = [];
+    const walk = tokens => tokens.forEach(token => {
+        if (typeof token === 'string') return;
+        if (typeof token.content === 'string') {
+            pairs.push([token.type, token.content]);
+        } else {
+            pairs.push([token.type, null]);
+            walk(token.content);
+        }
+    });
+    walk(highlightCode(code, language));
+    return pairs;
+}
+
+function highlightHtml(markdown) {
+    const fragment = sanitizeToFragment(renderMarkdown(markdown));
+    highlightCodeBlocks(fragment);
+    const container = document.createElement('div');
+    container.appendChild(fragment);
+    return container.innerHTML;
+}
+
+test('tokens always add up to the original code', () => {
+    const samples = {
+        bash: 'if [ -f "$FILE" ]; then\n  echo "ok" # done\nfi',
+        json: '{"a": [1, -2.5, true, null, "x"]}',
+        yaml: 'app:\n  - name: web\n    port: 8080 # http',
+        sql: "SELECT * FROM t WHERE a = 'x' -- c",
+        php: '<?php echo "Hi $name"; // c',
+        js: 'const x = `a ${b}`; /* c */',
+        python: 'def f():\n    return None  # c',
+        xml: '<a href="x">y &amp; z</a><!-- c -->',
+        ini: '[db]\nhost = localhost ; c',
+        diff: '--- a\n+++ b\n@@ -1 +1 @@\n-x\n+y'
+    };
+
+    const flatten = tokens => tokens.map(token => {
+        if (typeof token === 'string') return token;
+        return typeof token.content === 'string' ? token.content : flatten(token.content);
+    }).join('');
+
+    Object.keys(samples).forEach(language => {
+        assert.equal(flatten(highlightCode(samples[language], language)), samples[language], language);
+    });
+});
+
+test('bash: comments, strings with variables, keywords', () => {
+    assert.deepEqual(tokensOf('echo "hi $USER" # x', 'bash'), [
+        ['builtin', 'echo'],
+        ['string', null],
+        ['variable', '$USER'],
+        ['comment', '# x']
+    ]);
+    assert.deepEqual(tokensOf('for f in *; do rm $f; done', 'sh').map(t => t[0]),
+        ['keyword', 'keyword', 'keyword', 'builtin', 'variable', 'keyword']);
+});
+
+test('json: keys are distinguished from string values', () => {
+    assert.deepEqual(tokensOf('{"id": "7", "ok": true}', 'json'), [
+        ['key', '"id"'],
+        ['string', '"7"'],
+        ['key', '"ok"'],
+        ['literal', 'true']
+    ]);
+});
+
+test('yaml: keys in lists, scalars only as whole values', () => {
+    assert.deepEqual(tokensOf('- name: on call\n  enabled: yes', 'yml'), [
+        ['key', 'name'],
+        ['key', 'enabled'],
+        ['literal', 'yes']
+    ]);
+});
+
+test('sql: keywords are case-insensitive, doubled quotes stay in the string', () => {
+    assert.deepEqual(tokensOf("select name from users where note = 'it''s'", 'sql'), [
+        ['keyword', 'select'],
+        ['keyword', 'from'],
+        ['keyword', 'where'],
+        ['string', "'it''s'"]
+    ]);
+});
+
+test('xml/html: tags, attributes and attribute values', () => {
+    assert.deepEqual(tokensOf('<p class="x">a</p>', 'html'), [
+        ['tag', '<p'],
+        ['attr', 'class'],
+        ['string', '"x"'],
+        ['tag', '>'],
+        ['tag', '</p'],
+        ['tag', '>']
+    ]);
+});
+
+test('diff: file headers, hunks, inserted and deleted lines', () => {
+    assert.deepEqual(tokensOf('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-old\n+new\n same', 'patch'), [
+        ['meta', '--- a/x'],
+        ['meta', '+++ b/x'],
+        ['section', '@@ -1 +1 @@'],
+        ['deleted', '-old'],
+        ['inserted', '+new']
+    ]);
+});
+
+test('unknown languages are not highlighted', () => {
+    assert.equal(highlightCode('MOVE A TO B.', 'cobol'), null);
+    assert.equal(highlightCode('x', ''), null);
+});
+
+test('highlights fenced code in rendered previews', () => {
+    const html = highlightHtml('```php\n<?php echo $x;\n```');
+    assert.equal(html,
+        '<pre><code class="language-php"><span class="markdown-hl-meta">&lt;?php</span> ' +
+        '<span class="markdown-hl-keyword">echo</span> <span class="markdown-hl-variable">$x</span>;</code></pre>');
+});
+
+test('leaves code without or with unknown language unchanged', () => {
+    assert.equal(highlightHtml('```\nls -la\n```'), '<pre><code>ls -la</code></pre>');
+    assert.equal(highlightHtml('```cobol\nMOVE\n```'), '<pre><code class="language-cobol">MOVE</code></pre>');
+});
+
+test('highlighted code cannot inject markup', () => {
+    const html = highlightHtml('```html\n<img src=x onerror="alert(1)">\n```');
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('&lt;img'));
+});
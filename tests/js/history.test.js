@@ -0,0 +1,157 @@
+/**
+ * Edit pipeline and undo/redo history tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { EditHistory, replaceRange, replaceValue, undo, redo, replaceInState } from '../../js/src/history.js';
+import { replacePlaceholder, insertTextAtCursor } from '../../js/src/utils.js';
+import { wrapSelection, insertHeading } from '../../js/src/text-actions.js';
+
+const { document } = new JSDOM('').window;
+
+/**
+ * Minimal editor: a real textarea plus the two jQuery methods the
+ * pipeline uses
+ */
+function createEditor(value = '', caret = value.length) {
+    const textarea = document.createElement('textarea');
+    textarea.value = value;
+    textarea.setSelectionRange(caret, caret);
+
+    const inputs = [];
+    return {
+        textarea: { 0: textarea, trigger: type => inputs.push(type) },
+        history: new EditHistory(),
+        inputs
+    };
+}
+
+function state(value, start = value.length, end = start) {
+    return { value, selectionStart: start, selectionEnd: end };
+}
+
+test('push/undo/redo walk through states', () => {
+    const history = new EditHistory();
+    history.push(state('a'));
+    history.push(state('ab'));
+
+    assert.deepEqual(history.undo(state('abc')), state('ab'));
+    assert.deepEqual(history.undo(state('ab')), state('a'));
+    assert.equal(history.undo(state('a')), null);
+    assert.deepEqual(history.redo(state('a')), state('ab'));
+    assert.deepEqual(history.redo(state('ab')), state('abc'));
+    assert.equal(history.canRedo(), false);
+});
+
+test('changes with the same group key are one step', () => {
+    const history = new EditHistory();
+    const run = {};
+    history.push(state(''), run);
+    history.push(state('h'), run);
+    history.push(state('he'), run);
+
+    assert.equal(history.undoStack.length, 1);
+    assert.deepEqual(history.undo(state('hel')), state(''));
+});
+
+test('a new change clears the redo stack', () => {
+    const history = new EditHistory();
+    history.push(state('a'));
+    history.undo(state('ab'));
+    history.push(state('a'));
+
+    assert.equal(history.canRedo(), false);
+});
+
+test('history is bounded', () => {
+    const history = new EditHistory(3);
+    ['a', 'b', 'c', 'd'].forEach(value => history.push(state(value)));
+
+    assert.deepEqual(history.undoStack.map(s => s.value), ['b', 'c', 'd']);
+});
+
+test('replaceRange applies text and selection and records one step', () => {
+    const editor = createEditor('hello world', 5);
+    replaceRange(editor, 0, 5, 'HELLO', { selectionStart: 0, selectionEnd: 5 });
+
+    const textarea = editor.textarea[0];
+    assert.equal(textarea.value, 'HELLO world');
+    assert.deepEqual([textarea.selectionStart, textarea.selectionEnd], [0, 5]);
+    assert.deepEqual(editor.inputs, ['input']);
+
+    assert.equal(undo(editor), true);
+    assert.equal(textarea.value, 'hello world');
+    assert.deepEqual([textarea.selectionStart, textarea.selectionEnd], [5, 5]);
+
+    assert.equal(redo(editor), true);
+    assert.equal(textarea.value, 'HELLO world');
+    assert.deepEqual([textarea.selectionStart, textarea.selectionEnd], [0, 5]);
+});
+
+test('replaceValue writes only the changed part as one step', () => {
+    const editor = createEditor('- a\n- b', 7);
+    const textarea = editor.textarea[0];
+    replaceValue(editor, '- a\n  - b', 9);
+
+    assert.equal(textarea.value, '- a\n  - b');
+    assert.deepEqual([textarea.selectionStart, textarea.selectionEnd], [9, 9]);
+    undo(editor);
+    assert.equal(textarea.value, '- a\n- b');
+});
+
+test('toolbar actions are undoable one at a time', () => {
+    const editor = createEditor('Title', 0);
+    const textarea = editor.textarea[0];
+
+    insertHeading(editor);
+    textarea.setSelectionRange(2, 7);
+    wrapSelection(editor, '**', '**', 'bold text');
+    assert.equal(textarea.value, '# **Title**');
+
+    undo(editor);
+    assert.equal(textarea.value, '# Title');
+    assert.deepEqual([textarea.selectionStart, textarea.selectionEnd], [2, 7]);
+
+    undo(editor);
+    assert.equal(textarea.value, 'Title');
+});
+
+test('insertTextAtCursor is one undo step', () => {
+    const editor = createEditor('Hello', 5);
+    insertTextAtCursor(editor, '![img](x.png)');
+
+    assert.equal(editor.textarea[0].value, 'Hello\n![img](x.png)');
+    undo(editor);
+    assert.equal(editor.textarea[0].value, 'Hello');
+});
+
+test('placeholder replacement rewrites history instead of adding a step', () => {
+    const editor = createEditor('Hi', 2);
+    const textarea = editor.textarea[0];
+    const placeholder = '![Uploading image-1...]()';
+
+    insertTextAtCursor(editor, placeholder);
+    textarea.setSelectionRange(2, 2);
+    replaceRange(editor, 2, 2, '!');
+
+    replacePlaceholder(editor, placeholder, '![a](a.png)');
+    assert.equal(textarea.value, 'Hi!\n![a](a.png)');
+    // The agent's caret stays where it was
+    assert.deepEqual([textarea.selectionStart, textarea.selectionEnd], [3, 3]);
+
+    undo(editor);
+    assert.equal(textarea.value, 'Hi\n![a](a.png)');
+    undo(editor);
+    assert.equal(textarea.value, 'Hi');
+    redo(editor);
+    assert.equal(textarea.value, 'Hi\n![a](a.png)');
+});
+
+test('replaceInState keeps the selection on the same content', () => {
+    assert.deepEqual(replaceInState(state('aXXb', 4), 'XX', 'Y'), state('aYb', 3));
+    assert.deepEqual(replaceInState(state('aXXb', 0, 1), 'XX', 'Y'), state('aYb', 0, 1));
+    assert.deepEqual(replaceInState(state('aXXb', 2), 'XX', 'Y'), state('aYb', 2));
+    assert.deepEqual(replaceInState(state('ab', 1), 'XX', 'Y'), state('ab', 1));
+});
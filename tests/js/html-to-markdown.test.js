@@ -0,0 +1,122 @@
+/**
+ * HTML to Markdown conversion tests
+ *
+ * The round-trip corpus is rendered with the client renderer and converted
+ * back; the result must be the original Markdown.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { htmlToMarkdown, tableToMarkdown } from '../../js/src/html-to-markdown.js';
+import { renderMarkdown } from '../../js/src/markdown-renderer.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+const corpus = {
+    'inline formatting': '# Title\n\nSome **bold** and *italic* text with `code` and ~~gone~~.',
+    'bold italic': '***bold italic*** text',
+    'nested lists': [
+        '- First **bold**',
+        '- Second [link](https://example.com)',
+        '    - Nested *one*',
+        '    - Nested two',
+        '        1. Deep',
+        '        2. Deeper',
+        '- Third'
+    ].join('\n'),
+    'mixed lists': '1. One\n2. Two\n    - Mixed\n    - List\n3. Three',
+    'ordered list start': '3. Starts at three\n4. Four',
+    'loose list': '- Item with paragraph\n\n- Second item',
+    'block quote': '> Quote with **bold** and [a link](https://example.com)\n>\n> - quoted list\n> - second',
+    'fenced code': '```php\n$a = "<b>" && $b;\necho `x`;\n```',
+    'code with fences': '````\ncode with ``` inside\n````',
+    'code span with backticks': 'Use ``a `tick` here`` please.',
+    'escaped characters': 'Literal \\*stars\\*, \\_under\\_scores\\_, \\[brackets\\] and snake\\_case.',
+    'escaped block markers': '\\# not a heading\n\n\\- not a list\n\n1\\. not a list either',
+    'hard break': 'Line one  \nLine two',
+    'rule': 'Above\n\n---\n\nBelow',
+    'table': '| Name    | Qty |\n| ------- | --: |\n| **Bob** |   1 |\n| x & y   |     |',
+    'autolinks': 'See <https://example.com/help> or mail <support@example.com>.',
+    'images and titles': '![Screenshot](https://example.com/shot.png) and [docs](https://docs.example.com "Docs")'
+};
+
+Object.entries(corpus).forEach(([name, markdown]) => {
+    test(`round-trips ${name}`, () => {
+        assert.equal(htmlToMarkdown(renderMarkdown(markdown)), markdown);
+    });
+});
+
+test('keeps formatting and nested lists inside list items', () => {
+    const html = '<ul><li>Use <b>bold</b> and <a href="https://x.test/a_b">a link</a>' +
+        '<ul><li>nested <i>it</i></li></ul></li><li>last</li></ul>';
+    assert.equal(htmlToMarkdown(html), [
+        '- Use **bold** and [a link](https://x.test/a_b)',
+        '    - nested *it*',
+        '- last'
+    ].join('\n'));
+});
+
+test('keeps the levels of deeply nested lists', () => {
+    const html = [
+        '<ul><li>a<ul><li>b<ul><li>c</li></ul></li></ul></li></ul>',
+        '<ol><li>a<ul><li>b<ol><li>c</li></ol></li></ul></li><li>d</li></ol>'
+    ];
+    const strip = markup => markup.replace(/\n/g, '');
+
+    assert.equal(htmlToMarkdown(html[0]), '- a\n    - b\n        - c');
+    html.forEach(markup => {
+        assert.equal(strip(renderMarkdown(htmlToMarkdown(markup))), markup);
+    });
+});
+
+test('keeps formatting and lists inside block quotes', () => {
+    const html = '<blockquote><p>Quoted <strong>bold</strong></p><ul><li>item</li></ul></blockquote>';
+    assert.equal(htmlToMarkdown(html), '> Quoted **bold**\n>\n> - item');
+});
+
+test('converts div lines and styled spans', () => {
+    const html = '<div>First line</div><div><span style="font-weight:bold">Bold span</span> and ' +
+        '<span style="font-style: italic">italic</span></div><div><br></div><div>After</div>';
+    assert.equal(htmlToMarkdown(html), 'First line\n\n**Bold span** and *italic*\n\nAfter');
+});
+
+test('decodes entities in code blocks without escaping', () => {
+    const html = '<pre><code class="language-html">&lt;div class="a"&gt;&amp;nbsp;*x*&lt;/div&gt;</code></pre>';
+    assert.equal(htmlToMarkdown(html), '```html\n<div class="a">&nbsp;*x*</div>\n```');
+    assert.equal(htmlToMarkdown('<p>Run <code>a &lt; b</code></p>'), 'Run `a < b`');
+});
+
+test('escapes literal Markdown characters in text', () => {
+    assert.equal(htmlToMarkdown('<p>Ticket #42 costs 5 * 3 and [x]</p><p># heading-like</p>'),
+        'Ticket #42 costs 5 \\* 3 and \\[x\\]\n\n\\# heading-like');
+});
+
+test('unwraps inline elements around paragraphs', () => {
+    const html = '<b style="font-weight:normal" id="docs-internal-guid-1"><p>One</p><p>Two</p></b>';
+    assert.equal(htmlToMarkdown(html), 'One\n\nTwo');
+});
+
+test('converts task list checkboxes', () => {
+    const html = '<ul><li><input type="checkbox" checked> done</li><li><input type="checkbox"> todo</li></ul>';
+    assert.equal(htmlToMarkdown(html), '- [x] done\n- [ ] todo');
+});
+
+test('drops unsafe links and images and moves spaces out of emphasis', () => {
+    const html = '<p><a href="javascript:alert(1)">bad</a> <img src="data:image/png;base64,AA"> <b> spaced </b>end</p>';
+    assert.equal(htmlToMarkdown(html), 'bad **spaced** end');
+});
+
+test('tableToMarkdown joins the lines of a cell', () => {
+    assert.equal(tableToMarkdown('<table><tr><th>A</th></tr><tr><td>one<br>two</td></tr></table>'), [
+        '| A       |',
+        '| ------- |',
+        '| one two |'
+    ].join('\n'));
+});
+
+test('returns an empty string for empty input', () => {
+    assert.equal(htmlToMarkdown(''), '');
+    assert.equal(htmlToMarkdown(null), '');
+    assert.equal(tableToMarkdown('<p>no table</p>'), '');
+});
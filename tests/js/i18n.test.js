@@ -0,0 +1,35 @@
+/**
+ * UI string translation tests
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { t, tn, setTranslations } from '../../js/src/i18n.js';
+
+afterEach(() => setTranslations({}));
+
+test('untranslated strings fall back to English with parameters', () => {
+    assert.equal(t('Bold (Ctrl+B)'), 'Bold (Ctrl+B)');
+    assert.equal(t('Uploading {name}', { name: 'a.png' }), 'Uploading a.png');
+    assert.equal(t('Keep {unknown}'), 'Keep {unknown}');
+    assert.equal(tn('{count} row', '{count} rows', 1), '1 row');
+    assert.equal(tn('{count} row', '{count} rows', 3), '3 rows');
+});
+
+test('translations are looked up by the English text', () => {
+    setTranslations({ 'Bold (Ctrl+B)': 'Fett (Strg+B)', 'Hi {name}': 'Hallo {name}', 'Empty': '' }, 'de-DE');
+    assert.equal(t('Bold (Ctrl+B)'), 'Fett (Strg+B)');
+    assert.equal(t('Hi {name}', { name: 'Bob' }), 'Hallo Bob');
+    assert.equal(t('Empty'), 'Empty');
+    assert.equal(t('toString'), 'toString');
+});
+
+test('plural forms follow the locale rules', () => {
+    setTranslations({ '{count} row\u0000{count} rows': '{count} Zeile\u0000{count} Zeilen' }, 'de-DE');
+    assert.equal(tn('{count} row', '{count} rows', 1), '1 Zeile');
+    assert.equal(tn('{count} row', '{count} rows', 0), '0 Zeilen');
+
+    setTranslations({ '{count} file\u0000{count} files': '{count} plik\u0000{count} pliki\u0000{count} plików\u0000{count} pliku' }, 'pl');
+    assert.deepEqual([1, 2, 5, 22].map(n => tn('{count} file', '{count} files', n)),
+        ['1 plik', '2 pliki', '5 plików', '22 pliki']);
+});
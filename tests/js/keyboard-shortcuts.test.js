@@ -0,0 +1,61 @@
+/**
+ * Toolbar shortcut tests
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm, keydown } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+let $;
+let editor;
+let runs;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm('word')));
+    runs = [];
+    MarkdownEditor.registerButton({
+        id: 'kb',
+        shortcut: 'Mod+Shift+K',
+        compact: false,
+        action: () => runs.push('kb')
+    });
+});
+
+afterEach(() => {
+    editor.destroy();
+    MarkdownEditor.unregisterButton('kb');
+});
+
+/**
+ * @param {object} options - Editor options
+ */
+function createEditor(options) {
+    editor = new MarkdownEditor($('#response')[0], options);
+    editor.textarea[0].setSelectionRange(0, 4);
+}
+
+test('shortcuts run the buttons of the toolbar', () => {
+    createEditor({ toolbarButtons: ['bold'] });
+
+    assert.equal(keydown(editor.textarea[0], 'b', { ctrlKey: true }).defaultPrevented, true);
+    assert.equal(editor.textarea.val(), '**word**');
+
+    keydown(editor.textarea[0], 'k', { ctrlKey: true, shiftKey: true });
+    assert.deepEqual(runs, ['kb']);
+});
+
+test('buttons left out of the toolbar have no shortcut', () => {
+    createEditor({ toolbarButtons: ['italic'] });
+
+    assert.equal(keydown(editor.textarea[0], 'b', { ctrlKey: true }).defaultPrevented, false);
+    assert.equal(keydown(editor.textarea[0], 'r', { ctrlKey: true, shiftKey: true }).defaultPrevented, false);
+    assert.equal(editor.textarea.val(), 'word');
+});
+
+test('buttons hidden in compact editors have no shortcut', () => {
+    createEditor({ compact: true, previewPosition: 'tabs' });
+
+    assert.equal(keydown(editor.textarea[0], 'k', { ctrlKey: true, shiftKey: true }).defaultPrevented, false);
+    assert.deepEqual(runs, []);
+});
@@ -0,0 +1,58 @@
+/**
+ * Link editing tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findLink, normalizeUrl, applyLink, removeLink } from '../../js/src/links.js';
+
+test('findLink finds the link at the caret, but not images', () => {
+    const value = 'See [the \\[docs\\]](https://x.test/a "Title") and [b](/c)[d](#e)';
+    const link = findLink(value, 6);
+    assert.deepEqual(link, { start: 4, end: 44, text: 'the [docs]', url: 'https://x.test/a', title: 'Title' });
+    assert.equal(findLink(value, value.length).url, '#e');
+    assert.equal(findLink(value, 2), null);
+    assert.equal(findLink('![alt](img.png)', 3), null);
+});
+
+test('normalizeUrl rejects script and data URLs', () => {
+    assert.equal(normalizeUrl('javascript:alert(1)'), null);
+    assert.equal(normalizeUrl(' JavaScript:alert(1)'), null);
+    assert.equal(normalizeUrl('java\tscript:alert(1)'), null);
+    assert.equal(normalizeUrl('data:text/html,<b>'), null);
+    assert.equal(normalizeUrl(''), null);
+});
+
+test('normalizeUrl completes bare domains and e-mail addresses', () => {
+    assert.equal(normalizeUrl('https://example.com/a b'), 'https://example.com/a%20b');
+    assert.equal(normalizeUrl('www.example.com/x(1)'), 'https://www.example.com/x%281%29');
+    assert.equal(normalizeUrl('support@example.com'), 'mailto:support@example.com');
+    assert.equal(normalizeUrl('/scp/tickets.php?id=1'), '/scp/tickets.php?id=1');
+    assert.equal(normalizeUrl('ftp://files.example.com/a'), 'ftp://files.example.com/a');
+});
+
+test('normalizeUrl reads host:port as a host, not a scheme', () => {
+    assert.equal(normalizeUrl('example.com:8080'), 'https://example.com:8080');
+    assert.equal(normalizeUrl('localhost:8080/scp/'), 'https://localhost:8080/scp/');
+    assert.equal(normalizeUrl('localhost:8080'), 'https://localhost:8080');
+    assert.equal(normalizeUrl('http://localhost:8080'), 'http://localhost:8080');
+    assert.equal(normalizeUrl('javascript:8080,alert(1)'), null);
+});
+
+test('applyLink inserts a link for the selection and keeps the title when editing', () => {
+    assert.deepEqual(applyLink('go here now', 3, 7, 'here', 'https://a.test'), {
+        value: 'go [here](https://a.test) now',
+        selectionStart: 25,
+        selectionEnd: 25
+    });
+    assert.equal(applyLink('x', 1, 1, '', 'https://a.test').value, 'x[https://a.test](https://a.test)');
+
+    const value = '[old](https://old.test "T")';
+    assert.equal(applyLink(value, 2, 2, 'a [b]', 'https://new.test', findLink(value, 2)).value,
+        '[a \\[b\\]](https://new.test "T")');
+});
+
+test('removeLink keeps the link text selected', () => {
+    const value = 'a [text](u) b';
+    assert.deepEqual(removeLink(value, findLink(value, 4)), { value: 'a text b', selectionStart: 2, selectionEnd: 6 });
+});
@@ -0,0 +1,114 @@
+/**
+ * List and blockquote editing tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { continueList, indentLines } from '../../js/src/list-editing.js';
+import { renderMarkdown } from '../../js/src/markdown-renderer.js';
+
+/**
+ * Press Enter at the "|" marker; returns the new value with "|" at the caret
+ */
+function enter(text) {
+    const caret = text.indexOf('|');
+    const result = continueList(text.replace('|', ''), caret);
+    if (!result) return null;
+    return result.value.substring(0, result.selectionStart) + '|' + result.value.substring(result.selectionStart);
+}
+
+/**
+ * Press Tab (or Shift+Tab) with the selection between "[" and "]"
+ * (or at "|"); returns the new value with the selection marked the same way
+ */
+function tab(text, outdent = false) {
+    let start;
+    let end;
+    let value;
+    if (text.includes('|')) {
+        start = end = text.indexOf('|');
+        value = text.replace('|', '');
+    } else {
+        start = text.indexOf('[');
+        end = text.indexOf(']') - 1;
+        value = text.replace('[', '').replace(']', '');
+    }
+
+    const result = indentLines(value, start, end, outdent);
+    if (!result) return null;
+    const v = result.value;
+    if (result.selectionStart === result.selectionEnd) {
+        return v.substring(0, result.selectionStart) + '|' + v.substring(result.selectionStart);
+    }
+    return v.substring(0, result.selectionStart) + '[' + v.substring(result.selectionStart, result.selectionEnd) +
+        ']' + v.substring(result.selectionEnd);
+}
+
+test('Enter continues bullet, task and quote lines', () => {
+    assert.equal(enter('- one|'), '- one\n- |');
+    assert.equal(enter('  * nested|'), '  * nested\n  * |');
+    assert.equal(enter('- [x] done|'), '- [x] done\n- [ ] |');
+    assert.equal(enter('> quoted|'), '> quoted\n> |');
+    assert.equal(enter('> - in quote|'), '> - in quote\n> - |');
+});
+
+test('Enter in the middle of an item splits it', () => {
+    assert.equal(enter('- one| two'), '- one\n- | two');
+});
+
+test('Enter continues ordered lists and renumbers the following items', () => {
+    assert.equal(enter('1. one|\n2. two\n3. three'), '1. one\n2. |\n3. two\n4. three');
+    assert.equal(enter('3) c|'), '3) c\n4) |');
+});
+
+test('Enter on an empty item ends the list', () => {
+    assert.equal(enter('- one\n- |'), '- one\n|');
+    assert.equal(enter('> - a\n> - |'), '> - a\n> |');
+    assert.equal(enter('> a\n> |'), '> a\n|');
+});
+
+test('Enter behaves normally outside lists, in code blocks and inside markers', () => {
+    assert.equal(enter('plain|'), null);
+    assert.equal(enter('```\n- code|\n```'), null);
+    assert.equal(enter('-| one'), null);
+    assert.equal(enter('-notalist|'), null);
+});
+
+test('Tab indents a list item, Shift+Tab outdents it', () => {
+    assert.equal(tab('- a\n- b|'), '- a\n    - b|');
+    assert.equal(tab('- a\n    - b|', true), '- a\n- b|');
+    assert.equal(tab('> - a\n> - b|'), '> - a\n>     - b|');
+});
+
+test('Tab on a plain single line is not handled', () => {
+    assert.equal(tab('text|'), null);
+});
+
+test('Tab indents every non-blank line of a selection', () => {
+    assert.equal(tab('[a\n\nb]'), '[    a\n\n    b]');
+    assert.equal(tab('  [a\n b]', true), '[a\nb]');
+    // A selection ending at a line start does not touch that line
+    assert.equal(tab('[a\n]b'), '[    a\n]b');
+});
+
+test('indenting an ordered item renumbers both lists', () => {
+    assert.equal(tab('1. a\n2. b|\n3. c'), '1. a\n    1. b|\n2. c');
+    assert.equal(tab('1. a\n    1. b|\n2. c', true), '1. a\n2. b|\n3. c');
+    // Indenting a whole list keeps its start number
+    assert.equal(tab('[3. a\n4. b]'), '[    3. a\n    4. b]');
+});
+
+test('Tab-indented items render as nested lists', () => {
+    const second = tab('- a\n- b|');
+    const text = tab(second.replace('|', '') + '\n    - c|');
+
+    assert.equal(text, '- a\n    - b\n        - c|');
+    assert.equal(
+        renderMarkdown(text.replace('|', '')),
+        '<ul>\n<li>a\n<ul>\n<li>b\n<ul>\n<li>c</li>\n</ul></li>\n</ul></li>\n</ul>'
+    );
+    assert.equal(
+        renderMarkdown(tab('1. a\n2. b|').replace('|', '')),
+        '<ol>\n<li>a\n<ol>\n<li>b</li>\n</ol></li>\n</ol>'
+    );
+});
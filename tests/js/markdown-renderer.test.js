@@ -0,0 +1,77 @@
+/**
+ * Client-side renderer tests
+ *
+ * Renders the shared fixtures in tests/fixtures/markdown and compares the
+ * result with the expected Parsedown output (see RendererFixturesTest.php).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+import { renderMarkdown, getBlockLineRanges } from '../../js/src/markdown-renderer.js';
+
+const fixtureDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'markdown');
+
+readdirSync(fixtureDir)
+    .filter(file => file.endsWith('.md'))
+    .forEach(file => {
+        test(`renders fixture ${file} like Parsedown`, () => {
+            const markdown = readFileSync(join(fixtureDir, file), 'utf8');
+            const expected = readFileSync(join(fixtureDir, file.replace(/\.md$/, '.html')), 'utf8');
+
+            assert.equal(renderMarkdown(markdown), expected.replace(/\n+$/, ''));
+        });
+    });
+
+test('returns an empty string for empty input', () => {
+    assert.equal(renderMarkdown(''), '');
+    assert.equal(renderMarkdown(null), '');
+});
+
+test('does not emphasize inside code spans', () => {
+    assert.equal(renderMarkdown('`a *b* c`'), '<p><code>a *b* c</code></p>');
+});
+
+test('neutralizes unsafe image sources', () => {
+    assert.equal(
+        renderMarkdown('![x](javascript:alert(1))'),
+        '<p><img src="javascript%3Aalert(1)" alt="x" /></p>'
+    );
+});
+
+test('normalizes CRLF line endings', () => {
+    assert.equal(renderMarkdown('# Title\r\n\r\nText'), '<h1>Title</h1>\n<p>Text</p>');
+});
+
+test('keeps fenced code languages from the info string', () => {
+    assert.equal(
+        renderMarkdown('```yaml title="x"\nkey: value\n```'),
+        '<pre><code class="language-yaml">key: value</code></pre>'
+    );
+});
+
+test('reports source line ranges of top-level blocks', () => {
+    const markdown = '\n\n# Title\n\nPara one\ncontinued\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n[ref]: https://example.com\n\n- x\n- y\n';
+
+    assert.deepEqual(getBlockLineRanges(markdown), [
+        { start: 2, end: 2 },
+        { start: 4, end: 5 },
+        { start: 7, end: 9 },
+        { start: 13, end: 14 }
+    ]);
+});
+
+test('has one line range per rendered top-level element', () => {
+    readdirSync(fixtureDir)
+        .filter(file => file.endsWith('.md'))
+        .forEach(file => {
+            const markdown = readFileSync(join(fixtureDir, file), 'utf8');
+            const html = readFileSync(join(fixtureDir, file.replace(/\.md$/, '.html')), 'utf8');
+            const body = new JSDOM(html).window.document.body;
+
+            assert.equal(getBlockLineRanges(markdown).length, body.children.length, file);
+        });
+});
@@ -0,0 +1,99 @@
+/**
+ * Clipboard paste tests (tables and rich text)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { parseTsv, clipboardToTable, clipboardToMarkdown, cleanClipboardHtml } from '../../js/src/paste.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+test('parseTsv reads spreadsheet ranges', () => {
+    assert.deepEqual(parseTsv('Name\tQty\r\nBob\t1\r\n'), [['Name', 'Qty'], ['Bob', '1']]);
+});
+
+test('parseTsv handles quoted cells with line breaks, tabs and quotes', () => {
+    assert.deepEqual(parseTsv('a\tb\n"line 1\nline 2"\t"say ""hi""\tnow"'), [
+        ['a', 'b'],
+        ['line 1\nline 2', 'say "hi"\tnow']
+    ]);
+});
+
+test('parseTsv rejects text that is not a table', () => {
+    assert.equal(parseTsv('just text'), null);
+    assert.equal(parseTsv('one\trow'), null);
+    assert.equal(parseTsv('a\tb\nc'), null);
+    assert.equal(parseTsv('a\nb'), null);
+});
+
+test('TSV becomes an escaped GFM table', () => {
+    assert.equal(clipboardToTable('', 'Cmd\tNote\nls | wc\ta\nb'), null);
+    assert.equal(clipboardToTable('', 'Cmd\tNote\nls | wc\t"a\nb"'), [
+        '| Cmd      | Note |',
+        '| -------- | ---- |',
+        '| ls \\| wc | a b  |'
+    ].join('\n'));
+});
+
+test('an HTML table is preferred over the plain text', () => {
+    const html = '<html><head><style>td { color: red }</style></head><body>' +
+        '<table><tr><td>Name</td><td align="right">Qty</td></tr><tr><td><b>Bob</b></td><td>1</td></tr></table>' +
+        '</body></html>';
+    assert.equal(clipboardToTable(html, 'Name\tQty\nBob\t1'), [
+        '| Name    | Qty |',
+        '| ------- | --: |',
+        '| **Bob** |   1 |'
+    ].join('\n'));
+});
+
+test('HTML with text around a table is not treated as a table paste', () => {
+    const html = '<p>Intro</p><table><tr><td>a</td></tr><tr><td>b</td></tr></table>';
+    assert.equal(clipboardToTable(html, 'Intro\na\nb'), null);
+});
+
+test('rich HTML is converted to Markdown', () => {
+    const html = '<h2>Steps</h2><p>Open <a href="https://example.com">the site</a> and <strong>log in</strong>.</p>' +
+        '<ul><li>One</li><li>Two</li></ul>';
+    assert.equal(clipboardToMarkdown(html, 'Steps\nOpen the site and log in.\nOne\nTwo'), [
+        '## Steps',
+        '',
+        'Open [the site](https://example.com) and **log in**.',
+        '',
+        '- One',
+        '- Two'
+    ].join('\n'));
+});
+
+test('HTML without formatting is left to the plain text paste', () => {
+    // e.g. code editors put colored spans on the clipboard
+    const html = '<div style="color: #d4d4d4"><span style="color: #569cd6">const</span> a = 1;</div>';
+    assert.equal(clipboardToMarkdown(html, 'const a = 1;'), null);
+    assert.equal(clipboardToMarkdown('', 'text'), null);
+    assert.equal(clipboardToMarkdown('<b>same</b>', 'same'), '**same**');
+});
+
+test('Google Docs markup is cleaned up', () => {
+    const html = '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1234">' +
+        '<p dir="ltr"><span style="font-weight:700;">Bold</span><span style="font-weight:400;"> and </span>' +
+        '<span style="font-style:italic;">italic</span><span> and </span>' +
+        '<span style="font-family:\'Courier New\',monospace;">code</span></p></b>';
+    assert.equal(cleanClipboardHtml(html), '<p><strong>Bold</strong> and <em>italic</em> and <code>code</code></p>');
+});
+
+test('Word markup is cleaned up and list paragraphs become lists', () => {
+    const html = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><head><style>p.MsoNormal{}</style></head><body>' +
+        '<!--StartFragment--><p class=MsoNormal>Intro<o:p></o:p></p>' +
+        '<!--[if gte mso 9]><xml><o:OfficeDocumentSettings></o:OfficeDocumentSettings></xml><![endif]-->' +
+        '<p class=MsoListParagraph style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">1.<span>&nbsp;&nbsp;</span></span>First</p>' +
+        '<p class=MsoListParagraph style="mso-list:l0 level2 lfo1"><span style="mso-list:Ignore">o<span>&nbsp;</span></span>Nested</p>' +
+        '<p class=MsoListParagraph style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">2.<span>&nbsp;</span></span>Second</p>' +
+        '<!--EndFragment--></body></html>';
+    assert.equal(cleanClipboardHtml(html),
+        '<p>Intro</p><ol><li>First<ul><li>Nested</li></ul></li><li>Second</li></ol>');
+});
+
+test('embedded images are dropped', () => {
+    assert.equal(cleanClipboardHtml('<p>a<img src="data:image/png;base64,AAAA"><img src="https://x/y.png"></p>'),
+        '<p>a<img src="https://x/y.png"></p>');
+});
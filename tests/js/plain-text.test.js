@@ -0,0 +1,53 @@
+/**
+ * Plain text conversion tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { htmlToText, textToHtml, findTextFormatting } from '../../js/src/plain-text.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+test('htmlToText separates paragraphs and keeps line breaks', () => {
+    assert.equal(
+        htmlToText('<h2>Hello</h2>\n<p>Thanks for\n   your <strong>message</strong>.<br>Regards</p><div>Ana</div><div>Support</div>'),
+        'Hello\n\nThanks for your message.\nRegards\n\nAna\nSupport'
+    );
+});
+
+test('htmlToText writes lists, quotes, code and tables as text', () => {
+    const html = '<ol start="3"><li>one<ul><li>nested</li></ul></li><li><input type="checkbox" checked> done</li></ol>' +
+        '<blockquote><p>quoted</p><p>twice</p></blockquote><pre><code>  indented\ncode\n</code></pre>' +
+        '<table><tr><th>a</th><th>b</th></tr><tr><td>1</td><td>2</td></tr></table><hr>';
+    assert.equal(htmlToText(html), [
+        '3. one', '   - nested', '4. [x] done', '',
+        '> quoted', '>', '> twice', '',
+        '  indented', 'code', '',
+        'a | b', '1 | 2', '',
+        '---'
+    ].join('\n'));
+});
+
+test('htmlToText keeps link URLs and names images', () => {
+    assert.equal(
+        htmlToText('<p>See <a href="https://x.test/faq">the FAQ</a>, <a href="mailto:a@x.test">a@x.test</a> <img src="/img/chart.png"></p>'),
+        'See the FAQ <https://x.test/faq>, a@x.test [Image: chart.png]'
+    );
+    assert.equal(htmlToText('<p><script>alert(1)</script></p>'), '');
+});
+
+test('textToHtml escapes text and keeps line structure', () => {
+    assert.equal(
+        textToHtml('Hi <b>\n  two & three\n\n\nnext'),
+        '<p>Hi &lt;b&gt;<br>&nbsp;&nbsp;two &amp; three</p>\n<p>next</p>'
+    );
+    assert.equal(textToHtml(' \n '), '');
+});
+
+test('findTextFormatting reports formatting plain text drops', () => {
+    assert.deepEqual(findTextFormatting('<p>Plain <a href="https://x.test">link</a></p><ul><li>item</li></ul>'), []);
+    assert.deepEqual(findTextFormatting(
+        '<h1>T</h1><p><em>a</em> <u>b</u> <code>c</code></p><table><tr><td colspan="2">d</td></tr></table>'
+    ), ['emphasis', 'headings', 'code', 'tables', 'underline']);
+});
@@ -0,0 +1,59 @@
+/**
+ * Incremental preview update tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { patchPreview } from '../../js/src/preview-patch.js';
+import { sanitizeToFragment } from '../../js/src/sanitizer.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+function createPane(html) {
+    const pane = document.createElement('div');
+    pane.innerHTML = '<p class="preview-empty">Preview will be shown here...</p>';
+    patchPreview(pane, sanitizeToFragment(html));
+    return pane;
+}
+
+test('replaces foreign content on first render', () => {
+    const pane = createPane('<h1>Title</h1>\n<p>Text</p>');
+    assert.equal(pane.innerHTML, '<h1>Title</h1><p>Text</p>');
+});
+
+test('keeps unchanged blocks and their nodes', () => {
+    const pane = createPane('<h1>Title</h1>\n<p><img src="a.png" alt="a"></p>\n<p>Old</p>\n<p>Footer</p>');
+    const [title, image, , footer] = pane.children;
+
+    patchPreview(pane, sanitizeToFragment('<h1>Title</h1>\n<p><img src="a.png" alt="a"></p>\n<p>New</p>\n<p>Footer</p>'));
+
+    assert.equal(pane.children.length, 4);
+    assert.equal(pane.children[0], title);
+    assert.equal(pane.children[1], image);
+    assert.equal(pane.children[2].textContent, 'New');
+    assert.equal(pane.children[3], footer);
+});
+
+test('handles inserted and removed blocks', () => {
+    const pane = createPane('<p>A</p><p>B</p><p>C</p>');
+    const [a, , c] = pane.children;
+
+    patchPreview(pane, sanitizeToFragment('<p>A</p><p>X</p><p>Y</p><p>C</p>'));
+    assert.equal(pane.innerHTML, '<p>A</p><p>X</p><p>Y</p><p>C</p>');
+    assert.equal(pane.children[0], a);
+    assert.equal(pane.children[3], c);
+
+    patchPreview(pane, sanitizeToFragment('<p>C</p>'));
+    assert.equal(pane.innerHTML, '<p>C</p>');
+    assert.equal(pane.children[0], c);
+});
+
+test('reuses moved blocks', () => {
+    const pane = createPane('<p>A</p><p>B</p><p>C</p>');
+    const b = pane.children[1];
+
+    patchPreview(pane, sanitizeToFragment('<p>B</p><p>A</p>'));
+    assert.equal(pane.innerHTML, '<p>B</p><p>A</p>');
+    assert.equal(pane.children[0], b);
+});
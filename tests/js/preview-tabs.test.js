@@ -0,0 +1,100 @@
+/**
+ * Write/Preview tab tests (compact editors)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm, keydown } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+let $;
+let editor;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm('**bold**')));
+    editor = new MarkdownEditor($('#response')[0], { compact: true, previewPosition: 'tabs' });
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * @param {string} tab - 'write' or 'preview'
+ * @returns {jQuery}
+ */
+function tabButton(tab) {
+    return editor.previewTabs.find('[data-tab="' + tab + '"]');
+}
+
+test('tabs and panels reference each other', () => {
+    assert.equal(editor.previewTabs.attr('role'), 'tablist');
+
+    ['write', 'preview'].forEach(tab => {
+        const button = tabButton(tab);
+        const panel = $('#' + button.attr('aria-controls'));
+
+        assert.equal(button.attr('role'), 'tab');
+        assert.equal(panel.attr('role'), 'tabpanel');
+        assert.equal(panel.attr('aria-labelledby'), button.attr('id'));
+    });
+    assert.ok($('#' + tabButton('write').attr('aria-controls')).find('textarea').length);
+    assert.ok($('#' + tabButton('preview').attr('aria-controls')).find(editor.previewPane).length);
+});
+
+test('the Write tab is selected and the only Tab stop at first', () => {
+    assert.equal(editor.container.attr('data-active-tab'), 'write');
+    assert.deepEqual(
+        editor.previewTabs.find('[role="tab"]').map((i, button) => [[
+            $(button).attr('aria-selected'), $(button).attr('tabindex')
+        ]]).get(),
+        [['true', '0'], ['false', '-1']]
+    );
+});
+
+test('the preview is rendered only once its tab is opened', () => {
+    assert.equal(editor.previewPane.find('strong').length, 0);
+
+    tabButton('preview').trigger('click');
+
+    assert.equal(editor.container.attr('data-active-tab'), 'preview');
+    assert.equal(tabButton('preview').attr('aria-selected'), 'true');
+    assert.equal(tabButton('preview').attr('tabindex'), '0');
+    assert.equal(tabButton('write').attr('aria-selected'), 'false');
+    assert.equal(tabButton('write').attr('tabindex'), '-1');
+    assert.equal(editor.previewPane.find('strong').text(), 'bold');
+
+    tabButton('write').trigger('click');
+    assert.equal(editor.container.attr('data-active-tab'), 'write');
+});
+
+test('arrow keys switch tabs and move focus', () => {
+    tabButton('write').focus();
+
+    assert.equal(keydown(tabButton('write')[0], 'ArrowRight').defaultPrevented, true);
+    assert.equal(editor.activeTab, 'preview');
+    assert.equal(document.activeElement, tabButton('preview')[0]);
+
+    keydown(tabButton('preview')[0], 'ArrowRight');
+    assert.equal(editor.activeTab, 'write');
+    assert.equal(document.activeElement, tabButton('write')[0]);
+
+    keydown(tabButton('write')[0], 'ArrowLeft');
+    assert.equal(editor.activeTab, 'preview');
+});
+
+test('Home and End select the first and last tab', () => {
+    keydown(tabButton('write')[0], 'End');
+    assert.equal(editor.activeTab, 'preview');
+    assert.equal(document.activeElement, tabButton('preview')[0]);
+
+    keydown(tabButton('preview')[0], 'Home');
+    assert.equal(editor.activeTab, 'write');
+    assert.equal(document.activeElement, tabButton('write')[0]);
+});
+
+test('other keys are left to the browser', () => {
+    assert.equal(keydown(tabButton('write')[0], 'Enter').defaultPrevented, false);
+    assert.equal(keydown(tabButton('write')[0], 'ArrowDown').defaultPrevented, false);
+    assert.equal(editor.activeTab, 'write');
+});
@@ -0,0 +1,92 @@
+/**
+ * Preview render sequencing tests
+ *
+ * Backend responses are held back by a $.ajax stand-in, so the tests
+ * decide in which order they arrive.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+let $;
+let editor;
+let requests;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm()));
+    window.osTicketMarkdownConfig = { previewApiUrl: '/preview' };
+
+    requests = [];
+    $.ajax = (settings) => {
+        const request = {
+            markdown: JSON.parse(settings.data).markdown,
+            aborted: false,
+            respond: (html) => settings.success({ success: true, html }),
+            abort() {
+                request.aborted = true;
+                settings.error(request, 'abort', 'abort');
+            }
+        };
+        requests.push(request);
+        return request;
+    };
+
+    editor = new MarkdownEditor($('#response')[0]);
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * @param {string} markdown
+ */
+function render(markdown) {
+    editor.textarea.val(markdown);
+    editor.renderPreview();
+}
+
+test('a newer render aborts the request still in flight', () => {
+    render('first draft');
+    render('second draft');
+
+    assert.deepEqual(requests.map(request => request.markdown), ['first draft', 'second draft']);
+    assert.equal(requests[0].aborted, true);
+    assert.equal(requests[1].aborted, false);
+});
+
+test('an aborted render is dropped', () => {
+    render('aborted draft');
+    render('current draft');
+
+    // No client-side fallback for the aborted request
+    assert.equal(editor.previewStatus.attr('data-state'), 'rendering');
+    assert.equal(editor.previewPane.text(), 'Preview will be shown here...');
+
+    requests[1].respond('<p>current draft</p>');
+    assert.equal(editor.previewPane.text(), 'current draft');
+    assert.equal(editor.previewStatus.attr('data-state'), undefined);
+});
+
+test('a slow stale response cannot overwrite a newer one', () => {
+    render('slow draft');
+    render('fast draft');
+
+    requests[1].respond('<p>fast draft</p>');
+    requests[0].respond('<p>slow draft</p>');
+
+    assert.equal(editor.previewPane.text(), 'fast draft');
+});
+
+test('a stale response arriving first is not shown', () => {
+    render('older draft');
+    render('newer draft');
+
+    requests[0].respond('<p>older draft</p>');
+    assert.equal(editor.previewPane.text(), 'Preview will be shown here...');
+
+    requests[1].respond('<p>newer draft</p>');
+    assert.equal(editor.previewPane.text(), 'newer draft');
+});
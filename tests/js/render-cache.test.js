@@ -0,0 +1,33 @@
+/**
+ * Preview render cache tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RenderCache, hashContent } from '../../js/src/render-cache.js';
+
+test('returns cached HTML for identical markdown', () => {
+    const cache = new RenderCache(2);
+    cache.set('**a**', '<p><strong>a</strong></p>');
+
+    assert.equal(cache.get('**a**'), '<p><strong>a</strong></p>');
+    assert.equal(cache.get('**b**'), undefined);
+});
+
+test('evicts the least recently used entry', () => {
+    const cache = new RenderCache(2);
+    cache.set('one', '1');
+    cache.set('two', '2');
+    cache.get('one');
+    cache.set('three', '3');
+
+    assert.equal(cache.get('two'), undefined);
+    assert.equal(cache.get('one'), '1');
+    assert.equal(cache.get('three'), '3');
+});
+
+test('hash depends on content and length', () => {
+    assert.equal(hashContent('abc'), hashContent('abc'));
+    assert.notEqual(hashContent('abc'), hashContent('abd'));
+    assert.match(hashContent(''), /^[0-9a-f]+:0$/);
+});
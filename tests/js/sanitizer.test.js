@@ -0,0 +1,72 @@
+/**
+ * Preview sanitizer tests
+ *
+ * XSS vectors from tests/Unit/Security/XSSPreventionTest.php, applied to
+ * the client-side sanitizer that guards the preview pane.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { sanitizeHtml, isSafeUrl } from '../../js/src/sanitizer.js';
+import { renderMarkdown } from '../../js/src/markdown-renderer.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+test('removes event handlers', () => {
+    assert.equal(sanitizeHtml('<img src="x" onerror="alert(1)">'), '<img src="x">');
+    assert.equal(sanitizeHtml('<p onclick=alert(1) ONMOUSEOVER="x">Hi</p>'), '<p>Hi</p>');
+});
+
+test('removes script and style elements with their content', () => {
+    assert.equal(sanitizeHtml('<p>a</p><script>alert(1)</script><style>p{}</style>'), '<p>a</p>');
+});
+
+test('removes embedding elements', () => {
+    const html = '<iframe src="https://evil.example"></iframe><object data="x"></object><embed src="x"><svg onload="alert(1)"></svg>';
+    assert.equal(sanitizeHtml(html), '');
+});
+
+test('blocks javascript: and data: URLs', () => {
+    assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<a href="JaVaScRiPt:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<a href="java&#09;script:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<a href=" javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<img src="data:text/html;base64,PHNjcmlwdD4=">'), '<img>');
+    assert.equal(sanitizeHtml('<a href="vbscript:msgbox(1)">x</a>'), '<a>x</a>');
+});
+
+test('keeps safe and relative URLs', () => {
+    assert.equal(sanitizeHtml('<a href="https://example.com" title="t">x</a>'), '<a href="https://example.com" title="t">x</a>');
+    assert.equal(sanitizeHtml('<img src="file.php?key=abc&amp;disposition=inline" alt="a">'), '<img src="file.php?key=abc&amp;disposition=inline" alt="a">');
+    assert.ok(isSafeUrl('mailto:support@example.com'));
+    assert.ok(isSafeUrl('/scp/tickets.php?id=1'));
+});
+
+test('only allows text-align styles', () => {
+    assert.equal(sanitizeHtml('<p style="text-align: right;">1</p>'), '<p>1</p>');
+    assert.equal(
+        sanitizeHtml('<table><tbody><tr><td style="text-align: right;">1</td><td style="width: expression(alert(1))">2</td></tr></tbody></table>'),
+        '<table><tbody><tr><td style="text-align: right;">1</td><td>2</td></tr></tbody></table>'
+    );
+});
+
+test('unwraps unknown elements but keeps their text', () => {
+    assert.equal(sanitizeHtml('<div><font color="red">text</font></div>'), 'text');
+});
+
+test('removes comments', () => {
+    assert.equal(sanitizeHtml('<p>a<!-- <script>x</script> --></p>'), '<p>a</p>');
+});
+
+test('keeps renderer output intact', () => {
+    const html = renderMarkdown('# Title\n\n**bold** [link](https://example.com)\n\n| a |\n|:-:|\n| 1 |');
+    assert.equal(sanitizeHtml(sanitizeHtml(html)), sanitizeHtml(html));
+    assert.match(sanitizeHtml(html), /<strong>bold<\/strong>/);
+    assert.match(sanitizeHtml(html), /<th style="text-align: center;">a<\/th>/);
+});
+
+test('returns an empty string for non-string input', () => {
+    assert.equal(sanitizeHtml(null), '');
+    assert.equal(sanitizeHtml(undefined), '');
+});
@@ -0,0 +1,157 @@
+/**
+ * Scroll sync tests
+ *
+ * jsdom has no layout, so the textarea, the preview pane and its blocks
+ * get fixed sizes: the textarea has 20px lines, the preview blocks start
+ * at 0, 300 and 700px.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+/** Three paragraphs starting at lines 0, 10 and 30 */
+const MARKDOWN = [
+    Array(9).fill('first'), [''],
+    Array(19).fill('second'), [''],
+    Array(10).fill('third')
+].flat().join('\n');
+
+let $;
+let editor;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm()));
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * Give an element fixed layout values
+ *
+ * @param {Element} element
+ * @param {object} values - e.g. {scrollHeight: 900, clientHeight: 300}
+ */
+function layout(element, values) {
+    Object.entries(values).forEach(([name, value]) => {
+        Object.defineProperty(element, name, { value, writable: true, configurable: true });
+    });
+}
+
+/**
+ * Editor with the three paragraphs, laid out as described above
+ *
+ * @param {string} [markdown]
+ * @returns {{textarea: HTMLTextAreaElement, pane: HTMLElement}}
+ */
+function createEditor(markdown = MARKDOWN) {
+    $('#response').val(markdown).attr('style', 'line-height: 20px');
+    editor = new MarkdownEditor($('#response')[0]);
+
+    const textarea = editor.textarea[0];
+    const pane = editor.previewPane[0];
+    layout(textarea, { scrollHeight: 1000, clientHeight: 200, scrollTop: 0 });
+    layout(pane, { scrollHeight: 900, clientHeight: 300, scrollTop: 0 });
+    Array.from(pane.children).forEach((block, index) => {
+        layout(block, { offsetTop: [0, 300, 700][index], offsetHeight: [300, 400, 200][index] });
+    });
+    return { textarea, pane };
+}
+
+/**
+ * Scroll the textarea and let scroll sync follow
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} top
+ */
+function scrollTo(textarea, top) {
+    textarea.scrollTop = top;
+    textarea.dispatchEvent(new window.Event('scroll'));
+}
+
+test('preview blocks are annotated with their source lines', () => {
+    const { pane } = createEditor();
+
+    assert.deepEqual(Array.from(pane.children).map(block => [
+        block.getAttribute('data-source-line'),
+        block.getAttribute('data-source-line-end')
+    ]), [['0', '8'], ['10', '28'], ['30', '39']]);
+});
+
+test('the top line of the textarea maps to the matching preview block', () => {
+    const { textarea, pane } = createEditor();
+
+    // Line 10: start of the second paragraph
+    scrollTo(textarea, 200);
+    assert.equal(pane.scrollTop, 300);
+
+    // Line 20: halfway through the second paragraph (lines 10 to 29)
+    scrollTo(textarea, 400);
+    assert.equal(pane.scrollTop, 500);
+
+    // Line 35: halfway through the last paragraph, which ends with the pane
+    scrollTo(textarea, 700);
+    assert.equal(pane.scrollTop, 800);
+});
+
+test('the top and bottom of the textarea map to the top and bottom of the preview', () => {
+    const { textarea, pane } = createEditor();
+
+    scrollTo(textarea, 800);
+    assert.equal(pane.scrollTop, 600);
+
+    scrollTo(textarea, 0);
+    assert.equal(pane.scrollTop, 0);
+});
+
+test('a textarea without scroll range keeps the preview at the top', () => {
+    const { textarea, pane } = createEditor();
+    layout(textarea, { scrollHeight: 200 });
+    pane.scrollTop = 250;
+
+    scrollTo(textarea, 0);
+    assert.equal(pane.scrollTop, 0);
+});
+
+test('an empty preview is not scrolled', () => {
+    const { textarea, pane } = createEditor('');
+    layout(pane, { scrollHeight: 300, clientHeight: 300 });
+
+    assert.equal(pane.children.length, 1);
+    assert.equal(pane.firstElementChild.hasAttribute('data-source-line'), false);
+
+    scrollTo(textarea, 400);
+    assert.equal(pane.scrollTop, 0);
+});
+
+test('without block annotations the preview scrolls proportionally', () => {
+    const { textarea, pane } = createEditor();
+    $(pane).children().removeAttr('data-source-line data-source-line-end');
+
+    scrollTo(textarea, 200);
+    assert.equal(pane.scrollTop, 150);
+});
+
+test('clicking a preview block moves the caret to its source line', () => {
+    const { textarea, pane } = createEditor();
+
+    pane.children[2].dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    const offset = MARKDOWN.split('\n').slice(0, 30).join('\n').length + 1;
+    assert.equal(textarea.selectionStart, offset);
+    assert.equal(textarea.scrollTop, 30 * 20 - 200 / 3);
+});
+
+test('moving the caret brings its preview block into view', () => {
+    const { textarea, pane } = createEditor();
+
+    const offset = MARKDOWN.indexOf('third');
+    textarea.setSelectionRange(offset, offset);
+    textarea.dispatchEvent(new window.KeyboardEvent('keyup', { key: 'ArrowDown' }));
+
+    // Bottom of the last block (900px) plus a 16px margin
+    assert.equal(pane.scrollTop, 900 - 300 + 16);
+});
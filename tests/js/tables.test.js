@@ -0,0 +1,139 @@
+/**
+ * Markdown table editing tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+    splitRow, findTable, createTable, insertTable, tableCommand, tableEnter, tableFromRows
+} from '../../js/src/tables.js';
+import { htmlToMarkdown } from '../../js/src/html-to-markdown.js';
+import { setTranslations } from '../../js/src/i18n.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+import { setupDom, replyForm } from './helpers/dom.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+const TABLE = [
+    '|Name|Age|',
+    '|---|--:|',
+    '|Bob|7|',
+    '|Alice|12|'
+].join('\n');
+
+/**
+ * Run a command with the caret after the first occurrence of `at`
+ */
+function run(command, at = 'B', value = TABLE) {
+    const caret = value.indexOf(at) + at.length;
+    const result = tableCommand(value, caret, caret, command);
+    if (!result) return null;
+    const { value: text, selectionStart: start, selectionEnd: end } = result;
+    return text.substring(0, start) + '[' + text.substring(start, end) + ']' + text.substring(end);
+}
+
+test('splitRow handles outer pipes and escaped pipes', () => {
+    assert.deepEqual(splitRow('| a | b\\|c |').map(cell => cell.text), ['a', 'b\\|c']);
+    assert.deepEqual(splitRow('a | b').map(cell => cell.text), ['a', 'b']);
+    assert.deepEqual(splitRow('| a |  |').map(cell => cell.text), ['a', '']);
+});
+
+test('findTable locates the caret cell and ignores pipes outside tables', () => {
+    const table = findTable('intro\n\n' + TABLE, 7 + TABLE.indexOf('Alice') + 2);
+    assert.deepEqual([table.row, table.col, table.offset], [2, 0, 2]);
+    assert.deepEqual(table.model.align, [null, 'right']);
+
+    assert.equal(findTable('a | b\nno separator', 1), null);
+    assert.equal(findTable('```\n| a |\n| --- |\n```', 5), null);
+});
+
+test('format pads the pipes and keeps the caret in its cell', () => {
+    assert.equal(run('format'), [
+        '| Name  | Age |',
+        '| ----- | --: |',
+        '| B[]ob   |   7 |',
+        '| Alice |  12 |'
+    ].join('\n'));
+});
+
+test('next/previous move between cells and select their content', () => {
+    assert.equal(run('next').split('\n')[2], '| Bob   |   [7] |');
+    assert.equal(run('previous').split('\n')[0], '| Name  | [Age] |');
+    // After the last cell a new row is added
+    assert.equal(run('next', '12').split('\n')[4], '| []      |     |');
+});
+
+test('rows and columns can be added and removed', () => {
+    assert.deepEqual(run('rowBelow').split('\n').slice(2), ['| Bob   |   7 |', '| []      |     |', '| Alice |  12 |']);
+    assert.deepEqual(run('removeRow').split('\n').slice(2), ['| []Alice |  12 |']);
+    assert.equal(run('columnRight').split('\n')[0], '| Name  |     | Age |');
+    assert.equal(run('removeColumn').split('\n')[0], '| Age |');
+    assert.equal(run('removeRow', 'Na'), null);
+});
+
+test('alignment markers are set per column', () => {
+    assert.equal(run('alignCenter').split('\n')[1], '| :---: | --: |');
+    assert.equal(run('alignNone', '7').split('\n')[1], '| ----- | --- |');
+});
+
+test('Enter adds a row, and leaves the table from an empty last row', () => {
+    const caret = TABLE.indexOf('Bob');
+    assert.equal(tableEnter(TABLE, caret).value.split('\n').length, 5);
+
+    const empty = '| a   | b   |\n| --- | --- |\n|     |     |\nafter';
+    const result = tableEnter(empty, empty.indexOf('|     |') + 2);
+    assert.equal(result.value, '| a   | b   |\n| --- | --- |\n\n\n\nafter');
+    assert.equal(result.selectionStart, 29);
+});
+
+test('insertTable puts the table on its own lines with the first header selected', () => {
+    assert.equal(createTable(2, 2), '| Column 1 | Column 2 |\n| -------- | -------- |\n|          |          |');
+
+    const result = insertTable('text', 4, 4, 2, 1);
+    assert.equal(result.value, 'text\n\n| Column 1 |\n| -------- |\n|          |\n');
+    assert.equal(result.value.substring(result.selectionStart, result.selectionEnd), 'Column 1');
+
+    const named = insertTable('', 0, 0, 2, 2, n => 'Spalte ' + n);
+    assert.equal(named.value, '| Spalte 1 | Spalte 2 |\n| -------- | -------- |\n|          |          |\n');
+    assert.equal(named.value.substring(named.selectionStart, named.selectionEnd), 'Spalte 1');
+});
+
+test('the editor translates the header placeholders', () => {
+    const { $ } = setupDom(replyForm());
+    setTranslations({ 'Column {n}': 'Spalte {n}' }, 'de-DE');
+    const editor = new MarkdownEditor($('#response')[0]);
+
+    editor.insertTable(2, 2);
+    assert.equal(editor.textarea.val().split('\n')[0], '| Spalte 1 | Spalte 2 |');
+
+    editor.destroy();
+    setTranslations({});
+});
+
+test('tableFromRows escapes pipes and joins lines', () => {
+    assert.equal(tableFromRows([['a|b'], ['c|d']]), [
+        '| a&#124;b |',
+        '| -------- |',
+        '| c\\|d     |'
+    ].join('\n'));
+
+    assert.equal(tableFromRows([['a', 'b|c'], ['x\n y', 'z']], [null, 'right']), [
+        '| a   | b&#124;c |',
+        '| --- | -------: |',
+        '| x y |        z |'
+    ].join('\n'));
+});
+
+test('htmlToMarkdown converts tables with alignment and inline formatting', () => {
+    const html = '<p>Hi</p><table><thead><tr><th>Name</th><th style="text-align:right">Qty</th></tr></thead>' +
+        '<tbody><tr><td><b>Bob</b></td><td>1</td></tr><tr><td colspan="2">x &amp; y</td></tr></tbody></table>';
+    assert.equal(htmlToMarkdown(html), [
+        'Hi',
+        '',
+        '| Name    | Qty |',
+        '| ------- | --: |',
+        '| **Bob** |   1 |',
+        '| x & y   |     |'
+    ].join('\n'));
+});
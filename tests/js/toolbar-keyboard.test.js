@@ -0,0 +1,117 @@
+/**
+ * Toolbar keyboard and screen reader tests
+ *
+ * The toolbar is one tab stop (roving tabindex), toggled formatting is
+ * announced through the live region.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm, keydown, fakeLayout } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+
+let $;
+let editor;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm('word')));
+    fakeLayout();
+    editor = new MarkdownEditor($('#response')[0], { toolbarButtons: ['bold', 'italic', '|', 'link'] });
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * Actions of the buttons that are tab stops
+ *
+ * @returns {string[]}
+ */
+function tabStops() {
+    return editor.toolbar.find('button[tabindex="0"]').map((i, button) => $(button).attr('data-action')).get();
+}
+
+/**
+ * @param {string} action
+ * @returns {HTMLElement}
+ */
+function button(action) {
+    return editor.toolbar.find(`[data-action="${action}"]`)[0];
+}
+
+/**
+ * Wait until the live region was updated
+ *
+ * @returns {Promise<string>} Its text
+ */
+async function announced() {
+    await new Promise(resolve => setTimeout(resolve, 60));
+    return editor.liveRegion.text();
+}
+
+test('the first button is the only tab stop', () => {
+    assert.deepEqual(tabStops(), ['bold']);
+    assert.equal(editor.toolbar.find('button[tabindex="-1"]').length, editor.toolbar.find('button').length - 1);
+});
+
+test('arrow keys move focus and the tab stop, wrapping around', () => {
+    button('bold').focus();
+
+    assert.equal(keydown(button('bold'), 'ArrowRight').defaultPrevented, true);
+    assert.equal(document.activeElement, button('italic'));
+    assert.deepEqual(tabStops(), ['italic']);
+
+    keydown(button('italic'), 'ArrowLeft');
+    keydown(button('bold'), 'ArrowLeft');
+    assert.equal(document.activeElement, button('fullscreen'));
+    assert.deepEqual(tabStops(), ['fullscreen']);
+
+    keydown(button('fullscreen'), 'ArrowRight');
+    assert.equal(document.activeElement, button('bold'));
+    assert.deepEqual(tabStops(), ['bold']);
+});
+
+test('Home and End jump to the first and last button', () => {
+    keydown(button('italic'), 'End');
+    assert.equal(document.activeElement, button('fullscreen'));
+
+    keydown(button('fullscreen'), 'Home');
+    assert.equal(document.activeElement, button('bold'));
+    assert.deepEqual(tabStops(), ['bold']);
+});
+
+test('hidden buttons are skipped', () => {
+    assert.equal(button('more').hidden, true);
+
+    keydown(button('link'), 'ArrowRight');
+    assert.equal(document.activeElement, button('toggle-preview'));
+});
+
+test('a focused button becomes the tab stop', () => {
+    button('link').focus();
+    assert.deepEqual(tabStops(), ['link']);
+});
+
+test('toggled formatting is announced in a polite live region', async () => {
+    editor.textarea[0].setSelectionRange(0, 4);
+    button('bold').click();
+
+    assert.equal(editor.liveRegion.attr('role'), 'status');
+    assert.equal(editor.liveRegion.attr('aria-live'), 'polite');
+    assert.equal(await announced(), 'Bold on');
+
+    editor.textarea[0].setSelectionRange(2, 6);
+    keydown(editor.textarea[0], 'b', { ctrlKey: true });
+    assert.equal(editor.textarea.val(), 'word');
+    assert.equal(await announced(), 'Bold off');
+});
+
+test('a repeated message is cleared first, so it is read again', async () => {
+    editor.announce('Saved');
+    assert.equal(await announced(), 'Saved');
+
+    editor.announce('Saved');
+    assert.equal(editor.liveRegion.text(), '');
+    assert.equal(await announced(), 'Saved');
+});
@@ -0,0 +1,134 @@
+/**
+ * Toolbar overflow menu tests
+ *
+ * The toolbar children are laid out in rows of the toolbar width: groups
+ * are 30px per button, separators 10px, single buttons 30px.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, replyForm, keydown, fakeLayout } from './helpers/dom.js';
+import { MarkdownEditor } from '../../js/src/core.js';
+import { updateOverflow } from '../../js/src/toolbar-overflow.js';
+import { updateTabStops } from '../../js/src/toolbar.js';
+
+let $;
+let editor;
+let toolbarWidth;
+
+beforeEach(() => {
+    ({ $ } = setupDom(replyForm('item')));
+    toolbarWidth = 1000;
+    fakeLayout(element => {
+        if (element.classList.contains('markdown-toolbar')) {
+            return { width: toolbarWidth, height: 30, top: 0 };
+        }
+        if (element.parentElement && element.parentElement.classList.contains('markdown-toolbar')) {
+            return { width: itemWidth(element), height: 30, top: rowTop(element) };
+        }
+        return { width: 20, height: 20, top: 0 };
+    });
+    editor = new MarkdownEditor($('#response')[0], {
+        toolbarButtons: ['bold', 'italic', '|', 'link', 'code', '|', 'ul', 'ol']
+    });
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+/**
+ * @param {Element} element - Toolbar child
+ * @returns {number}
+ */
+function itemWidth(element) {
+    if (element.hidden || element.classList.contains('is-overflow')) return 0;
+    if (element.classList.contains('markdown-toolbar-group')) {
+        return 30 * Array.from(element.children).filter(child => !child.classList.contains('is-overflow')).length;
+    }
+    return element.classList.contains('markdown-toolbar-separator') ? 10 : 30;
+}
+
+/**
+ * Top of a toolbar child when the children wrap at the toolbar width
+ *
+ * @param {Element} element - Toolbar child
+ * @returns {number}
+ */
+function rowTop(element) {
+    let x = 0;
+    let top = 0;
+    for (const child of element.parentElement.children) {
+        const width = itemWidth(child);
+        if (width && x > 0 && x + width > toolbarWidth) {
+            top += 30;
+            x = 0;
+        }
+        if (child === element) return top;
+        x += width;
+    }
+    return top;
+}
+
+/**
+ * @returns {string[]} Actions of the buttons moved into the menu
+ */
+function overflowed() {
+    return editor.toolbar.find('.markdown-toolbar-btn.is-overflow').map((i, el) => $(el).attr('data-action')).get();
+}
+
+/**
+ * @param {number} width
+ */
+function resize(width) {
+    toolbarWidth = width;
+    updateOverflow(editor);
+    updateTabStops(editor);
+}
+
+test('all buttons stay in the toolbar while they fit', () => {
+    assert.deepEqual(overflowed(), []);
+    assert.equal(editor.toolbar.find('[data-action="more"]').prop('hidden'), true);
+});
+
+test('the last buttons move into the menu when the toolbar is narrow', () => {
+    resize(200);
+
+    assert.deepEqual(overflowed(), ['code', 'ul', 'ol']);
+    assert.equal(editor.toolbar.find('[data-action="more"]').prop('hidden'), false);
+    // The emptied group and its separator are hidden as well
+    assert.equal(editor.toolbar.children('.markdown-toolbar-group').last().hasClass('is-overflow'), true);
+    assert.equal(editor.toolbar.children('.markdown-toolbar-separator').last().hasClass('is-overflow'), true);
+
+    resize(1000);
+    assert.deepEqual(overflowed(), []);
+    assert.equal(editor.toolbar.find('[data-action="more"]').prop('hidden'), true);
+});
+
+test('a button moved into the menu is no longer the tab stop', () => {
+    updateTabStops(editor, editor.toolbar.find('[data-action="ol"]'));
+    resize(200);
+
+    assert.deepEqual(editor.toolbar.find('button[tabindex="0"]').map((i, el) => $(el).attr('data-action')).get(), ['bold']);
+});
+
+test('the menu lists the hidden buttons and runs them', () => {
+    resize(200);
+    editor.toolbar.find('[data-action="more"]').trigger('click');
+
+    const $menu = editor.toolbar.find('.markdown-overflow-menu');
+    assert.equal($menu.attr('role'), 'menu');
+    assert.deepEqual($menu.find('[role^="menuitem"]').map((i, el) => $(el).attr('data-action')).get(), ['code', 'ul', 'ol']);
+    assert.equal(document.activeElement, $menu.find('[data-action="code"]')[0]);
+
+    keydown(document.activeElement, 'ArrowDown');
+    assert.equal(document.activeElement, $menu.find('[data-action="ul"]')[0]);
+    keydown(document.activeElement, 'ArrowUp');
+    keydown(document.activeElement, 'ArrowUp');
+    assert.equal(document.activeElement, $menu.find('[data-action="ol"]')[0]);
+
+    $menu.find('[data-action="ul"]').trigger('click');
+    assert.equal(editor.textarea.val(), '- item');
+    assert.equal(editor.toolbar.find('.markdown-overflow-menu').length, 0);
+    assert.equal(document.activeElement, editor.textarea[0]);
+});
@@ -0,0 +1,63 @@
+/**
+ * Toolbar button registry tests
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    registerButton, unregisterButton, getButton, getLayout, onRegistryChange,
+    parseShortcut, findShortcutButton, formatShortcut
+} from '../../js/src/toolbar-registry.js';
+
+const noop = () => {};
+
+['bold', 'italic', 'link', 'image'].forEach(id => {
+    registerButton({ id, action: noop, compact: id !== 'image' }, true);
+});
+
+afterEach(() => {
+    ['kb', 'sig', 'bad'].forEach(id => unregisterButton(id));
+});
+
+test('getLayout follows the configured order and drops unknown ids and extra separators', () => {
+    assert.deepEqual(getLayout(['|', 'bold', 'nope', '|', '|', 'italic', '|']), ['bold', '|', 'italic']);
+    assert.deepEqual(getLayout(['bold', '|', 'image'], { compact: true }), ['bold']);
+});
+
+test('getLayout places unlisted plugin buttons after their target or in a new group', () => {
+    registerButton({ id: 'kb', action: noop, after: 'bold' });
+    registerButton({ id: 'sig', action: noop });
+    assert.deepEqual(getLayout(['bold', 'italic', '|', 'link']), ['bold', 'kb', 'italic', '|', 'link', '|', 'sig']);
+    assert.deepEqual(getLayout(['sig', '|', 'bold']), ['sig', '|', 'bold', 'kb']);
+});
+
+test('registerButton validates the definition and notifies listeners', () => {
+    let changes = 0;
+    onRegistryChange(() => changes++);
+
+    assert.throws(() => registerButton({ action: noop }), TypeError);
+    assert.throws(() => registerButton({ id: '|', action: noop }), TypeError);
+    assert.throws(() => registerButton({ id: 'bad' }), TypeError);
+
+    const button = registerButton({ id: 'kb', title: 'KB', action: noop });
+    assert.equal(button.popup, false);
+    assert.equal(button.compact, true);
+    assert.equal(getButton('kb').title, 'KB');
+    assert.equal(unregisterButton('kb'), true);
+    assert.equal(unregisterButton('kb'), false);
+    assert.equal(getButton('kb'), null);
+    assert.equal(changes, 2);
+});
+
+test('shortcuts are parsed, matched against key events and formatted', () => {
+    assert.deepEqual(parseShortcut('Mod+Shift+K'), { key: 'k', mod: true, shift: true, alt: false });
+    assert.equal(parseShortcut(''), null);
+
+    registerButton({ id: 'kb', shortcut: 'Mod+Shift+K', action: noop });
+    assert.equal(findShortcutButton({ key: 'K', ctrlKey: true, shiftKey: true }).id, 'kb');
+    assert.equal(findShortcutButton({ key: 'k', metaKey: true, shiftKey: true }).id, 'kb');
+    assert.equal(findShortcutButton({ key: 'k', ctrlKey: true }), null);
+    assert.equal(findShortcutButton({ key: 'k', ctrlKey: true, shiftKey: true }, ['bold', 'kb']).id, 'kb');
+    assert.equal(findShortcutButton({ key: 'k', ctrlKey: true, shiftKey: true }, ['bold']), null);
+    assert.equal(formatShortcut('Mod+Shift+K'), 'Ctrl+Shift+K');
+});
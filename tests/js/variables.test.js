@@ -0,0 +1,62 @@
+/**
+ * osTicket template variable tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+    findVariables, summarizeVariables, findPartialVariable, suggestVariables, markVariables
+} from '../../js/src/variables.js';
+
+const known = {
+    'ticket.number': 'Ticket number',
+    'ticket.name': 'Name of the ticket owner',
+    'recipient.name': 'Recipient name',
+    'recipient.name.first': 'Recipient first name'
+};
+
+test('findVariables finds and validates tokens', () => {
+    assert.deepEqual(findVariables('Ticket %{ticket.number} for %{ recipient.name.first }, %{ticket.nope}', known), [
+        { name: 'ticket.number', start: 7, end: 23, known: true },
+        { name: 'recipient.name.first', start: 28, end: 53, known: true },
+        { name: 'ticket.nope', start: 55, end: 69, known: false }
+    ]);
+    assert.deepEqual(findVariables('100% {not} %{\n}', known), []);
+});
+
+test('summarizeVariables groups by name in order of first use', () => {
+    const found = findVariables('%{ticket.number} %{x} %{ticket.number}', known);
+    assert.deepEqual(summarizeVariables(found), [
+        { name: 'ticket.number', known: true, count: 2 },
+        { name: 'x', known: false, count: 1 }
+    ]);
+});
+
+test('findPartialVariable returns the token at the caret', () => {
+    assert.deepEqual(findPartialVariable('Hi %{recip', 10), { start: 3, end: 10, query: 'recip' });
+    assert.deepEqual(findPartialVariable('Hi %{recipient.na}!', 10), { start: 3, end: 18, query: 'recip' });
+    assert.equal(findPartialVariable('Hi %{recipient.name} ', 21), null);
+    assert.equal(findPartialVariable('50%', 3), null);
+});
+
+test('suggestVariables lists prefix matches first', () => {
+    assert.deepEqual(suggestVariables(known, 'recipient.name'), ['recipient.name', 'recipient.name.first']);
+    assert.deepEqual(suggestVariables(known, 'name'), ['ticket.name', 'recipient.name', 'recipient.name.first']);
+    assert.equal(suggestVariables(known, '').length, 4);
+});
+
+test('markVariables shows resolved values and placeholder chips', () => {
+    const document = new JSDOM('<p>Hello %{recipient.name.first}, ticket %{ticket.number} %{foo}</p>').window.document;
+    markVariables(document.body, known, { 'recipient.name.first': '<b>Ana</b>' });
+
+    const chips = document.querySelectorAll('.markdown-variable');
+    assert.equal(chips.length, 3);
+    assert.equal(chips[0].className, 'markdown-variable is-resolved');
+    assert.equal(chips[0].textContent, '<b>Ana</b>');
+    assert.equal(chips[0].title, '%{recipient.name.first}');
+    assert.equal(chips[1].className, 'markdown-variable is-placeholder');
+    assert.equal(chips[1].textContent, 'ticket.number');
+    assert.equal(chips[2].className, 'markdown-variable is-unknown');
+    assert.equal(document.body.textContent, 'Hello <b>Ana</b>, ticket ticket.number foo');
+});